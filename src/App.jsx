@@ -1,29 +1,72 @@
-import { useState, useEffect } from 'react'
-import {BrowserRouter as Router, Route, Routes, Link} from "react-router-dom"
-import { useNavigate } from 'react-router-dom'
+import {BrowserRouter as Router, Route, Routes, Navigate} from "react-router-dom"
 import Signup from "./Registration/Signup.jsx"
 import Signin from "./Registration/Signin.jsx"
 import Home from "./Dashboard/home.jsx"
+import CreateTeam from "./Dashboard/createteam.jsx"
+import JoinTeam from "./Dashboard/jointeam.jsx"
+import MyTeams from "./Dashboard/myteams.jsx"
+import LeadProjects from "./Dashboard/ProjectTabs/LeadProjects.jsx"
+import PendingProjects from "./Dashboard/ProjectTabs/RequestedProjects.jsx"
+import JoinedProjects from "./Dashboard/ProjectTabs/JoinedProjects.jsx"
+import RequestHistory from "./Dashboard/ProjectTabs/RequestHistory.jsx"
+import ProjectDetail from "./Dashboard/ProjectDetail.jsx"
+import Profile from "./Dashboard/Profile.jsx"
+import UserProfile from "./Dashboard/UserProfile.jsx"
 import { AuthProvider } from './context/AuthProvider.jsx'
 import "./App.css"
-import { DashboardProvider } from './context/DashboardContext.jsx'
+import { QueryProvider } from './context/QueryContext.jsx'
+import RequireAuth from './components/RequireAuth.jsx'
+import RedirectIfAuth from './components/RedirectIfAuth.jsx'
+import SessionExpiredModal from './components/SessionExpiredModal.jsx'
+import { LiveUpdatesProvider } from './context/LiveUpdatesContext.jsx'
+import { ChatProvider } from './context/ChatContext.jsx'
 
 function App() {
   {/*
-    Using Routers for efficient navigation between different web pages in the website
+    Using Routers for efficient navigation between different web pages in the website.
+    The sign-in and sign-up pages sit behind RedirectIfAuth and the dashboard behind
+    RequireAuth, so each page only renders for the right kind of visitor.
+    Every dashboard view is its own nested route under /home so it can be bookmarked.
+    Project pages (/projects/:projectId), the user's profile (/profile) and public
+    profiles (/users/:email) share the dashboard layout.
     */}
 
   return(
     <>
     <Router>
       <AuthProvider>
-        <DashboardProvider>
+        <LiveUpdatesProvider>
+        <ChatProvider>
+        <QueryProvider>
         <Routes>
-        <Route path="/" element={<Signin />}></Route>
-        <Route path="signup" element={<Signup />}></Route>
-        <Route path="home" element={<Home />}></Route>
+        <Route element={<RedirectIfAuth />}>
+          <Route path="/" element={<Signin />}></Route>
+          <Route path="signup" element={<Signup />}></Route>
+        </Route>
+        <Route element={<RequireAuth />}>
+          <Route path="home" element={<Home />}>
+            <Route index element={<Navigate to="create" replace />}></Route>
+            <Route path="create" element={<CreateTeam />}></Route>
+            <Route path="join" element={<JoinTeam />}></Route>
+            <Route path="teams" element={<MyTeams />}>
+              <Route index element={<Navigate to="created" replace />}></Route>
+              <Route path="created/:projectId?" element={<LeadProjects />}></Route>
+              <Route path="pending" element={<PendingProjects />}></Route>
+              <Route path="joined/:projectId?" element={<JoinedProjects />}></Route>
+              <Route path="history" element={<RequestHistory />}></Route>
+            </Route>
+          </Route>
+          <Route element={<Home />}>
+            <Route path="projects/:projectId" element={<ProjectDetail />}></Route>
+            <Route path="profile" element={<Profile />}></Route>
+            <Route path="users/:email" element={<UserProfile />}></Route>
+          </Route>
+        </Route>
         </Routes>
-        </DashboardProvider>
+        <SessionExpiredModal />
+        </QueryProvider>
+        </ChatProvider>
+        </LiveUpdatesProvider>
       </AuthProvider>
     </Router>
     </>
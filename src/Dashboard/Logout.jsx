@@ -5,65 +5,29 @@
  * @author Pranav Singh
  */
 
-import React from 'react'
+import React, { useContext } from 'react'
 import { useNavigate } from 'react-router-dom'
-import axiosInstance from '../Interceptors/axiosInstance';
+import { AuthContext } from '../context/AuthProvider.jsx';
 
 /**
  * @components Logout
  * @description
- * This component provides users to manually logout from their account by removing the
- * access and refresh tokens from the local storage and setting the variable "islogged" 
- * to false.
+ * This component provides users to manually logout from their account. The session
+ * itself is ended by `AuthContext.logout`, which also signs out the user's other tabs.
  */
 
 function Logout() {
     /** --------------------- STATE MANAGEMENT -------------------------- */
     const navigate = useNavigate();
+    const { logout } = useContext(AuthContext);
 
     /**
      * @function handleLogOut
-     * @description Removes the access and refresh tokens from the local storage and set
-     * the value of variable "islogged" to false, while navigating user back to the sign
-     * in tab.
+     * @description Ends the session and navigates the user back to the sign in tab.
      */
     const handleLogOut = async () => {
-        // Capturing the refresh token
-        const refresh_token = localStorage.getItem("refresh_token");
-        localStorage.setItem("islogged","false");
-
-        if (!refresh_token) {
-            // If no token is set, clearing the localStorage and redirecting to the login page
-            localStorage.removeItem("access_token");
-            localStorage.removeItem("refresh_token");
-            localStorage.setItem("islogged","false");
-            delete axiosInstance.defaults.headers["Authorization"];
-            navigate("/");
-            return;
-        }   
-
-        try {
-            // Calling the logout API only if refresh token exists
-            await axiosInstance.post("api/accounts/logout/", { refresh_token });
-
-            // Clearing the tokens after successful logout
-            localStorage.removeItem("access_token");
-            localStorage.removeItem("refresh_token");
-            localStorage.setItem("islogged","false");
-            delete axiosInstance.defaults.headers["Authorization"];
-
-            navigate("/");
-        } catch (error) {
-            console.log("Logout Failed", error.response?.data || error);
-
-            // Even if logout API fails, clearing the tokens and redirecting to the login page
-            localStorage.removeItem("access_token");
-            localStorage.removeItem("refresh_token");
-            localStorage.setItem("islogged","false");
-            delete axiosInstance.defaults.headers["Authorization"];
-
-            navigate("/");
-        }
+        await logout();
+        navigate("/");
     };
 
     return(
@@ -71,4 +35,4 @@ function Logout() {
     );
 }
 
-export default Logout
\ No newline at end of file
+export default Logout
@@ -0,0 +1,317 @@
+/**
+ * @file Profile.jsx
+ * @description
+ * The signed-in user's profile page (`/profile`). Edits the name, skills, bio, links,
+ * availability and avatar that leads see on the user's public profile before accepting
+ * them. An uploaded photo is cropped in `AvatarCropper` and only the resized avatar is
+ * kept, so the photo itself never leaves the browser. Fields are checked with the same
+ * rules as the backend before saving, and any field the backend still rejects shows its
+ * message under that field.
+ * @author Pranav Singh
+ */
+
+import { useContext, useState } from "react";
+import { Link } from "react-router-dom";
+import { ExternalLink, ImagePlus, Save, Trash2 } from "lucide-react";
+import { AuthContext } from "../context/AuthProvider.jsx";
+import { useQueryClient } from "../hooks/useQuery.js";
+import SkillTagInput from "../components/SkillTagInput.jsx";
+import Avatar from "../components/Avatar.jsx";
+import AvatarCropper from "../components/AvatarCropper.jsx";
+import { userSkills } from "../skills/skills.js";
+import { AVAILABILITY, BIO_MAX_LENGTH, DEFAULT_AVAILABILITY, validateProfile } from "../profile/profile.js";
+import { UPLOAD_MAX_BYTES, readAsDataUrl } from "../profile/avatarImage.js";
+import { userProfilePath } from "./paths.js";
+
+/** Resources that show the user's name or profile */
+const PROFILE_RESOURCES = [
+  "userprofile",
+  "projectdetail",
+  "projectmembers",
+  "projectrequests",
+  "availableprojects",
+  "joinedprojects",
+  "pendingprojects",
+];
+
+/** Photo types the avatar upload accepts */
+const AVATAR_TYPES = ["image/png", "image/jpeg", "image/webp"];
+
+const inputClass =
+  "w-full border border-gray-300 rounded-xl px-3 py-2 focus:ring-2 focus:ring-indigo-400 focus:outline-none transition";
+
+/** Editable fields of `user`, with the defaults of accounts that never set them */
+const formOf = (user) => ({
+  firstname: user.firstname || "",
+  lastname: user.lastname || "",
+  bio: user.bio || "",
+  github: user.github || "",
+  portfolio: user.portfolio || "",
+  availability: user.availability || DEFAULT_AVAILABILITY,
+  avatar: user.avatar || null,
+});
+
+/**
+ * @component Profile
+ * @returns {JSX.Element}
+ */
+function Profile() {
+  const { user, updateProfile } = useContext(AuthContext);
+  const queryClient = useQueryClient();
+
+  /** --------------------------- State Management --------------------------- */
+  const [form, setForm] = useState(() => formOf(user));
+  const [skills, setSkills] = useState(() => userSkills(user).map(({ name, level }) => ({ name, level })));
+  const [errors, setErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [notice, setNotice] = useState("");
+  const [photo, setPhoto] = useState(null); // uploaded photo being cropped
+
+  /** ------------------------------------------------------------------------
+   * @function setField
+   * @description Changes one field and clears its error and the saved notice.
+   * ------------------------------------------------------------------------ */
+  const setField = (field, value) => {
+    setForm((prev) => ({ ...prev, [field]: value }));
+    setErrors((prev) => ({ ...prev, [field]: "" }));
+    setNotice("");
+  };
+
+  /** ------------------------------------------------------------------------
+   * @function handleAvatar
+   * @description Opens the chosen photo in the crop tool. The cropped avatar is saved with the form.
+   * ------------------------------------------------------------------------ */
+  const handleAvatar = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+    if (!AVATAR_TYPES.includes(file.type)) {
+      setErrors((prev) => ({ ...prev, avatar: "Upload a PNG, JPEG or WebP image." }));
+      return;
+    }
+    if (file.size > UPLOAD_MAX_BYTES) {
+      setErrors((prev) => ({ ...prev, avatar: "Choose a photo under 10 MB." }));
+      return;
+    }
+    try {
+      setPhoto(await readAsDataUrl(file));
+    } catch {
+      setErrors((prev) => ({ ...prev, avatar: "That image couldn't be read." }));
+    }
+  };
+
+  /** ------------------------------------------------------------------------
+   * @function handleSubmit
+   * @description Validates and saves the profile. Field errors sent back by the
+   * backend are shown under their fields.
+   * ------------------------------------------------------------------------ */
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    const invalid = validateProfile(form);
+    if (Object.keys(invalid).length) {
+      setErrors(invalid);
+      return;
+    }
+
+    setSaving(true);
+    setNotice("");
+    try {
+      const updated = await updateProfile({ ...form, skills });
+      setForm(formOf(updated));
+      setErrors({});
+      setNotice("Profile saved.");
+      PROFILE_RESOURCES.forEach((resource) => queryClient.invalidate([resource]));
+    } catch (err) {
+      const fields = Object.fromEntries(
+        Object.entries(err.data || {}).map(([field, messages]) => [field, [].concat(messages)[0]])
+      );
+      setErrors(err.status === 400 ? fields : { form: err.message || "Your profile couldn't be saved." });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /** --------------------------- JSX Structure --------------------------- */
+  return (
+    <>
+      {/* Outside the form, so its buttons don't submit it */}
+      {photo && (
+        <AvatarCropper
+          src={photo}
+          onCrop={(avatar) => {
+            setField("avatar", avatar);
+            setPhoto(null);
+          }}
+          onCancel={() => setPhoto(null)}
+        />
+      )}
+
+      <form onSubmit={handleSubmit} noValidate className="max-w-3xl bg-white border border-gray-200 rounded-3xl shadow-sm p-8 space-y-6">
+        <div className="flex items-center justify-between">
+          <h2 className="text-2xl font-bold text-indigo-700">Your Profile</h2>
+          <Link to={userProfilePath(user.email)} className="text-sm text-indigo-600 hover:underline flex items-center gap-1">
+            <ExternalLink size={14} /> View public profile
+          </Link>
+        </div>
+
+        {/* ------------------------------ Avatar ------------------------------ */}
+        <div className="flex items-center gap-5">
+          <Avatar user={{ ...user, ...form }} size="lg" />
+          <div className="space-y-2">
+            <label className="px-4 py-1.5 bg-indigo-50 text-indigo-700 rounded-lg text-sm hover:bg-indigo-100 flex items-center gap-2 cursor-pointer w-fit">
+              <ImagePlus size={14} /> Upload photo
+              <input type="file" accept={AVATAR_TYPES.join(",")} onChange={handleAvatar} className="sr-only" />
+            </label>
+            {form.avatar && (
+              <button
+                type="button"
+                onClick={() => setField("avatar", null)}
+                className="px-4 py-1.5 bg-gray-100 text-gray-700 rounded-lg text-sm hover:bg-gray-200 flex items-center gap-2"
+              >
+                <Trash2 size={14} /> Remove photo
+              </button>
+            )}
+            <FieldError error={errors.avatar} />
+          </div>
+        </div>
+
+        {/* ------------------------------ Name ------------------------------ */}
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <Field id="profile-firstname" label="First Name" error={errors.firstname}>
+            <input
+              id="profile-firstname"
+              value={form.firstname}
+              onChange={(e) => setField("firstname", e.target.value)}
+              className={inputClass}
+            />
+          </Field>
+          <Field id="profile-lastname" label="Last Name" error={errors.lastname}>
+            <input
+              id="profile-lastname"
+              value={form.lastname}
+              onChange={(e) => setField("lastname", e.target.value)}
+              className={inputClass}
+            />
+          </Field>
+        </div>
+
+        {/* ------------------------------ Skills ------------------------------ */}
+        <Field id="profile-skills" label="Skills" error={errors.skills}>
+          <SkillTagInput
+            id="profile-skills"
+            value={skills}
+            onChange={(next) => {
+              setSkills(next);
+              setErrors((prev) => ({ ...prev, skills: "" }));
+              setNotice("");
+            }}
+            placeholder="e.g. React, Django, UI/UX..."
+          />
+        </Field>
+
+        {/* ------------------------------ Bio ------------------------------ */}
+        <Field id="profile-bio" label="Bio" error={errors.bio}>
+          <textarea
+            id="profile-bio"
+            value={form.bio}
+            onChange={(e) => setField("bio", e.target.value.slice(0, BIO_MAX_LENGTH))}
+            rows="4"
+            placeholder="What you study, what you like building..."
+            className={inputClass}
+          />
+          <p className="text-xs text-gray-500 mt-1">
+            {form.bio.length}/{BIO_MAX_LENGTH} characters
+          </p>
+        </Field>
+
+        {/* ------------------------------ Links ------------------------------ */}
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <Field id="profile-github" label="GitHub" error={errors.github}>
+            <input
+              id="profile-github"
+              type="url"
+              value={form.github}
+              onChange={(e) => setField("github", e.target.value)}
+              placeholder="https://github.com/you"
+              className={inputClass}
+            />
+          </Field>
+          <Field id="profile-portfolio" label="Portfolio" error={errors.portfolio}>
+            <input
+              id="profile-portfolio"
+              type="url"
+              value={form.portfolio}
+              onChange={(e) => setField("portfolio", e.target.value)}
+              placeholder="https://..."
+              className={inputClass}
+            />
+          </Field>
+        </div>
+
+        {/* ------------------------------ Availability ------------------------------ */}
+        <Field id="profile-availability" label="Availability" error={errors.availability}>
+          <select
+            id="profile-availability"
+            value={form.availability}
+            onChange={(e) => setField("availability", e.target.value)}
+            className={`${inputClass} bg-white`}
+          >
+            {AVAILABILITY.map(({ value, label }) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </Field>
+
+        <div className="flex items-center justify-end gap-4">
+          {notice && (
+            <p role="status" className="text-sm text-green-700">
+              {notice}
+            </p>
+          )}
+          {errors.form && (
+            <p role="alert" className="text-sm text-red-600">
+              {errors.form}
+            </p>
+          )}
+          <button
+            type="submit"
+            disabled={saving}
+            className="px-5 py-2 bg-indigo-600 text-white rounded-xl text-sm hover:bg-indigo-700 flex items-center gap-2 disabled:opacity-50"
+          >
+            <Save size={14} /> {saving ? "Saving..." : "Save profile"}
+          </button>
+        </div>
+      </form>
+    </>
+  );
+}
+
+/**
+ * @component Field
+ * @description Label, input and error message of one profile field.
+ * @param {Object} props
+ * @param {string} props.id - Id of the input inside
+ * @param {string} props.label
+ * @param {string} [props.error]
+ * @param {React.ReactNode} props.children
+ */
+function Field({ id, label, error, children }) {
+  return (
+    <div>
+      <label htmlFor={id} className="block text-sm font-medium text-gray-700 mb-1">
+        {label}
+      </label>
+      {children}
+      <FieldError error={error} />
+    </div>
+  );
+}
+
+/** Error message under a field, if any */
+function FieldError({ error }) {
+  return error ? <p className="text-red-500 text-xs mt-1">{error}</p> : null;
+}
+
+export default Profile;
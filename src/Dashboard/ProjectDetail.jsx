@@ -0,0 +1,381 @@
+/**
+ * @file ProjectDetail.jsx
+ * @description
+ * A project's own page (`/projects/:projectId`), linked from Join a Team, Created Teams
+ * and Joined Teams. It gathers what those lists show in part: description, required
+ * skills, owner, members, open slots and recent activity, all from one request.
+ *
+ * The actions depend on how the user relates to the project:
+ * - outsiders can ask to join, unless the team is full
+ * - applicants can withdraw their pending request
+ * - members can leave the team, optionally telling the lead why
+ * - the lead is sent to the Created Teams tab to manage requests and members
+ *
+ * @author Pranav Singh
+ */
+
+import { useContext, useState } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import {
+  Activity,
+  ArrowLeft,
+  ArrowRight,
+  Crown,
+  Loader2,
+  LogOut,
+  Settings,
+  Undo2,
+  UserRound,
+  Users,
+} from "lucide-react";
+import { getProject } from "../api/projects.js";
+import { sendJoinRequest, withdrawRequest } from "../api/requests.js";
+import { removeMember } from "../api/members.js";
+import { AuthContext } from "../context/AuthProvider.jsx";
+import { useQuery, useQueryClient } from "../hooks/useQuery.js";
+import { queryKeys } from "../query/keys.js";
+import { projectSkills, skillNames, userSkills } from "../skills/skills.js";
+import SkillTags from "../components/SkillTags.jsx";
+import Avatar from "../components/Avatar.jsx";
+import ConfirmModal from "../components/ConfirmModal.jsx";
+import ReasonField from "../components/ReasonField.jsx";
+import { MESSAGE_MAX_LENGTH, validateRequestMessage } from "./requestMessage.js";
+import { capacitySummary, isFull } from "./teamCapacity.js";
+import { personOf } from "../profile/profile.js";
+import { createdProjectPath } from "./paths.js";
+
+/** Sentence per activity entry type */
+const ACTIVITY = {
+  project_created: (actor) => `${actor} created the project`,
+  member_joined: (actor) => `${actor} joined the team`,
+  member_left: (actor) => `${actor} left the team`,
+  member_removed: (actor) => `${actor} was removed from the team`,
+  task_added: (actor, entry) => `${actor} added the task "${entry.detail}"`,
+};
+
+/** Resources that change when the user applies, withdraws or leaves */
+const MEMBERSHIP_RESOURCES = [
+  "projectdetail",
+  "availableprojects",
+  "pendingprojects",
+  "requesthistory",
+  "joinedprojects",
+  "projectmembers",
+  "projectcount",
+];
+
+const fullName = (fname, lname, email) => [fname, lname].filter(Boolean).join(" ") || email;
+
+/**
+ * @component ProjectDetail
+ * @returns {JSX.Element}
+ */
+function ProjectDetail() {
+  const { projectId } = useParams();
+  const navigate = useNavigate();
+  const { user } = useContext(AuthContext);
+  const queryClient = useQueryClient();
+
+  const [message, setMessage] = useState("");
+  const [confirm, setConfirm] = useState(null); // "withdraw" | "leave" | null
+  const [reason, setReason] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [actionError, setActionError] = useState("");
+  const [notice, setNotice] = useState("");
+
+  /**
+   * @function useQuery
+   * @description The project, its members and activity, and the user's role in it.
+   */
+  const { data: project, isLoading, error } = useQuery(
+    queryKeys.projectDetail(projectId),
+    () => getProject(projectId),
+    { enabled: !!user }
+  );
+
+  /** ------------------------------------------------------------------------
+   * @function runAction
+   * @description Runs a membership action, then refreshes every list it affects. A
+   * confirmation dialog stays open with the error when the action fails.
+   * @param {() => Promise<*>} action
+   * @param {string} done - Confirmation shown once it succeeded
+   * ------------------------------------------------------------------------ */
+  const runAction = async (action, done) => {
+    setBusy(true);
+    setActionError("");
+    setNotice("");
+    try {
+      await action();
+      setConfirm(null);
+      setNotice(done);
+      MEMBERSHIP_RESOURCES.forEach((resource) => queryClient.invalidate([resource]));
+    } catch (err) {
+      setActionError(err.message || "Something went wrong. Try again.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  /** Opens the confirmation for "withdraw" or "leave", or closes it with `null` */
+  const showConfirm = (kind) => {
+    setActionError("");
+    setConfirm(kind);
+  };
+
+  /** ------------------------------------------------------------------------
+   * @function handleApply
+   * @description Sends a join request with the message typed on the page.
+   * ------------------------------------------------------------------------ */
+  const handleApply = (e) => {
+    e.preventDefault();
+    const text = message.trim();
+    const messageError = validateRequestMessage(text);
+    if (messageError) {
+      setActionError(messageError);
+      return;
+    }
+    runAction(async () => {
+      await sendJoinRequest({
+        owner_email: project.owner_email,
+        projectname: project.projectname,
+        member_email: user.email,
+        message: text,
+      });
+      setMessage("");
+    }, "Request sent successfully!");
+  };
+
+  const handleWithdraw = () =>
+    runAction(() => withdrawRequest(project.viewer.request_id), "Your request was withdrawn.");
+
+  const handleLeave = () =>
+    runAction(
+      () =>
+        removeMember({
+          owner: project.owner_email,
+          email: user.email,
+          projectname: project.projectname,
+          reason: reason.trim(),
+        }),
+      `You left ${project.projectname}.`
+    );
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center items-center h-64 text-gray-500">
+        <Loader2 className="animate-spin mr-2" /> Loading project...
+      </div>
+    );
+  }
+
+  if (error || !project) {
+    return (
+      <div className="text-center text-gray-500 py-10">
+        <Users size={40} className="mx-auto mb-3 text-gray-400" />
+        <p>{error?.status === 404 ? "This project doesn't exist anymore." : "The project couldn't be loaded."}</p>
+        <Link to="/home/join" className="text-indigo-600 hover:underline text-sm mt-2 inline-block">
+          Browse other teams
+        </Link>
+      </div>
+    );
+  }
+
+  const { role } = project.viewer;
+  const owner = fullName(project.owner_fname, project.owner_lname, project.owner_email);
+  const mySkills = skillNames(userSkills(user));
+  const matched = skillNames(projectSkills(project)).filter((name) => mySkills.includes(name));
+
+  return (
+    <div className="space-y-6 max-w-5xl">
+      {confirm === "withdraw" && (
+        <ConfirmModal
+          title="Withdraw Request"
+          description={<>Are you sure you want to withdraw your request to join <strong>{project.projectname}</strong>?</>}
+          confirmLabel="Yes, Withdraw"
+          confirmIcon={<Undo2 size={16} />}
+          tone="red"
+          busy={busy}
+          onConfirm={handleWithdraw}
+          onCancel={() => showConfirm(null)}
+        >
+          {actionError && <p role="alert" className="text-sm text-red-600 mt-3">{actionError}</p>}
+        </ConfirmModal>
+      )}
+      {confirm === "leave" && (
+        <ConfirmModal
+          title="Leave Team"
+          description={<>Are you sure you want to leave <strong>{project.projectname}</strong>? You will need to request to join again.</>}
+          confirmLabel="Yes, Leave"
+          confirmIcon={<LogOut size={16} />}
+          tone="red"
+          busy={busy}
+          onConfirm={handleLeave}
+          onCancel={() => showConfirm(null)}
+        >
+          <ReasonField value={reason} onChange={setReason} />
+          {actionError && <p role="alert" className="text-sm text-red-600 mt-3">{actionError}</p>}
+        </ConfirmModal>
+      )}
+
+      {/* ------------------------------ Overview ------------------------------ */}
+      <div className="bg-white border border-gray-200 rounded-3xl shadow-sm p-8">
+        <button
+          onClick={() => navigate(-1)}
+          className="text-sm text-gray-500 hover:text-indigo-600 flex items-center gap-1 mb-4"
+        >
+          <ArrowLeft size={14} /> Back
+        </button>
+        <h2 className="text-2xl font-bold text-indigo-700">{project.projectname}</h2>
+        <p className="text-gray-700 mt-2 whitespace-pre-line">{project.description || "No description provided."}</p>
+
+        <div className="mt-4 space-y-1 text-sm text-gray-500">
+          <p>
+            Owner: <span className="text-gray-700 font-medium">{owner}</span> ({project.owner_email})
+          </p>
+          <p className="flex items-center gap-1">
+            <UserRound size={14} /> {capacitySummary(project)}
+          </p>
+          {project.created_on && <p>Created {new Date(project.created_on).toLocaleDateString()}</p>}
+        </div>
+
+        <p className="text-sm font-medium text-gray-500 mt-6 mb-2">Skills needed</p>
+        <SkillTags skills={projectSkills(project)} matched={matched} />
+      </div>
+
+      {/* ------------------------------ Actions ------------------------------ */}
+      <div className="bg-white border border-gray-200 rounded-3xl shadow-sm p-8">
+        {notice && (
+          <p role="status" className="text-sm text-green-700 mb-3">
+            {notice}
+          </p>
+        )}
+        {actionError && !confirm && (
+          <p role="alert" className="text-sm text-red-600 mb-3">
+            {actionError}
+          </p>
+        )}
+
+        {role === "lead" && (
+          <div className="flex items-center justify-between gap-4">
+            <p className="text-gray-600 flex items-center gap-2">
+              <Crown size={16} className="text-amber-500" /> You lead this team.
+            </p>
+            <Link
+              to={createdProjectPath(project)}
+              className="px-4 py-2 bg-indigo-600 text-white rounded-xl text-sm flex items-center gap-2 hover:bg-indigo-700"
+            >
+              <Settings size={14} /> Manage team
+            </Link>
+          </div>
+        )}
+
+        {role === "member" && (
+          <div className="flex items-center justify-between gap-4">
+            <p className="text-gray-600">You are a member of this team.</p>
+            <button
+              onClick={() => {
+                setReason("");
+                showConfirm("leave");
+              }}
+              className="px-4 py-2 bg-red-50 text-red-600 rounded-xl text-sm flex items-center gap-2 hover:bg-red-100"
+            >
+              <LogOut size={14} /> Leave team
+            </button>
+          </div>
+        )}
+
+        {role === "pending" && (
+          <div className="flex items-center justify-between gap-4">
+            <p className="text-gray-600">Your request to join is waiting for the lead.</p>
+            <button
+              onClick={() => showConfirm("withdraw")}
+              className="px-4 py-2 bg-red-50 text-red-600 rounded-xl text-sm flex items-center gap-2 hover:bg-red-100"
+            >
+              <Undo2 size={14} /> Withdraw request
+            </button>
+          </div>
+        )}
+
+        {role === "outsider" &&
+          (isFull(project) ? (
+            <p className="text-gray-600">This team is full and no longer accepts requests.</p>
+          ) : (
+            <form onSubmit={handleApply} className="flex flex-col gap-3">
+              <label htmlFor="join-message" className="font-medium text-gray-700">
+                Ask to join
+              </label>
+              <textarea
+                id="join-message"
+                value={message}
+                onChange={(e) => setMessage(e.target.value.slice(0, MESSAGE_MAX_LENGTH))}
+                placeholder="Write a personalized message..."
+                className="w-full h-28 resize-none p-4 rounded-2xl border border-gray-300 focus:border-indigo-500 outline-none transition bg-gray-50"
+              />
+              <div className="flex items-center justify-between">
+                <span className="text-gray-500 text-sm">
+                  {message.length}/{MESSAGE_MAX_LENGTH} characters
+                </span>
+                <button
+                  type="submit"
+                  disabled={busy}
+                  className="bg-indigo-600 text-white px-6 py-2 rounded-2xl font-semibold hover:bg-indigo-700 transition flex items-center gap-2 disabled:opacity-50"
+                >
+                  <ArrowRight size={16} /> Send Request
+                </button>
+              </div>
+            </form>
+          ))}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* ------------------------------ Members ------------------------------ */}
+        <section aria-labelledby="project-members" className="bg-white border border-gray-200 rounded-3xl shadow-sm p-6">
+          <h3 id="project-members" className="font-semibold text-indigo-700 mb-4 flex items-center gap-2">
+            <Users size={16} /> Team
+          </h3>
+          <ul className="space-y-3">
+            <li className="flex items-center gap-3">
+              <Avatar user={personOf(project, "owner_")} size="sm" />
+              <div>
+                <p className="font-medium text-gray-800">{owner}</p>
+                <p className="text-xs text-gray-500">Team lead</p>
+              </div>
+            </li>
+            {project.members.map((m) => (
+              <li key={m.member_email} className="flex items-center gap-3">
+                <Avatar user={personOf(m, "member_")} size="sm" />
+                <div>
+                  <p className="font-medium text-gray-800">{fullName(m.member_fname, m.member_lname, m.member_email)}</p>
+                  <p className="text-xs text-gray-500">
+                    Joined {m.joined_on ? new Date(m.joined_on).toLocaleDateString() : ""}
+                  </p>
+                </div>
+              </li>
+            ))}
+          </ul>
+          {project.members.length === 0 && <p className="text-gray-500 text-sm italic mt-3">No members yet.</p>}
+        </section>
+
+        {/* ------------------------------ Activity ------------------------------ */}
+        <section aria-labelledby="project-activity" className="bg-white border border-gray-200 rounded-3xl shadow-sm p-6">
+          <h3 id="project-activity" className="font-semibold text-indigo-700 mb-4 flex items-center gap-2">
+            <Activity size={16} /> Activity
+          </h3>
+          <ul className="space-y-3">
+            {project.activity.map((entry, i) => {
+              const actor = fullName(entry.actor_fname, entry.actor_lname, entry.actor_email);
+              return (
+                <li key={i} className="text-sm">
+                  <p className="text-gray-700">{ACTIVITY[entry.type]?.(actor, entry) ?? actor}</p>
+                  <p className="text-xs text-gray-500">{new Date(entry.at).toLocaleString()}</p>
+                </li>
+              );
+            })}
+          </ul>
+        </section>
+      </div>
+    </div>
+  );
+}
+
+export default ProjectDetail;
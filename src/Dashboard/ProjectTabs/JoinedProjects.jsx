@@ -3,7 +3,14 @@
  * @description
  * This component displays all projects that the currently logged-in user has joined.
  * It allows expanding each project to view its members, fetches data from backend
- * APIs, and handles loading states, errors, and UI transitions.
+ * APIs, and handles loading states, errors, and UI transitions. The expanded project
+ * lives in the URL (`/home/teams/joined/:projectId`) so it can be linked to directly,
+ * e.g. from a notification. Data comes from the query cache, which the live-update
+ * channel invalidates when others change memberships or projects. The list is loaded a
+ * page at a time as it is scrolled, and only the cards on screen are rendered. Members can leave a
+ * team after confirming, optionally telling the lead why. Each expanded card opens the team's
+ * chat (`?chat=open` in the URL) and task board (`?board=open`); cards show how many chat
+ * messages are unread and how far along the board is. Each card links to the project's page.
  *
  * @author Pranav Singh
  */
@@ -13,11 +20,32 @@ import {
   ChevronDown,
   Users,
   Loader2,
+  LogOut,
+  MessageSquare,
+  ListChecks,
+  ArrowUpRight,
 } from "lucide-react";
-import React, { useEffect, useContext, useState } from "react";
-import axios from "axios";
-import axiosInstance from "../../Interceptors/axiosInstance";
+import React, { useCallback, useContext, useEffect, useState } from "react";
+import { Link, useNavigate, useParams, useSearchParams } from "react-router-dom";
+import { listJoinedProjects } from "../../api/projects.js";
+import { listProjectMembers, removeMember } from "../../api/members.js";
+import { getUnreadCounts } from "../../api/chat.js";
 import { AuthContext } from "../../context/AuthProvider.jsx";
+import { useInfiniteQuery, useQuery, useQueryClient } from "../../hooks/useQuery.js";
+import { queryKeys } from "../../query/keys.js";
+import { updatePageItems } from "../../query/pages.js";
+import VirtualList from "../../components/VirtualList.jsx";
+import LoadMore from "../../components/LoadMore.jsx";
+import ConfirmModal from "../../components/ConfirmModal.jsx";
+import ReasonField from "../../components/ReasonField.jsx";
+import ProjectChat from "../../components/ProjectChat.jsx";
+import UnreadChatBadge from "../../components/UnreadChatBadge.jsx";
+import TaskBoard from "../../components/TaskBoard.jsx";
+import Avatar from "../../components/Avatar.jsx";
+import { teamMentionables } from "../../chat/mentions.js";
+import { personOf } from "../../profile/profile.js";
+import { joinedProjectPath, projectKey, projectPagePath, togglePanel } from "../paths.js";
+import { taskProgress } from "../taskBoard.js";
 
 /**
  * @component JoinedProjects
@@ -27,85 +55,119 @@ import { AuthContext } from "../../context/AuthProvider.jsx";
  */
 function JoinedProjects() {
   const { user } = useContext(AuthContext);
+  const queryClient = useQueryClient();
+  const { projectId } = useParams();
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const chatOpen = searchParams.get("chat") === "open";
+  const boardOpen = searchParams.get("board") === "open";
 
-  const [joinedProjects, setJoinedProjects] = useState([]);
-  const [loading, setLoading] = useState(true);
+  // Project the user is about to leave, and the optional reason they give
+  const [leaving, setLeaving] = useState(null);
+  const [reason, setReason] = useState("");
+  const [leaveLoading, setLeaveLoading] = useState(false);
+  const [leaveError, setLeaveError] = useState("");
 
-  const [expandedProject, setExpandedProject] = useState(null);
-  const [members, setMembers] = useState([]);
-  const [membersLoading, setMembersLoading] = useState(false);
+  /**
+   * @function useInfiniteQuery
+   * @description Projects joined by the logged-in user, one page at a time.
+   */
+  const {
+    items: joinedProjects,
+    isLoading: loading,
+    hasNextPage,
+    isFetchingNextPage,
+    fetchNextPage,
+  } = useInfiniteQuery(
+    queryKeys.joinedProjects(user?.email),
+    (cursor) => listJoinedProjects(user.email, cursor),
+    { enabled: !!user }
+  );
+
+  // Project whose card is expanded, resolved from the :projectId route param.
+  const expanded = joinedProjects.find((p) => projectKey(p) === projectId) ?? null;
+  const expandedProject = expanded?.projectname ?? null;
+  const expandedOwner = expanded?.owner_email ?? null;
+
+  /**
+   * @function loadMore
+   * @description Fetches the next page of projects, unless one is already loading.
+   */
+  const loadMore = useCallback(() => {
+    if (hasNextPage && !isFetchingNextPage) fetchNextPage().catch(() => {});
+  }, [hasNextPage, isFetchingNextPage, fetchNextPage]);
 
   /**
    * @function useEffect
-   * @description Fetches all projects joined by the logged-in user using their email.
-   * Sets the project list into state and manages loading state.
+   * @description Keeps loading pages while the project linked in the URL isn't among them.
    */
   useEffect(() => {
-    if (!user) return;
-
-    const fetchProjects = async () => {
-      try {
-        const response = await axiosInstance.get(
-          "api/joinedprojects/",
-          {
-            params: { email: user.email },
-          }
-        );
-        setJoinedProjects(response.data || []);
-      } catch (err) {
-        console.log("Error fetching projects", err);
-      } finally {
-        setLoading(false);
-      }
-    };
-
-    fetchProjects();
-  }, [user]);
+    if (projectId && !expanded) loadMore();
+  }, [projectId, expanded, loadMore]);
 
   /**
-   * @function fetchMembers
-   * @description Fetches all team members belonging to a specific project.
-   *
-   * @param {Object} project - The selected project object.
-   * @param {string} project.owner_email - Owner's email used for backend query.
-   * @param {string} project.projectname - Name of the project to fetch members for.
+   * @function useQuery
+   * @description Members of the project selected in the URL.
    */
-  const fetchMembers = async (project) => {
-    setMembersLoading(true);
-
-    try {
-      const response = await axiosInstance.get(
-        "api/projectmembersdisplay/",
-        {
-          params: {
-            email: project.owner_email,
-            projectname: project.projectname,
-          },
-        }
-      );
+  const { data: membersData, isLoading: membersLoading } = useQuery(
+    queryKeys.projectMembers(expandedOwner, expandedProject),
+    () => listProjectMembers(expandedOwner, expandedProject),
+    { enabled: !!expandedProject }
+  );
+  const members = membersData || [];
 
-      setMembers(response.data || []);
-    } catch (err) {
-      console.error("Error fetching members:", err);
-    } finally {
-      setMembersLoading(false);
-    }
-  };
+  /**
+   * @function useQuery
+   * @description Unread chat messages per project, for the badges on the cards.
+   */
+  const { data: unreadCounts = {} } = useQuery(queryKeys.chatUnread(user?.email), getUnreadCounts, {
+    enabled: !!user,
+  });
 
   /**
    * @function handleToggleProject
-   * @description Expands or collapses the project card. If expanded, project
-   * members will be fetched from the backend.
+   * @description Expands or collapses the project card by navigating to or away from its URL.
    *
    * @param {Object} project - Project to expand or collapse.
    */
   const handleToggleProject = (project) => {
     if (expandedProject === project.projectname) {
-      setExpandedProject(null);
-      setMembers([]);
+      navigate("/home/teams/joined");
     } else {
-      setExpandedProject(project.projectname);
-      fetchMembers(project);
+      navigate(joinedProjectPath(project));
+    }
+  };
+
+  /**
+   * @function handleLeaveConfirmed
+   * @description Removes the user from the project selected in the confirmation modal
+   * and drops it from the list.
+   */
+  const handleLeaveConfirmed = async () => {
+    if (!leaving) return;
+    setLeaveLoading(true);
+    setLeaveError("");
+    try {
+      await removeMember({
+        owner: leaving.owner_email,
+        email: user.email,
+        projectname: leaving.projectname,
+        reason: reason.trim(),
+      });
+      queryClient.setQueryData(
+        queryKeys.joinedProjects(user.email),
+        updatePageItems((items) => items.filter((p) => p.id !== leaving.id))
+      );
+      navigate("/home/teams/joined");
+      ["projectmembers", "projectcount", "availableprojects"].forEach((resource) =>
+        queryClient.invalidate([resource])
+      );
+      setLeaving(null);
+    } catch (err) {
+      console.error("Error leaving team:", err);
+      setLeaveError(err.message || "Could not leave the team.");
+    } finally {
+      setLeaveLoading(false);
     }
   };
 
@@ -128,91 +190,181 @@ function JoinedProjects() {
 
   return (
     <div className="space-y-6">
-      {joinedProjects.map((project) => (
-        <div
-          key={project.projectname}
-          className="bg-white border border-gray-200 rounded-3xl shadow-lg hover:shadow-2xl transition p-6 hover:scale-[1.01]"
+      {leaving && (
+        <ConfirmModal
+          title="Leave Team"
+          description={<>Are you sure you want to leave <strong>{leaving.projectname}</strong>? You will need to request to join again.</>}
+          confirmLabel="Yes, Leave"
+          confirmIcon={<LogOut size={16} />}
+          tone="red"
+          busy={leaveLoading}
+          onConfirm={handleLeaveConfirmed}
+          onCancel={() => setLeaving(null)}
         >
-          {/* ------------------------------ Project Header ------------------------------ */}
+          <ReasonField value={reason} onChange={setReason} />
+          {leaveError && <p role="alert" className="text-red-500 text-sm mt-3">{leaveError}</p>}
+        </ConfirmModal>
+      )}
+
+      <VirtualList
+        items={joinedProjects}
+        getKey={projectKey}
+        scrollToKey={projectId}
+        gap={24}
+        estimateSize={130}
+        onEndReached={loadMore}
+        renderItem={(project) => (
           <div
-            className="flex justify-between items-center cursor-pointer"
-            onClick={() => handleToggleProject(project)}
+            className="bg-white border border-gray-200 rounded-3xl shadow-lg hover:shadow-2xl transition p-6 hover:scale-[1.01]"
           >
-            <div className="flex items-start gap-4">
-              {/* Avatar */}
-              <div className="w-12 h-12 px-5 mt-5 rounded-full bg-indigo-600 flex items-center justify-center text-white text-lg font-bold shadow-md">
-                {project.projectname
-                  ? project.projectname.charAt(0).toUpperCase()
-                  : "U"}
-              </div>
-
-              <div>
-                <h3 className="text-lg font-semibold text-indigo-600">
-                  {project.projectname}
-                </h3>
-                <p className="text-sm text-gray-600 mt-1">
-                  {project.description || "No description available."}
-                </p>
-
-                <p className="text-xs text-gray-500 mt-1">
-                  Owner:{" "}
-                  <span className="font-medium">
-                    {project.owner_fname} {project.owner_lname}
-                  </span>{" "}
-                  ({project.owner_email})
-                </p>
-              </div>
-            </div>
+            {/* ------------------------------ Project Header ------------------------------ */}
+            <div
+              className="flex justify-between items-center cursor-pointer"
+              onClick={() => handleToggleProject(project)}
+            >
+              <div className="flex items-start gap-4">
+                {/* Avatar */}
+                <div className="w-12 h-12 px-5 mt-5 rounded-full bg-indigo-600 flex items-center justify-center text-white text-lg font-bold shadow-md">
+                  {project.projectname
+                    ? project.projectname.charAt(0).toUpperCase()
+                    : "U"}
+                </div>
 
-            {expandedProject === project.projectname ? (
-              <ChevronDown className="text-gray-500" />
-            ) : (
-              <ChevronRight className="text-gray-500" />
-            )}
-          </div>
+                <div>
+                  <div className="flex items-center gap-2">
+                    <h3 className="text-lg font-semibold text-indigo-600">
+                      {project.projectname}
+                    </h3>
+                    <UnreadChatBadge count={unreadCounts[project.id]} />
+                  </div>
+                  <p className="text-sm text-gray-600 mt-1">
+                    {project.description || "No description available."}
+                  </p>
 
-          {/* ----------------------------- Members Section ------------------------------ */}
-          {expandedProject === project.projectname && (
-            <div className="mt-6 border-t pt-6">
-              {membersLoading ? (
-                <div className="flex items-center justify-center py-6 text-gray-500">
-                  <Loader2 className="animate-spin mr-2" /> Loading members...
+                  <p className="text-xs text-gray-500 mt-1 flex items-center gap-1">
+                    <Avatar user={personOf(project, "owner_")} size="xs" />
+                    Owner:{" "}
+                    <span className="font-medium">
+                      {project.owner_fname} {project.owner_lname}
+                    </span>{" "}
+                    ({project.owner_email})
+                  </p>
+                  {taskProgress(project.task_counts) && (
+                    <p className="text-xs text-gray-500 mt-1 flex items-center gap-1">
+                      <ListChecks size={12} /> {taskProgress(project.task_counts).label}
+                    </p>
+                  )}
                 </div>
-              ) : members.length === 0 ? (
-                <p className="text-gray-500 text-sm italic">
-                  No team members yet.
-                </p>
+              </div>
+
+              {expandedProject === project.projectname ? (
+                <ChevronDown className="text-gray-500" />
               ) : (
-                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                  {members.map((m, index) => (
-                    <div
-                      key={index}
-                      className="bg-gradient-to-r from-indigo-50 to-white border border-gray-200 rounded-xl shadow-md p-4 hover:shadow-lg transition transform hover:-translate-y-1"
-                    >
-                      <div className="flex items-center gap-4">
-                        <div className="w-10 h-10 rounded-full bg-indigo-500 text-white flex items-center justify-center font-semibold shadow">
-                          {m.member_fname
-                            ? m.member_fname.charAt(0).toUpperCase()
-                            : "M"}
-                        </div>
+                <ChevronRight className="text-gray-500" />
+              )}
+            </div>
 
-                        <div>
-                          <p className="font-medium text-gray-800">
-                            {m.member_fname} {m.member_lname}
-                          </p>
-                          <p className="text-sm text-gray-500">
-                            {m.member_email}
-                          </p>
+            {/* ----------------------------- Members Section ------------------------------ */}
+            {expandedProject === project.projectname && (
+              <div className="mt-6 border-t pt-6">
+                {membersLoading ? (
+                  <div className="flex items-center justify-center py-6 text-gray-500">
+                    <Loader2 className="animate-spin mr-2" /> Loading members...
+                  </div>
+                ) : members.length === 0 ? (
+                  <p className="text-gray-500 text-sm italic">
+                    No team members yet.
+                  </p>
+                ) : (
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    {members.map((m, index) => (
+                      <div
+                        key={index}
+                        className="bg-gradient-to-r from-indigo-50 to-white border border-gray-200 rounded-xl shadow-md p-4 hover:shadow-lg transition transform hover:-translate-y-1"
+                      >
+                        <div className="flex items-center gap-4">
+                          <Avatar user={personOf(m, "member_")} size="sm" />
+
+                          <div>
+                            <p className="font-medium text-gray-800">
+                              {m.member_fname} {m.member_lname}
+                            </p>
+                            <p className="text-sm text-gray-500">
+                              {m.member_email}
+                            </p>
+                          </div>
                         </div>
                       </div>
-                    </div>
-                  ))}
+                    ))}
+                  </div>
+                )}
+
+                {boardOpen && (
+                  <TaskBoard
+                    projectId={project.id}
+                    user={user}
+                    leadEmail={project.owner_email}
+                    people={teamMentionables(
+                      { email: project.owner_email, fname: project.owner_fname, lname: project.owner_lname },
+                      members
+                    )}
+                  />
+                )}
+
+                {chatOpen && (
+                  <ProjectChat
+                    projectId={project.id}
+                    user={user}
+                    people={teamMentionables(
+                      { email: project.owner_email, fname: project.owner_fname, lname: project.owner_lname },
+                      members
+                    )}
+                  />
+                )}
+
+                <div className="flex justify-end gap-2 mt-6">
+                  <Link
+                    to={projectPagePath(project)}
+                    className="px-4 py-1.5 bg-gray-50 text-gray-700 rounded-lg text-sm flex items-center gap-2 hover:bg-gray-100"
+                  >
+                    <ArrowUpRight size={14} /> Project page
+                  </Link>
+                  <button
+                    onClick={() => setSearchParams((params) => togglePanel(params, "board"), { replace: true })}
+                    aria-expanded={boardOpen}
+                    className="px-4 py-1.5 bg-indigo-50 text-indigo-700 rounded-lg text-sm flex items-center gap-2 hover:bg-indigo-100"
+                  >
+                    <ListChecks size={14} /> {boardOpen ? "Hide tasks" : "Task board"}
+                  </button>
+                  <button
+                    onClick={() => setSearchParams((params) => togglePanel(params, "chat"), { replace: true })}
+                    aria-expanded={chatOpen}
+                    className="px-4 py-1.5 bg-indigo-50 text-indigo-700 rounded-lg text-sm flex items-center gap-2 hover:bg-indigo-100"
+                  >
+                    <MessageSquare size={14} /> {chatOpen ? "Hide chat" : "Team chat"}
+                  </button>
+                  <button
+                    onClick={() => {
+                      setReason("");
+                      setLeaveError("");
+                      setLeaving(project);
+                    }}
+                    className="px-4 py-1.5 bg-red-50 text-red-600 rounded-lg text-sm flex items-center gap-2 hover:bg-red-100"
+                  >
+                    <LogOut size={14} /> Leave team
+                  </button>
                 </div>
-              )}
-            </div>
-          )}
-        </div>
-      ))}
+              </div>
+            )}
+          </div>
+        )}
+      />
+      <LoadMore
+        hasNextPage={hasNextPage}
+        isFetchingNextPage={isFetchingNextPage}
+        onLoadMore={loadMore}
+        loadingLabel="Loading more teams..."
+      />
     </div>
   );
 }
@@ -4,12 +4,28 @@
  * React component that displays all projects created by the authenticated user (Team Lead).
  * 
  * @features
- * - Fetches all projects owned by the logged-in user.
- * - Expands/collapses project cards to show join requests and current members.
- * - Allows the Team Lead to Accept/Reject join requests.
- * - Displays project members with their basic details.
+ * - Fetches the projects owned by the logged-in user page by page, loading more as the
+ *   list is scrolled; only the cards on screen are rendered (`VirtualList`).
+ * - Expands/collapses project cards to show join requests and current members. The expanded
+ *   project lives in the URL (`/home/teams/created/:projectId`) so it can be linked to directly.
+ * - Allows the Team Lead to Accept/Reject join requests, after opening the applicant's
+ *   public profile if they want to know more about them.
+ * - Displays project members with their basic details and lets the Team Lead remove them,
+ *   with an optional reason.
  * - Requests are shown as compact items that expand when clicked to reveal details.
- * - Accept/Reject actions show a confirmation modal before executing.
+ * - Accept/Reject actions show a confirmation modal before executing, then update the lists
+ *   optimistically and roll back if the server refuses.
+ * - Stays current with changes made elsewhere (new requests, members leaving, edits in
+ *   another tab) through the query cache, which the live-update channel invalidates.
+ * - Shows each team's capacity ("3/5 members, 1 Backend slot open") and warns before accepting
+ *   a request that would take the team over its maximum size.
+ * - Opens a chat with the team (`?chat=open` in the URL) and the team's task board
+ *   (`?board=open`) from the expanded card. Cards show how many chat messages are unread
+ *   and how many tasks are done.
+ * - Links each project to its own page (`/projects/:id`).
+ * - Keeps a per-project decision log of past requests (accepted, rejected, withdrawn, expired, closed).
+ * - The Team Lead can edit a project's description and needs inline, or delete the project
+ *   after confirming. Both refresh the dashboard counts.
  * - Smooth animations on card expand/collapse and request reveal using CSS transitions (Tailwind classes).
  *
  * Note: framer-motion was intentionally not used to ensure compatibility with React 19.
@@ -17,10 +33,36 @@
  * @author Pranav Singh
  */
 
-import { useEffect, useState, useContext } from "react";
-import axios from "axios";
-import axiosInstance from "../../Interceptors/axiosInstance";
+import { useCallback, useEffect, useState, useContext } from "react";
+import { Link, useNavigate, useParams, useSearchParams } from "react-router-dom";
+import { listLeadProjects, updateProject, deleteProject } from "../../api/projects.js";
+import {
+  listProjectRequests,
+  listProjectDecisions,
+  acceptRequest,
+  rejectRequest,
+} from "../../api/requests.js";
+import { listProjectMembers, removeMember } from "../../api/members.js";
+import { getUnreadCounts } from "../../api/chat.js";
 import { AuthContext } from "../../context/AuthProvider.jsx";
+import { useInfiniteQuery, useQuery, useQueryClient } from "../../hooks/useQuery.js";
+import { queryKeys } from "../../query/keys.js";
+import { updatePageItems } from "../../query/pages.js";
+import VirtualList from "../../components/VirtualList.jsx";
+import LoadMore from "../../components/LoadMore.jsx";
+import ConfirmModal from "../../components/ConfirmModal.jsx";
+import ReasonField from "../../components/ReasonField.jsx";
+import RequestStatusBadge from "../../components/RequestStatusBadge.jsx";
+import ProjectChat from "../../components/ProjectChat.jsx";
+import UnreadChatBadge from "../../components/UnreadChatBadge.jsx";
+import TaskBoard from "../../components/TaskBoard.jsx";
+import ProjectEditForm from "./ProjectEditForm.jsx";
+import Avatar from "../../components/Avatar.jsx";
+import { teamMentionables } from "../../chat/mentions.js";
+import { personOf } from "../../profile/profile.js";
+import { createdProjectPath, projectKey, projectPagePath, togglePanel, userProfilePath } from "../paths.js";
+import { taskProgress } from "../taskBoard.js";
+import { capacitySummary, wouldExceedCapacity } from "../teamCapacity.js";
 import {
   Users,
   ChevronRight,
@@ -30,9 +72,15 @@ import {
   User,
   UserCheck,
   UserX,
-  MessageCircle,
   Check,
   X,
+  Pencil,
+  Trash2,
+  UserMinus,
+  AlertTriangle,
+  MessageSquare,
+  ListChecks,
+  ArrowUpRight,
 } from "lucide-react";
 
 /**
@@ -44,175 +92,262 @@ import {
  * - Fetching join requests for each project
  * - Fetching members for each project
  * - Accept/Reject actions with confirmation modal
+ * - Editing and deleting the lead's own projects
  * - UI expand/collapse of project cards and request items using CSS transitions
  *
  * @returns {JSX.Element} Rendered project list with interactions.
  */
 function LeadProjects() {
   const { user } = useContext(AuthContext);
-
-  const [loading, setLoading] = useState(true);
-  const [leadProjects, setLeadProjects] = useState([]);
-  const [expandedProject, setExpandedProject] = useState(null);
-  const [requests, setRequests] = useState([]);
-  const [members, setMembers] = useState([]);
-  const [requestLoading, setRequestLoading] = useState(false);
-  const [membersLoading, setMembersLoading] = useState(false);
+  const { projectId } = useParams();
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const chatOpen = searchParams.get("chat") === "open";
+  const boardOpen = searchParams.get("board") === "open";
+  const queryClient = useQueryClient();
 
   // UI state for individual request expansion (email -> boolean)
   const [expandedRequest, setExpandedRequest] = useState({});
 
-  // Confirmation modal state: null or { action: 'accept'|'reject', email, id, projectname, message }
+  // Confirmation modal state: null, { action: 'accept'|'reject', email, id, projectname, message, overCapacity }
+  // { action: 'delete', id, projectname } or { action: 'remove', email, projectname, fname, lname }
   const [confirm, setConfirm] = useState(null);
+  // Failure of the action confirmed in the open dialog, shown inside it
+  const [confirmError, setConfirmError] = useState("");
+  const [reason, setReason] = useState("");
+  const [removing, setRemoving] = useState(false);
+
+  // Key of the project whose inline edit form is open
+  const [editing, setEditing] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [actionError, setActionError] = useState("");
+
+  /**
+   * @function useInfiniteQuery
+   * @description Projects created by the logged-in user, one page at a time.
+   */
+  const {
+    items: leadProjects,
+    isLoading: loading,
+    hasNextPage,
+    isFetchingNextPage,
+    fetchNextPage,
+  } = useInfiniteQuery(
+    queryKeys.leadProjects(user?.email),
+    (cursor) => listLeadProjects(user.email, cursor),
+    { enabled: !!user }
+  );
+
+  // Name of the project whose card is expanded, resolved from the :projectId route param.
+  const expandedProject =
+    leadProjects.find((p) => projectKey(p) === projectId)?.projectname ?? null;
+
+  /**
+   * @function loadMore
+   * @description Fetches the next page of projects, unless one is already loading.
+   */
+  const loadMore = useCallback(() => {
+    if (hasNextPage && !isFetchingNextPage) fetchNextPage().catch(() => {});
+  }, [hasNextPage, isFetchingNextPage, fetchNextPage]);
 
   /**
    * @function useEffect
-   * @description Fetches all projects created by the logged-in user.
+   * @description Keeps loading pages while the project linked in the URL isn't among them.
    */
   useEffect(() => {
-    if (!user) return;
-    const fetchLeadProjects = async () => {
-      try {
-        setLoading(true);
-        const res = await axiosInstance.get("api/projectleads/", {
-          params: { email: user.email },
-        });
-        setLeadProjects(res.data || []);
-      } catch (err) {
-        console.error("Error fetching lead projects:", err);
-        setLeadProjects([]);
-      } finally {
-        setLoading(false);
-      }
-    };
-
-    fetchLeadProjects();
-  }, [user]);
+    if (projectId && !expandedProject) loadMore();
+  }, [projectId, expandedProject, loadMore]);
 
   /**
-   * @function fetchRequests
-   * @description Fetches pending join requests for a specific project.
-   * @param {string} projectname - The name of the project to fetch requests for.
+   * @function useQuery
+   * @description Pending requests, decision log & members of the project selected in the URL.
+   * Nothing is fetched while every card is collapsed.
    */
-  const fetchRequests = async (projectname) => {
-    setRequestLoading(true);
-    try {
-      const res = await axiosInstance.get("api/projectrequestsdisplay/", {
-        params: { email: user.email, projectname },
-      });
-      setRequests(res.data || []);
-    } catch (err) {
-      console.error("Error fetching requests", err);
-      setRequests([]);
-    } finally {
-      setRequestLoading(false);
+  const requestsKey = queryKeys.projectRequests(user?.email, expandedProject);
+  const membersKey = queryKeys.projectMembers(user?.email, expandedProject);
+  const { data: requestsData, isLoading: requestLoading } = useQuery(
+    requestsKey,
+    () => listProjectRequests(user.email, expandedProject),
+    { enabled: !!expandedProject }
+  );
+  const { data: decisionsData } = useQuery(
+    queryKeys.projectDecisions(user?.email, expandedProject),
+    () => listProjectDecisions(user.email, expandedProject),
+    { enabled: !!expandedProject }
+  );
+  const { data: membersData, isLoading: membersLoading } = useQuery(
+    membersKey,
+    () => listProjectMembers(user.email, expandedProject),
+    { enabled: !!expandedProject }
+  );
+  const requests = requestsData || [];
+  const decisions = decisionsData || [];
+  const members = membersData || [];
+
+  /**
+   * @function useQuery
+   * @description Unread chat messages per project, for the badges on the cards.
+   */
+  const { data: unreadCounts = {} } = useQuery(queryKeys.chatUnread(user?.email), getUnreadCounts, {
+    enabled: !!user,
+  });
+
+  /**
+   * @function useEffect
+   * @description Collapses every request item when another project is selected.
+   */
+  useEffect(() => {
+    setExpandedRequest({});
+  }, [expandedProject]);
+
+  /**
+   * @function handleToggle
+   * @description Expands or collapses a project card by navigating to or away from its URL.
+   * @param {Object} project - The project to toggle.
+   */
+  const handleToggle = (project) => {
+    if (expandedProject === project.projectname) {
+      navigate("/home/teams/created");
+    } else {
+      navigate(createdProjectPath(project));
     }
   };
 
   /**
-   * @function fetchMembers
-   * @description Fetches current members of a specific project.
-   * @param {string} projectname - The name of the project to fetch members for.
+   * @function handleDecisionConfirmed
+   * @description Called after user confirms accept or reject in modal. The request leaves the
+   * list (and an accepted applicant joins the members) right away; both are rolled back if
+   * the server refuses.
    */
-  const fetchMembers = async (projectname) => {
-    setMembersLoading(true);
+  const handleDecisionConfirmed = async () => {
+    if (!confirm) return;
+    const { action, id, email, fname, lname } = confirm;
+    const previousRequests = queryClient.setQueryData(requestsKey, (prev = []) =>
+      prev.filter((r) => r.id !== id)
+    );
+    const previousMembers =
+      action === "accept"
+        ? queryClient.setQueryData(membersKey, (prev = []) => [
+            ...prev,
+            { member_email: email, member_fname: fname, member_lname: lname },
+          ])
+        : undefined;
+    setConfirm(null);
     try {
-      const res = await axiosInstance.get("api/projectmembersdisplay/", {
-        params: { email: user.email, projectname },
-      });
-      setMembers(res.data || []);
+      await (action === "accept" ? acceptRequest(id) : rejectRequest(id));
     } catch (err) {
-      console.error("Error fetching members", err);
-      setMembers([]);
+      console.error(`Error ${action === "accept" ? "accepting" : "rejecting"} request:`, err);
+      queryClient.setQueryData(requestsKey, previousRequests);
+      if (action === "accept") queryClient.setQueryData(membersKey, previousMembers);
+      setActionError(err.message || `Could not ${action} the request.`);
     } finally {
-      setMembersLoading(false);
+      ["projectrequests", "projectdecisions", "projectmembers", "leadprojects", "projectcount"].forEach(
+        (resource) => queryClient.invalidate([resource])
+      );
     }
   };
 
   /**
-   * @function handleToggle
-   * @description Expands or collapses a project card and fetches requests & members if expanded.
-   * @param {string} projectname - The name of the project to toggle.
+   * @function handleSaveEdit
+   * @description Saves the inline edit of a project and updates its card in place.
+   * @param {Object} project - The project being edited.
+   * @param {Object} changes - New description and needs.
    */
-  const handleToggle = (projectname) => {
-    if (expandedProject === projectname) {
-      setExpandedProject(null);
-      setRequests([]);
-      setMembers([]);
-      setExpandedRequest({});
-    } else {
-      setExpandedProject(projectname);
-      fetchRequests(projectname);
-      fetchMembers(projectname);
+  const handleSaveEdit = async (project, changes) => {
+    setSaving(true);
+    setActionError("");
+    try {
+      const updated = await updateProject(project.id, changes);
+      queryClient.setQueryData(
+        queryKeys.leadProjects(user.email),
+        updatePageItems((items) =>
+          items.map((p) => (p.id === project.id ? { ...p, ...changes, ...updated } : p))
+        )
+      );
+      setEditing(null);
+      queryClient.invalidate(["availableprojects"]);
+    } catch (err) {
+      console.error("Error updating project:", err);
+      setActionError(err.message || "Could not update the project.");
+    } finally {
+      setSaving(false);
     }
   };
 
   /**
-   * @function handleAcceptConfirmed
-   * @description Called after user confirms accept in modal.
+   * @function handleDeleteConfirmed
+   * @description Called after user confirms deleting a project in modal.
    */
-  const handleAcceptConfirmed = async () => {
+  const handleDeleteConfirmed = async () => {
     if (!confirm) return;
-    const { email, projectname, id, message } = confirm;
-    setRequestLoading(true);
+    setSaving(true);
+    setConfirmError("");
     try {
-      await axiosInstance.post("api/projectmembers/", {
-        owner: user.email,
-        email,
-        projectname,
-        message,
-      });
-
-      await axiosInstance.delete(`api/projectrequests/${id}/`);
-      await fetchRequests(projectname);
-      await fetchMembers(projectname);
+      await deleteProject(confirm.id);
+      queryClient.setQueryData(
+        queryKeys.leadProjects(user.email),
+        updatePageItems((items) => items.filter((p) => p.id !== confirm.id))
+      );
+      setEditing(null);
+      setConfirm(null);
+      navigate("/home/teams/created");
+      ["projectcount", "availableprojects"].forEach((resource) => queryClient.invalidate([resource]));
     } catch (err) {
-      console.error("Error accepting request:", err);
+      console.error("Error deleting project:", err);
+      setConfirmError(err.message || "Could not delete the project.");
     } finally {
-      setRequestLoading(false);
-      setConfirm(null);
+      setSaving(false);
     }
   };
 
   /**
-   * @function handleRejectConfirmed
-   * @description Called after user confirms reject in modal.
+   * @function handleRemoveConfirmed
+   * @description Called after user confirms removing a member in modal.
    */
-  const handleRejectConfirmed = async () => {
+  const handleRemoveConfirmed = async () => {
     if (!confirm) return;
-    const { email, projectname, id, message } = confirm;
-    setRequestLoading(true);
+    const { email, projectname } = confirm;
+    setRemoving(true);
+    setConfirmError("");
     try {
-      await axiosInstance.post("api/projectreject/", {
-        owner: user.email,
-        email,
-        projectname,
-        message,
-      });
-
-      await axiosInstance.delete(`api/projectrequests/${id}/`);
-      await fetchRequests(projectname);
+      await removeMember({ owner: user.email, email, projectname, reason: reason.trim() });
+      ["projectmembers", "leadprojects", "projectcount", "availableprojects"].forEach((resource) =>
+        queryClient.invalidate([resource])
+      );
+      setConfirm(null);
     } catch (err) {
-      console.error("Error rejecting request:", err);
+      console.error("Error removing member:", err);
+      setConfirmError(err.message || "Could not remove the member.");
     } finally {
-      setRequestLoading(false);
-      setConfirm(null);
+      setRemoving(false);
     }
   };
 
+  /**
+   * @function closeConfirm
+   * @description Closes the confirmation dialog without acting, dropping any error it showed.
+   */
+  const closeConfirm = () => {
+    setConfirm(null);
+    setConfirmError("");
+  };
+
   /**
    * @function openConfirm
-   * @description Opens confirmation modal with given action and request data.
+   * @description Opens confirmation modal with given action and request data. Accepting is
+   * checked against the team's maximum size, counting the members currently listed.
    */
-  const openConfirm = (action, req, projectname) => {
+  const openConfirm = (action, req, project) => {
     setConfirm({
       action,
       email: req.email,
       id: req.id,
-      projectname,
+      projectname: project.projectname,
       message: req.message,
       fname: req.fname,
       lname: req.lname,
+      overCapacity: action === "accept" && wouldExceedCapacity(project, membersData ? members.length : undefined),
+      maxMembers: project.max_members,
     });
   };
 
@@ -244,180 +379,329 @@ function LeadProjects() {
 
   return (
     <div className="space-y-6">
-      {leadProjects.map((p) => {
-        const projectname = p.projectname;
-
-        return (
-          <div
-            key={projectname}
-            className="bg-white border border-gray-200 rounded-2xl shadow-sm hover:shadow-md transition p-6"
-          >
-            {/* Project Header */}
+      {actionError && <p role="alert" className="text-red-500 text-sm">{actionError}</p>}
+      <VirtualList
+        items={leadProjects}
+        getKey={projectKey}
+        scrollToKey={projectId}
+        gap={24}
+        estimateSize={100}
+        onEndReached={loadMore}
+        renderItem={(p) => {
+          const projectname = p.projectname;
+
+          return (
             <div
-              className="flex items-center justify-between cursor-pointer"
-              onClick={() => handleToggle(projectname)}
+              className="bg-white border border-gray-200 rounded-2xl shadow-sm hover:shadow-md transition p-6"
             >
-              <div className="flex items-center gap-4">
-                <div className="w-12 h-12 px-5 mt-2 rounded-full bg-indigo-600 text-white flex items-center justify-center font-semibold text-lg shadow-sm">
-                  {projectname?.charAt(0)?.toUpperCase() || "P"}
-                </div>
-                <div>
-                  <h3 className="text-lg font-semibold text-indigo-600">{projectname}</h3>
-                  <p className="text-sm text-gray-600">{p.description}</p>
+              {/* Project Header */}
+              <div
+                className="flex items-center justify-between cursor-pointer"
+                onClick={() => handleToggle(p)}
+              >
+                <div className="flex items-center gap-4">
+                  <div className="w-12 h-12 px-5 mt-2 rounded-full bg-indigo-600 text-white flex items-center justify-center font-semibold text-lg shadow-sm">
+                    {projectname?.charAt(0)?.toUpperCase() || "P"}
+                  </div>
+                  <div>
+                    <div className="flex items-center gap-2">
+                      <h3 className="text-lg font-semibold text-indigo-600">{projectname}</h3>
+                      <UnreadChatBadge count={unreadCounts[p.id]} />
+                    </div>
+                    <p className="text-sm text-gray-600">{p.description}</p>
+                    {p.member_count !== undefined && (
+                      <p className="text-xs text-gray-500 mt-1 flex items-center gap-1">
+                        <Users size={12} /> {capacitySummary(p)}
+                      </p>
+                    )}
+                    {taskProgress(p.task_counts) && (
+                      <p className="text-xs text-gray-500 mt-1 flex items-center gap-1">
+                        <ListChecks size={12} /> {taskProgress(p.task_counts).label}
+                      </p>
+                    )}
+                  </div>
                 </div>
-              </div>
 
-              {expandedProject === projectname ? (
-                <ChevronDown size={22} className="text-gray-500" />
-              ) : (
-                <ChevronRight size={22} className="text-gray-500" />
-              )}
-            </div>
-
-            {/* Expanded Project Details */}
-            <div
-              className={`mt-6 border-t pt-6 space-y-8 overflow-hidden transition-all duration-300 ease-out ${
-                expandedProject === projectname ? "max-h-[1500px] opacity-100" : "max-h-0 opacity-0"
-              }`}
-            >
-              {/* Pending Requests */}
-              <div>
-                <h4 className="text-md font-semibold text-indigo-700 mb-3">Pending Join Requests</h4>
+                {expandedProject === projectname ? (
+                  <ChevronDown size={22} className="text-gray-500" />
+                ) : (
+                  <ChevronRight size={22} className="text-gray-500" />
+                )}
+              </div>
 
-                {requestLoading ? (
-                  <div className="flex justify-center py-4 text-gray-500">
-                    <Loader2 className="animate-spin mr-2" /> Loading...
-                  </div>
-                ) : requests.length === 0 ? (
-                  <p className="text-gray-500 italic">No requests yet.</p>
+              {/* Expanded Project Details */}
+              <div
+                className={`mt-6 border-t pt-6 space-y-8 overflow-hidden transition-all duration-300 ease-out ${
+                  expandedProject === projectname ? "max-h-[4000px] opacity-100" : "max-h-0 opacity-0"
+                }`}
+              >
+                {/* Project Actions */}
+                {editing === projectKey(p) ? (
+                  <ProjectEditForm
+                    project={p}
+                    saving={saving}
+                    onSave={(changes) => handleSaveEdit(p, changes)}
+                    onCancel={() => setEditing(null)}
+                  />
                 ) : (
-                  <div className="space-y-3">
-                    {requests.map((req, idx) => {
-                      const isExpanded = !!expandedRequest[req.email];
-                      return (
-                        <div
-                          key={req.email + idx}
-                          className="bg-gradient-to-r from-indigo-50 to-white border border-indigo-100 rounded-xl shadow-sm overflow-hidden"
-                        >
-                          <div className="flex items-center justify-between p-4 cursor-pointer" onClick={() => toggleRequestExpand(req.email)}>
-                            <div className="flex items-center gap-3">
-                              <div className="w-11 h-11 rounded-full bg-indigo-100 text-indigo-700 flex items-center justify-center font-semibold">
-                                {req.fname?.[0]?.toUpperCase() || req.email?.[0]?.toUpperCase() || "U"}
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => {
+                        setActionError("");
+                        setEditing(projectKey(p));
+                      }}
+                      className="px-4 py-1.5 bg-indigo-50 text-indigo-700 rounded-lg text-sm flex items-center gap-2 hover:bg-indigo-100"
+                    >
+                      <Pencil size={14} /> Edit project
+                    </button>
+                    <button
+                      onClick={() => setConfirm({ action: "delete", id: p.id, projectname })}
+                      className="px-4 py-1.5 bg-red-50 text-red-600 rounded-lg text-sm flex items-center gap-2 hover:bg-red-100"
+                    >
+                      <Trash2 size={14} /> Delete project
+                    </button>
+                    <button
+                      onClick={() => setSearchParams((params) => togglePanel(params, "board"), { replace: true })}
+                      aria-expanded={boardOpen}
+                      className="px-4 py-1.5 bg-indigo-50 text-indigo-700 rounded-lg text-sm flex items-center gap-2 hover:bg-indigo-100"
+                    >
+                      <ListChecks size={14} /> {boardOpen ? "Hide tasks" : "Task board"}
+                    </button>
+                    <button
+                      onClick={() => setSearchParams((params) => togglePanel(params, "chat"), { replace: true })}
+                      aria-expanded={chatOpen}
+                      className="px-4 py-1.5 bg-indigo-50 text-indigo-700 rounded-lg text-sm flex items-center gap-2 hover:bg-indigo-100"
+                    >
+                      <MessageSquare size={14} /> {chatOpen ? "Hide chat" : "Team chat"}
+                    </button>
+                    <Link
+                      to={projectPagePath(p)}
+                      className="px-4 py-1.5 bg-gray-50 text-gray-700 rounded-lg text-sm flex items-center gap-2 hover:bg-gray-100"
+                    >
+                      <ArrowUpRight size={14} /> Project page
+                    </Link>
+                  </div>
+                )}
+                {expandedProject === projectname && boardOpen && (
+                  <TaskBoard
+                    projectId={p.id}
+                    user={user}
+                    leadEmail={user.email}
+                    people={teamMentionables({ email: user.email, fname: user.firstname, lname: user.lastname }, members)}
+                  />
+                )}
+                {expandedProject === projectname && chatOpen && (
+                  <ProjectChat
+                    projectId={p.id}
+                    user={user}
+                    people={teamMentionables({ email: user.email, fname: user.firstname, lname: user.lastname }, members)}
+                  />
+                )}
+
+                {/* Pending Requests */}
+                <div>
+                  <h4 className="text-md font-semibold text-indigo-700 mb-3">Pending Join Requests</h4>
+
+                  {requestLoading ? (
+                    <div className="flex justify-center py-4 text-gray-500">
+                      <Loader2 className="animate-spin mr-2" /> Loading...
+                    </div>
+                  ) : requests.length === 0 ? (
+                    <p className="text-gray-500 italic">No requests yet.</p>
+                  ) : (
+                    <div className="space-y-3">
+                      {requests.map((req, idx) => {
+                        const isExpanded = !!expandedRequest[req.email];
+                        return (
+                          <div
+                            key={req.email + idx}
+                            className="bg-gradient-to-r from-indigo-50 to-white border border-indigo-100 rounded-xl shadow-sm overflow-hidden"
+                          >
+                            <div className="flex items-center justify-between p-4 cursor-pointer" onClick={() => toggleRequestExpand(req.email)}>
+                              <div className="flex items-center gap-3">
+                                <Avatar user={personOf(req)} size="sm" />
+
+                                <div>
+                                  <p className="text-gray-800 font-medium flex items-center gap-2">{req.fname} {req.lname}</p>
+                                  <p className="text-sm text-gray-500 flex items-center mt-1"><Mail size={14} className="mr-1" /> {req.email}</p>
+                                </div>
                               </div>
 
-                              <div>
-                                <p className="text-gray-800 font-medium flex items-center gap-2">{req.fname} {req.lname}</p>
-                                <p className="text-sm text-gray-500 flex items-center mt-1"><Mail size={14} className="mr-1" /> {req.email}</p>
+                              <div className="flex items-center gap-3">
+                                <div className="text-sm text-gray-500">{req.applied_on ? new Date(req.applied_on).toLocaleDateString() : ""}</div>
+                                <div>{isExpanded ? <ChevronDown size={18} /> : <ChevronRight size={18} />}</div>
                               </div>
                             </div>
 
-                            <div className="flex items-center gap-3">
-                              <div className="text-sm text-gray-500">{req.applied_on ? new Date(req.applied_on).toLocaleDateString() : ""}</div>
-                              <div>{isExpanded ? <ChevronDown size={18} /> : <ChevronRight size={18} />}</div>
+                            <div className={`px-4 transition-all duration-300 ease-out ${isExpanded ? "max-h-[600px] py-4 opacity-100" : "max-h-0 py-0 opacity-0"}`}>
+                              {req.message ? (
+                                <div className="mb-3 p-3 bg-gray-50 border-l-4 border-indigo-400 text-sm italic text-gray-700">"{req.message}"</div>
+                              ) : (
+                                <div className="mb-3 text-sm text-gray-500 italic">No message provided.</div>
+                              )}
+
+                              <div className="flex gap-2">
+                                <button
+                                  onClick={() => openConfirm("accept", req, p)}
+                                  className="px-4 py-1.5 bg-green-500 text-white rounded-lg flex items-center gap-2 hover:bg-green-600"
+                                >
+                                  <UserCheck size={14} /> Accept
+                                </button>
+
+                                <button
+                                  onClick={() => openConfirm("reject", req, p)}
+                                  className="px-4 py-1.5 bg-red-500 text-white rounded-lg flex items-center gap-2 hover:bg-red-600"
+                                >
+                                  <UserX size={14} /> Reject
+                                </button>
+
+                                <Link
+                                  to={userProfilePath(req.email)}
+                                  className="px-4 py-1.5 bg-indigo-50 text-indigo-700 rounded-lg flex items-center gap-2 hover:bg-indigo-100"
+                                >
+                                  <User size={14} /> View profile
+                                </Link>
+
+                                <button
+                                  className="ml-auto px-3 py-1.5 bg-gray-100 rounded-lg text-sm text-gray-700 hover:bg-gray-200"
+                                  onClick={() => navigator.clipboard && navigator.clipboard.writeText(req.email)}
+                                >
+                                  Copy Email
+                                </button>
+                              </div>
                             </div>
                           </div>
+                        );
+                      })}
+                    </div>
+                  )}
+                </div>
 
-                          <div className={`px-4 transition-all duration-300 ease-out ${isExpanded ? "max-h-[600px] py-4 opacity-100" : "max-h-0 py-0 opacity-0"}`}>
-                            {req.message ? (
-                              <div className="mb-3 p-3 bg-gray-50 border-l-4 border-indigo-400 text-sm italic text-gray-700">"{req.message}"</div>
-                            ) : (
-                              <div className="mb-3 text-sm text-gray-500 italic">No message provided.</div>
-                            )}
-
-                            <div className="flex gap-2">
-                              <button
-                                onClick={() => openConfirm("accept", req, projectname)}
-                                className="px-4 py-1.5 bg-green-500 text-white rounded-lg flex items-center gap-2 hover:bg-green-600"
-                              >
-                                <UserCheck size={14} /> Accept
-                              </button>
-
-                              <button
-                                onClick={() => openConfirm("reject", req, projectname)}
-                                className="px-4 py-1.5 bg-red-500 text-white rounded-lg flex items-center gap-2 hover:bg-red-600"
-                              >
-                                <UserX size={14} /> Reject
-                              </button>
-
-                              <button
-                                className="ml-auto px-3 py-1.5 bg-gray-100 rounded-lg text-sm text-gray-700 hover:bg-gray-200"
-                                onClick={() => navigator.clipboard && navigator.clipboard.writeText(req.email)}
-                              >
-                                Copy Email
-                              </button>
-                            </div>
+                {/* Current Members */}
+                <div>
+                  <h4 className="text-md font-semibold text-indigo-700 mb-3">Current Team Members</h4>
+
+                  {membersLoading ? (
+                    <div className="flex justify-center py-3 text-gray-500">
+                      <Loader2 className="animate-spin mr-2" /> Loading...
+                    </div>
+                  ) : members.length === 0 ? (
+                    <p className="text-gray-500 italic">No members added yet.</p>
+                  ) : (
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                      {members.map((m, idx) => (
+                        <div key={m.member_email + idx} className="bg-white border p-4 rounded-xl shadow-sm flex items-center gap-3 transition transform hover:-translate-y-1">
+                          <Avatar user={personOf(m, "member_")} size="sm" />
+                          <div>
+                            <p className="font-medium text-gray-800">{m.member_fname} {m.member_lname}</p>
+                            <p className="text-sm text-gray-500">{m.member_email}</p>
                           </div>
+                          <button
+                            aria-label={`Remove ${m.member_fname} ${m.member_lname}`}
+                            title="Remove member"
+                            onClick={() => {
+                              setReason("");
+                              setConfirm({
+                                action: "remove",
+                                email: m.member_email,
+                                projectname,
+                                fname: m.member_fname,
+                                lname: m.member_lname,
+                              });
+                            }}
+                            className="ml-auto p-2 rounded-lg text-red-500 hover:bg-red-50"
+                          >
+                            <UserMinus size={16} />
+                          </button>
                         </div>
-                      );
-                    })}
-                  </div>
-                )}
-              </div>
-
-              {/* Current Members */}
-              <div>
-                <h4 className="text-md font-semibold text-indigo-700 mb-3">Current Team Members</h4>
+                      ))}
+                    </div>
+                  )}
+                </div>
 
-                {membersLoading ? (
-                  <div className="flex justify-center py-3 text-gray-500">
-                    <Loader2 className="animate-spin mr-2" /> Loading...
-                  </div>
-                ) : members.length === 0 ? (
-                  <p className="text-gray-500 italic">No members added yet.</p>
-                ) : (
-                  <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
-                    {members.map((m, idx) => (
-                      <div key={m.member_email + idx} className="bg-white border p-4 rounded-xl shadow-sm flex items-center gap-3 transition transform hover:-translate-y-1">
-                        <div className="w-10 h-10 rounded-full bg-indigo-100 text-indigo-700 flex items-center justify-center font-semibold">{m.member_fname?.[0]?.toUpperCase() || "X"}</div>
-                        <div>
-                          <p className="font-medium text-gray-800">{m.member_fname} {m.member_lname}</p>
-                          <p className="text-sm text-gray-500">{m.member_email}</p>
-                        </div>
-                      </div>
-                    ))}
-                  </div>
-                )}
+                {/* Decision Log */}
+                <div>
+                  <h4 className="text-md font-semibold text-indigo-700 mb-3">Decision Log</h4>
+
+                  {decisions.length === 0 ? (
+                    <p className="text-gray-500 italic">No past requests yet.</p>
+                  ) : (
+                    <ul className="divide-y divide-gray-100 border border-gray-100 rounded-xl">
+                      {decisions.map((d) => (
+                        <li key={d.id} className="flex items-center justify-between gap-3 px-4 py-3 text-sm">
+                          <div>
+                            <p className="font-medium text-gray-800">{d.fname} {d.lname}</p>
+                            <p className="text-gray-500">{d.email}</p>
+                          </div>
+                          <div className="flex items-center gap-3">
+                            <span className="text-gray-500">{new Date(d.updated_on).toLocaleDateString()}</span>
+                            <RequestStatusBadge status={d.status} />
+                          </div>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
               </div>
             </div>
-          </div>
-        );
-      })}
+          );
+        }}
+      />
+      <LoadMore
+        hasNextPage={hasNextPage}
+        isFetchingNextPage={isFetchingNextPage}
+        onLoadMore={loadMore}
+        loadingLabel="Loading more projects..."
+      />
 
       {/* Confirmation Modal */}
-      {confirm && (
-        <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
-          <div className="absolute inset-0 bg-black/40" onClick={() => setConfirm(null)} />
-
-          <div className="relative bg-white rounded-2xl shadow-xl w-full max-w-md p-6 transform transition-transform duration-200 ease-out scale-100">
-            <div className="flex items-start gap-3">
-              <div className="w-12 h-12 rounded-full bg-indigo-50 flex items-center justify-center">
-                <MessageCircle className="text-indigo-600" />
-              </div>
-              <div>
-                <h3 className="text-lg font-semibold text-gray-800">{confirm.action === "accept" ? "Confirm Accept" : "Confirm Reject"}</h3>
-                <p className="text-sm text-gray-600 mt-1">Are you sure you want to {confirm.action === "accept" ? "accept" : "reject"} <strong>{confirm.fname} {confirm.lname}</strong> for <strong>{confirm.projectname}</strong>?</p>
-              </div>
-            </div>
-
-            {confirm.message && (
-              <div className="mt-4 p-3 bg-gray-50 border-l-4 border-indigo-300 italic text-sm text-gray-700">"{confirm.message}"</div>
-            )}
-
-            <div className="mt-6 flex items-center justify-end gap-3">
-              <button className="px-4 py-2 bg-gray-100 rounded-md text-gray-700 hover:bg-gray-200" onClick={() => setConfirm(null)}>Cancel</button>
-
-              {confirm.action === "accept" ? (
-                <button className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 flex items-center gap-2" onClick={handleAcceptConfirmed} disabled={requestLoading}>
-                  <Check size={16} /> {requestLoading ? "Processing..." : "Yes, Accept"}
-                </button>
-              ) : (
-                <button className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 flex items-center gap-2" onClick={handleRejectConfirmed} disabled={requestLoading}>
-                  <X size={16} /> {requestLoading ? "Processing..." : "Yes, Reject"}
-                </button>
-              )}
-            </div>
-          </div>
-        </div>
+      {confirm?.action === "delete" && (
+        <ConfirmModal
+          title="Delete Project"
+          description={<>Are you sure you want to delete <strong>{confirm.projectname}</strong>? Its members and pending requests will be removed too.</>}
+          confirmLabel="Yes, Delete"
+          confirmIcon={<Trash2 size={16} />}
+          tone="red"
+          busy={saving}
+          onConfirm={handleDeleteConfirmed}
+          onCancel={closeConfirm}
+        >
+          {confirmError && <p role="alert" className="text-red-500 text-sm mt-3">{confirmError}</p>}
+        </ConfirmModal>
+      )}
+      {confirm?.action === "remove" && (
+        <ConfirmModal
+          title="Remove Member"
+          description={<>Are you sure you want to remove <strong>{confirm.fname} {confirm.lname}</strong> from <strong>{confirm.projectname}</strong>?</>}
+          confirmLabel="Yes, Remove"
+          confirmIcon={<UserMinus size={16} />}
+          tone="red"
+          busy={removing}
+          onConfirm={handleRemoveConfirmed}
+          onCancel={closeConfirm}
+        >
+          <ReasonField value={reason} onChange={setReason} />
+          {confirmError && <p role="alert" className="text-red-500 text-sm mt-3">{confirmError}</p>}
+        </ConfirmModal>
+      )}
+      {(confirm?.action === "accept" || confirm?.action === "reject") && (
+        <ConfirmModal
+          title={confirm.action === "accept" ? "Confirm Accept" : "Confirm Reject"}
+          description={<>Are you sure you want to {confirm.action} <strong>{confirm.fname} {confirm.lname}</strong> for <strong>{confirm.projectname}</strong>?</>}
+          quote={confirm.message}
+          confirmLabel={confirm.action === "accept" ? "Yes, Accept" : "Yes, Reject"}
+          confirmIcon={confirm.action === "accept" ? <Check size={16} /> : <X size={16} />}
+          tone={confirm.action === "accept" ? "green" : "red"}
+          onConfirm={handleDecisionConfirmed}
+          onCancel={() => setConfirm(null)}
+        >
+          {confirm.overCapacity && (
+            <p role="alert" className="mt-4 flex items-start gap-2 text-sm text-amber-800 bg-amber-50 border border-amber-200 rounded-xl p-3">
+              <AlertTriangle size={16} className="flex-none mt-0.5" />
+              The team is already full ({confirm.maxMembers} members). Accepting will take it over its maximum size.
+            </p>
+          )}
+        </ConfirmModal>
       )}
     </div>
   );
@@ -0,0 +1,135 @@
+/**
+ * @file ProjectEditForm.jsx
+ * @description
+ * Inline form used on the Created Teams tab to change a project's description and
+ * the skills it needs and its maximum size. The project name is fixed once created.
+ * @author Pranav Singh
+ */
+
+import { useState } from "react";
+import { Save, X } from "lucide-react";
+import SkillTagInput from "../../components/SkillTagInput.jsx";
+import { projectSkills } from "../../skills/skills.js";
+import { TEAM_SIZE_OPTIONS } from "../teamCapacity.js";
+
+/**
+ * @component ProjectEditForm
+ * @param {Object} props
+ * @param {import("../../api/projects.js").Project} props.project - Project being edited
+ * @param {boolean} [props.saving] - Disables the form while the update is sent
+ * @param {(changes: { description: string, skills: import("../../skills/skills.js").ProjectSkill[], max_members: number|null }) => void} props.onSave
+ * @param {Function} props.onCancel
+ */
+function ProjectEditForm({ project, saving = false, onSave, onCancel }) {
+  /** --------------------------- State Management --------------------------- */
+  const [description, setDescription] = useState(project.description || "");
+  const [skills, setSkills] = useState(() => projectSkills(project).map(({ name, count }) => ({ name, count })));
+  const [maxMembers, setMaxMembers] = useState(project.max_members ?? null);
+  const [error, setError] = useState("");
+
+  /** ------------------------------------------------------------------------
+   * @function handleDescription
+   * @description Updates the description, enforcing the same 500 character limit as CreateTeam.
+   * ------------------------------------------------------------------------ */
+  const handleDescription = (event) => {
+    const value = event.target.value;
+    if (value.length > 500) {
+      setError("Project description must not exceed 500 words.");
+      return;
+    }
+    setError("");
+    setDescription(value);
+  };
+
+  /** ------------------------------------------------------------------------
+   * @function handleSubmit
+   * @description Validates and hands the changes to the parent.
+   * ------------------------------------------------------------------------ */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!description.trim()) {
+      setError("Project description is required.");
+      return;
+    }
+    if (skills.length === 0) {
+      setError("Add at least one skill the team needs.");
+      return;
+    }
+    onSave({ description: description.trim(), skills, max_members: maxMembers });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4 bg-indigo-50/40 border border-indigo-100 rounded-xl p-4">
+      <div>
+        <label htmlFor={`edit-desc-${project.id}`} className="block text-sm font-medium text-gray-700 mb-1">
+          Description
+        </label>
+        <textarea
+          id={`edit-desc-${project.id}`}
+          value={description}
+          onChange={handleDescription}
+          rows="4"
+          className="w-full border border-gray-300 rounded-xl px-3 py-2 focus:ring-2 focus:ring-indigo-400 focus:outline-none transition"
+        />
+        <div className="flex justify-between mt-1">
+          <p className="text-xs text-gray-500">Word Count: {description.length}/500</p>
+          {error && <p className="text-red-500 text-xs">{error}</p>}
+        </div>
+      </div>
+
+      <div>
+        <label htmlFor={`edit-skills-${project.id}`} className="block text-sm font-medium text-gray-700 mb-1">
+          Team Requirements
+        </label>
+        <SkillTagInput
+          id={`edit-skills-${project.id}`}
+          kind="project"
+          value={skills}
+          onChange={(next) => {
+            setSkills(next);
+            setError("");
+          }}
+        />
+      </div>
+
+      <div>
+        <label htmlFor={`edit-size-${project.id}`} className="block text-sm font-medium text-gray-700 mb-1">
+          Maximum Team Size
+        </label>
+        <select
+          id={`edit-size-${project.id}`}
+          value={maxMembers ?? ""}
+          onChange={(e) => setMaxMembers(e.target.value === "" ? null : Number(e.target.value))}
+          className="border border-gray-300 rounded-xl px-3 py-2 text-sm bg-white focus:ring-2 focus:ring-indigo-400 focus:outline-none transition"
+        >
+          <option value="">No limit</option>
+          {TEAM_SIZE_OPTIONS.map((size) => (
+            // The team can't shrink below the members it already has
+            <option key={size} value={size} disabled={size < (project.member_count ?? 0)}>
+              {size}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className="flex justify-end gap-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-4 py-1.5 bg-gray-100 rounded-lg text-sm text-gray-700 hover:bg-gray-200 flex items-center gap-2"
+        >
+          <X size={14} /> Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-4 py-1.5 bg-indigo-600 text-white rounded-lg text-sm hover:bg-indigo-700 flex items-center gap-2"
+        >
+          <Save size={14} /> {saving ? "Saving..." : "Save changes"}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default ProjectEditForm;
@@ -0,0 +1,127 @@
+/**
+ * @file RequestHistory.jsx
+ * @description
+ * React component that lists every join request the logged-in user has sent, whatever
+ * happened to it, using `/api/requesthistory/` (via `listRequestHistory`).
+ *
+ * @features
+ * - Shows each request's current status: pending, accepted, rejected, withdrawn, expired or closed.
+ * - Shows a timeline of status changes with their timestamps and who made them.
+ * - Handles loading and empty states.
+ *
+ * @author Pranav Singh
+ */
+
+import { History, Loader2 } from "lucide-react";
+import { useContext } from "react";
+import { listRequestHistory } from "../../api/requests.js";
+import { AuthContext } from "../../context/AuthProvider.jsx";
+import { useQuery } from "../../hooks/useQuery.js";
+import { queryKeys } from "../../query/keys.js";
+import RequestStatusBadge from "../../components/RequestStatusBadge.jsx";
+import Avatar from "../../components/Avatar.jsx";
+import { personOf } from "../../profile/profile.js";
+
+/**
+ * @function describeActor
+ * @description Names whoever made a status change, from the applicant's point of view.
+ * @param {string|null} by - Email recorded in the history entry
+ * @param {Object} request - Request the entry belongs to
+ * @param {string} email - Current user's email
+ * @returns {string}
+ */
+const describeActor = (by, request, email) => {
+  if (!by) return "automatically";
+  if (by === email) return "by you";
+  if (by === request.owner_email) return "by the team lead";
+  return `by ${by}`;
+};
+
+/**
+ * @component RequestHistory
+ * @description
+ * Fetches and renders the request history of the authenticated user.
+ *
+ * @returns {JSX.Element} List of requests with their status timelines.
+ */
+function RequestHistory() {
+  const { user } = useContext(AuthContext);
+
+  /**
+   * @function useQuery
+   * @description The request history of the authenticated user.
+   */
+  const { data, isLoading: loading } = useQuery(
+    queryKeys.requestHistory(user?.email),
+    () => listRequestHistory(user.email),
+    { enabled: !!user }
+  );
+  const requests = data || [];
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64 text-gray-500">
+        <Loader2 className="animate-spin mr-2" /> Loading request history...
+      </div>
+    );
+  }
+
+  if (requests.length === 0) {
+    return (
+      <div className="text-center text-gray-500 py-10">
+        <History size={40} className="mx-auto mb-3 text-gray-400" />
+        <p>You have not sent any join requests yet</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {requests.map((r) => (
+        <div
+          key={r.id}
+          className="bg-white border border-gray-200 rounded-2xl shadow-sm p-6 hover:shadow-md transition"
+        >
+          {/* ----------------------------
+                Project & Current Status
+              ---------------------------- */}
+          <div className="flex items-start justify-between gap-4">
+            <div className="flex items-center gap-4">
+              <div className="w-12 h-12 px-5 rounded-full bg-indigo-600 text-white flex items-center justify-center font-semibold text-lg shadow-sm">
+                {r.projectname?.charAt(0)?.toUpperCase() || "P"}
+              </div>
+              <div>
+                <h3 className="text-lg font-semibold text-indigo-600">{r.projectname}</h3>
+                <p className="text-sm text-gray-600 flex items-center mt-1">
+                  <Avatar user={personOf(r, "owner_")} size="xs" className="mr-1" />
+                  Owner: {r.owner_fname} {r.owner_lname}
+                </p>
+              </div>
+            </div>
+            <RequestStatusBadge status={r.status} />
+          </div>
+
+          {r.message && (
+            <p className="mt-4 text-sm text-gray-600 italic bg-gray-50 border-l-4 border-indigo-300 p-3 rounded-md">"{r.message}"</p>
+          )}
+
+          {/* ----------------------------
+                Status Timeline
+              ---------------------------- */}
+          <ol className="mt-4 border-l-2 border-indigo-100 pl-4 space-y-2">
+            {(r.history || []).map((entry, index) => (
+              <li key={index} className="text-sm text-gray-600 flex items-center gap-2">
+                <RequestStatusBadge status={entry.status} />
+                <span>
+                  {describeActor(entry.by, r, user.email)} on {new Date(entry.at).toLocaleString()}
+                </span>
+              </li>
+            ))}
+          </ol>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default RequestHistory;
@@ -3,21 +3,27 @@
  * @description
  * React component that displays all projects for which the logged-in user has sent a join
  * request and is awaiting approval. It retrieves data from the backend endpoint
- * `/api/pendingprojects/` using the user's email as a query parameter.
+ * `/api/pendingprojects/` (via `listPendingRequests`) using the user's email.
  *
  * @features
  * - Fetches all pending join requests for the authenticated user.
  * - Handles loading and empty states.
  * - Displays project details, owner info, and user's request message.
+ * - Lets the user edit the message (same limits as JoinTeam) or withdraw the request.
  *
  * @author Pranav Singh
  */
 
-import { Clock, Mail, User } from "lucide-react";
-import axios from "axios";
-import axiosInstance from "../../Interceptors/axiosInstance";
+import { Clock, Mail, Pencil, Undo2, Save, X } from "lucide-react";
+import { listPendingRequests, updateRequestMessage, withdrawRequest } from "../../api/requests.js";
 import { AuthContext } from "../../context/AuthProvider.jsx";
-import { useContext, useEffect, useState } from "react";
+import { useQuery, useQueryClient } from "../../hooks/useQuery.js";
+import { queryKeys } from "../../query/keys.js";
+import ConfirmModal from "../../components/ConfirmModal.jsx";
+import Avatar from "../../components/Avatar.jsx";
+import { personOf } from "../../profile/profile.js";
+import { MESSAGE_MAX_LENGTH, validateRequestMessage } from "../requestMessage.js";
+import { useContext, useState } from "react";
 
 /**
  * @component PendingProjects
@@ -29,39 +35,98 @@ import { useContext, useEffect, useState } from "react";
  */
 function PendingProjects() {
   const { user } = useContext(AuthContext);
+  const queryClient = useQueryClient();
 
-  const [pendingProjects, setPendingProjects] = useState([]);
-  const [loading, setLoading] = useState(true);
+  const pendingKey = queryKeys.pendingProjects(user?.email);
+
+  // Inline message editing: id of the request being edited and its draft message
+  const [editingId, setEditingId] = useState(null);
+  const [draft, setDraft] = useState("");
+  const [error, setError] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  // Request the user is about to withdraw
+  const [withdrawing, setWithdrawing] = useState(null);
 
   /**
-  * @function useEffect
-  * @description Fetches pending join requests for the authenticated user from the backend.
-  * Updates the component state with the retrieved projects or an empty array if none found.
+  * @function useQuery
+  * @description Pending join requests of the authenticated user.
   */
-  useEffect(() => {
-    if (!user) return;
-    const fetchPendingProjects = async () => {
-      try {
-        setLoading(true);
-
-        const response = await axiosInstance.get(
-          "api/pendingprojects/",
-          {
-            params: { email: user.email },
-          }
-        );
-
-        setPendingProjects(response.data || []);
-      } catch (err) {
-        console.error("Error fetching pending projects", err);
-        setPendingProjects([]);
-      } finally {
-        setLoading(false);
-      }
-    };
-
-    fetchPendingProjects();
-  }, [user]);
+  const { data, isLoading: loading } = useQuery(pendingKey, () => listPendingRequests(user.email), {
+    enabled: !!user,
+  });
+  const pendingProjects = data || [];
+
+  /**
+   * @function startEditing
+   * @description Opens the inline editor for a request's message.
+   * @param {Object} request - Pending request to edit.
+   */
+  const startEditing = (request) => {
+    setEditingId(request.id);
+    setDraft(request.message || "");
+    setError("");
+  };
+
+  /**
+   * @function handleDraftChange
+   * @description Updates the draft message, limited to the same length as in JoinTeam.
+   */
+  const handleDraftChange = (e) => {
+    const value = e.target.value;
+    if (value.length > MESSAGE_MAX_LENGTH) return;
+    setDraft(value);
+  };
+
+  /**
+   * @function handleSaveMessage
+   * @description Validates and saves the edited message.
+   */
+  const handleSaveMessage = async () => {
+    const message = draft.trim();
+    const messageError = validateRequestMessage(message);
+    if (messageError) {
+      setError(messageError);
+      return;
+    }
+    setSaving(true);
+    try {
+      await updateRequestMessage(editingId, message);
+      queryClient.setQueryData(pendingKey, (prev = []) =>
+        prev.map((p) => (p.id === editingId ? { ...p, message } : p))
+      );
+      setEditingId(null);
+      queryClient.invalidate(["requesthistory"]);
+    } catch (err) {
+      console.error("Error updating request message", err);
+      setError(err.message || "Could not update the message.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * @function handleWithdrawConfirmed
+   * @description Withdraws the request selected in the confirmation modal.
+   */
+  const handleWithdrawConfirmed = async () => {
+    if (!withdrawing) return;
+    setSaving(true);
+    setError("");
+    try {
+      await withdrawRequest(withdrawing.id);
+      queryClient.setQueryData(pendingKey, (prev = []) => prev.filter((p) => p.id !== withdrawing.id));
+      ["requesthistory", "projectcount", "availableprojects"].forEach((resource) =>
+        queryClient.invalidate([resource])
+      );
+      setWithdrawing(null);
+    } catch (err) {
+      console.error("Error withdrawing request", err);
+      setError(err.message || "Could not withdraw the request.");
+    } finally {
+      setSaving(false);
+    }
+  };
 
   /**
    * @render
@@ -86,9 +151,25 @@ function PendingProjects() {
 
   return (
     <div className="space-y-6">
+      {withdrawing && (
+        <ConfirmModal
+          title="Withdraw Request"
+          description={<>Are you sure you want to withdraw your request to join <strong>{withdrawing.projectname}</strong>?</>}
+          quote={withdrawing.message}
+          confirmLabel="Yes, Withdraw"
+          confirmIcon={<Undo2 size={16} />}
+          tone="red"
+          busy={saving}
+          onConfirm={handleWithdrawConfirmed}
+          onCancel={() => setWithdrawing(null)}
+        >
+          {error && <p role="alert" className="text-red-500 text-sm mt-3">{error}</p>}
+        </ConfirmModal>
+      )}
+
       {pendingProjects.map((p, index) => (
         <div
-          key={index}
+          key={p.id ?? index}
           className="bg-white border border-gray-200 rounded-2xl shadow-sm p-6 hover:shadow-md transition"
         >
           {/* ----------------------------
@@ -109,7 +190,7 @@ function PendingProjects() {
               ---------------------------- */}
           <div className="mt-4 text-sm text-gray-600 space-y-1">
             <p className="flex items-center">
-              <User size={16} className="mr-1 text-gray-500" />
+              <Avatar user={personOf(p, "owner_")} size="xs" className="mr-1" />
               Owner: {p.owner_fname} {p.owner_lname}
             </p>
 
@@ -124,8 +205,61 @@ function PendingProjects() {
               ---------------------------- */}
           <div className="mt-5 bg-gray-50 border-l-4 border-indigo-500 p-4 rounded-md">
             <h4 className="font-medium text-gray-800">Your Request Message:</h4>
-            <p className="text-sm text-gray-600 mt-1 italic">"{p.message}"</p>
+            {editingId === p.id ? (
+              <div className="mt-2 space-y-2">
+                <textarea
+                  aria-label="Request message"
+                  value={draft}
+                  onChange={handleDraftChange}
+                  className="w-full h-28 resize-none p-3 rounded-xl border border-gray-300 focus:border-indigo-500 outline-none transition bg-white text-sm"
+                />
+                <div className="flex items-center justify-between">
+                  <span className="text-gray-500 text-xs">{draft.length}/{MESSAGE_MAX_LENGTH} characters</span>
+                  {error && <span className="text-red-500 text-xs">{error}</span>}
+                </div>
+                <div className="flex justify-end gap-2">
+                  <button
+                    onClick={() => setEditingId(null)}
+                    className="px-4 py-1.5 bg-gray-100 rounded-lg text-sm text-gray-700 hover:bg-gray-200 flex items-center gap-2"
+                  >
+                    <X size={14} /> Cancel
+                  </button>
+                  <button
+                    onClick={handleSaveMessage}
+                    disabled={saving}
+                    className="px-4 py-1.5 bg-indigo-600 text-white rounded-lg text-sm hover:bg-indigo-700 flex items-center gap-2"
+                  >
+                    <Save size={14} /> {saving ? "Saving..." : "Save message"}
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <p className="text-sm text-gray-600 mt-1 italic">"{p.message}"</p>
+            )}
           </div>
+
+          {/* ----------------------------
+                Request Actions
+              ---------------------------- */}
+          {editingId !== p.id && (
+            <div className="mt-4 flex gap-2">
+              <button
+                onClick={() => startEditing(p)}
+                className="px-4 py-1.5 bg-indigo-50 text-indigo-700 rounded-lg text-sm flex items-center gap-2 hover:bg-indigo-100"
+              >
+                <Pencil size={14} /> Edit message
+              </button>
+              <button
+                onClick={() => {
+                  setError("");
+                  setWithdrawing(p);
+                }}
+                className="px-4 py-1.5 bg-red-50 text-red-600 rounded-lg text-sm flex items-center gap-2 hover:bg-red-100"
+              >
+                <Undo2 size={14} /> Withdraw request
+              </button>
+            </div>
+          )}
         </div>
       ))}
     </div>
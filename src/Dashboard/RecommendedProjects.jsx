@@ -0,0 +1,62 @@
+/**
+ * @file RecommendedProjects.jsx
+ * @description
+ * "Recommended for you" strip of the Join a Team browser: the projects that best match
+ * the user's skills (see `skills/matchScore.js`), each with the reasons it was picked.
+ * @author Pranav Singh
+ */
+
+import { Sparkles } from "lucide-react";
+
+/**
+ * @component RecommendedProjects
+ * @param {Object} props
+ * @param {import("../skills/matchScore.js").ProjectMatch[]} props.matches - Best first
+ * @param {number|null} props.selectedId - Project open in the detail panel
+ * @param {(id: number) => void} props.onSelect
+ * @returns {JSX.Element|null}
+ */
+function RecommendedProjects({ matches, selectedId, onSelect }) {
+  if (matches.length === 0) return null;
+
+  return (
+    <section aria-labelledby="recommended-heading" className="mb-8">
+      <h3 id="recommended-heading" className="text-lg font-semibold text-gray-800 mb-3 flex items-center gap-2">
+        <Sparkles className="text-amber-500" size={18} />
+        Recommended for you
+      </h3>
+      <ul className="grid grid-cols-1 sm:grid-cols-2 xl:grid-cols-3 gap-4">
+        {matches.map(({ project, score, reasons }) => {
+          const why = reasons.join(", ");
+          return (
+            <li key={project.id}>
+              <button
+                type="button"
+                aria-pressed={selectedId === project.id}
+                onClick={() => onSelect(project.id)}
+                className={`w-full h-full text-left p-4 rounded-2xl border transition ${
+                  selectedId === project.id
+                    ? "bg-amber-50 border-amber-400 shadow-lg"
+                    : "bg-gradient-to-br from-amber-50/60 to-white border-amber-200 hover:shadow-md"
+                }`}
+              >
+                <div className="flex items-start justify-between gap-3">
+                  <p className="font-semibold text-gray-900">{project.projectname}</p>
+                  <span className="flex-none text-xs font-semibold px-2 py-0.5 rounded-full bg-amber-100 text-amber-700">
+                    {Math.round(score * 100)}% match
+                  </span>
+                </div>
+                <p className="text-gray-500 text-xs mt-1">
+                  {project.fname} {project.lname}
+                </p>
+                <p className="text-gray-600 text-sm mt-2">{why.charAt(0).toUpperCase() + why.slice(1)}</p>
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+    </section>
+  );
+}
+
+export default RecommendedProjects;
@@ -0,0 +1,149 @@
+/**
+ * @file UserProfile.jsx
+ * @description
+ * Someone's public profile (`/users/:email`): avatar, skills, bio, links, availability
+ * and the teams they lead or belong to. Leads open it from a pending request on the
+ * Created Teams tab to see who is asking to join before deciding.
+ * @author Pranav Singh
+ */
+
+import { useContext } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import { ArrowLeft, Crown, Github, Globe, Loader2, Mail, Pencil, UserRound, Users } from "lucide-react";
+import { getUserProfile } from "../api/accounts.js";
+import { AuthContext } from "../context/AuthProvider.jsx";
+import { useQuery } from "../hooks/useQuery.js";
+import { queryKeys } from "../query/keys.js";
+import { userSkills } from "../skills/skills.js";
+import { availabilityLabel, displayName } from "../profile/profile.js";
+import SkillTags from "../components/SkillTags.jsx";
+import Avatar from "../components/Avatar.jsx";
+import { projectPagePath } from "./paths.js";
+
+/** Badge colours per availability */
+const AVAILABILITY_STYLES = {
+  available: "bg-green-100 text-green-700",
+  limited: "bg-yellow-100 text-yellow-700",
+  unavailable: "bg-gray-100 text-gray-600",
+};
+
+/**
+ * @component UserProfile
+ * @returns {JSX.Element}
+ */
+function UserProfile() {
+  const { email } = useParams();
+  const navigate = useNavigate();
+  const { user } = useContext(AuthContext);
+
+  const { data: profile, isLoading, error } = useQuery(queryKeys.userProfile(email), () => getUserProfile(email));
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center items-center h-64 text-gray-500">
+        <Loader2 className="animate-spin mr-2" /> Loading profile...
+      </div>
+    );
+  }
+
+  if (error || !profile) {
+    return (
+      <div className="text-center text-gray-500 py-10">
+        <UserRound size={40} className="mx-auto mb-3 text-gray-400" />
+        <p>{error?.status === 404 ? "There is no one with that email." : "The profile couldn't be loaded."}</p>
+      </div>
+    );
+  }
+
+  const availability = profile.availability || "available";
+  const links = [
+    profile.github && { href: profile.github, label: "GitHub", icon: <Github size={14} /> },
+    profile.portfolio && { href: profile.portfolio, label: "Portfolio", icon: <Globe size={14} /> },
+  ].filter(Boolean);
+
+  return (
+    <div className="space-y-6 max-w-3xl">
+      {/* ------------------------------ Overview ------------------------------ */}
+      <div className="bg-white border border-gray-200 rounded-3xl shadow-sm p-8">
+        <div className="flex items-center justify-between mb-4">
+          <button
+            onClick={() => navigate(-1)}
+            className="text-sm text-gray-500 hover:text-indigo-600 flex items-center gap-1"
+          >
+            <ArrowLeft size={14} /> Back
+          </button>
+          {profile.email === user.email && (
+            <Link to="/profile" className="text-sm text-indigo-600 hover:underline flex items-center gap-1">
+              <Pencil size={14} /> Edit profile
+            </Link>
+          )}
+        </div>
+
+        <div className="flex items-center gap-6">
+          <Avatar user={profile} size="lg" />
+          <div>
+            <h2 className="text-2xl font-bold text-indigo-700">{displayName(profile)}</h2>
+            <p className="text-sm text-gray-500 flex items-center gap-1 mt-1">
+              <Mail size={14} /> {profile.email}
+            </p>
+            <span className={`inline-block text-xs font-medium px-3 py-1 rounded-full mt-2 ${AVAILABILITY_STYLES[availability]}`}>
+              {availabilityLabel(availability)}
+            </span>
+          </div>
+        </div>
+
+        <p className="text-gray-700 mt-6 whitespace-pre-line">{profile.bio || "No bio yet."}</p>
+
+        {links.length > 0 && (
+          <div className="flex gap-4 mt-4">
+            {links.map(({ href, label, icon }) => (
+              <a
+                key={label}
+                href={href}
+                target="_blank"
+                rel="noreferrer"
+                className="text-sm text-indigo-600 hover:underline flex items-center gap-1"
+              >
+                {icon} {label}
+              </a>
+            ))}
+          </div>
+        )}
+
+        <p className="text-sm font-medium text-gray-500 mt-6 mb-2">Skills</p>
+        {userSkills(profile).length ? (
+          <SkillTags skills={userSkills(profile)} />
+        ) : (
+          <p className="text-sm text-gray-500 italic">No skills listed.</p>
+        )}
+      </div>
+
+      {/* ------------------------------ Teams ------------------------------ */}
+      <section aria-labelledby="profile-teams" className="bg-white border border-gray-200 rounded-3xl shadow-sm p-6">
+        <h3 id="profile-teams" className="font-semibold text-indigo-700 mb-4 flex items-center gap-2">
+          <Users size={16} /> Teams
+        </h3>
+        {profile.projects.length === 0 ? (
+          <p className="text-gray-500 text-sm italic">Not on any team yet.</p>
+        ) : (
+          <ul className="space-y-2">
+            {profile.projects.map((p) => (
+              <li key={p.id} className="flex items-center gap-2 text-sm">
+                <Link to={projectPagePath(p)} className="text-gray-800 font-medium hover:text-indigo-600">
+                  {p.projectname}
+                </Link>
+                {p.role === "lead" && (
+                  <span className="text-xs text-amber-600 flex items-center gap-1">
+                    <Crown size={12} /> Lead
+                  </span>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+    </div>
+  );
+}
+
+export default UserProfile;
@@ -8,11 +8,10 @@
  */
 
 import React, { useState, useContext } from "react";
-import axios from "axios";
-import axiosInstance from "../Interceptors/axiosInstance";
+import { createProject } from "../api/projects.js";
 import { AuthContext } from "../context/AuthProvider.jsx";
 import SuccessToast from "../toasts/SuccessToast.jsx";
-import { useDashboard } from "../context/DashboardContext.jsx";
+import { useQueryClient } from "../hooks/useQuery.js";
 import {
   Code2,
   FileText,
@@ -21,6 +20,9 @@ import {
   AlertTriangle,
 } from "lucide-react";
 import ErrorToast from "../toasts/ErrorToast.jsx";
+import SkillTagInput from "../components/SkillTagInput.jsx";
+import SkillTags from "../components/SkillTags.jsx";
+import { DEFAULT_TEAM_SIZE, TEAM_SIZE_OPTIONS } from "./teamCapacity.js";
 
 /**
  * @component CreateTeam
@@ -28,18 +30,19 @@ import ErrorToast from "../toasts/ErrorToast.jsx";
  * This component provides a user interface for project leads to create new teams.
  * It allows them to:
  *  - Enter a project name and description.
- *  - Select the type of developers required (frontend, backend, or both).
+ *  - List the skills the team needs, and how many people for each.
+ *  - Set the maximum team size; requests stop once the team is full.
  *  - Submit project details to the backend API for storage.
  *  - View a live preview of the project information as they fill out the form.
  */
 
 function CreateTeam() {
   /** --------------------------- State Management --------------------------- */
-  const { triggerRefresh } = useDashboard();
-  const [refresh, setRefresh] = useState(false);
+  const queryClient = useQueryClient();
   const [projectName, setProjectName] = useState("");
   const [projectDescription, setProjectDescription] = useState("");
-  const [need, setNeed] = useState({ frontend: true, backend: true });
+  const [skills, setSkills] = useState([]);
+  const [maxMembers, setMaxMembers] = useState(DEFAULT_TEAM_SIZE);
   const [count, setCount] = useState(0);
   const [error, setError] = useState("");
   const [created, setCreated] = useState(false);
@@ -75,16 +78,16 @@ function CreateTeam() {
       email: user.email,
       projectname: projectName,
       description: projectDescription,
-      frontend: need.frontend,
-      backend: need.backend,
+      skills,
+      max_members: maxMembers,
     };
 
     try {
-      await axiosInstance.post("api/projectleads/", project);
+      await createProject(project);
       console.log("Project Created Successfully");
       setCreated(true);
-      triggerRefresh();
-      setRefresh(prev => !prev);
+      queryClient.invalidate(["leadprojects"]);
+      queryClient.invalidate(["projectcount"]);
     } catch (error) {
       console.error("An error occurred while creating the project:", error);
       setError("An error occurred while creating the project. Please try again.");
@@ -103,6 +106,10 @@ function CreateTeam() {
       setError("Project description must not exceed 500 words.");
       return;
     }
+    if (skills.length === 0) {
+      setError("Add at least one skill the team needs.");
+      return;
+    }
     setError("");
     postProject();
   };
@@ -168,46 +175,46 @@ function CreateTeam() {
 
           {/* --------------------------- Team Requirements --------------------------- */}
           <div>
-            <label htmlFor="req" className="block text-gray-700 font-medium mb-3">
+            <label htmlFor="req" className="block text-gray-700 font-medium mb-1">
               Team Requirements
             </label>
-            <div className="flex items-center gap-6">
-              <label className="flex items-center gap-2">
-                <input
-                  id="req"
-                  type="radio"
-                  name="requirement"
-                  value="frontend"
-                  checked={need.frontend && !need.backend}
-                  onChange={() => setNeed({ frontend: true, backend: false })}
-                  className="accent-blue-600"
-                />
-                Frontend Devs
-              </label>
-
-              <label className="flex items-center gap-2">
-                <input
-                  type="radio"
-                  name="requirement"
-                  value="backend"
-                  checked={!need.frontend && need.backend}
-                  onChange={() => setNeed({ frontend: false, backend: true })}
-                  className="accent-blue-600"
-                />
-                Backend Devs
-              </label>
+            <p className="text-sm text-gray-500 mb-3">
+              Add the skills you need and how many people for each.
+            </p>
+            <SkillTagInput
+              id="req"
+              kind="project"
+              value={skills}
+              onChange={(next) => {
+                setSkills(next);
+                setError("");
+              }}
+              placeholder="e.g. Frontend, Machine Learning..."
+            />
+          </div>
 
-              <label className="flex items-center gap-2">
-                <input
-                  type="radio"
-                  name="requirement"
-                  value="both"
-                  checked={need.frontend && need.backend}
-                  onChange={() => setNeed({ frontend: true, backend: true })}
-                  className="accent-blue-600"
-                />
-                Both
-              </label>
+          {/* --------------------------- Team Size --------------------------- */}
+          <div>
+            <label htmlFor="maxmembers" className="block text-gray-700 font-medium mb-1">
+              Maximum Team Size
+            </label>
+            <p className="text-sm text-gray-500 mb-3">
+              Members besides you. The team stops taking requests once it is full.
+            </p>
+            <div className="relative w-40">
+              <Users className="absolute left-3 top-2.5 text-gray-400" size={18} />
+              <select
+                id="maxmembers"
+                value={maxMembers}
+                onChange={(e) => setMaxMembers(Number(e.target.value))}
+                className="w-full border border-gray-300 rounded-xl pl-10 pr-3 py-2.5 bg-white focus:ring-2 focus:ring-blue-400 focus:outline-none transition"
+              >
+                {TEAM_SIZE_OPTIONS.map((size) => (
+                  <option key={size} value={size}>
+                    {size}
+                  </option>
+                ))}
+              </select>
             </div>
           </div>
 
@@ -253,18 +260,16 @@ function CreateTeam() {
 
           <div>
             <p className="text-sm font-medium text-gray-500">Team Requirement</p>
-            <div className="flex gap-2 mt-1">
-              {need.frontend && (
-                <span className="text-xs px-3 py-1 rounded-full bg-blue-100 text-blue-700 font-medium">
-                  Frontend
-                </span>
-              )}
-              {need.backend && (
-                <span className="text-xs px-3 py-1 rounded-full bg-green-100 text-green-700 font-medium">
-                  Backend
-                </span>
-              )}
-            </div>
+            {skills.length > 0 ? (
+              <SkillTags skills={skills} className="mt-1" />
+            ) : (
+              <p className="text-gray-700">No skills added yet</p>
+            )}
+          </div>
+
+          <div>
+            <p className="text-sm font-medium text-gray-500">Team Size</p>
+            <p className="text-gray-700">Up to {maxMembers} {maxMembers === 1 ? "member" : "members"}</p>
           </div>
 
           <div className="mt-6 flex items-center gap-2">
@@ -3,21 +3,22 @@
  * @description 
  * Main dashboard component for authenticated users. It serves as the central navigation hub
  * allowing users to create new teams, join existing ones, and manage their current teams.
- * The component also handles authentication verification, token-based redirection, and 
- * user data retrieval via the backend API.
+ * Authentication is enforced by the `RequireAuth` route guard, which only renders this
+ * component once AuthContext has restored the user's session.
  * @author Pranav Singh
  */
 
-import React, { useState, useEffect, useContext } from "react";
-import { useNavigate } from "react-router-dom";
-import axiosInstance from "../Interceptors/axiosInstance";
-import axios from 'axios';
+import React, { useContext } from "react";
+import { Link, NavLink, Outlet } from "react-router-dom";
+import { getProjectCounts } from "../api/projects.js";
 import Logout from "./Logout.jsx";
-import CreateTeam from "./createteam.jsx";
-import JoinTeam from "./jointeam.jsx";
-import MyTeams from "./myteams.jsx";
 import { AuthContext } from "../context/AuthProvider.jsx";
-import { useDashboard } from "../context/DashboardContext.jsx";
+import NotificationBell from "../components/NotificationBell.jsx";
+import SkillTags from "../components/SkillTags.jsx";
+import Avatar from "../components/Avatar.jsx";
+import { userSkills } from "../skills/skills.js";
+import { useQuery } from "../hooks/useQuery.js";
+import { queryKeys } from "../query/keys.js";
 import {
   Users,
   PlusCircle,
@@ -25,8 +26,8 @@ import {
   UserPlus,
   Layers,
   Clock,
+  UserRound,
 } from "lucide-react";
-import LeadProjects from "./ProjectTabs/LeadProjects.jsx";
 
 /**
  * @component Home
@@ -36,104 +37,38 @@ import LeadProjects from "./ProjectTabs/LeadProjects.jsx";
  * a sidebar — including creating, joining, and managing teams.
  *
  * @features
- *  - Validates authentication tokens and redirects unauthorized users.
- *  - Displays user information and activity stats.
- *  - Renders subcomponents dynamically based on the selected sidebar tab.
+ *  - Displays user information and activity stats; the profile card links to `/profile`.
+ *  - Shows the notification bell with the user's unread notifications.
+ *  - Acts as the layout route for `/home/*`, project pages and profiles: the nested route
+ *    selected through the sidebar links (create, join, teams, profile) is rendered
+ *    through an `<Outlet />`.
  */
 
+/** Shown until the counts have been fetched */
+const EMPTY_COUNTS = { createdprojects: 0, joinedprojects: 0, pendingrequests: 0 };
+
 function Home() {
   /** --------------------------- Context and Navigation --------------------------- */
-  // Accessing authentication data and user login function from AuthContext.
-  const { user, loginUser } = useContext(AuthContext);
-
-  // Using Dashboard context to check for refresh to update the counts
-  const { refreshDashboard } = useDashboard();
-
-  // React Router navigation hook.
-  const navigate = useNavigate();
-
-  /** --------------------------- State Management --------------------------- */
-  // Tracks which sidebar tab is currently active: "create", "join", or "teams".
-  const [activeTab, setActiveTab] = useState("create");
-
-  // Tracks which component to load in the ProjectTab: JoinedProjects, LeadProjects, RequestedProjects
-  const [tab, setTab] = useState("");
-  
-  // Tracks the count of each of: "createdprojects", "joinedprojects", "pendingrequests"
-  const [counts, setCounts] = useState({createdprojects: 0, joinedprojects: 0, pendingrequests: 0});
-  /** ------------------------------------------------------------------------
-   * @function useEffect (Authentication Check)
-   * @description Checks for the presence of a valid access token on component mount.
-   *              If no token exists, the user is redirected to the login page.
-   *              If a token exists, it fetches authenticated user details.
-   * ------------------------------------------------------------------------ */
-  useEffect(() => {
-    const token = localStorage.getItem("access_token");
-
-    if (!token) {
-      navigate("/");
-      localStorage.setItem("islogged", false);
-    } else {
-      (async () => {
-        try {
-          const { data } = await axiosInstance.get("api/accounts/home/");
-          loginUser(data);
-        } catch (error) {
-          console.log("Not Authorized");
-          localStorage.setItem("islogged", false);
-          navigate("/");
-        }
-      })();
-    }
-  }, []);
-
-  /** ------------------------------------------------------------------------
-   * @function useEffect (Storage Listener)
-   * @description Listens for changes in localStorage to automatically
-   *              redirect the user when logged out from another tab or window.
-   * ------------------------------------------------------------------------ */
-  useEffect(() => {
-    const handleStorageChange = (event) => {
-      if (event.key === "islogged" && event.newValue === "false") {
-        navigate("/");
-      }
-    };
-
-    window.addEventListener("storage", handleStorageChange);
-    return () => window.removeEventListener("storage", handleStorageChange);
-  }, []);
+  // Accessing the logged-in user from AuthContext.
+  const { user } = useContext(AuthContext);
 
   /** ------------------------------------------------------------------------
-   * @function useEffect (Triggers on Dashboard Refresh)
-   * @description Checks for dashboard refresh to update the counts of various
-   *              tabs after receiving the counts from the backend.
+   * @function useQuery (projectcount)
+   * @description Counts of the various tabs: "createdprojects", "joinedprojects",
+   *              "pendingrequests". Cached, and refetched whenever an action or a
+   *              live update invalidates `projectcount`.
    * ------------------------------------------------------------------------- */
-  useEffect(() => {
-    if(!user || !user.email) return;
-
-    const getCounts = async () => {
-      try{
-        const response = await axiosInstance.get("api/projectcount/",{
-          params: {email:user.email}
-        });
-        setCounts({createdprojects: response.data["createdprojects"], 
-          joinedprojects: response.data["joinedprojects"], 
-          pendingrequests: response.data["pendingrequests"]
-        });
-      }
-      catch(err){
-        console.log("Error occurred",err);
-      }
-    }
-
-    getCounts();
-  },[user, refreshDashboard])
+  const { data: counts = EMPTY_COUNTS } = useQuery(
+    queryKeys.counts(user?.email),
+    () => getProjectCounts(user.email),
+    { enabled: !!user?.email }
+  );
 
   /** --------------------------- Dashboard Stats --------------------------- */
   const stats = [
-    { label: "Teams Created", value: counts["createdprojects"] , className:"created", icon: <PlusCircle className="text-blue-500" /> },
-    { label: "Teams Joined", value: counts["joinedprojects"], className:"joined", icon: <Users className="text-green-500" /> },
-    { label: "Pending Requests", value: counts["pendingrequests"], className:"pending",icon: <Clock className="text-yellow-500" /> },
+    { label: "Teams Created", value: counts["createdprojects"] , to:"/home/teams/created", icon: <PlusCircle className="text-blue-500" /> },
+    { label: "Teams Joined", value: counts["joinedprojects"], to:"/home/teams/joined", icon: <Users className="text-green-500" /> },
+    { label: "Pending Requests", value: counts["pendingrequests"], to:"/home/teams/pending",icon: <Clock className="text-yellow-500" /> },
   ];
 
   /** --------------------------- JSX Structure --------------------------- */
@@ -152,20 +87,22 @@ function Home() {
           <SidebarButton
             icon={<PlusCircle size={20} />}
             label="Create a Team"
-            active={activeTab === "create"}
-            onClick={() => setActiveTab("create")}
+            to="/home/create"
           />
           <SidebarButton
             icon={<UserPlus size={20} />}
             label="Join a Team"
-            active={activeTab === "join"}
-            onClick={() => setActiveTab("join")}
+            to="/home/join"
           />
           <SidebarButton
             icon={<Layers size={20} />}
             label="My Teams"
-            active={activeTab === "teams"}
-            onClick={() => setActiveTab("teams")}
+            to="/home/teams"
+          />
+          <SidebarButton
+            icon={<UserRound size={20} />}
+            label="My Profile"
+            to="/profile"
           />
         </nav>
 
@@ -188,27 +125,28 @@ function Home() {
             {/* User Statistics */}
             <div className="flex gap-4 items-stretch flex-1">
               {stats.map((stat, index) => (
-                <div
-                  onClick={() => {setTab(stat.className), setActiveTab("teams")}}
+                <Link
+                  to={stat.to}
                   key={index}
                   className="bg-white rounded-2xl shadow-sm border border-gray-200 p-5 flex flex-col items-center justify-center hover:shadow-md transition flex-1"
                 >
                   <div className="mb-2">{stat.icon}</div>
                   <h3 className="text-xl font-bold text-gray-800">{stat.value}</h3>
                   <p className="text-sm text-gray-500 mt-1">{stat.label}</p>
-                </div>
+                </Link>
               ))}
             </div>
 
+            {/* Notification Center */}
+            <NotificationBell />
+
             {/* User Profile Card */}
-            <div className="bg-white rounded-2xl border border-gray-300 shadow-sm hover:shadow-md transition p-5 flex items-center space-x-4 w-[420px] flex-shrink-0">
-              <div className="flex-shrink-0">
-                <img
-                  className="w-14 h-14 rounded-full object-cover border border-gray-200"
-                  src="https://cdn-icons-png.flaticon.com/512/847/847969.png"
-                  alt="User Avatar"
-                />
-              </div>
+            <Link
+              to="/profile"
+              aria-label="Edit your profile"
+              className="bg-white rounded-2xl border border-gray-300 shadow-sm hover:shadow-md transition p-5 flex items-center space-x-4 w-[420px] flex-shrink-0"
+            >
+              <Avatar user={user} />
 
               <div className="flex flex-col flex-grow">
                 <p className="font-semibold text-lg text-gray-800">
@@ -216,27 +154,14 @@ function Home() {
                 </p>
                 <p className="text-gray-500 text-sm mb-1">{user.email}</p>
 
-                <div className="flex gap-2 mt-1">
-                  {user.frontend && (
-                    <span className="text-xs px-3 py-1 rounded-full bg-blue-100 text-blue-700 font-medium">
-                      Frontend
-                    </span>
-                  )}
-                  {user.backend && (
-                    <span className="text-xs px-3 py-1 rounded-full bg-green-100 text-green-700 font-medium">
-                      Backend
-                    </span>
-                  )}
-                </div>
+                <SkillTags skills={userSkills(user)} compact className="mt-1" />
               </div>
-            </div>
+            </Link>
           </div>
         )}
 
-        {/* --------------------------- Dynamic Content Rendering --------------------------- */}
-        {activeTab === "create" && <CreateTeam />}
-        {activeTab === "join" && <JoinTeam />}
-        {activeTab === "teams" && <MyTeams val={tab}/>}
+        {/* --------------------------- Nested Route Rendering --------------------------- */}
+        <Outlet />
       </div>
     </div>
   );
@@ -245,27 +170,27 @@ function Home() {
 /**
  * @component SidebarButton
  * @description
- * Reusable button component for the sidebar navigation.
+ * Reusable link component for the sidebar navigation. It is highlighted
+ * while the current URL is inside the route it points to.
  *
  * @param {Object} props - Component props
  * @param {JSX.Element} props.icon - Icon displayed alongside the label
- * @param {string} props.label - Text label for the button
- * @param {boolean} props.active - Indicates whether the button is currently active
- * @param {Function} props.onClick - Callback triggered when the button is clicked
+ * @param {string} props.label - Text label for the link
+ * @param {string} props.to - Dashboard route the link navigates to
  */
-function SidebarButton({ icon, label, active, onClick }) {
+function SidebarButton({ icon, label, to }) {
   return (
-    <button
-      onClick={onClick}
-      className={`w-full flex items-center gap-3 px-5 py-3 rounded-xl font-medium transition-all duration-200 ${
-        active
+    <NavLink
+      to={to}
+      className={({ isActive }) => `w-full flex items-center gap-3 px-5 py-3 rounded-xl font-medium transition-all duration-200 ${
+        isActive
           ? "bg-blue-600 text-white shadow-md scale-[1.02]"
           : "text-gray-700 hover:bg-blue-50 hover:text-blue-600"
       }`}
     >
       {icon}
       <span>{label}</span>
-    </button>
+    </NavLink>
   );
 }
 
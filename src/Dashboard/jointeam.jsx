@@ -3,35 +3,63 @@
  * @description
  * This component allows authenticated users to browse available teams/projects and send
  * join requests to team owners. It displays a list of teams fetched from the backend
- * based on the user's skill set (frontend/backend). Upon selecting a project, details
+ * whose required skills overlap the user's skill tags. Upon selecting a project, details
  * appear on the right side with the message input and project info.
  *
  * It features:
- * - Dynamic fetching of team data using Axios
+ * - Dynamic fetching of team data through the `api/projects` module
  * - Real-time validation of message input
  * - Context-aware user data via AuthContext
- * - Inline detail view for selected project
+ * - Inline detail view for selected project, linking to the project's own page
+ * - "Recommended for you": the best matches for the user's skills, with the reasons why
+ * - Search, skill filters and sorting, kept in the URL query string (see `projectFilters.js`)
+ * - Cursor pagination with infinite scroll, and a virtualized grid so only the cards on
+ *   screen are rendered. The selected project stays open as more pages load.
+ * - Team capacity on every card ("3/5 members, 1 Backend slot open"); full teams aren't listed
+ * - Live updates: the list follows projects being created, edited or filled elsewhere
  * - Error handling via a custom ErrorToast component
  *
  * @module JoinTeam
  * @author Pranav Singh
  */
 
-import React, { useEffect, useContext, useState } from "react";
-import axios from "axios";
-import axiosInstance from "../Interceptors/axiosInstance";
+import React, { useContext, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { listAvailableProjects, listRecommendationCandidates } from "../api/projects.js";
+import { sendJoinRequest } from "../api/requests.js";
 import { AuthContext } from "../context/AuthProvider.jsx";
 import SuccessToast from "../toasts/SuccessToast.jsx";
 import ErrorToast from "../toasts/ErrorToast.jsx";
-import { useDashboard } from "../context/DashboardContext.jsx";
+import { useInfiniteQuery, useQuery, useQueryClient } from "../hooks/useQuery.js";
+import { queryKeys } from "../query/keys.js";
+import { MESSAGE_MAX_LENGTH, validateRequestMessage } from "./requestMessage.js";
+import {
+  SORT_OPTIONS,
+  needOptions,
+  readProjectFilters,
+  writeProjectFilters,
+  hasActiveFilters,
+  toApiFilters,
+} from "./projectFilters.js";
+import useDebouncedValue from "../hooks/useDebouncedValue.js";
+import { projectSkills } from "../skills/skills.js";
+import { recommendProjects } from "../skills/matchScore.js";
+import RecommendedProjects from "./RecommendedProjects.jsx";
+import { capacitySummary } from "./teamCapacity.js";
+import { projectPagePath } from "./paths.js";
+import useMediaQuery from "../hooks/useMediaQuery.js";
+import VirtualList from "../components/VirtualList.jsx";
+import LoadMore from "../components/LoadMore.jsx";
+import SkillTags from "../components/SkillTags.jsx";
+import Avatar from "../components/Avatar.jsx";
 import {
   Users,
   MessageCircle,
   Layers,
   ArrowRight,
-  Code,
-  Monitor,
-  Server,
+  Search,
+  UserRound,
+  ArrowUpRight,
 } from "lucide-react";
 
 /**
@@ -45,39 +73,93 @@ import {
 function JoinTeam() {
   /** --------------------------- State Management --------------------------- */
   const { user } = useContext(AuthContext);
-  const { triggerRefresh } = useDashboard();
-  const [refresh, setRefresh] = useState(false);
-  const [projects, setProjects] = useState([]);
-  const [loading, setLoading] = useState(true);
+  const queryClient = useQueryClient();
   const [success, setSuccess] = useState("");
   const [message, setMessage] = useState("");
   const [count, setCount] = useState(0);
   const [error, setError] = useState("");
-  const [selectedProject, setSelectedProject] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const filters = readProjectFilters(searchParams);
+
+  // Typing only queries the API once the search box has been still for a moment.
+  const search = useDebouncedValue(filters.search);
+  const apiFilters = toApiFilters({ ...filters, search });
 
   /** ------------------------------------------------------------------------
-   * @function useEffect
-   * @description Fetches available projects from the API based on the user’s skills (frontend/backend).
-   * Triggered whenever the `user` object changes.
+   * @function useInfiniteQuery
+   * @description Available projects needing any of the user's skills, narrowed down by
+   * the filters, one page at a time. The cache keeps the loaded pages fresh as projects change
+   * elsewhere; the selection follows its latest copy on whichever page it is and disappears
+   * once the project is no longer listed. The previous results stay on screen while a new
+   * filter loads.
    * ------------------------------------------------------------------------ */
-  useEffect(() => {
-    if (!user) return;
-
-    const fetchProjects = async () => {
-      try {
-        const response = await axiosInstance.get("api/projects/", {
-          params: { email: user.email, frontend: user.frontend, backend: user.backend },
-        });
-        setProjects(response.data || []);
-      } catch (err) {
-        console.error("Error fetching projects:", err);
-      } finally {
-        setLoading(false);
-      }
-    };
+  const {
+    items: projects,
+    isLoading: loading,
+    hasNextPage,
+    isFetchingNextPage,
+    fetchNextPage,
+  } = useInfiniteQuery(
+    queryKeys.availableProjects(user?.email, apiFilters),
+    (cursor) => listAvailableProjects(user, apiFilters, cursor),
+    { enabled: !!user, keepPreviousData: true }
+  );
+
+  /** ------------------------------------------------------------------------
+   * @function useQuery
+   * @description Candidates for "Recommended for you", scored on the client so the
+   * weighting can be tuned without a backend change. Shares the `availableprojects`
+   * prefix, so whatever refreshes the list refreshes the recommendations too.
+   * ------------------------------------------------------------------------ */
+  const { data: candidates } = useQuery(
+    queryKeys.recommendedProjects(user?.email),
+    () => listRecommendationCandidates(user),
+    { enabled: !!user }
+  );
+  const recommended = recommendProjects(candidates?.results ?? [], user);
+
+  // A recommended project may be on a page of the list that isn't loaded yet.
+  const selectedProject =
+    projects.find((p) => p.id === selectedId) ??
+    recommended.find((m) => m.project.id === selectedId)?.project ??
+    null;
+
+  // Same breakpoints as the grid classes used before virtualization (sm: 2, xl: 3 columns).
+  const isSmall = useMediaQuery("(min-width: 640px)");
+  const isExtraLarge = useMediaQuery("(min-width: 1280px)");
+  const columns = selectedProject ? 1 : isExtraLarge ? 3 : isSmall ? 2 : 1;
+
+  /** ------------------------------------------------------------------------
+   * @function loadMore
+   * @description Fetches the next page, unless one is already loading or this was the last.
+   * ------------------------------------------------------------------------ */
+  const loadMore = () => {
+    if (hasNextPage && !isFetchingNextPage) fetchNextPage().catch(() => {});
+  };
+
+  /** ------------------------------------------------------------------------
+   * @function updateFilters
+   * @description Writes changed filters to the URL, replacing the history entry so typing
+   * doesn't fill the back button with every keystroke.
+   * @param {Partial<import("./projectFilters.js").ProjectFilters>} changes
+   * ------------------------------------------------------------------------ */
+  const updateFilters = (changes) => {
+    setSearchParams(writeProjectFilters({ ...filters, ...changes }), { replace: true });
+  };
 
-    fetchProjects();
-  }, [user, refresh]);
+  /** ------------------------------------------------------------------------
+   * @function toggleNeed
+   * @description Adds or removes a skill filter.
+   * @param {string} need - Skill tag
+   * ------------------------------------------------------------------------ */
+  const toggleNeed = (need) => {
+    updateFilters({
+      needs: filters.needs.includes(need)
+        ? filters.needs.filter((n) => n !== need)
+        : [...filters.needs, need],
+    });
+  };
 
   /** ------------------------------------------------------------------------
    * @function handleMessageChange
@@ -85,7 +167,7 @@ function JoinTeam() {
    * ------------------------------------------------------------------------ */
   const handleMessageChange = (e) => {
     const value = e.target.value;
-    if (value.length > 400) return;
+    if (value.length > MESSAGE_MAX_LENGTH) return;
     setCount(value.length);
     setMessage(value);
   };
@@ -93,12 +175,13 @@ function JoinTeam() {
   /** ------------------------------------------------------------------------
    * @function authenticateData
    * @description Validates message and project selection, constructs the join request payload,
-   * and sends it to the backend API. Also triggers dashboard refresh.
+   * and sends it to the backend API. Also invalidates the resources the request changes.
    * ------------------------------------------------------------------------ */
   const authenticateData = async () => {
     const final_message = message.trim();
-    if (final_message.length < 10) {
-      setError("Message is too short");
+    const messageError = validateRequestMessage(final_message);
+    if (messageError) {
+      setError(messageError);
       return;
     }
 
@@ -115,11 +198,12 @@ function JoinTeam() {
     };
 
     try {
-      await axiosInstance.post("api/projectrequests/", new_request);
+      await sendJoinRequest(new_request);
       setSuccess("Request sent successfully!");
-      triggerRefresh();
-      setRefresh((prev) => !prev);
-      setSelectedProject(null);
+      ["availableprojects", "pendingprojects", "requesthistory", "projectcount"].forEach((resource) =>
+        queryClient.invalidate([resource])
+      );
+      setSelectedId(null);
       setMessage("");
       setCount(0);
     } catch (err) {
@@ -168,81 +252,140 @@ function JoinTeam() {
             Join a Team
           </h2>
 
-          {projects.length === 0 ? (
+          {/* --------------------------- Recommended for You --------------------------- */}
+          {!hasActiveFilters(filters) && (
+            <RecommendedProjects
+              matches={recommended}
+              selectedId={selectedId}
+              onSelect={(id) => setSelectedId((prev) => (prev === id ? null : id))}
+            />
+          )}
+
+          {/* --------------------------- Search, Filters & Sort --------------------------- */}
+          <div className="flex flex-wrap items-center gap-3 mb-6">
+            <div className="relative flex-1 min-w-[14rem]">
+              <Search size={16} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+              <input
+                type="search"
+                aria-label="Search projects"
+                placeholder="Search by name, description or owner"
+                value={filters.search}
+                onChange={(e) => updateFilters({ search: e.target.value })}
+                className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-xl text-sm focus:ring-2 focus:ring-indigo-500 focus:outline-none"
+              />
+            </div>
+            {needOptions(user, filters).map((option) => (
+              <button
+                key={option.value}
+                type="button"
+                aria-pressed={filters.needs.includes(option.value)}
+                onClick={() => toggleNeed(option.value)}
+                className={`px-3 py-2 rounded-xl text-sm border transition ${
+                  filters.needs.includes(option.value)
+                    ? "bg-indigo-600 border-indigo-600 text-white"
+                    : "bg-white border-gray-300 text-gray-600 hover:border-indigo-400"
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+            <select
+              aria-label="Sort projects"
+              value={filters.sort}
+              onChange={(e) => updateFilters({ sort: e.target.value })}
+              className="px-3 py-2 border border-gray-300 rounded-xl text-sm bg-white focus:ring-2 focus:ring-indigo-500 focus:outline-none"
+            >
+              {SORT_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {projects.length === 0 && hasActiveFilters(filters) ? (
+            <div className="text-gray-500 text-center">
+              <p>No teams match your search.</p>
+              <button
+                type="button"
+                onClick={() => setSearchParams({}, { replace: true })}
+                className="mt-2 text-indigo-600 text-sm font-medium hover:underline"
+              >
+                Clear filters
+              </button>
+            </div>
+          ) : projects.length === 0 ? (
             <p className="text-gray-500 text-center">
               No teams available to join currently. Check back later!
             </p>
           ) : (
-            <div
-              className={`grid gap-6 ${
-                selectedProject
-                  ? "grid-cols-1"
-                  : "grid-cols-1 sm:grid-cols-2 lg:grid-cols-2 xl:grid-cols-3"
-              }`}
-            >
-              {projects.map((team) => (
-                <div
-                  key={team.id || team.projectname}
-                  onClick={() =>
-                    setSelectedProject((prev) =>
-                      prev?.projectname === team.projectname ? null : team
-                    )
-                  }
-                  className={`relative cursor-pointer flex flex-col p-5 rounded-3xl transition-transform duration-300 ease-in-out
-                    ${
-                      selectedProject?.projectname === team.projectname
-                        ? "bg-gradient-to-r from-indigo-50 via-white to-indigo-50 border-2 border-indigo-600 shadow-2xl transform scale-105"
-                        : "bg-white border border-gray-200 shadow hover:shadow-2xl hover:scale-105"
+            <>
+              <VirtualList
+                items={projects}
+                getKey={(team) => team.id}
+                columns={columns}
+                gap={24}
+                estimateSize={200}
+                onEndReached={loadMore}
+                renderItem={(team) => (
+                  <div
+                    onClick={() =>
+                      setSelectedId((prev) => (prev === team.id ? null : team.id))
                     }
-                  `}
-                >
-                  {/* Card content */}
-                  <div className="flex items-start justify-between gap-4">
-                    <div>
-                      <h3 className="text-lg font-semibold text-gray-900 flex items-center gap-2">
-                        <Layers className="text-indigo-600" size={18} />
-                        {team.projectname}
-                      </h3>
-                      <p className="text-gray-500 text-sm mt-2">
-                        Owner: <span className="text-gray-700 font-medium">{team.fname} {team.lname}</span>
-                      </p>
-
-                      <p className="text-gray-500 text-sm mt-3 line-clamp-3">
-                        {team.description
-                          ? team.description.slice(0, 120) +
-                            (team.description.length > 120 ? "…" : "")
-                          : "No description provided."}
-                      </p>
-
-                      <div className="flex flex-wrap gap-2 mt-4">
-                        {team.frontend && (
-                          <span className="flex items-center gap-2 px-3 py-1 rounded-full text-xs font-semibold bg-gradient-to-r from-indigo-50 to-indigo-50/40 border border-indigo-200/60 shadow-sm hover:shadow-md">
-                            <Code className="w-4 h-4 text-indigo-600" />
-                            <span className="text-indigo-700">Frontend</span>
-                          </span>
-                        )}
-                        {team.backend && (
-                          <span className="flex items-center gap-2 px-3 py-1 rounded-full text-xs font-semibold bg-gradient-to-r from-green-50 to-green-50/40 border border-green-200/60 shadow-sm hover:shadow-md">
-                            <Monitor className="w-4 h-4 text-green-600" />
-                            <span className="text-green-700">Backend</span>
-                          </span>
-                        )}
-                        {team.fullstack && (
-                          <span className="flex items-center gap-2 px-3 py-1 rounded-full text-xs font-semibold bg-gradient-to-r from-purple-50 to-purple-50/40 border border-purple-200/60 shadow-sm hover:shadow-md">
-                            <Server className="w-4 h-4 text-purple-600" />
-                            <span className="text-purple-700">Full Stack</span>
-                          </span>
+                    className={`relative cursor-pointer flex flex-col p-5 rounded-3xl transition-transform duration-300 ease-in-out
+                      ${
+                        selectedId === team.id
+                          ? "bg-gradient-to-r from-indigo-50 via-white to-indigo-50 border-2 border-indigo-600 shadow-2xl transform scale-105"
+                          : "bg-white border border-gray-200 shadow hover:shadow-2xl hover:scale-105"
+                      }
+                    `}
+                  >
+                    {/* Card content */}
+                    <div className="flex items-start justify-between gap-4">
+                      <div>
+                        <h3 className="text-lg font-semibold text-gray-900 flex items-center gap-2">
+                          <Layers className="text-indigo-600" size={18} />
+                          {team.projectname}
+                        </h3>
+                        <p className="text-gray-500 text-sm mt-2">
+                          Owner: <span className="text-gray-700 font-medium">{team.fname} {team.lname}</span>
+                        </p>
+                        {team.member_count !== undefined && (
+                          <p className="text-gray-500 text-xs mt-1 flex items-center gap-1">
+                            <UserRound size={12} />
+                            {capacitySummary(team)}
+                          </p>
                         )}
+
+                        <p className="text-gray-500 text-sm mt-3 line-clamp-3">
+                          {team.description
+                            ? team.description.slice(0, 120) +
+                              (team.description.length > 120 ? "…" : "")
+                            : "No description provided."}
+                        </p>
+
+                        <SkillTags
+                          skills={projectSkills(team)}
+                          matched={team.matched_skills}
+                          compact
+                          className="mt-4"
+                        />
                       </div>
-                    </div>
 
-                    <div className="text-gray-400">
-                      <ArrowRight size={18} />
+                      <div className="text-gray-400">
+                        <ArrowRight size={18} />
+                      </div>
                     </div>
                   </div>
-                </div>
-              ))}
-            </div>
+                )}
+              />
+              <LoadMore
+                hasNextPage={hasNextPage}
+                isFetchingNextPage={isFetchingNextPage}
+                onLoadMore={loadMore}
+                loadingLabel="Loading more projects..."
+              />
+            </>
           )}
         </div>
 
@@ -262,42 +405,47 @@ function JoinTeam() {
                   {selectedProject.description || "No description provided."}
                 </p>
 
-                <p className="text-gray-500 mb-2">
+                <p className="text-gray-500 mb-2 flex items-center gap-1">
+                  <Avatar
+                    user={{
+                      email: selectedProject.owner_email,
+                      firstname: selectedProject.fname,
+                      lastname: selectedProject.lname,
+                      avatar: selectedProject.owner_avatar,
+                    }}
+                    size="xs"
+                  />
                   Owner:{" "}
                   <span className="text-gray-700 font-medium">
                     {selectedProject.fname} {selectedProject.lname}
                   </span>
                 </p>
-                <p className="text-gray-500 mb-4">
+                <p className="text-gray-500 mb-2">
                   Email: <span className="text-gray-700">{selectedProject.owner_email}</span>
                 </p>
+                <p className="text-gray-500 mb-4 flex items-center gap-1">
+                  <UserRound size={14} />
+                  {capacitySummary(selectedProject)}
+                </p>
 
-                <div className="flex flex-wrap gap-3 mb-6">
-                  {selectedProject.frontend && (
-                    <span className="flex items-center gap-2 px-3 py-1 rounded-full text-sm font-medium bg-gradient-to-r from-indigo-50 to-indigo-50/40 border border-indigo-200/60 shadow-sm">
-                      <Code className="w-4 h-4 text-indigo-600" />
-                      <span className="text-indigo-700">Frontend</span>
-                    </span>
-                  )}
-                  {selectedProject.backend && (
-                    <span className="flex items-center gap-2 px-3 py-1 rounded-full text-sm font-medium bg-gradient-to-r from-green-50 to-green-50/40 border border-green-200/60 shadow-sm">
-                      <Monitor className="w-4 h-4 text-green-600" />
-                      <span className="text-green-700">Backend</span>
-                    </span>
-                  )}
-                  {selectedProject.fullstack && (
-                    <span className="flex items-center gap-2 px-3 py-1 rounded-full text-sm font-medium bg-gradient-to-r from-purple-50 to-purple-50/40 border border-purple-200/60 shadow-sm">
-                      <Server className="w-4 h-4 text-purple-600" />
-                      <span className="text-purple-700">Full Stack</span>
-                    </span>
-                  )}
-                </div>
+                <p className="text-sm font-medium text-gray-500 mb-2">Skills needed</p>
+                <SkillTags
+                  skills={projectSkills(selectedProject)}
+                  matched={selectedProject.matched_skills}
+                  className="mb-4"
+                />
+                <Link
+                  to={projectPagePath(selectedProject)}
+                  className="text-sm text-indigo-600 hover:underline inline-flex items-center gap-1 mb-2"
+                >
+                  View project page <ArrowUpRight size={14} />
+                </Link>
               </div>
 
               <div className="hidden lg:flex items-start">
                 <button
                   onClick={() => {
-                    setSelectedProject(null);
+                    setSelectedId(null);
                   }}
                   aria-label="close panel"
                   className="text-gray-400 hover:text-gray-600 p-2 rounded-md"
@@ -316,7 +464,7 @@ function JoinTeam() {
               ></textarea>
 
               <div className="flex items-center justify-between">
-                <span className="text-gray-500 text-sm">{count}/400 characters</span>
+                <span className="text-gray-500 text-sm">{count}/{MESSAGE_MAX_LENGTH} characters</span>
                 <div className="flex items-center gap-3">
                   <button
                     type="button"
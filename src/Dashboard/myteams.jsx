@@ -3,44 +3,30 @@
  * @description 
  * React component that serves as a central hub for users to manage their teams.
  * It provides a tabbed interface to view created teams, pending join requests,
- * and teams the user has already joined. The component dynamically switches 
- * between views without reloading the page.
+ * teams the user has already joined, and the history of every request they sent.
+ * Each tab is a nested route (`/home/teams/created|pending|joined|history`), so views can be bookmarked, shared and
+ * navigated with the browser's back button.
  * @author Pranav Singh
  */
 
-import { useState, useEffect} from "react";
-import { Users, Clock, CheckCircle2 } from "lucide-react";
-import PendingProjects from "./ProjectTabs/RequestedProjects.jsx";
-import JoinedProjects from "./ProjectTabs/JoinedProjects.jsx";
-import LeadProjects from "./ProjectTabs/LeadProjects.jsx";
+import { NavLink, Outlet } from "react-router-dom";
+import { Users, Clock, CheckCircle2, History } from "lucide-react";
 
 /**
  * @component MyTeams
  * @description
- * This component acts as a container that organizes different team-related views
+ * This component acts as a layout route that organizes different team-related views
  * under an interactive tab-based interface.
  * 
  * @features
- *  - Displays three tabs: Created Teams, Pending Requests, and Joined Teams.
- *  - Allows seamless tab switching with visual indicators for the active tab.
- *  - Loads corresponding subcomponents (`LeadProjects`, `PendingProjects`, `JoinedProjects`)
- *    dynamically based on the selected tab.
+ *  - Displays four tabs: Created Teams, Pending Requests, Joined Teams and Request History.
+ *  - Highlights the tab matching the current URL.
+ *  - Renders the matching subcomponent (`LeadProjects`, `PendingProjects`, `JoinedProjects`,
+ *    `RequestHistory`)
+ *    through an `<Outlet />`.
  */
 
-function MyTeams(Tab="created") {
-  /** --------------------------- State Management --------------------------- */
-  // Tracks which tab is currently active: "created", "pending", or "joined".
-  const [activeTab, setActiveTab] = useState("created");
-
-  /** ------------------------------------------------------------------------
-   * @function UseEffect (Triggers on change in "Tab" object)
-   * @description Listens for change in "Tab" object and sets the ActiveTab
-   *              based on the change.
-   */
-  useEffect(() =>{
-    if(Tab.val!="") setActiveTab(Tab.val);
-  },[Tab])
-
+function MyTeams() {
   /** --------------------------- JSX Structure --------------------------- */
   return (
     <div className="bg-gray-50 rounded-xl p-8 shadow-sm border border-gray-200">
@@ -53,53 +39,50 @@ function MyTeams(Tab="created") {
       {/* --------------------------- Tab Navigation --------------------------- */}
       <div className="flex gap-6 mb-6 border-b border-gray-200">
         {/* Created Teams Tab */}
-        <button
-          onClick={() => setActiveTab("created")}
-          className={`flex items-center gap-2 pb-3 font-medium transition ${
-            activeTab === "created"
-              ? "text-indigo-600 border-b-2 border-indigo-600"
-              : "text-gray-500 hover:text-gray-700"
-          }`}
-        >
-          <Users size={18} />
-          Created Teams
-        </button>
+        <TabLink to="created" icon={<Users size={18} />} label="Created Teams" />
 
         {/* Pending Requests Tab */}
-        <button
-          onClick={() => setActiveTab("pending")}
-          className={`flex items-center gap-2 pb-3 font-medium transition ${
-            activeTab === "pending"
-              ? "text-indigo-600 border-b-2 border-indigo-600"
-              : "text-gray-500 hover:text-gray-700"
-          }`}
-        >
-          <Clock size={18} />
-          Pending Requests
-        </button>
+        <TabLink to="pending" icon={<Clock size={18} />} label="Pending Requests" />
 
         {/* Joined Teams Tab */}
-        <button
-          onClick={() => setActiveTab("joined")}
-          className={`flex items-center gap-2 pb-3 font-medium transition ${
-            activeTab === "joined"
-              ? "text-indigo-600 border-b-2 border-indigo-600"
-              : "text-gray-500 hover:text-gray-700"
-          }`}
-        >
-          <CheckCircle2 size={18} />
-          Joined Teams
-        </button>
+        <TabLink to="joined" icon={<CheckCircle2 size={18} />} label="Joined Teams" />
+
+        {/* Request History Tab */}
+        <TabLink to="history" icon={<History size={18} />} label="Request History" />
       </div>
 
       {/* --------------------------- Tab Content --------------------------- */}
       <div className="mt-4">
-        {activeTab === "created" && <LeadProjects />}
-        {activeTab === "pending" && <PendingProjects />}
-        {activeTab === "joined" && <JoinedProjects />}
+        <Outlet />
       </div>
     </div>
   );
 }
 
-export default MyTeams;
\ No newline at end of file
+/**
+ * @component TabLink
+ * @description
+ * Tab-styled link to one of the nested My Teams routes.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.to - Route path relative to `/home/teams`
+ * @param {JSX.Element} props.icon - Icon displayed alongside the label
+ * @param {string} props.label - Text label for the tab
+ */
+function TabLink({ to, icon, label }) {
+  return (
+    <NavLink
+      to={to}
+      className={({ isActive }) => `flex items-center gap-2 pb-3 font-medium transition ${
+        isActive
+          ? "text-indigo-600 border-b-2 border-indigo-600"
+          : "text-gray-500 hover:text-gray-700"
+      }`}
+    >
+      {icon}
+      {label}
+    </NavLink>
+  );
+}
+
+export default MyTeams;
@@ -0,0 +1,72 @@
+/**
+ * @file notifications.js
+ * @description Turns notifications from the API into the text and link shown in the
+ * notification center. Leads are sent to the project on the Created Teams tab,
+ * members to the Joined Teams tab. Mentions open the project's chat.
+ * @author Pranav Singh
+ */
+
+import { createdProjectPath, joinedProjectPath } from "./paths.js";
+
+/** Sentence and destination per notification type */
+const TYPES = {
+  request_received: {
+    text: (actor, project) => `${actor} asked to join ${project}`,
+    path: (n) => createdProjectPath({ id: n.project_id, projectname: n.projectname }),
+  },
+  request_withdrawn: {
+    text: (actor, project) => `${actor} withdrew their request to join ${project}`,
+    path: (n) => createdProjectPath({ id: n.project_id, projectname: n.projectname }),
+  },
+  member_left: {
+    text: (actor, project) => `${actor} left ${project}`,
+    path: (n) => createdProjectPath({ id: n.project_id, projectname: n.projectname }),
+  },
+  request_accepted: {
+    text: (actor, project) => `You were accepted into ${project}`,
+    path: (n) => joinedProjectPath({ id: n.project_id, projectname: n.projectname }),
+  },
+  project_updated: {
+    text: (actor, project) => `${actor} updated ${project}`,
+    path: (n) => joinedProjectPath({ id: n.project_id, projectname: n.projectname }),
+  },
+  mentioned: {
+    text: (actor, project) => `${actor} mentioned you in ${project}`,
+    path: (n) => {
+      const project = { id: n.project_id, projectname: n.projectname };
+      return `${n.is_lead ? createdProjectPath(project) : joinedProjectPath(project)}?chat=open`;
+    },
+  },
+  request_rejected: {
+    text: (actor, project) => `Your request to join ${project} was declined`,
+    path: () => "/home/teams/history",
+  },
+  request_closed: {
+    text: (actor, project) => `${project} is full, so your request to join was closed`,
+    path: () => "/home/teams/history",
+  },
+  member_removed: {
+    text: (actor, project) => `You were removed from ${project}`,
+    path: () => "/home/teams/history",
+  },
+};
+
+/**
+ * @function describeNotification
+ * @description Sentence shown for a notification.
+ * @param {import("../api/notifications.js").Notification} n
+ * @returns {string}
+ */
+export const describeNotification = (n) => {
+  const actor = [n.actor_fname, n.actor_lname].filter(Boolean).join(" ") || n.actor_email;
+  const type = TYPES[n.type];
+  return type ? type.text(actor, n.projectname) : `Update on ${n.projectname}`;
+};
+
+/**
+ * @function notificationPath
+ * @description Dashboard route a notification opens when clicked.
+ * @param {import("../api/notifications.js").Notification} n
+ * @returns {string}
+ */
+export const notificationPath = (n) => TYPES[n.type]?.path(n) ?? "/home/teams";
@@ -0,0 +1,64 @@
+/**
+ * @file paths.js
+ * @description URL helpers for the dashboard's nested routes, so components that
+ * link to a specific project build the same path the router matches.
+ * @author Pranav Singh
+ */
+
+/**
+ * @function projectKey
+ * @description Returns the identifier used for a project in dashboard URLs.
+ * Falls back to the project name for responses that don't carry an id.
+ * @param {{ id?: number|string, projectname: string }} project
+ * @returns {string}
+ */
+export const projectKey = (project) => String(project.id ?? project.projectname);
+
+/**
+ * @function createdProjectPath
+ * @description Path of a project's expanded card on the Created Teams tab.
+ * @param {{ id?: number|string, projectname: string }} project
+ * @returns {string}
+ */
+export const createdProjectPath = (project) =>
+  `/home/teams/created/${encodeURIComponent(projectKey(project))}`;
+
+/**
+ * @function joinedProjectPath
+ * @description Path of a project's expanded card on the Joined Teams tab.
+ * @param {{ id?: number|string, projectname: string }} project
+ * @returns {string}
+ */
+export const joinedProjectPath = (project) =>
+  `/home/teams/joined/${encodeURIComponent(projectKey(project))}`;
+
+/**
+ * @function projectPagePath
+ * @description Path of a project's own page, which shows everything about it.
+ * @param {{ id: number|string }} project
+ * @returns {string}
+ */
+export const projectPagePath = (project) => `/projects/${encodeURIComponent(project.id)}`;
+
+/**
+ * @function userProfilePath
+ * @description Path of someone's public profile.
+ * @param {string} email
+ * @returns {string}
+ */
+export const userProfilePath = (email) => `/users/${encodeURIComponent(email)}`;
+
+/**
+ * @function togglePanel
+ * @description Opens or closes a panel of an expanded project card, such as the chat,
+ * which is kept in the URL as `?<name>=open`. Other panels stay as they are.
+ * @param {URLSearchParams} params - Current search params
+ * @param {string} name - e.g. "chat"
+ * @returns {URLSearchParams}
+ */
+export const togglePanel = (params, name) => {
+  const next = new URLSearchParams(params);
+  if (next.get(name) === "open") next.delete(name);
+  else next.set(name, "open");
+  return next;
+};
@@ -0,0 +1,88 @@
+/**
+ * @file projectFilters.js
+ * @description Search, filter and sort options of the Join a Team browser, and how they
+ * are kept in the URL query string (`?q=lab&needs=frontend,python&sort=members`).
+ * @author Pranav Singh
+ */
+
+import { normalizeSkill, skillLabel, skillNames, userSkills } from "../skills/skills.js";
+
+/** Sort options, mapped to the API's `ordering` parameter */
+export const SORT_OPTIONS = [
+  { value: "newest", label: "Newest", ordering: "-created_on" },
+  { value: "members", label: "Fewest members", ordering: "member_count" },
+];
+
+/**
+ * @typedef {Object} ProjectFilters
+ * @property {string} search
+ * @property {string[]} needs - Skill tags every listed project must need
+ * @property {"newest"|"members"} sort
+ */
+
+/**
+ * @function readProjectFilters
+ * @description Reads the filters from the URL, ignoring values it doesn't know.
+ * @param {URLSearchParams} searchParams
+ * @returns {ProjectFilters}
+ */
+export const readProjectFilters = (searchParams) => {
+  const needs = (searchParams.get("needs") || "").split(",").map(normalizeSkill).filter(Boolean);
+  const sort = searchParams.get("sort");
+  return {
+    search: searchParams.get("q") || "",
+    needs: [...new Set(needs)],
+    sort: SORT_OPTIONS.some((o) => o.value === sort) ? sort : SORT_OPTIONS[0].value,
+  };
+};
+
+/**
+ * @function needOptions
+ * @description Skill filters offered to a user: their own skills, then any other tag
+ * already filtered on through the URL.
+ * @param {import("../api/accounts.js").User} user
+ * @param {ProjectFilters} filters
+ * @returns {Array<{ value: string, label: string }>}
+ */
+export const needOptions = (user, { needs }) => {
+  const own = skillNames(userSkills(user));
+  return [...own, ...needs.filter((need) => !own.includes(need))].map((value) => ({
+    value,
+    label: `Needs ${skillLabel(value)}`,
+  }));
+};
+
+/**
+ * @function writeProjectFilters
+ * @description Builds the query string for the given filters. Defaults are left out so
+ * an unfiltered browser keeps a clean URL.
+ * @param {ProjectFilters} filters
+ * @returns {URLSearchParams}
+ */
+export const writeProjectFilters = ({ search, needs, sort }) => {
+  const params = new URLSearchParams();
+  if (search) params.set("q", search);
+  if (needs.length > 0) params.set("needs", needs.join(","));
+  if (sort !== SORT_OPTIONS[0].value) params.set("sort", sort);
+  return params;
+};
+
+/**
+ * @function hasActiveFilters
+ * @description True when the list is narrowed down by a search or a skill filter.
+ * @param {ProjectFilters} filters
+ * @returns {boolean}
+ */
+export const hasActiveFilters = ({ search, needs }) => search.trim() !== "" || needs.length > 0;
+
+/**
+ * @function toApiFilters
+ * @description Converts the filters to the parameters of `listAvailableProjects`.
+ * @param {ProjectFilters} filters
+ * @returns {{ search: string, needs: string[], ordering: string }}
+ */
+export const toApiFilters = ({ search, needs, sort }) => ({
+  search: search.trim(),
+  needs,
+  ordering: SORT_OPTIONS.find((o) => o.value === sort).ordering,
+});
@@ -0,0 +1,25 @@
+/**
+ * @file requestMessage.js
+ * @description Length rules for the message sent with a join request, shared by
+ * JoinTeam (sending) and PendingProjects (editing).
+ * @author Pranav Singh
+ */
+
+/** Longest message a join request can carry */
+export const MESSAGE_MAX_LENGTH = 400;
+
+/** Shortest message accepted, after trimming */
+export const MESSAGE_MIN_LENGTH = 10;
+
+/**
+ * @function validateRequestMessage
+ * @description Returns the error to show for a message, or an empty string if it can be sent.
+ * @param {string} message
+ * @returns {string}
+ */
+export const validateRequestMessage = (message) => {
+  const trimmed = message.trim();
+  if (trimmed.length < MESSAGE_MIN_LENGTH) return "Message is too short";
+  if (trimmed.length > MESSAGE_MAX_LENGTH) return "Message is too long";
+  return "";
+};
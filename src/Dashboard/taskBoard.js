@@ -0,0 +1,76 @@
+/**
+ * @file taskBoard.js
+ * @description Columns, ordering and progress of a project's task board. Moves are
+ * applied here exactly as the server applies them, so the board can update before the
+ * server answers.
+ * @author Pranav Singh
+ */
+
+/** Board columns, left to right */
+export const TASK_COLUMNS = [
+  { status: "todo", label: "To Do" },
+  { status: "in_progress", label: "In Progress" },
+  { status: "done", label: "Done" },
+];
+
+/**
+ * @function groupTasks
+ * @description Tasks per column, each column in board order.
+ * @param {import("../api/tasks.js").Task[]} tasks
+ * @returns {Object<import("../api/tasks.js").TaskStatus, import("../api/tasks.js").Task[]>}
+ */
+export const groupTasks = (tasks) =>
+  Object.fromEntries(
+    TASK_COLUMNS.map(({ status }) => [
+      status,
+      tasks.filter((t) => t.status === status).sort((a, b) => a.position - b.position),
+    ])
+  );
+
+/**
+ * @function moveTask
+ * @description Moves a task to `index` of the `status` column (its end when omitted) and
+ * renumbers the positions of the columns it left and joined.
+ * @param {import("../api/tasks.js").Task[]} tasks
+ * @param {number} taskId
+ * @param {import("../api/tasks.js").TaskStatus} status
+ * @param {number} [index]
+ * @returns {import("../api/tasks.js").Task[]} A new list; tasks that changed are copies
+ */
+export function moveTask(tasks, taskId, status, index) {
+  const task = tasks.find((t) => t.id === taskId);
+  if (!task) return tasks;
+  const columns = groupTasks(tasks.filter((t) => t.id !== taskId));
+  const target = columns[status];
+  target.splice(Math.max(0, Math.min(index ?? target.length, target.length)), 0, { ...task, status });
+  return Object.values(columns).flatMap((column) =>
+    column.map((t, position) => (t.position === position ? t : { ...t, position }))
+  );
+}
+
+/**
+ * @function taskProgress
+ * @description Progress summary for a project card, e.g. "2/5 tasks done".
+ * @param {import("../api/tasks.js").TaskCounts} [counts]
+ * @returns {{ label: string, percent: number }|null} Null for projects without tasks
+ */
+export const taskProgress = (counts) => {
+  const total = counts ? Object.values(counts).reduce((sum, n) => sum + n, 0) : 0;
+  if (total === 0) return null;
+  return { label: `${counts.done}/${total} tasks done`, percent: Math.round((counts.done / total) * 100) };
+};
+
+/** Today's calendar date in the user's time zone, as YYYY-MM-DD */
+const today = () => {
+  const now = new Date();
+  return new Date(now.getTime() - now.getTimezoneOffset() * 60 * 1000).toISOString().slice(0, 10);
+};
+
+/**
+ * @function isOverdue
+ * @description True for unfinished tasks whose due date has passed.
+ * @param {import("../api/tasks.js").Task} task
+ * @param {string} [on=today] - YYYY-MM-DD
+ * @returns {boolean}
+ */
+export const isOverdue = (task, on = today()) => !!task.due_date && task.status !== "done" && task.due_date < on;
@@ -0,0 +1,62 @@
+/**
+ * @file teamCapacity.js
+ * @description How full a team is: its member count against the maximum set by the lead,
+ * and the open slots of each required skill. Shared by the Join a Team and Created Teams
+ * cards and the accept confirmation. The lead doesn't count towards the maximum.
+ * @author Pranav Singh
+ */
+
+import { openSlots, projectSkills, skillLabel } from "../skills/skills.js";
+
+/** Largest team a project can ask for */
+export const MAX_TEAM_SIZE = 20;
+
+/** Maximum suggested when creating a team */
+export const DEFAULT_TEAM_SIZE = 4;
+
+/** Team sizes offered by the create and edit forms */
+export const TEAM_SIZE_OPTIONS = Array.from({ length: MAX_TEAM_SIZE }, (_, i) => i + 1);
+
+/**
+ * @function isFull
+ * @description True once a team has as many members as its maximum. Full teams no longer
+ * accept requests. Projects created before team sizes have no maximum and never fill.
+ * @param {import("../api/projects.js").Project} project
+ * @param {number} [members=project.member_count]
+ * @returns {boolean}
+ */
+export const isFull = (project, members = project.member_count ?? 0) =>
+  project.max_members != null && members >= project.max_members;
+
+/**
+ * @function wouldExceedCapacity
+ * @description True when accepting one more member would take the team over its maximum.
+ * @param {import("../api/projects.js").Project} project
+ * @param {number} [members=project.member_count]
+ * @returns {boolean}
+ */
+export const wouldExceedCapacity = (project, members = project.member_count ?? 0) =>
+  project.max_members != null && members + 1 > project.max_members;
+
+/** "3/5 members", or just "3 members" without a maximum */
+const sizeLabel = ({ member_count: members = 0, max_members: max }) => {
+  if (max != null) return `${members}/${max} members`;
+  return members === 1 ? "1 member" : `${members} members`;
+};
+
+/**
+ * @function capacitySummary
+ * @description One-line summary for a card, e.g. "3/5 members, 1 Backend slot open".
+ * @param {import("../api/projects.js").Project} project
+ * @returns {string}
+ */
+export const capacitySummary = (project) => {
+  const size = sizeLabel(project);
+  if (isFull(project)) return `${size}, team full`;
+
+  const open = projectSkills(project).filter((s) => openSlots(s) > 0);
+  if (open.length === 0) return `${size}, all roles filled`;
+  const total = open.reduce((sum, s) => sum + openSlots(s), 0);
+  const roles = open.map((s) => `${openSlots(s)} ${skillLabel(s.name)}`).join(", ");
+  return `${size}, ${roles} ${total === 1 ? "slot" : "slots"} open`;
+};
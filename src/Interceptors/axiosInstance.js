@@ -1,4 +1,7 @@
 import axios from "axios";
+import { isRefreshDue } from "../auth/jwt.js";
+import tokenStorage from "../auth/tokenStorage.js";
+
 const API_BASE = import.meta.env.VITE_API_BASE_URL
 const axiosInstance = axios.create({
   baseURL: `${API_BASE}`,
@@ -8,12 +11,73 @@ const axiosInstance = axios.create({
   },
 });
 
+// Token endpoints are never delayed or retried by the interceptors below.
+const isTokenRequest = (config) => config?.url?.includes("token/");
+
+// Statuses with which token/refresh/ rejects the refresh token itself. Anything else
+// (network errors, timeouts, 5xx) leaves the session alone so a later call can retry.
+const isRejectedToken = (error) => [400, 401].includes(error.response?.status);
+
+// ---------------- SESSION HANDLERS -----------------
+
+/* ------------------------------------------------------------------
+   Callbacks registered by AuthProvider: `onTokensRefreshed` receives the
+   new token pair, `onSessionExpired` is called once the refresh token is
+   rejected so the user can sign in again without losing the page they are on.
+-------------------------------------------------------------------*/
+let sessionHandlers = {
+  onTokensRefreshed: () => {},
+  onSessionExpired: () => {},
+};
+
+export const setSessionHandlers = (handlers) => {
+  sessionHandlers = { ...sessionHandlers, ...handlers };
+};
+
+// ---------------- TOKEN REFRESH LOGIC -----------------
+
+/* ------------------------------------------------------------------
+   Single in-flight refresh shared by every caller, so concurrent requests
+   (and the proactive refresh timer) wait on the same token rotation.
+-------------------------------------------------------------------*/
+let refreshPromise = null;
+
+export const refreshAccessToken = () => {
+  if (refreshPromise) return refreshPromise;
+
+  refreshPromise = (async () => {
+    try {
+      const response = await axiosInstance.post("api/token/refresh/", {
+        refresh: tokenStorage.getRefreshToken(),
+      });
+
+      tokenStorage.updateTokens(response.data);
+      sessionHandlers.onTokensRefreshed(response.data);
+
+      return response.data.access;
+    } catch (err) {
+      if (isRejectedToken(err)) sessionHandlers.onSessionExpired(err);
+      throw err;
+    } finally {
+      refreshPromise = null;
+    }
+  })();
+
+  return refreshPromise;
+};
+
 /* ------------------------------------------------------------------
-   Dynamically attach latest access token to every outgoing request.
+   Dynamically attach latest access token to every outgoing request,
+   refreshing it first when it is about to expire.
 -------------------------------------------------------------------*/
 axiosInstance.interceptors.request.use(
-  (config) => {
-    const token = localStorage.getItem("access_token");
+  async (config) => {
+    let token = tokenStorage.getAccessToken();
+
+    if (token && !isTokenRequest(config) && isRefreshDue(token)) {
+      token = await refreshAccessToken();
+    }
+
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
@@ -22,71 +86,30 @@ axiosInstance.interceptors.request.use(
   (error) => Promise.reject(error)
 );
 
-// ---------------- TOKEN REFRESH LOGIC -----------------
-
-let isRefreshing = false;
-let failedQueue = [];
-
-const processQueue = (error, token = null) => {
-  failedQueue.forEach((prom) => {
-    if (error) prom.reject(error);
-    else prom.resolve(token);
-  });
-  failedQueue = [];
-};
-
+/* ------------------------------------------------------------------
+   Fallback for tokens rejected before their `exp` (e.g. revoked or
+   clock skew): refresh once on 401 and retry the original request.
+-------------------------------------------------------------------*/
 axiosInstance.interceptors.response.use(
   (response) => response,
 
   async (error) => {
     const originalRequest = error.config;
 
-    if (originalRequest?.url?.includes("token/")) {
+    if (isTokenRequest(originalRequest)) {
       return Promise.reject(error);
     }
 
     if (error.response?.status === 401 && !originalRequest._retry) {
-      if (isRefreshing) {
-        return new Promise((resolve, reject) => {
-          failedQueue.push({ resolve, reject });
-        })
-          .then((token) => {
-            originalRequest.headers["Authorization"] = "Bearer " + token;
-            return axiosInstance(originalRequest);
-          })
-          .catch((err) => Promise.reject(err));
-      }
-
       originalRequest._retry = true;
-      isRefreshing = true;
-
-      try {
-        const response = await axios.post(
-          `${API_BASE}/api/token/refresh/`,
-          { refresh: localStorage.getItem("refresh_token") }
-        );
-
-        localStorage.setItem("access_token", response.data.access);
-        localStorage.setItem("refresh_token", response.data.refresh);
-
-        processQueue(null, response.data.access);
-
-        originalRequest.headers["Authorization"] =
-          "Bearer " + response.data.access;
-
-        return axiosInstance(originalRequest);
-      } catch (err) {
-        processQueue(err, null);
-        localStorage.removeItem("access_token");
-        localStorage.removeItem("refresh_token");
-        window.location.href = "/";
-      } finally {
-        isRefreshing = false;
-      }
+
+      const token = await refreshAccessToken();
+      originalRequest.headers["Authorization"] = "Bearer " + token;
+      return axiosInstance(originalRequest);
     }
 
     return Promise.reject(error);
   }
 );
 
-export default axiosInstance;
\ No newline at end of file
+export default axiosInstance;
@@ -3,8 +3,9 @@
  * @description
  * React component that provides a sign-in interface for registered users.
  * It authenticates user credentials against the backend API and grants access
- * to the dashboard upon successful login. The component securely stores
- * authentication tokens, manages login state, and redirects authenticated users.
+ * to the dashboard upon successful login. Signing in itself is delegated to
+ * `AuthContext.login`; redirecting authenticated users (back to the page they
+ * originally asked for) is handled by `RedirectIfAuth`.
  * 
  * This file contains two components:
  *  - `RightPane`: The main sign-in form logic and dynamic UI.
@@ -13,12 +14,11 @@
  * @author Pranav
  */
 
-import { useState, useEffect, useContext } from "react";
-import { useNavigate, Link } from "react-router-dom";
+import { useState, useContext } from "react";
+import { Link } from "react-router-dom";
 import { Mail, Lock, Users, Key } from "lucide-react";
 import LeftPane from "./LeftPane.jsx";
 import ErrorToast from "../toasts/ErrorToast";
-import axiosInstance from "../Interceptors/axiosInstance";
 import { AuthContext } from "../context/AuthProvider.jsx";
 
 /**
@@ -33,59 +33,23 @@ function RightPane() {
   const [username, setUsername] = useState("");
   const [password, setPassword] = useState("");
   const [error, setError] = useState("");
-  const navigate = useNavigate();
-  const { loginUser } = useContext(AuthContext);
-
-
-/** ------------------------------------------------------------------------ 
- * @function useEffect 
- * @description Redirects users to the home dashboard if already logged in. 
- * ------------------------------------------------------------------------ */
-  useEffect(() => {
-    if (localStorage.getItem("islogged") === "true") navigate("home");
-  }, []);
-
-/** ------------------------------------------------------------------------ 
- * @function useEffect
- * @description 
- * Listens for changes in localStorage to synchronize login status across tabs.
- * Automatically redirects to home if login occurs elsewhere.
- * ------------------------------------------------------------------------ */
-  useEffect(() => {
-    const handleStorageChange = (e) => {
-      if (e.key === "islogged" && e.newValue === "true") navigate("home");
-    };
-    window.addEventListener("storage", handleStorageChange);
-    return () => window.removeEventListener("storage", handleStorageChange);
-  }, []);
+  // Unchecked on shared machines: the session then ends when the tab is closed
+  const [remember, setRemember] = useState(true);
+  const { login } = useContext(AuthContext);
 
 /** ------------------------------------------------------------------------
  * @function authenticateData 
  * @description 
- * Sends user credentials (email and password) to the backend API for authentication. 
- * On success, stores access and refresh tokens in localStorage and updates 
- * the global authentication context. 
+ * Signs the user in through AuthContext with the entered email and password.
+ * "Remember me" decides whether the session outlives the browser tab.
+ * On success the context holds the user, which lets `RedirectIfAuth` send the
+ * user on to the dashboard.
  * 
  * On failure, displays an error message. 
  *  ------------------------------------------------------------------------ */
   const authenticateData = async () => {
     try {
-      const { data } = await axiosInstance.post("api/token/", {
-        email: username,
-        password: password,
-      });
-      localStorage.setItem("access_token", data.access);
-      localStorage.setItem("refresh_token", data.refresh);
-      localStorage.setItem("islogged", "true");
-
-      axiosInstance.defaults.headers.common["Authorization"] = `Bearer ${data.access}`;
-      loginUser({
-        user: { email: username }, 
-        access: data.access,
-        refresh: data.refresh
-      });
-
-      navigate("home");
+      await login({ email: username, password, remember });
     } catch (err) {
       setError("Invalid Credentials");
       console.error(err);
@@ -171,6 +135,19 @@ function RightPane() {
             </label>
           </div>
 
+          {/* Remember Me */}
+          <label htmlFor="remember" className="flex items-center gap-2 text-sm text-gray-700 -mt-2">
+            <input
+              id="remember"
+              type="checkbox"
+              checked={remember}
+              onChange={(e) => setRemember(e.target.checked)}
+              className="accent-blue-600 w-4 h-4"
+            />
+            Remember me
+            <span className="text-gray-500">(uncheck on shared computers)</span>
+          </label>
+
           {/* Sign In Button */}
           <button
             type="submit"
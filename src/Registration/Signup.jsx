@@ -3,7 +3,8 @@
  * @description
  * React component that provides a registration interface for new users.
  * It allows users to create an account by submitting personal details such as
- * first name, last name, email, password, and proficiency level (Frontend, Backend, or Both).
+ * first name, last name, email, password, and the skills they bring (free-form tags,
+ * each with a proficiency level).
  * 
  * Upon successful registration, the data is sent to the backend API for account creation.
  * The user is then shown success or error toasts depending on the response.
@@ -16,18 +17,19 @@
  */
 
 import { useState } from "react";
-import axios from "axios";
 import { Link } from "react-router-dom";
 import { User, Mail, Lock, Layers } from "lucide-react";
 import LeftPane from "./LeftPane.jsx";
 import ErrorToast from "../toasts/ErrorToast.jsx";
 import SuccessToast from "../toasts/SuccessToast.jsx";
+import { createAccount } from "../api/accounts.js";
+import SkillTagInput from "../components/SkillTagInput.jsx";
 
 /**
  * @component RightPane
  * @description
  * Handles user registration logic, form validation, and backend integration.
- *  - Accepts user details (name, email, password, proficiency).
+ *  - Accepts user details (name, email, password, skills).
  *  - Sends registration data to backend API endpoint.
  *  - Displays success or error toast based on response.
  *  - Clears input fields after successful submission.
@@ -36,49 +38,37 @@ function RightPane() {
   /** --------------------------- State Management --------------------------- */
   const [fname, setFname] = useState("");
   const [lname, setLname] = useState("");
-  const [prof, setProf] = useState("");
+  const [skills, setSkills] = useState([]);
+  const [skillsError, setSkillsError] = useState("");
   const [username, setUsername] = useState("");
   const [password, setPassword] = useState("");
   const [error, setError] = useState(false);
   const [created, setCreated] = useState(false);
-  const API_BASE = import.meta.env.VITE_API_BASE_URL
 
   /** ------------------------------------------------------------------------
    * @function postData
    * @description
-   * Prepares and sends user registration data to the backend API.
-   * Depending on the `prof` field, sets the user's proficiency type
-   * (Frontend, Backend, or Both).
+   * Prepares and sends user registration data, including the skill tags,
+   * to the backend API.
    * 
    * On success - clears form and displays success toast.  
    * On failure - displays error toast.
    * ------------------------------------------------------------------------ */
   const postData = async () => {
-    let front = false;
-    let back = false;
-
-    if (prof === "frontend") front = true;
-    else if (prof === "backend") back = true;
-    else {
-      front = true;
-      back = true;
-    }
-
     const body = {
       firstname: fname,
       lastname: lname,
       email: username,
       password: password,
-      frontend: front,
-      backend: back,
+      skills,
     };
 
     try {
-      await axios.post(`${API_BASE}/api/accounts/`, body);
+      await createAccount(body);
       setError(false);
       setFname("");
       setLname("");
-      setProf("");
+      setSkills([]);
       setUsername("");
       setPassword("");
       setCreated(true);
@@ -92,11 +82,16 @@ function RightPane() {
   /** ------------------------------------------------------------------------
    * @function handleSubmit
    * @description
-   * Prevents default form reload and triggers API submission.
+   * Prevents default form reload, checks at least one skill was added
+   * and triggers API submission.
    * @param {Event} event - Form submission event
    * ------------------------------------------------------------------------ */
   const handleSubmit = async (event) => {
     event.preventDefault();
+    if (skills.length === 0) {
+      setSkillsError("Add at least one skill.");
+      return;
+    }
     await postData();
   };
 
@@ -114,7 +109,10 @@ function RightPane() {
   const handleLname = (e) => setLname(e.target.value);
   const handleUsername = (e) => setUsername(e.target.value);
   const handlePassword = (e) => setPassword(e.target.value);
-  const handleProf = (e) => setProf(e.target.value);
+  const handleSkills = (next) => {
+    setSkills(next);
+    setSkillsError("");
+  };
 
   /** --------------------------- JSX Structure --------------------------- */
   return (
@@ -178,21 +176,18 @@ function RightPane() {
             </div>
           </div>
 
-          {/* Proficiency */}
-          <div className="relative">
-            <Layers className="absolute left-3 top-3 text-gray-400 transition-colors duration-200 peer-focus:text-blue-600" />
-            <select
-              id="prof"
-              value={prof}
-              onChange={handleProf}
-              required
-              className="peer w-full pl-10 pr-3 py-3 bg-white/60 border border-gray-300 rounded-xl outline-none focus:border-blue-600 focus:ring-2 focus:ring-blue-300 transition"
-            >
-              <option value="">Select proficiency</option>
-              <option value="frontend">Frontend</option>
-              <option value="backend">Backend</option>
-              <option value="both">Both</option>
-            </select>
+          {/* Skills */}
+          <div>
+            <label htmlFor="skills" className="block text-gray-600 text-sm mb-1">
+              Skills
+            </label>
+            <SkillTagInput
+              id="skills"
+              value={skills}
+              onChange={handleSkills}
+              placeholder="e.g. React, Django, UI/UX..."
+            />
+            {skillsError && <p className="text-red-500 text-sm mt-1">{skillsError}</p>}
           </div>
 
           {/* Email */}
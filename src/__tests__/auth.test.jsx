@@ -0,0 +1,109 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import { screen, waitFor } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { findProjectCard, renderApp, setupBackend, signInAs } from "../test/utils.jsx";
+
+describe("authentication flows", () => {
+  let backend;
+
+  beforeEach(() => {
+    backend = setupBackend();
+  });
+
+  it("signs up a new user", async () => {
+    const user = userEvent.setup();
+    renderApp("/signup");
+
+    await user.type(await screen.findByLabelText("First Name"), "Nia");
+    await user.type(screen.getByLabelText("Last Name"), "Osei");
+    await user.type(screen.getByLabelText("Skills"), "Django{Enter}backend,");
+    await user.selectOptions(screen.getByRole("combobox", { name: "Django level" }), "advanced");
+    await user.type(screen.getByLabelText("Email"), "nia@projecto.dev");
+    await user.type(screen.getByLabelText("Password"), "secret123");
+    await user.click(screen.getByRole("button", { name: /create account/i }));
+
+    expect(await screen.findByText("Account Created! You can login now")).toBeInTheDocument();
+    expect(backend.db.findUser("nia@projecto.dev")).toMatchObject({
+      firstname: "Nia",
+      skills: [
+        { name: "django", level: "advanced" },
+        { name: "backend", level: "intermediate" },
+      ],
+    });
+  });
+
+  it("rejects a sign-up for an existing email", async () => {
+    const user = userEvent.setup();
+    renderApp("/signup");
+
+    await user.type(await screen.findByLabelText("First Name"), "Pranav");
+    await user.type(screen.getByLabelText("Last Name"), "Singh");
+    await user.type(screen.getByLabelText("Skills"), "frontend{Enter}");
+    await user.type(screen.getByLabelText("Email"), "pranav@projecto.dev");
+    await user.type(screen.getByLabelText("Password"), "secret123");
+    await user.click(screen.getByRole("button", { name: /create account/i }));
+
+    expect(await screen.findByText("Oops! This account already exists")).toBeInTheDocument();
+  });
+
+  it("signs in, stores the tokens and opens the dashboard", async () => {
+    const user = userEvent.setup();
+    renderApp("/");
+
+    await user.type(await screen.findByLabelText("Email"), "pranav@projecto.dev");
+    await user.type(screen.getByLabelText("Password"), "password123");
+    await user.click(screen.getByRole("button", { name: /sign in/i }));
+
+    expect(await screen.findByText("Create a New Team")).toBeInTheDocument();
+    expect(window.location.pathname).toBe("/home/create");
+    expect(localStorage.getItem("access_token")).toBeTruthy();
+    expect(localStorage.getItem("refresh_token")).toBeTruthy();
+  });
+
+  it("keeps the session in this tab only when Remember me is unchecked", async () => {
+    const user = userEvent.setup();
+    renderApp("/");
+
+    await user.type(await screen.findByLabelText("Email"), "pranav@projecto.dev");
+    await user.type(screen.getByLabelText("Password"), "password123");
+    await user.click(screen.getByLabelText(/Remember me/));
+    await user.click(screen.getByRole("button", { name: /sign in/i }));
+
+    expect(await screen.findByText("Create a New Team")).toBeInTheDocument();
+    expect(sessionStorage.getItem("access_token")).toBeTruthy();
+    expect(localStorage.getItem("access_token")).toBeNull();
+    expect(localStorage.getItem("refresh_token")).toBeNull();
+  });
+
+  it("shows an error for invalid credentials", async () => {
+    const user = userEvent.setup();
+    renderApp("/");
+
+    await user.type(await screen.findByLabelText("Email"), "pranav@projecto.dev");
+    await user.type(screen.getByLabelText("Password"), "wrong-password");
+    await user.click(screen.getByRole("button", { name: /sign in/i }));
+
+    expect(await screen.findByText("Invalid Credentials")).toBeInTheDocument();
+    expect(localStorage.getItem("access_token")).toBeNull();
+  });
+
+  it("returns to the requested page after signing in", async () => {
+    const user = userEvent.setup();
+    renderApp("/home/join");
+
+    await user.type(await screen.findByLabelText("Email"), "pranav@projecto.dev");
+    await user.type(screen.getByLabelText("Password"), "password123");
+    await user.click(screen.getByRole("button", { name: /sign in/i }));
+
+    await waitFor(() => expect(window.location.pathname).toBe("/home/join"));
+    expect(await findProjectCard("StudyBuddy")).toBeInTheDocument();
+  });
+
+  it("restores a stored session on page load", async () => {
+    signInAs(backend, "pranav@projecto.dev");
+    renderApp("/");
+
+    expect(await screen.findByText("Create a New Team")).toBeInTheDocument();
+    expect(screen.getByText("pranav@projecto.dev")).toBeInTheDocument();
+  });
+});
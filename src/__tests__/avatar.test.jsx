@@ -0,0 +1,102 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { fireEvent, screen, waitFor, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { renderApp, setupBackend, signInAs } from "../test/utils.jsx";
+import { AVATAR_SIZE, cropRect, panCrop, renderAvatar } from "../profile/avatarImage.js";
+
+/** Stands in for the 2D context jsdom doesn't implement; toDataURL shrinks with the quality */
+function stubCanvas() {
+  const context = { fillRect: vi.fn(), drawImage: vi.fn() };
+  vi.spyOn(HTMLCanvasElement.prototype, "getContext").mockReturnValue(context);
+  const toDataURL = vi
+    .spyOn(HTMLCanvasElement.prototype, "toDataURL")
+    .mockImplementation((type, quality) => `data:image/jpeg;base64,${"A".repeat(Math.round(quality * 100))}`);
+  return { context, toDataURL };
+}
+
+describe("avatar image", () => {
+  afterEach(() => vi.restoreAllMocks());
+
+  it("crops a square that never leaves the photo", () => {
+    const photo = { width: 400, height: 200 };
+    expect(cropRect(photo, { zoom: 1, x: 0.5, y: 0.5 })).toEqual({ sx: 100, sy: 0, size: 200 });
+    expect(cropRect(photo, { zoom: 2, x: 0, y: 1 })).toEqual({ sx: 0, sy: 100, size: 100 });
+
+    // Dragging the photo right shows more of its left side, up to the edge
+    expect(panCrop(photo, { zoom: 1, x: 0.5, y: 0.5 }, 56, 0, 224)).toEqual({ zoom: 1, x: 0.25, y: 0.5 });
+    expect(panCrop(photo, { zoom: 1, x: 0.5, y: 0.5 }, 1000, 30, 224)).toEqual({ zoom: 1, x: 0, y: 0.5 });
+  });
+
+  it("draws the crop at the avatar size and lowers the quality until it fits", () => {
+    const { context, toDataURL } = stubCanvas();
+    const image = { naturalWidth: 400, naturalHeight: 200 };
+
+    const avatar = renderAvatar(image, { zoom: 1, x: 0.5, y: 0.5 }, { maxLength: 100 });
+    expect(context.drawImage).toHaveBeenCalledWith(image, 100, 0, 200, 200, 0, 0, AVATAR_SIZE, AVATAR_SIZE);
+    expect(toDataURL.mock.calls.map(([, quality]) => quality)).toEqual([0.9, 0.8, 0.7]);
+    expect(avatar.length).toBeLessThanOrEqual(100);
+  });
+});
+
+describe("avatars", () => {
+  let backend;
+
+  beforeEach(() => {
+    backend = setupBackend();
+  });
+
+  afterEach(() => vi.restoreAllMocks());
+
+  it("crops an uploaded photo, saves only the resized avatar and can remove it again", async () => {
+    const user = userEvent.setup();
+    const { context } = stubCanvas();
+    signInAs(backend, "marco@projecto.dev");
+    renderApp("/profile");
+
+    expect((await screen.findAllByRole("img", { name: "Marco Rossi" }))[0]).toHaveTextContent("MR");
+    const photo = new File([new Uint8Array([137, 80, 78, 71])], "me.png", { type: "image/png" });
+    await user.upload(screen.getByLabelText("Upload photo"), photo);
+
+    const dialog = await screen.findByRole("dialog", { name: "Crop Your Photo" });
+    const image = within(dialog).getByRole("img", { name: "Uploaded photo" });
+    Object.defineProperties(image, { naturalWidth: { value: 400 }, naturalHeight: { value: 200 } });
+    fireEvent.load(image);
+
+    fireEvent.change(within(dialog).getByLabelText("Zoom"), { target: { value: "2" } });
+    fireEvent.keyDown(within(dialog).getByLabelText(/Photo position/), { key: "ArrowLeft" });
+    await user.click(within(dialog).getByRole("button", { name: "Use photo" }));
+
+    // Zoomed to a 100px square, moved 10 screen pixels (100/224 photo pixels each) to the left
+    const [, sx, sy, side] = context.drawImage.mock.calls[0];
+    expect(sx).toBeCloseTo(150 - 1000 / 224);
+    expect([sy, side]).toEqual([50, 100]);
+    expect(screen.queryByRole("dialog")).not.toBeInTheDocument();
+
+    await user.click(screen.getByRole("button", { name: "Save profile" }));
+    await screen.findByRole("status");
+    expect(backend.db.findUser("marco@projecto.dev").avatar).toMatch(/^data:image\/jpeg;base64,A+$/);
+    for (const avatar of screen.getAllByRole("img", { name: "Marco Rossi" })) {
+      expect(avatar.tagName).toBe("IMG");
+    }
+
+    await user.click(screen.getByRole("button", { name: "Remove photo" }));
+    await user.click(screen.getByRole("button", { name: "Save profile" }));
+    await waitFor(() => expect(backend.db.findUser("marco@projecto.dev").avatar).toBeNull());
+  });
+
+  it("shows people's avatars on requests and members, with initials for the rest", async () => {
+    const user = userEvent.setup();
+    backend.db.findUser("aisha@projecto.dev").avatar = "data:image/jpeg;base64,QUlTSEE=";
+    signInAs(backend, "pranav@projecto.dev");
+    renderApp("/home/teams/created/3");
+
+    const aisha = await screen.findByRole("img", { name: "Aisha Khan" });
+    expect(aisha).toHaveAttribute("src", "data:image/jpeg;base64,QUlTSEE=");
+    expect(screen.getByRole("img", { name: "Marco Rossi" })).toHaveTextContent("MR");
+
+    await user.click(screen.getByRole("link", { name: "Project page" }));
+    const team = (await screen.findByRole("heading", { name: "Team" })).parentElement;
+    expect(within(team).getByRole("img", { name: "Pranav Singh" })).toHaveTextContent("PS");
+    expect(within(team).getByRole("img", { name: "Marco Rossi" })).toHaveTextContent("MR");
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import axiosInstance, { setSessionHandlers } from "../Interceptors/axiosInstance";
+import { setupBackend, signInAs } from "../test/utils.jsx";
+
+describe("axiosInstance token refresh", () => {
+  let backend;
+  let calls;
+
+  beforeEach(() => {
+    backend = setupBackend();
+    calls = [];
+    // Record every request that reaches the backend
+    axiosInstance.defaults.adapter = (config) => {
+      calls.push(config.url);
+      return backend.adapter(config);
+    };
+  });
+
+  it("refreshes an expired access token before sending the request", async () => {
+    signInAs(backend, "pranav@projecto.dev", { accessTtl: -60 });
+
+    const { data } = await axiosInstance.get("api/accounts/home/");
+
+    expect(data.email).toBe("pranav@projecto.dev");
+    expect(calls).toEqual(["api/token/refresh/", "api/accounts/home/"]);
+  });
+
+  it("keeps refreshed tokens in the storage area the session started in", async () => {
+    const { access, refresh } = backend.tokens.issue("pranav@projecto.dev", { accessTtl: -60 });
+    sessionStorage.setItem("access_token", access);
+    sessionStorage.setItem("refresh_token", refresh);
+
+    await axiosInstance.get("api/accounts/home/");
+
+    expect(sessionStorage.getItem("refresh_token")).not.toBe(refresh);
+    expect(localStorage.getItem("refresh_token")).toBeNull();
+  });
+
+  it("keeps the refresh token when the refresh response doesn't rotate it", async () => {
+    const { refresh } = signInAs(backend, "pranav@projecto.dev", { accessTtl: -60 });
+    axiosInstance.defaults.adapter = async (config) => {
+      const response = await backend.adapter(config);
+      if (config.url !== "api/token/refresh/") return response;
+      return { ...response, data: { access: response.data.access } };
+    };
+
+    const { data } = await axiosInstance.get("api/accounts/home/");
+
+    expect(data.email).toBe("pranav@projecto.dev");
+    expect(localStorage.getItem("refresh_token")).toBe(refresh);
+  });
+
+  it("reads the tokens without writing to storage", async () => {
+    signInAs(backend, "pranav@projecto.dev");
+    const setItem = vi.spyOn(Storage.prototype, "setItem");
+
+    await axiosInstance.get("api/accounts/home/");
+    await axiosInstance.get("api/projectcount/", { params: { email: "pranav@projecto.dev" } });
+
+    expect(setItem).not.toHaveBeenCalled();
+    setItem.mockRestore();
+  });
+
+  it("refreshes once on 401 and retries every queued request", async () => {
+    const { refresh } = signInAs(backend, "pranav@projecto.dev");
+    // A token without a readable `exp` is only rejected by the server
+    localStorage.setItem("access_token", "not-a-jwt");
+
+    const responses = await Promise.all([
+      axiosInstance.get("api/accounts/home/"),
+      axiosInstance.get("api/projectcount/", { params: { email: "pranav@projecto.dev" } }),
+      axiosInstance.get("api/projectleads/", { params: { email: "pranav@projecto.dev" } }),
+    ]);
+
+    expect(responses.map((r) => r.status)).toEqual([200, 200, 200]);
+    expect(responses[0].data.email).toBe("pranav@projecto.dev");
+    expect(calls.filter((url) => url === "api/token/refresh/")).toHaveLength(1);
+    expect(localStorage.getItem("refresh_token")).not.toBe(refresh);
+  });
+
+  it("reports an expired session instead of redirecting", async () => {
+    const onSessionExpired = vi.fn();
+    setSessionHandlers({ onSessionExpired });
+    const { refresh } = signInAs(backend, "pranav@projecto.dev", { accessTtl: -60 });
+    backend.tokens.revoke(refresh);
+
+    await expect(axiosInstance.get("api/accounts/home/")).rejects.toMatchObject({
+      response: { status: 401 },
+    });
+
+    expect(onSessionExpired).toHaveBeenCalledTimes(1);
+    expect(calls).toEqual(["api/token/refresh/"]);
+    // Clearing the session is left to AuthContext
+    expect(localStorage.getItem("refresh_token")).toBe(refresh);
+  });
+
+  it("keeps the session when refreshing fails for another reason", async () => {
+    const onSessionExpired = vi.fn();
+    setSessionHandlers({ onSessionExpired });
+    const { refresh } = signInAs(backend, "pranav@projecto.dev", { accessTtl: -60 });
+    let outage = true;
+    axiosInstance.defaults.adapter = (config) => {
+      calls.push(config.url);
+      if (outage && config.url === "api/token/refresh/") {
+        return Promise.reject(Object.assign(new Error("Network Error"), { code: "ERR_NETWORK", config }));
+      }
+      return backend.adapter(config);
+    };
+
+    await expect(axiosInstance.get("api/accounts/home/")).rejects.toMatchObject({ code: "ERR_NETWORK" });
+    expect(onSessionExpired).not.toHaveBeenCalled();
+    expect(localStorage.getItem("refresh_token")).toBe(refresh);
+
+    // Once the backend is back, the next request refreshes and goes through
+    outage = false;
+    const { data } = await axiosInstance.get("api/accounts/home/");
+    expect(data.email).toBe("pranav@projecto.dev");
+    expect(calls).toEqual(["api/token/refresh/", "api/token/refresh/", "api/accounts/home/"]);
+  });
+
+  it("does not try to refresh failed token requests", async () => {
+    await expect(
+      axiosInstance.post("api/token/", { email: "pranav@projecto.dev", password: "nope" })
+    ).rejects.toMatchObject({ response: { status: 401 } });
+
+    expect(calls).toEqual(["api/token/"]);
+  });
+});
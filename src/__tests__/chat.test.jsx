@@ -0,0 +1,180 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import { render, screen, waitFor, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { apiAs, renderApp, setupBackend, signInAs } from "../test/utils.jsx";
+import { createMemoryChatTransport } from "../test/chatTransport.js";
+import { collectMentions, mentionQuery, splitMentions } from "../chat/mentions.js";
+import { describeNotification, notificationPath } from "../Dashboard/notifications.js";
+import { AuthContext } from "../context/AuthProvider.jsx";
+import { QueryProvider } from "../context/QueryContext.jsx";
+import { ChatProvider } from "../context/ChatContext.jsx";
+import ProjectChat from "../components/ProjectChat.jsx";
+
+const people = [
+  { email: "ana@projecto.dev", name: "Ana" },
+  { email: "analopez@projecto.dev", name: "Ana Lopez" },
+  { email: "ben@projecto.dev", name: "Ben Ode" },
+];
+
+describe("mentions", () => {
+  it("finds the mention being typed at the caret", () => {
+    expect(mentionQuery("hi @An", 6)).toEqual({ start: 3, query: "An" });
+    expect(mentionQuery("hi @Ana Lo", 10)).toEqual({ start: 3, query: "Ana Lo" });
+    expect(mentionQuery("mail me@home", 12)).toBeNull();
+    expect(mentionQuery("@Ana\nnext", 9)).toBeNull();
+  });
+
+  it("reads the longest matching name and only whole names", () => {
+    expect(splitMentions("ping @Ana Lopez and @ana, not @Anakin", people)).toEqual([
+      { text: "ping " },
+      { text: "@Ana Lopez", mention: people[1] },
+      { text: " and " },
+      { text: "@ana", mention: people[0] },
+      { text: ", not @Anakin" },
+    ]);
+    expect(collectMentions("thanks @Ben Ode!", people)).toEqual(["ben@projecto.dev"]);
+  });
+
+  it("links mentions to the project's chat", () => {
+    const mention = { type: "mentioned", project_id: 4, projectname: "GreenTrack", actor_fname: "Lena", actor_lname: "Park" };
+    expect(describeNotification(mention)).toBe("Lena Park mentioned you in GreenTrack");
+    expect(notificationPath(mention)).toBe("/home/teams/joined/4?chat=open");
+    expect(notificationPath({ ...mention, is_lead: true })).toBe("/home/teams/created/4?chat=open");
+  });
+});
+
+describe("ProjectChat", () => {
+  const me = { email: "ben@projecto.dev", firstname: "Ben", lastname: "Ode" };
+  const message = (id, overrides) => ({
+    id,
+    project_id: 1,
+    author_email: "ana@projecto.dev",
+    author_fname: "Ana",
+    body: `Message ${id}`,
+    mentions: [],
+    sent_on: new Date().toISOString(),
+    ...overrides,
+  });
+
+  const renderChat = (transport) =>
+    render(
+      <AuthContext.Provider value={{ user: null }}>
+        <QueryProvider>
+          <ChatProvider transport={transport}>
+            <ProjectChat projectId={1} user={me} people={people} />
+          </ChatProvider>
+        </QueryProvider>
+      </AuthContext.Provider>
+    );
+
+  it("marks where the unread messages start and pages back through older ones", async () => {
+    const user = userEvent.setup();
+    const history = Array.from({ length: 5 }, (_, i) => message(i + 1));
+    const transport = createMemoryChatTransport({ messages: history, lastReadId: 4, pageSize: 3, author: me });
+    renderChat(transport);
+
+    const list = await screen.findByRole("list", { name: "Messages" });
+    expect(within(list).getAllByRole("listitem").map((li) => li.textContent)).toEqual([
+      expect.stringContaining("Message 3"),
+      expect.stringContaining("Message 4"),
+      expect.stringMatching(/New messages.*Ana.*Message 5/),
+    ]);
+    await waitFor(() => expect(transport.lastReadId).toBe(5));
+
+    await user.click(screen.getByRole("button", { name: "Load earlier messages" }));
+    expect(await screen.findByText("Message 1")).toBeInTheDocument();
+    expect(screen.queryByRole("button", { name: "Load earlier messages" })).not.toBeInTheDocument();
+  });
+
+  it("shows messages pushed by the team and keeps the draft when sending fails", async () => {
+    const user = userEvent.setup();
+    const transport = createMemoryChatTransport({ messages: [message(1)], lastReadId: 1, author: me });
+    renderChat(transport);
+    expect(await screen.findByText("Message 1")).toBeInTheDocument();
+
+    transport.deliver({ project_id: 1, author_email: "ana@projecto.dev", author_fname: "Ana", body: "Anyone around?" });
+    expect(await screen.findByText("Anyone around?")).toBeInTheDocument();
+
+    transport.failNextSend(new Error("The chat is unavailable."));
+    await user.type(screen.getByRole("combobox", { name: "Message" }), "Yes, here{Enter}");
+    expect(await screen.findByRole("alert")).toHaveTextContent("The chat is unavailable.");
+    expect(screen.getByRole("combobox", { name: "Message" })).toHaveValue("Yes, here");
+    expect(screen.queryByText("Yes, here", { selector: "p" })).not.toBeInTheDocument();
+
+    await user.click(screen.getByRole("button", { name: /Send/ }));
+    expect(await screen.findByText("Yes, here", { selector: "p" })).toBeInTheDocument();
+    expect(screen.getByRole("combobox", { name: "Message" })).toHaveValue("");
+    expect(transport.messages.at(-1)).toMatchObject({ author_email: "ben@projecto.dev", body: "Yes, here" });
+  });
+});
+
+describe("team chat", () => {
+  let backend;
+
+  beforeEach(() => {
+    backend = setupBackend();
+  });
+
+  it("shows unread messages on the card and clears them once the chat is read", async () => {
+    const user = userEvent.setup();
+    signInAs(backend, "pranav@projecto.dev");
+    renderApp("/home/teams/joined");
+
+    expect(await screen.findByLabelText("1 unread message")).toBeInTheDocument();
+    await user.click(screen.getByRole("heading", { name: "GreenTrack" }));
+    await user.click(screen.getByRole("button", { name: "Team chat" }));
+    expect(window.location.search).toBe("?chat=open");
+
+    const list = await screen.findByRole("list", { name: "Messages" });
+    const items = within(list).getAllByRole("listitem");
+    expect(within(items[1]).getByRole("separator")).toHaveTextContent("New messages");
+    expect(within(items[1]).getByText("@Pranav Singh")).toBeInTheDocument();
+
+    await waitFor(() => expect(screen.queryByLabelText("1 unread message")).not.toBeInTheDocument());
+    expect(backend.db.chatReads.find((r) => r.project_id === 4 && r.email === "pranav@projecto.dev").last_read_id).toBe(4);
+  });
+
+  it("sends a message that mentions a member and notifies them", async () => {
+    const user = userEvent.setup();
+    signInAs(backend, "pranav@projecto.dev");
+    renderApp("/home/teams/created/3?chat=open");
+
+    const box = await screen.findByRole("combobox", { name: "Message" });
+    await screen.findByText("Thanks! I'll sketch the models tonight.");
+    await user.type(box, "Great work @mar");
+    await user.click(await screen.findByRole("option", { name: /Marco Rossi/ }));
+    expect(box).toHaveValue("Great work @Marco Rossi ");
+    await user.type(box, "on the models{Enter}");
+
+    await waitFor(() =>
+      expect(backend.db.messages.at(-1)).toMatchObject({
+        project_id: 3,
+        email: "pranav@projecto.dev",
+        body: "Great work @Marco Rossi on the models",
+        mentions: ["marco@projecto.dev"],
+      })
+    );
+    expect(backend.db.notifications.at(-1)).toMatchObject({
+      recipient: "marco@projecto.dev",
+      type: "mentioned",
+      project_id: 3,
+      actor: "pranav@projecto.dev",
+    });
+    expect(await screen.findByText("@Marco Rossi")).toBeInTheDocument();
+  });
+
+  it("shows messages from the team as they are sent and keeps others out", async () => {
+    signInAs(backend, "pranav@projecto.dev");
+    renderApp("/home/teams/created/3?chat=open");
+    await screen.findByText("Thanks! I'll sketch the models tonight.");
+
+    const { status } = await apiAs(backend, "marco@projecto.dev")("post", "api/projects/3/messages/", {
+      body: "Models are pushed.",
+    });
+    expect(status).toBe(201);
+    expect(await screen.findByText("Models are pushed.")).toBeInTheDocument();
+
+    const outsider = await apiAs(backend, "aisha@projecto.dev")("get", "api/projects/3/messages/");
+    expect(outsider.status).toBe(403);
+  });
+});
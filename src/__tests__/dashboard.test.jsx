@@ -0,0 +1,342 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import { screen, waitFor, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { findProjectCard, renderApp, setupBackend, signInAs, statValue } from "../test/utils.jsx";
+
+describe("dashboard flows", () => {
+  let backend;
+
+  beforeEach(() => {
+    backend = setupBackend();
+  });
+
+  it("creates a team and updates the Teams Created counter", async () => {
+    const user = userEvent.setup();
+    signInAs(backend, "pranav@projecto.dev");
+    renderApp("/home/create");
+
+    await waitFor(() => expect(statValue("Teams Created")).toBe("1"));
+
+    await user.type(screen.getByLabelText("Project Name"), "RoomFinder");
+    await user.type(screen.getByLabelText(/Project Description/), "Find free study rooms across campus.");
+    await user.type(screen.getByLabelText("Team Requirements"), "backend{Enter}");
+    await user.selectOptions(screen.getByLabelText("People needed for Backend"), "2");
+    await user.selectOptions(screen.getByLabelText("Maximum Team Size"), "5");
+    await user.click(screen.getByRole("button", { name: "Create Team" }));
+
+    expect(await screen.findByText(/Project Created Successfully/)).toBeInTheDocument();
+    expect(backend.db.findProject("pranav@projecto.dev", "RoomFinder")).toMatchObject({
+      skills: [{ name: "backend", count: 2 }],
+      max_members: 5,
+    });
+    await waitFor(() => expect(statValue("Teams Created")).toBe("2"));
+  });
+
+  it("sends a join request and updates the Pending Requests counter", async () => {
+    const user = userEvent.setup();
+    signInAs(backend, "pranav@projecto.dev");
+    renderApp("/home/join");
+
+    await user.click(await findProjectCard("StudyBuddy"));
+    await user.type(
+      screen.getByPlaceholderText("Write a personalized message..."),
+      "I can help with the matching algorithm."
+    );
+    await user.click(screen.getByRole("button", { name: /send request/i }));
+
+    expect(await screen.findByText("Request sent successfully!")).toBeInTheDocument();
+    expect(backend.db.hasPendingRequest(1, "pranav@projecto.dev")).toBe(true);
+    await waitFor(() => expect(statValue("Pending Requests")).toBe("1"));
+    expect(screen.queryByText("StudyBuddy")).not.toBeInTheDocument();
+  });
+
+  it("searches, filters and sorts the projects to join, keeping the filters in the URL", async () => {
+    const user = userEvent.setup();
+    signInAs(backend, "lena@projecto.dev");
+    renderApp("/home/join?needs=backend");
+
+    expect(await screen.findByText("LabScheduler")).toBeInTheDocument();
+    expect(screen.queryByText("CampusMarket")).not.toBeInTheDocument();
+    expect(screen.getByRole("button", { name: "Needs Backend" })).toHaveAttribute("aria-pressed", "true");
+
+    await user.click(screen.getByRole("button", { name: "Needs Backend" }));
+    await user.selectOptions(screen.getByLabelText("Sort projects"), "Fewest members");
+    await waitFor(() =>
+      expect(screen.getAllByRole("heading", { name: /Market|Scheduler/ }).map((h) => h.textContent)).toEqual([
+        "CampusMarket",
+        "LabScheduler",
+      ])
+    );
+    expect(window.location.search).toBe("?sort=members");
+
+    await user.type(screen.getByLabelText("Search projects"), "marco");
+    await waitFor(() => expect(screen.queryByText("LabScheduler")).not.toBeInTheDocument());
+    expect(screen.getByText("CampusMarket")).toBeInTheDocument();
+    expect(new URLSearchParams(window.location.search).get("q")).toBe("marco");
+
+    await user.type(screen.getByLabelText("Search projects"), "zzz");
+    expect(await screen.findByText("No teams match your search.")).toBeInTheDocument();
+    await user.click(screen.getByRole("button", { name: "Clear filters" }));
+    expect(await screen.findByText("LabScheduler")).toBeInTheDocument();
+    expect(window.location.search).toBe("");
+  });
+
+  it("refuses to send a message that is too short", async () => {
+    const user = userEvent.setup();
+    signInAs(backend, "pranav@projecto.dev");
+    renderApp("/home/join");
+
+    await user.click(await findProjectCard("StudyBuddy"));
+    await user.type(screen.getByPlaceholderText("Write a personalized message..."), "hi");
+    await user.click(screen.getByRole("button", { name: /send request/i }));
+
+    expect(await screen.findByText("Message is too short")).toBeInTheDocument();
+    expect(backend.db.hasPendingRequest(1, "pranav@projecto.dev")).toBe(false);
+  });
+
+  it("lets the lead accept a join request", async () => {
+    const user = userEvent.setup();
+    signInAs(backend, "pranav@projecto.dev");
+    renderApp("/home/teams/created/3");
+
+    await user.click(await screen.findByText("Aisha Khan"));
+    await user.click(screen.getByRole("button", { name: "Accept" }));
+    await user.click(screen.getByRole("button", { name: /yes, accept/i }));
+
+    await waitFor(() => expect(backend.db.isMember(3, "aisha@projecto.dev")).toBe(true));
+    expect(backend.db.hasPendingRequest(3, "aisha@projecto.dev")).toBe(false);
+    expect(await screen.findByText("No requests yet.")).toBeInTheDocument();
+    const members = screen.getByText("Current Team Members").parentElement;
+    expect(within(members).getByText("aisha@projecto.dev")).toBeInTheDocument();
+  });
+
+  it("lets the lead reject a join request", async () => {
+    const user = userEvent.setup();
+    signInAs(backend, "pranav@projecto.dev");
+    renderApp("/home/teams/created/3");
+
+    await user.click(await screen.findByText("Aisha Khan"));
+    await user.click(screen.getByRole("button", { name: "Reject" }));
+    await user.click(screen.getByRole("button", { name: /yes, reject/i }));
+
+    await waitFor(() => expect(backend.db.hasPendingRequest(3, "aisha@projecto.dev")).toBe(false));
+    expect(backend.db.isMember(3, "aisha@projecto.dev")).toBe(false);
+    expect(backend.db.requests.find((r) => r.id === 1)).toMatchObject({ status: "rejected" });
+    expect(await screen.findByText("No requests yet.")).toBeInTheDocument();
+  });
+
+  it("lets the lead edit a project's description and needs", async () => {
+    const user = userEvent.setup();
+    signInAs(backend, "pranav@projecto.dev");
+    renderApp("/home/teams/created/3");
+
+    await user.click(await screen.findByRole("button", { name: /edit project/i }));
+    const description = screen.getByLabelText("Description");
+    await user.clear(description);
+    await user.type(description, "Book lab benches without the spreadsheet.");
+    await user.click(screen.getByRole("button", { name: "Remove Backend" }));
+    await user.click(screen.getByRole("button", { name: /save changes/i }));
+
+    expect(await screen.findByText("Book lab benches without the spreadsheet.")).toBeInTheDocument();
+    expect(backend.db.projectById(3)).toMatchObject({
+      description: "Book lab benches without the spreadsheet.",
+      skills: [{ name: "frontend", count: 1 }],
+    });
+  });
+
+  it("lets the lead delete a project after confirming", async () => {
+    const user = userEvent.setup();
+    signInAs(backend, "pranav@projecto.dev");
+    renderApp("/home/teams/created/3");
+
+    await waitFor(() => expect(statValue("Teams Created")).toBe("1"));
+    await user.click(await screen.findByRole("button", { name: /delete project/i }));
+    await user.click(screen.getByRole("button", { name: /yes, delete/i }));
+
+    expect(await screen.findByText("You have not created any teams yet.")).toBeInTheDocument();
+    expect(window.location.pathname).toBe("/home/teams/created");
+    expect(backend.db.projectById(3)).toBeNull();
+    expect(backend.db.hasPendingRequest(3, "aisha@projecto.dev")).toBe(false);
+    await waitFor(() => expect(statValue("Teams Created")).toBe("0"));
+  });
+
+  it("lets the lead remove a member with a reason", async () => {
+    const user = userEvent.setup();
+    signInAs(backend, "pranav@projecto.dev");
+    renderApp("/home/teams/created/3");
+
+    await user.click(await screen.findByRole("button", { name: "Remove Marco Rossi" }));
+    await user.type(screen.getByLabelText("Reason (optional)"), "Moved to another studio.");
+    await user.click(screen.getByRole("button", { name: /yes, remove/i }));
+
+    expect(await screen.findByText("No members added yet.")).toBeInTheDocument();
+    expect(backend.db.isMember(3, "marco@projecto.dev")).toBe(false);
+    expect(backend.db.departures[0]).toMatchObject({
+      email: "marco@projecto.dev",
+      removed_by: "pranav@projecto.dev",
+      reason: "Moved to another studio.",
+    });
+  });
+
+  it("tells the lead when deleting a project fails and keeps the dialog open", async () => {
+    const user = userEvent.setup();
+    signInAs(backend, "pranav@projecto.dev");
+    renderApp("/home/teams/created/3");
+
+    await user.click(await screen.findByRole("button", { name: /delete project/i }));
+    // Deleted from another browser while the dialog is open
+    backend.db.projects = backend.db.projects.filter((p) => p.id !== 3);
+    await user.click(screen.getByRole("button", { name: /yes, delete/i }));
+
+    expect(await within(screen.getByRole("dialog")).findByRole("alert")).toHaveTextContent("Not found.");
+  });
+
+  it("tells the lead when removing a member fails and keeps the dialog open", async () => {
+    const user = userEvent.setup();
+    signInAs(backend, "pranav@projecto.dev");
+    renderApp("/home/teams/created/3");
+
+    await user.click(await screen.findByRole("button", { name: "Remove Marco Rossi" }));
+    // Marco leaves on his own while the dialog is open, so the DELETE is rejected
+    backend.db.members = backend.db.members.filter((m) => m.email !== "marco@projecto.dev");
+    await user.click(screen.getByRole("button", { name: /yes, remove/i }));
+
+    expect(await within(screen.getByRole("dialog")).findByRole("alert")).toHaveTextContent("Not found.");
+    expect(screen.getAllByText("Not found.")).toHaveLength(1);
+
+    await user.click(screen.getByRole("button", { name: "Cancel" }));
+    await user.click(screen.getByRole("button", { name: "Remove Marco Rossi" }));
+    expect(within(screen.getByRole("dialog")).queryByRole("alert")).not.toBeInTheDocument();
+  });
+
+  it("lets a member leave a team and updates the Teams Joined counter", async () => {
+    const user = userEvent.setup();
+    signInAs(backend, "pranav@projecto.dev");
+    renderApp("/home/teams/joined");
+
+    await waitFor(() => expect(statValue("Teams Joined")).toBe("1"));
+    await user.click(await screen.findByText("GreenTrack"));
+    await user.click(screen.getByRole("button", { name: /leave team/i }));
+    await user.click(screen.getByRole("button", { name: /yes, leave/i }));
+
+    expect(await screen.findByText("No teams joined currently")).toBeInTheDocument();
+    expect(backend.db.isMember(4, "pranav@projecto.dev")).toBe(false);
+    await waitFor(() => expect(statValue("Teams Joined")).toBe("0"));
+  });
+
+  it("tells a member when leaving fails and keeps the dialog open", async () => {
+    const user = userEvent.setup();
+    signInAs(backend, "pranav@projecto.dev");
+    renderApp("/home/teams/joined/4");
+
+    await user.click(await screen.findByRole("button", { name: /leave team/i }));
+    // The lead removes Pranav while the dialog is open, so the DELETE is rejected
+    backend.db.members = backend.db.members.filter((m) => m.email !== "pranav@projecto.dev");
+    await user.click(screen.getByRole("button", { name: /yes, leave/i }));
+
+    expect(await within(screen.getByRole("dialog")).findByText("Not found.")).toBeInTheDocument();
+  });
+
+  it("lets an applicant edit the message of a pending request", async () => {
+    const user = userEvent.setup();
+    signInAs(backend, "aisha@projecto.dev");
+    renderApp("/home/teams/pending");
+
+    await user.click(await screen.findByRole("button", { name: /edit message/i }));
+    const message = screen.getByLabelText("Request message");
+    await user.clear(message);
+    await user.type(message, "short");
+    await user.click(screen.getByRole("button", { name: /save message/i }));
+    expect(screen.getByText("Message is too short")).toBeInTheDocument();
+
+    await user.type(message, " but now long enough to send.");
+    await user.click(screen.getByRole("button", { name: /save message/i }));
+
+    expect(await screen.findByText('"short but now long enough to send."')).toBeInTheDocument();
+    expect(backend.db.requests.find((r) => r.id === 1).message).toBe("short but now long enough to send.");
+  });
+
+  it("lets an applicant withdraw a pending request", async () => {
+    const user = userEvent.setup();
+    signInAs(backend, "aisha@projecto.dev");
+    renderApp("/home/teams/pending");
+
+    await waitFor(() => expect(statValue("Pending Requests")).toBe("1"));
+    await user.click(await screen.findByRole("button", { name: /withdraw request/i }));
+    await user.click(screen.getByRole("button", { name: /yes, withdraw/i }));
+
+    expect(await screen.findByText("No pending requests currently")).toBeInTheDocument();
+    expect(backend.db.requests.find((r) => r.id === 1).status).toBe("withdrawn");
+    await waitFor(() => expect(statValue("Pending Requests")).toBe("0"));
+  });
+
+  it("tells an applicant when withdrawing fails and keeps the dialog open", async () => {
+    const user = userEvent.setup();
+    signInAs(backend, "aisha@projecto.dev");
+    renderApp("/home/teams/pending");
+
+    await user.click(await screen.findByRole("button", { name: /withdraw request/i }));
+    // The lead decides while the dialog is open, so the request can no longer be withdrawn
+    backend.db.transitionRequest(backend.db.requests.find((r) => r.id === 1), "rejected", "pranav@projecto.dev");
+    await user.click(screen.getByRole("button", { name: /yes, withdraw/i }));
+
+    expect(
+      await within(screen.getByRole("dialog")).findByText("This request has already been rejected.")
+    ).toBeInTheDocument();
+  });
+
+  it("shows an applicant's request history with every status change", async () => {
+    const user = userEvent.setup();
+    signInAs(backend, "lena@projecto.dev");
+    renderApp("/home/teams");
+
+    await user.click(await screen.findByRole("link", { name: "Request History" }));
+
+    const rejected = (await screen.findByText("LabScheduler")).closest("div.rounded-2xl");
+    expect(within(rejected).getAllByText("Rejected")).toHaveLength(2);
+    expect(within(rejected).getByText(/by the team lead/)).toBeInTheDocument();
+    const pending = screen.getByText("StudyBuddy").closest("div.rounded-2xl");
+    expect(within(pending).getAllByText("Pending")).toHaveLength(2);
+  });
+
+  it("expires requests that have waited too long", async () => {
+    backend.db.requests.find((r) => r.id === 1).applied_on = new Date(
+      Date.now() - 31 * 24 * 60 * 60 * 1000
+    ).toISOString();
+    signInAs(backend, "aisha@projecto.dev");
+    renderApp("/home/teams/history");
+
+    expect(await screen.findByText(/automatically on/)).toBeInTheDocument();
+    expect(screen.getAllByText("Expired")).toHaveLength(2);
+    expect(statValue("Pending Requests")).toBe("0");
+  });
+
+  it("keeps a decision log of past requests for the lead", async () => {
+    const user = userEvent.setup();
+    signInAs(backend, "pranav@projecto.dev");
+    renderApp("/home/teams/created/3");
+
+    await screen.findByText("Decision Log");
+    const log = () => within(screen.getByText("Decision Log").parentElement);
+    expect(await log().findByText("Lena Park")).toBeInTheDocument();
+
+    await user.click(await screen.findByText("Aisha Khan"));
+    await user.click(screen.getByRole("button", { name: "Accept" }));
+    await user.click(screen.getByRole("button", { name: /yes, accept/i }));
+
+    expect(await log().findByText("Aisha Khan")).toBeInTheDocument();
+    expect(log().getByText("Accepted")).toBeInTheDocument();
+    expect(log().getByText("Rejected")).toBeInTheDocument();
+  });
+
+  it("opens the tab behind a stat card", async () => {
+    const user = userEvent.setup();
+    signInAs(backend, "pranav@projecto.dev");
+    renderApp("/home/create");
+
+    await user.click(await screen.findByRole("link", { name: /Teams Joined/ }));
+
+    expect(window.location.pathname).toBe("/home/teams/joined");
+    expect(await screen.findByText("GreenTrack")).toBeInTheDocument();
+  });
+});
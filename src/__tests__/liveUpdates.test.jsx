@@ -0,0 +1,150 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { screen, waitFor } from "@testing-library/react";
+import { apiAs, findProjectCard, renderApp, setupBackend, signInAs, statValue } from "../test/utils.jsx";
+import { backoffDelay, createLiveConnection } from "../realtime/liveSocket.js";
+import { NOTIFICATION_POLL_MS } from "../hooks/useNotifications.js";
+
+describe("backoffDelay", () => {
+  it("doubles the delay per attempt and keeps 50-100% of it", () => {
+    expect(backoffDelay(0, { random: () => 0 })).toBe(500);
+    expect(backoffDelay(0, { random: () => 1 })).toBe(1000);
+    expect(backoffDelay(3, { random: () => 1 })).toBe(8000);
+  });
+
+  it("never waits longer than the maximum", () => {
+    expect(backoffDelay(20, { random: () => 1 })).toBe(30000);
+    expect(backoffDelay(20, { max: 5000, random: () => 0.5 })).toBe(3750);
+  });
+});
+
+describe("live updates", () => {
+  let backend;
+
+  beforeEach(() => {
+    backend = setupBackend();
+  });
+
+  afterEach(() => vi.restoreAllMocks());
+
+  it("reconnects after the connection drops", async () => {
+    const { access } = signInAs(backend, "pranav@projecto.dev");
+    const statuses = [];
+    const events = [];
+    const connection = createLiveConnection({
+      getToken: () => access,
+      onEvent: (event) => events.push(event),
+      onStatus: (status) => statuses.push(status),
+      backoff: { base: 5, max: 5 },
+    });
+
+    await waitFor(() => expect(statuses.at(-1)).toBe("open"));
+    backend.realtime.disconnectAll();
+    expect(statuses.at(-1)).toBe("reconnecting");
+    await waitFor(() => expect(statuses.at(-1)).toBe("open"));
+    expect(backend.realtime.connections).toBe(1);
+
+    backend.realtime.publish("project.created", { project_id: 9 });
+    await waitFor(() => expect(events).toHaveLength(1));
+    expect(events[0]).toMatchObject({ type: "project.created", project_id: 9 });
+
+    connection.close();
+    expect(backend.realtime.connections).toBe(0);
+    expect(statuses.at(-1)).toBe("closed");
+  });
+
+  it("keeps retrying while the token is rejected", async () => {
+    const statuses = [];
+    const connection = createLiveConnection({
+      getToken: () => "not-a-token",
+      onEvent: () => {},
+      onStatus: (status) => statuses.push(status),
+      backoff: { base: 5, max: 5 },
+    });
+
+    await waitFor(() => expect(statuses.filter((s) => s === "reconnecting").length).toBeGreaterThan(1));
+    connection.close();
+    expect(backend.realtime.connections).toBe(0);
+  });
+
+  it("shows a request sent by another user in the lead's project", async () => {
+    signInAs(backend, "pranav@projecto.dev");
+    renderApp("/home/teams/created/3");
+    await screen.findByText("Aisha Khan");
+    await waitFor(() => expect(backend.realtime.connections).toBe(1));
+
+    await apiAs(backend, "lena@projecto.dev")("post", "api/projectrequests/", {
+      owner_email: "pranav@projecto.dev",
+      projectname: "LabScheduler",
+      member_email: "lena@projecto.dev",
+      message: "Trying again with a better pitch this time.",
+    });
+
+    expect(await screen.findByText("Trying again with a better pitch this time.", { exact: false })).toBeInTheDocument();
+    expect(await screen.findByRole("button", { name: "Notifications (2 unread)" })).toBeInTheDocument();
+  });
+
+  it("updates an applicant's counts when the lead accepts in another browser", async () => {
+    signInAs(backend, "aisha@projecto.dev");
+    renderApp("/home/create");
+    await waitFor(() => expect(statValue("Pending Requests")).toBe("1"));
+    await waitFor(() => expect(backend.realtime.connections).toBe(1));
+
+    await apiAs(backend, "pranav@projecto.dev")("post", "api/projectrequests/1/status/", { status: "accepted" });
+
+    await waitFor(() => expect(statValue("Teams Joined")).toBe("1"));
+    expect(statValue("Pending Requests")).toBe("0");
+  });
+
+  it("adds projects created elsewhere to the Join a Team list", async () => {
+    signInAs(backend, "aisha@projecto.dev");
+    renderApp("/home/join");
+    await findProjectCard("CampusMarket");
+    await waitFor(() => expect(backend.realtime.connections).toBe(1));
+
+    await apiAs(backend, "marco@projecto.dev")("post", "api/projectleads/", {
+      email: "marco@projecto.dev",
+      projectname: "NoteSwap",
+      description: "Share lecture notes between sections.",
+      frontend: true,
+      backend: false,
+    });
+
+    expect(await findProjectCard("NoteSwap")).toBeInTheDocument();
+  });
+
+  it("catches up on changes missed while the connection was down", async () => {
+    signInAs(backend, "aisha@projecto.dev");
+    renderApp("/home/create");
+    await waitFor(() => expect(statValue("Pending Requests")).toBe("1"));
+    await waitFor(() => expect(backend.realtime.connections).toBe(1));
+
+    backend.realtime.disconnectAll();
+    await apiAs(backend, "pranav@projecto.dev")("post", "api/projectrequests/1/status/", { status: "accepted" });
+    await waitFor(() => expect(backend.realtime.connections).toBe(1), { timeout: 3000 });
+
+    await waitFor(() => expect(statValue("Teams Joined")).toBe("1"));
+    expect(statValue("Pending Requests")).toBe("0");
+    expect(await screen.findByRole("button", { name: "Notifications (2 unread)" })).toBeInTheDocument();
+  });
+
+  it("polls notifications only while the channel isn't open", async () => {
+    const setIntervalSpy = vi.spyOn(globalThis, "setInterval");
+    const clearIntervalSpy = vi.spyOn(globalThis, "clearInterval");
+    /** Notification polling timers that are still running */
+    const polling = () =>
+      setIntervalSpy.mock.calls
+        .map(([, delay], i) => delay === NOTIFICATION_POLL_MS && setIntervalSpy.mock.results[i].value)
+        .filter((timer) => timer && !clearIntervalSpy.mock.calls.some(([cleared]) => cleared === timer));
+
+    signInAs(backend, "pranav@projecto.dev");
+    renderApp("/home/join");
+    await screen.findByRole("button", { name: /notifications/i });
+    await waitFor(() => expect(backend.realtime.connections).toBe(1));
+    await waitFor(() => expect(polling()).toHaveLength(0));
+
+    backend.realtime.disconnectAll();
+    await waitFor(() => expect(polling()).toHaveLength(1));
+    await waitFor(() => expect(backend.realtime.connections).toBe(1));
+    await waitFor(() => expect(polling()).toHaveLength(0));
+  });
+});
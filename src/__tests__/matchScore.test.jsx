@@ -0,0 +1,85 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import { screen, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { renderApp, setupBackend, signInAs } from "../test/utils.jsx";
+import { recommendProjects, scoreProject } from "../skills/matchScore.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.parse("2026-03-01T12:00:00Z");
+
+const dev = { skills: [{ name: "backend", level: "advanced" }, { name: "python", level: "beginner" }] };
+
+const project = (overrides) => ({
+  id: 1,
+  projectname: "Project",
+  skills: [{ name: "backend", count: 2, filled: 0 }],
+  member_count: 0,
+  created_on: new Date(NOW).toISOString(),
+  ...overrides,
+});
+
+describe("scoreProject", () => {
+  it("explains the match with the needs the user has and the open slots", () => {
+    const match = scoreProject(project(), dev, { now: NOW });
+
+    expect(match.matched).toEqual(["backend"]);
+    expect(match.openSlots).toBe(2);
+    expect(match.reasons).toEqual(["needs Backend", "you have Backend", "2 open slots", "new this week", "no members yet"]);
+    expect(match.score).toBeCloseTo(1);
+  });
+
+  it("scores 0 when every need the user has is already filled", () => {
+    const filled = project({ skills: [{ name: "backend", count: 1, filled: 1 }, { name: "design", count: 1, filled: 0 }] });
+    expect(scoreProject(filled, dev, { now: NOW })).toMatchObject({ score: 0, reasons: [] });
+  });
+
+  it("prefers stronger skills, smaller teams and newer projects", () => {
+    const score = (overrides) => scoreProject(project(overrides), dev, { now: NOW }).score;
+
+    expect(score({ skills: [{ name: "python", count: 1 }] })).toBeLessThan(score({}));
+    expect(score({ member_count: 4 })).toBeLessThan(score({ member_count: 1 }));
+    expect(score({ created_on: new Date(NOW - 30 * DAY).toISOString() })).toBeLessThan(score({}));
+    expect(score({ skills: [{ name: "backend", count: 1 }, { name: "design", count: 1 }] })).toBeLessThan(score({}));
+  });
+
+  it("reads the old frontend/backend booleans of users and projects", () => {
+    const match = scoreProject(project({ skills: undefined, backend: true }), { backend: true }, { now: NOW });
+    expect(match.reasons.slice(0, 3)).toEqual(["needs Backend", "you have Backend", "1 open slot"]);
+  });
+});
+
+describe("recommendProjects", () => {
+  it("keeps the best matches, best first, and leaves out poor ones", () => {
+    const projects = [
+      project({ id: 1, created_on: new Date(NOW - 60 * DAY).toISOString(), member_count: 6 }),
+      project({ id: 2 }),
+      project({ id: 3, skills: [{ name: "design", count: 1 }] }),
+      project({ id: 4, member_count: 2 }),
+    ];
+
+    expect(recommendProjects(projects, dev, { now: NOW, limit: 2 }).map((m) => m.project.id)).toEqual([2, 4]);
+    expect(recommendProjects(projects, dev, { now: NOW }).map((m) => m.project.id)).not.toContain(3);
+  });
+});
+
+describe("Recommended for you", () => {
+  let backend;
+
+  beforeEach(() => {
+    backend = setupBackend();
+  });
+
+  it("shows why each project was recommended and opens it", async () => {
+    const user = userEvent.setup();
+    signInAs(backend, "pranav@projecto.dev");
+    renderApp("/home/join");
+
+    const section = (await screen.findByRole("heading", { name: "Recommended for you" })).parentElement;
+    const card = await within(section).findByRole("button", { name: /StudyBuddy/ });
+    expect(card).toHaveTextContent("Needs Backend, you have Backend, 2 open slots");
+
+    await user.click(card);
+    expect(screen.getByRole("heading", { level: 2, name: "StudyBuddy" })).toBeInTheDocument();
+    expect(card).toHaveAttribute("aria-pressed", "true");
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import { screen, waitFor } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { renderApp, setupBackend, signInAs } from "../test/utils.jsx";
+
+describe("notification center", () => {
+  let backend;
+
+  beforeEach(() => {
+    backend = setupBackend();
+  });
+
+  it("shows unread notifications and jumps to the lead's project", async () => {
+    const user = userEvent.setup();
+    signInAs(backend, "pranav@projecto.dev");
+    renderApp("/home/create");
+
+    await user.click(await screen.findByRole("button", { name: "Notifications (1 unread)" }));
+    await user.click(screen.getByRole("menuitem", { name: /Aisha Khan asked to join LabScheduler/ }));
+
+    expect(window.location.pathname).toBe("/home/teams/created/3");
+    expect(await screen.findByText("Pending Join Requests")).toBeInTheDocument();
+    expect(screen.getByRole("button", { name: "Notifications" })).toBeInTheDocument();
+    expect(backend.db.notifications.find((n) => n.id === 1).read).toBe(true);
+  });
+
+  it("notifies the applicant when the lead accepts their request", async () => {
+    const user = userEvent.setup();
+    signInAs(backend, "pranav@projecto.dev");
+    renderApp("/home/teams/created/3");
+
+    await user.click(await screen.findByText("Aisha Khan"));
+    await user.click(screen.getByRole("button", { name: "Accept" }));
+    await user.click(screen.getByRole("button", { name: /yes, accept/i }));
+
+    await waitFor(() =>
+      expect(backend.db.notifications.at(-1)).toMatchObject({
+        recipient: "aisha@projecto.dev",
+        type: "request_accepted",
+        project_id: 3,
+        read: false,
+      })
+    );
+  });
+
+  it("opens the joined project from an acceptance notification", async () => {
+    const user = userEvent.setup();
+    backend.db.members.push({ id: 3, project_id: 3, email: "aisha@projecto.dev", joined_on: new Date().toISOString() });
+    backend.db.notify("aisha@projecto.dev", "request_accepted", { project_id: 3, actor: "pranav@projecto.dev" });
+    signInAs(backend, "aisha@projecto.dev");
+    renderApp("/home/create");
+
+    await user.click(await screen.findByRole("button", { name: "Notifications (2 unread)" }));
+    await user.click(screen.getByRole("menuitem", { name: /You were accepted into LabScheduler/ }));
+
+    expect(window.location.pathname).toBe("/home/teams/joined/3");
+    expect(await screen.findByText("marco@projecto.dev")).toBeInTheDocument();
+  });
+
+  it("marks every notification as read", async () => {
+    const user = userEvent.setup();
+    signInAs(backend, "aisha@projecto.dev");
+    renderApp("/home/create");
+
+    await user.click(await screen.findByRole("button", { name: "Notifications (1 unread)" }));
+    await user.click(screen.getByRole("button", { name: /mark all as read/i }));
+
+    expect(screen.getByRole("button", { name: "Notifications" })).toBeInTheDocument();
+    await waitFor(() =>
+      expect(backend.db.notifications.filter((n) => n.recipient === "aisha@projecto.dev" && !n.read)).toHaveLength(0)
+    );
+  });
+});
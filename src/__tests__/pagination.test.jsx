@@ -0,0 +1,88 @@
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { fireEvent, screen, waitFor } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { findProjectCard, queryProjectCard, renderApp, setupBackend, signInAs } from "../test/utils.jsx";
+import { visibleRange } from "../components/virtualRange.js";
+
+describe("visibleRange", () => {
+  it("covers the rows overlapping the viewport, plus the overscan", () => {
+    const sizes = [100, 100, 100, 100, 100, 100];
+    expect(visibleRange(sizes, 150, 350)).toMatchObject({ start: 1, end: 3, total: 600 });
+    expect(visibleRange(sizes, 150, 350, 1)).toMatchObject({ start: 0, end: 4 });
+  });
+
+  it("stays within the list when the viewport is past either end", () => {
+    expect(visibleRange([50, 50, 50], -500, -100)).toMatchObject({ start: 0, end: 0 });
+    expect(visibleRange([50, 50, 50], 1000, 1500)).toMatchObject({ start: 2, end: 2 });
+    expect(visibleRange([], 0, 500)).toMatchObject({ start: 0, end: -1, total: 0 });
+  });
+});
+
+describe("paginated project lists", () => {
+  let backend;
+
+  beforeEach(() => {
+    backend = setupBackend();
+    for (let i = 1; i <= 30; i++) {
+      backend.db.projects.push({
+        id: 100 + i,
+        owner_email: "marco@projecto.dev",
+        projectname: `Project ${String(i).padStart(2, "0")}`,
+        description: "One of many.",
+        frontend: false,
+        backend: true,
+        created_on: new Date(Date.now() - (31 - i) * 60 * 1000).toISOString(),
+      });
+    }
+  });
+
+  /** Pretends the page was scrolled so the end of the list containing project `name` is on screen */
+  const scrollToEnd = (name) => {
+    const list = screen.getByRole("heading", { level: 3, name }).closest("[data-row-key]").parentElement;
+    vi.spyOn(list, "getBoundingClientRect").mockReturnValue({ top: -100000 });
+    fireEvent.scroll(window);
+  };
+
+  it("renders only the cards on screen and loads the next page at the end of the list", async () => {
+    signInAs(backend, "pranav@projecto.dev");
+    renderApp("/home/join");
+
+    expect(await findProjectCard("Project 30")).toBeInTheDocument();
+    expect(screen.queryByText("Project 11")).not.toBeInTheDocument();
+    expect(screen.getByRole("button", { name: "Load more" })).toBeInTheDocument();
+
+    scrollToEnd("Project 30");
+
+    expect(await screen.findByText("StudyBuddy")).toBeInTheDocument();
+    expect(queryProjectCard("Project 30")).not.toBeInTheDocument();
+    expect(screen.queryByRole("button", { name: "Load more" })).not.toBeInTheDocument();
+  });
+
+  it("keeps the selected project open while more pages load", async () => {
+    const user = userEvent.setup();
+    signInAs(backend, "pranav@projecto.dev");
+    renderApp("/home/join");
+
+    await user.click(await findProjectCard("Project 30"));
+    expect(screen.getByRole("heading", { level: 2, name: "Project 30" })).toBeInTheDocument();
+
+    await user.click(screen.getByRole("button", { name: "Load more" }));
+    await waitFor(() =>
+      expect(screen.queryByRole("button", { name: "Load more" })).not.toBeInTheDocument()
+    );
+
+    expect(screen.getByRole("heading", { level: 2, name: "Project 30" })).toBeInTheDocument();
+    expect(screen.getByPlaceholderText("Write a personalized message...")).toBeInTheDocument();
+  });
+
+  it("loads pages until the project linked in the URL is found", async () => {
+    for (let i = 1; i <= 30; i++) {
+      backend.db.members.push({ id: 100 + i, project_id: 100 + i, email: "lena@projecto.dev", joined_on: new Date().toISOString() });
+    }
+    signInAs(backend, "lena@projecto.dev");
+    renderApp("/home/teams/joined/130");
+
+    expect(await screen.findByText("Leave team")).toBeInTheDocument();
+    expect(screen.getByText("Project 30")).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import { screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { apiAs, renderApp, setupBackend, signInAs } from "../test/utils.jsx";
+import { validateProfile } from "../profile/profile.js";
+
+describe("profile rules", () => {
+  it("accepts empty links but only GitHub profiles and http(s) sites", () => {
+    expect(validateProfile({ firstname: "Ada", github: "", portfolio: "" })).toEqual({});
+    expect(validateProfile({ firstname: " ", github: "https://gitlab.com/ada", portfolio: "ada.dev" })).toEqual({
+      firstname: expect.any(String),
+      github: expect.stringMatching(/GitHub/),
+      portfolio: expect.any(String),
+    });
+    expect(validateProfile({ availability: "sometimes", avatar: "data:text/plain;base64,aGk=" })).toEqual({
+      availability: expect.any(String),
+      avatar: expect.any(String),
+    });
+  });
+});
+
+describe("profile page", () => {
+  let backend;
+
+  beforeEach(() => {
+    backend = setupBackend();
+  });
+
+  it("edits the profile from the header card and shows the changes right away", async () => {
+    const user = userEvent.setup();
+    signInAs(backend, "pranav@projecto.dev");
+    renderApp("/home/join");
+
+    await user.click(await screen.findByRole("link", { name: "Edit your profile" }));
+    expect(window.location.pathname).toBe("/profile");
+
+    const firstname = screen.getByLabelText("First Name");
+    await user.clear(firstname);
+    await user.type(firstname, "Pran");
+    await user.type(screen.getByLabelText("Skills"), "vue{Enter}");
+    await user.clear(screen.getByLabelText("Bio"));
+    await user.type(screen.getByLabelText("Bio"), "Likes tidy APIs.");
+    await user.clear(screen.getByLabelText("GitHub"));
+    await user.type(screen.getByLabelText("GitHub"), "https://gitlab.com/pranav");
+    await user.selectOptions(screen.getByLabelText("Availability"), "Limited time");
+    await user.click(screen.getByRole("button", { name: "Save profile" }));
+
+    expect(screen.getByText(/Enter a link to a GitHub profile/)).toBeInTheDocument();
+    expect(backend.db.findUser("pranav@projecto.dev").firstname).toBe("Pranav");
+
+    await user.clear(screen.getByLabelText("GitHub"));
+    await user.click(screen.getByRole("button", { name: "Save profile" }));
+
+    expect(await screen.findByRole("status")).toHaveTextContent("Profile saved.");
+    expect(screen.getByText("Pran Singh")).toBeInTheDocument();
+    expect(backend.db.findUser("pranav@projecto.dev")).toMatchObject({
+      firstname: "Pran",
+      bio: "Likes tidy APIs.",
+      github: "",
+      availability: "limited",
+      skills: expect.arrayContaining([{ name: "vue", level: "intermediate" }]),
+    });
+  });
+
+  it("lets a lead look at an applicant's profile before deciding", async () => {
+    const user = userEvent.setup();
+    signInAs(backend, "pranav@projecto.dev");
+    renderApp("/home/teams/created/3");
+
+    await user.click(await screen.findByText("aisha@projecto.dev"));
+    await user.click(screen.getByRole("link", { name: "View profile" }));
+    expect(window.location.pathname).toBe("/users/aisha%40projecto.dev");
+
+    expect(await screen.findByRole("heading", { name: "Aisha Khan" })).toBeInTheDocument();
+    expect(screen.getByText("Product designer who also writes the frontend.")).toBeInTheDocument();
+    expect(screen.getByText("Limited time")).toBeInTheDocument();
+    expect(screen.getByRole("link", { name: "Portfolio" })).toHaveAttribute("href", "https://aisha.design");
+    expect(screen.getByRole("link", { name: "StudyBuddy" })).toHaveAttribute("href", "/projects/1");
+    expect(screen.queryByRole("link", { name: "Edit profile" })).not.toBeInTheDocument();
+
+    await user.click(screen.getByRole("button", { name: "Back" }));
+    expect(window.location.pathname).toBe("/home/teams/created/3");
+  });
+
+  it("rejects invalid changes and unknown people", async () => {
+    const api = apiAs(backend, "lena@projecto.dev");
+    const { status, data } = await api("patch", "api/accounts/home/", { lastname: "", portfolio: "lena.dev" });
+    expect(status).toBe(400);
+    expect(Object.keys(data)).toEqual(["lastname", "portfolio"]);
+    expect(backend.db.findUser("lena@projecto.dev").lastname).toBe("Park");
+
+    expect((await api("get", "api/users/nobody%40projecto.dev/")).status).toBe(404);
+  });
+});
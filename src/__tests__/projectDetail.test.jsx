@@ -0,0 +1,101 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import { screen, waitFor, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { findProjectCard, renderApp, setupBackend, signInAs } from "../test/utils.jsx";
+
+describe("project page", () => {
+  let backend;
+
+  beforeEach(() => {
+    backend = setupBackend();
+  });
+
+  it("lets an outsider open it from Join a Team, apply and withdraw", async () => {
+    const user = userEvent.setup();
+    signInAs(backend, "lena@projecto.dev");
+    renderApp("/home/join");
+
+    await user.click(await findProjectCard("CampusMarket"));
+    await user.click(screen.getByRole("link", { name: "View project page" }));
+    expect(window.location.pathname).toBe("/projects/2");
+
+    expect(await screen.findByRole("heading", { level: 2, name: "CampusMarket" })).toBeInTheDocument();
+    expect(screen.getByText("0/3 members, 1 Frontend, 1 Design slots open")).toBeInTheDocument();
+    expect(screen.getByText("Marco Rossi created the project")).toBeInTheDocument();
+
+    await user.type(screen.getByLabelText("Ask to join"), "I can build the listing pages in React.");
+    await user.click(screen.getByRole("button", { name: "Send Request" }));
+    expect(await screen.findByText("Your request to join is waiting for the lead.")).toBeInTheDocument();
+    expect(backend.db.hasPendingRequest(2, "lena@projecto.dev")).toBe(true);
+
+    await user.click(screen.getByRole("button", { name: "Withdraw request" }));
+    await user.click(screen.getByRole("button", { name: "Yes, Withdraw" }));
+    expect(await screen.findByLabelText("Ask to join")).toBeInTheDocument();
+    expect(backend.db.hasPendingRequest(2, "lena@projecto.dev")).toBe(false);
+  });
+
+  it("shows the lead the team's activity and links to managing it", async () => {
+    const user = userEvent.setup();
+    signInAs(backend, "pranav@projecto.dev");
+    renderApp("/home/teams/created/3");
+
+    await user.click(await screen.findByRole("link", { name: "Project page" }));
+    const team = (await screen.findByRole("heading", { name: "Team" })).parentElement;
+    expect(within(team).getByText("Pranav Singh")).toBeInTheDocument();
+    expect(within(team).getByText("Marco Rossi")).toBeInTheDocument();
+    expect(screen.getByText("Marco Rossi joined the team")).toBeInTheDocument();
+    expect(screen.getByText('Marco Rossi added the task "Conflict detection rules"')).toBeInTheDocument();
+
+    await user.click(screen.getByRole("link", { name: "Manage team" }));
+    expect(window.location.pathname).toBe("/home/teams/created/3");
+  });
+
+  it("lets a member leave from the page", async () => {
+    const user = userEvent.setup();
+    signInAs(backend, "pranav@projecto.dev");
+    renderApp("/projects/4");
+
+    await user.click(await screen.findByRole("button", { name: "Leave team" }));
+    await user.type(screen.getByLabelText("Reason (optional)"), "Exams");
+    await user.click(screen.getByRole("button", { name: "Yes, Leave" }));
+
+    expect(await screen.findByRole("status")).toHaveTextContent("You left GreenTrack.");
+    await waitFor(() => expect(backend.db.isMember(4, "pranav@projecto.dev")).toBe(false));
+    expect(await screen.findByLabelText("Ask to join")).toBeInTheDocument();
+    expect(screen.getByText("Pranav Singh left the team")).toBeInTheDocument();
+  });
+
+  it("keeps the dialog open with the error when leaving fails", async () => {
+    const user = userEvent.setup();
+    signInAs(backend, "pranav@projecto.dev");
+    renderApp("/projects/4");
+
+    await user.click(await screen.findByRole("button", { name: "Leave team" }));
+    // Removed by the lead while the dialog is open
+    backend.db.members = backend.db.members.filter((m) => m.email !== "pranav@projecto.dev");
+    await user.click(screen.getByRole("button", { name: "Yes, Leave" }));
+
+    expect(await within(screen.getByRole("dialog")).findByRole("alert")).toHaveTextContent("Not found.");
+    expect(screen.getAllByRole("alert")).toHaveLength(1);
+
+    await user.click(screen.getByRole("button", { name: "Cancel" }));
+    expect(screen.queryByRole("alert")).not.toBeInTheDocument();
+  });
+
+  it("keeps the team's tasks out of an outsider's view and says when a team is full", async () => {
+    backend.db.projectById(3).max_members = 1;
+    signInAs(backend, "marco@projecto.dev");
+    backend.db.members = backend.db.members.filter((m) => m.email !== "marco@projecto.dev");
+    backend.db.members.push({ id: 9, project_id: 3, email: "lena@projecto.dev", joined_on: new Date().toISOString() });
+    renderApp("/projects/3");
+
+    expect(await screen.findByText("This team is full and no longer accepts requests.")).toBeInTheDocument();
+    expect(screen.queryByText(/added the task/)).not.toBeInTheDocument();
+  });
+
+  it("says when the project doesn't exist", async () => {
+    signInAs(backend, "pranav@projecto.dev");
+    renderApp("/projects/99");
+    expect(await screen.findByText("This project doesn't exist anymore.")).toBeInTheDocument();
+  });
+});
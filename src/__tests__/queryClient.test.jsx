@@ -0,0 +1,100 @@
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { screen, waitFor, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { renderApp, setupBackend, signInAs } from "../test/utils.jsx";
+import { createQueryClient } from "../query/queryClient.js";
+
+describe("createQueryClient", () => {
+  it("shares one request between concurrent fetches of a key", async () => {
+    const client = createQueryClient();
+    const fetcher = vi.fn(async () => ["StudyBuddy"]);
+
+    const [a, b] = await Promise.all([
+      client.fetchQuery(["leadprojects", "a"], fetcher),
+      client.fetchQuery(["leadprojects", "a"], fetcher),
+    ]);
+
+    expect(fetcher).toHaveBeenCalledTimes(1);
+    expect(a).toBe(b);
+  });
+
+  it("serves fresh data from the cache and refetches once it is stale", async () => {
+    let time = 1000;
+    const client = createQueryClient({ staleTime: 100, now: () => time });
+    const fetcher = vi.fn(async () => time);
+
+    await client.fetchQuery(["projectcount"], fetcher);
+    time = 1050;
+    expect(await client.fetchQuery(["projectcount"], fetcher)).toBe(1000);
+    time = 1150;
+    expect(await client.fetchQuery(["projectcount"], fetcher)).toBe(1150);
+    expect(fetcher).toHaveBeenCalledTimes(2);
+  });
+
+  it("invalidates every key under a prefix and refetches the observed ones", async () => {
+    const client = createQueryClient();
+    const first = vi.fn(async () => 1);
+    const second = vi.fn(async () => 2);
+    const other = vi.fn(async () => 3);
+    await client.fetchQuery(["projectmembers", "a", "x"], first);
+    await client.fetchQuery(["projectmembers", "a", "y"], second);
+    await client.fetchQuery(["notifications"], other);
+    client.subscribe(["projectmembers", "a", "x"], () => {});
+
+    client.invalidate(["projectmembers"]);
+
+    await waitFor(() => expect(first).toHaveBeenCalledTimes(2));
+    expect(second).toHaveBeenCalledTimes(1);
+    expect(client.getState(["projectmembers", "a", "y"]).updatedAt).toBe(0);
+    expect(client.getState(["notifications"]).updatedAt).not.toBe(0);
+  });
+
+  it("returns the previous data from setQueryData so it can be rolled back", async () => {
+    const client = createQueryClient();
+    await client.fetchQuery(["projectrequests"], async () => [{ id: 1 }, { id: 2 }]);
+
+    const previous = client.setQueryData(["projectrequests"], (prev) => prev.filter((r) => r.id !== 1));
+    expect(client.getState(["projectrequests"]).data).toEqual([{ id: 2 }]);
+
+    client.setQueryData(["projectrequests"], previous);
+    expect(client.getState(["projectrequests"]).data).toEqual([{ id: 1 }, { id: 2 }]);
+  });
+});
+
+describe("query cache in the dashboard", () => {
+  let backend;
+
+  beforeEach(() => {
+    backend = setupBackend();
+  });
+
+  it("shows cached data straight away when a tab is revisited", async () => {
+    const user = userEvent.setup();
+    signInAs(backend, "pranav@projecto.dev");
+    renderApp("/home/teams/joined");
+
+    expect(await screen.findByText("GreenTrack")).toBeInTheDocument();
+    await user.click(screen.getByRole("link", { name: "Created Teams" }));
+    expect(await screen.findByText("LabScheduler")).toBeInTheDocument();
+    await user.click(screen.getByRole("link", { name: "Joined Teams" }));
+
+    expect(screen.getByText("GreenTrack")).toBeInTheDocument();
+    expect(screen.queryByText("Loading joined teams...")).not.toBeInTheDocument();
+  });
+
+  it("rolls back an optimistic accept when the server refuses it", async () => {
+    const user = userEvent.setup();
+    signInAs(backend, "pranav@projecto.dev");
+    renderApp("/home/teams/created/3");
+
+    await user.click(await screen.findByText("Aisha Khan"));
+    backend.db.requests.find((r) => r.id === 1).status = "withdrawn";
+    await user.click(screen.getByRole("button", { name: "Accept" }));
+    await user.click(screen.getByRole("button", { name: /yes, accept/i }));
+
+    expect(await screen.findByText("This request has already been withdrawn.")).toBeInTheDocument();
+    const members = screen.getByText("Current Team Members").parentElement;
+    await waitFor(() => expect(within(members).queryByText("aisha@projecto.dev")).not.toBeInTheDocument());
+    expect(backend.db.isMember(3, "aisha@projecto.dev")).toBe(false);
+  });
+});
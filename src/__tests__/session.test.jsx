@@ -0,0 +1,95 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import { screen, waitFor } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { renderApp, setupBackend, signInAs } from "../test/utils.jsx";
+
+describe("session expiry", () => {
+  let backend;
+
+  beforeEach(() => {
+    backend = setupBackend();
+  });
+
+  /** Swaps the stored tokens for an expired access token and a revoked refresh token. */
+  const expireSession = () => {
+    const { access, refresh } = backend.tokens.issue("pranav@projecto.dev", { accessTtl: -60 });
+    backend.tokens.revoke(refresh);
+    localStorage.setItem("access_token", access);
+    localStorage.setItem("refresh_token", refresh);
+  };
+
+  it("asks for the password again and keeps the current page", async () => {
+    const user = userEvent.setup();
+    signInAs(backend, "pranav@projecto.dev");
+    renderApp("/home/teams/joined");
+    expect(await screen.findByText("GreenTrack")).toBeInTheDocument();
+
+    expireSession();
+    await user.click(screen.getByRole("link", { name: "Pending Requests" }));
+
+    expect(await screen.findByRole("dialog", { name: "Session expired" })).toBeInTheDocument();
+
+    await user.type(screen.getByLabelText("Password"), "password123");
+    await user.click(screen.getByRole("button", { name: /sign in again/i }));
+
+    expect(screen.queryByRole("dialog")).not.toBeInTheDocument();
+    expect(window.location.pathname).toBe("/home/teams/pending");
+    expect(localStorage.getItem("access_token")).not.toBe(null);
+  });
+
+  it("returns to the same page after signing out from the modal and back in", async () => {
+    const user = userEvent.setup();
+    signInAs(backend, "pranav@projecto.dev");
+    renderApp("/home/teams/joined");
+    expect(await screen.findByText("GreenTrack")).toBeInTheDocument();
+
+    expireSession();
+    await user.click(screen.getByRole("link", { name: "Pending Requests" }));
+    await user.click(await screen.findByRole("button", { name: /sign out/i }));
+
+    await user.type(await screen.findByLabelText("Email"), "pranav@projecto.dev");
+    await user.type(screen.getByLabelText("Password"), "password123");
+    await user.click(screen.getByRole("button", { name: /sign in/i }));
+
+    expect(await screen.findByText("My Teams", { selector: "h2" })).toBeInTheDocument();
+    expect(window.location.pathname).toBe("/home/teams/pending");
+  });
+
+  it("signs out from the sidebar and revokes the refresh token", async () => {
+    const user = userEvent.setup();
+    const { refresh } = signInAs(backend, "pranav@projecto.dev");
+    renderApp("/home/create");
+
+    await user.click(await screen.findByRole("button", { name: "Logout" }));
+
+    expect(await screen.findByRole("heading", { name: "SIGN IN" })).toBeInTheDocument();
+    expect(localStorage.getItem("access_token")).toBeNull();
+    expect(backend.db.blacklist.has(refresh)).toBe(true);
+  });
+
+  it("follows a logout made in another tab", async () => {
+    signInAs(backend, "pranav@projecto.dev");
+    renderApp("/home/create");
+    expect(await screen.findByText("Create a New Team")).toBeInTheDocument();
+
+    // Another tab clears the shared storage and announces the logout
+    localStorage.clear();
+    const otherTab = new BroadcastChannel("projecto-auth");
+    otherTab.postMessage("logout");
+    otherTab.close();
+
+    expect(await screen.findByRole("heading", { name: "SIGN IN" })).toBeInTheDocument();
+  });
+
+  it("follows a login made in another tab", async () => {
+    renderApp("/");
+    expect(await screen.findByRole("heading", { name: "SIGN IN" })).toBeInTheDocument();
+
+    signInAs(backend, "pranav@projecto.dev");
+    const otherTab = new BroadcastChannel("projecto-auth");
+    otherTab.postMessage("login");
+    otherTab.close();
+
+    await waitFor(() => expect(window.location.pathname).toBe("/home/create"));
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import { screen, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { findProjectCard, renderApp, setupBackend, signInAs } from "../test/utils.jsx";
+import { normalizeSkill, projectSkills, skillLabel, userSkills } from "../skills/skills.js";
+
+describe("skill tags", () => {
+  it("normalizes free text into tags", () => {
+    expect(normalizeSkill("  Machine Learning ")).toBe("machine-learning");
+    expect(normalizeSkill("C++")).toBe("c++");
+    expect(normalizeSkill("UI / UX")).toBe("ui-ux");
+    expect(normalizeSkill("!!!")).toBe("");
+    expect(skillLabel("machine-learning")).toBe("Machine Learning");
+  });
+
+  it("maps the old frontend/backend booleans onto tags", () => {
+    expect(userSkills({ frontend: true, backend: false })).toEqual([{ name: "frontend", level: "intermediate" }]);
+    expect(projectSkills({ frontend: true, backend: true })).toEqual([
+      { name: "frontend", count: 1 },
+      { name: "backend", count: 1 },
+    ]);
+    expect(userSkills({ skills: [], frontend: true })).toEqual([]);
+  });
+});
+
+describe("skill tags in the app", () => {
+  let backend;
+
+  beforeEach(() => {
+    backend = setupBackend();
+  });
+
+  it("suggests tags already in use while typing", async () => {
+    const user = userEvent.setup();
+    renderApp("/signup");
+
+    await user.type(await screen.findByLabelText("Skills"), "mach");
+    await user.click(await screen.findByRole("option", { name: "Machine Learning" }));
+
+    expect(screen.getByRole("combobox", { name: "Machine Learning level" })).toHaveValue("intermediate");
+    expect(screen.getByLabelText("Skills")).toHaveValue("");
+  });
+
+  it("lists projects sharing a skill and highlights the matching tags", async () => {
+    const user = userEvent.setup();
+    // An account from before skill tags, with only the backend flag
+    backend.db.users.push({
+      email: "omar@projecto.dev",
+      firstname: "Omar",
+      lastname: "Haddad",
+      frontend: false,
+      backend: true,
+      password: "secret123",
+    });
+    signInAs(backend, "omar@projecto.dev");
+    renderApp("/home/join");
+
+    await user.click(await findProjectCard("StudyBuddy"));
+    expect(screen.queryByText("CampusMarket")).not.toBeInTheDocument();
+
+    const details = screen.getByRole("heading", { level: 2, name: "StudyBuddy" }).parentElement;
+    expect(within(details).getByText("Backend")).toHaveAttribute("title", "You have this skill");
+    expect(within(details).getByText("Machine Learning")).not.toHaveAttribute("title");
+  });
+});
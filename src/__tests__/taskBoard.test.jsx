@@ -0,0 +1,111 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import { fireEvent, screen, waitFor, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { apiAs, renderApp, setupBackend, signInAs } from "../test/utils.jsx";
+import { isOverdue, moveTask, taskProgress } from "../Dashboard/taskBoard.js";
+
+describe("task board helpers", () => {
+  const tasks = [
+    { id: 1, status: "todo", position: 0 },
+    { id: 2, status: "todo", position: 1 },
+    { id: 3, status: "todo", position: 2 },
+    { id: 4, status: "done", position: 0 },
+  ];
+  const board = (list) => list.map((t) => `${t.id}:${t.status}:${t.position}`);
+
+  it("moves tasks within and across columns, renumbering both", () => {
+    expect(board(moveTask(tasks, 3, "todo", 0))).toEqual(["3:todo:0", "1:todo:1", "2:todo:2", "4:done:0"]);
+    expect(board(moveTask(tasks, 1, "done", 0))).toEqual(["2:todo:0", "3:todo:1", "1:done:0", "4:done:1"]);
+    expect(board(moveTask(tasks, 2, "in_progress"))).toEqual(["1:todo:0", "3:todo:1", "2:in_progress:0", "4:done:0"]);
+  });
+
+  it("sums up progress and spots overdue tasks", () => {
+    expect(taskProgress({ todo: 2, in_progress: 1, done: 1 })).toEqual({ label: "1/4 tasks done", percent: 25 });
+    expect(taskProgress({ todo: 0, in_progress: 0, done: 0 })).toBeNull();
+    expect(isOverdue({ status: "todo", due_date: "2026-03-01" }, "2026-03-02")).toBe(true);
+    expect(isOverdue({ status: "done", due_date: "2026-03-01" }, "2026-03-02")).toBe(false);
+    expect(isOverdue({ status: "todo", due_date: null }, "2026-03-02")).toBe(false);
+  });
+});
+
+describe("task board", () => {
+  let backend;
+
+  beforeEach(() => {
+    backend = setupBackend();
+  });
+
+  it("lets the lead drag tasks between columns and add new ones", async () => {
+    const user = userEvent.setup();
+    signInAs(backend, "pranav@projecto.dev");
+    renderApp("/home/teams/created/3");
+
+    expect(await screen.findByText("1/4 tasks done")).toBeInTheDocument();
+    await user.click(screen.getByRole("button", { name: "Task board" }));
+    expect(window.location.search).toBe("?board=open");
+
+    const card = await screen.findByRole("listitem", { name: "Conflict detection rules" });
+    const inProgress = screen.getByRole("region", { name: "In Progress" });
+    fireEvent.dragStart(card);
+    fireEvent.dragOver(within(inProgress).getByRole("listitem", { name: "Booking API endpoints" }));
+    fireEvent.drop(within(inProgress).getByRole("listitem", { name: "Booking API endpoints" }));
+
+    expect(within(inProgress).getAllByRole("listitem").map((li) => li.getAttribute("aria-label"))).toEqual([
+      "Conflict detection rules",
+      "Booking API endpoints",
+    ]);
+    await waitFor(() =>
+      expect(backend.db.tasks.find((t) => t.id === 4)).toMatchObject({ status: "in_progress", position: 0 })
+    );
+    expect(backend.db.tasks.find((t) => t.id === 2).position).toBe(1);
+
+    await user.type(screen.getByLabelText("New task"), "Write the README");
+    await user.selectOptions(screen.getByLabelText("Assignee"), "Marco Rossi");
+    fireEvent.change(screen.getByLabelText("Due date"), { target: { value: "2030-01-15" } });
+    await user.click(screen.getByRole("button", { name: "Add task" }));
+
+    const todo = screen.getByRole("region", { name: "To Do" });
+    expect(await within(todo).findByRole("listitem", { name: "Write the README" })).toBeInTheDocument();
+    expect(backend.db.tasks.at(-1)).toMatchObject({
+      project_id: 3,
+      title: "Write the README",
+      status: "todo",
+      assignee: "marco@projecto.dev",
+      due_date: "2030-01-15",
+      created_by: "pranav@projecto.dev",
+    });
+    // On the card and above the board
+    expect(await screen.findAllByText("1/5 tasks done")).toHaveLength(2);
+  });
+
+  it("lets members move and reassign tasks of the teams they joined", async () => {
+    const user = userEvent.setup();
+    signInAs(backend, "pranav@projecto.dev");
+    renderApp("/home/teams/joined/4?board=open");
+
+    const card = await screen.findByRole("listitem", { name: "Carbon dashboard charts" });
+    expect(within(card).queryByRole("button", { name: /Delete/ })).not.toBeInTheDocument();
+
+    await user.selectOptions(within(card).getByLabelText("Assignee of Carbon dashboard charts"), "Lena Park");
+    await user.selectOptions(within(card).getByLabelText("Status of Carbon dashboard charts"), "Done");
+
+    const done = screen.getByRole("region", { name: "Done" });
+    expect(within(done).getByRole("listitem", { name: "Carbon dashboard charts" })).toBeInTheDocument();
+    await waitFor(() =>
+      expect(backend.db.tasks.find((t) => t.id === 5)).toMatchObject({ status: "done", assignee: "lena@projecto.dev" })
+    );
+    expect(await screen.findAllByText("1/2 tasks done")).toHaveLength(2);
+  });
+
+  it("keeps the board to the team and only lets people on it be assigned", async () => {
+    const outsider = await apiAs(backend, "aisha@projecto.dev")("get", "api/projects/3/tasks/");
+    expect(outsider.status).toBe(403);
+
+    const { status, data } = await apiAs(backend, "marco@projecto.dev")("post", "api/projects/3/tasks/", {
+      title: "Review the API",
+      assignee_email: "aisha@projecto.dev",
+    });
+    expect(status).toBe(400);
+    expect(data.assignee_email[0]).toMatch(/on the team/);
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import { screen, waitFor } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { apiAs, findProjectCard, queryProjectCard, renderApp, setupBackend, signInAs } from "../test/utils.jsx";
+import { capacitySummary, isFull, wouldExceedCapacity } from "../Dashboard/teamCapacity.js";
+import { describeNotification } from "../Dashboard/notifications.js";
+
+describe("capacitySummary", () => {
+  const team = (overrides) => ({
+    member_count: 3,
+    max_members: 5,
+    skills: [
+      { name: "backend", count: 2, filled: 1 },
+      { name: "design", count: 1, filled: 1 },
+    ],
+    ...overrides,
+  });
+
+  it("sums up the members and the open slots of each skill", () => {
+    expect(capacitySummary(team())).toBe("3/5 members, 1 Backend slot open");
+    expect(capacitySummary(team({ skills: [{ name: "backend", count: 2 }, { name: "ui-ux", count: 1 }] }))).toBe(
+      "3/5 members, 2 Backend, 1 Ui Ux slots open"
+    );
+    expect(capacitySummary(team({ member_count: 5 }))).toBe("5/5 members, team full");
+    expect(capacitySummary(team({ max_members: null, member_count: 1 }))).toBe("1 member, 1 Backend slot open");
+  });
+
+  it("tells full teams and accepts that would overfill them", () => {
+    expect(isFull(team({ member_count: 5 }))).toBe(true);
+    expect(isFull(team({ max_members: null, member_count: 50 }))).toBe(false);
+    expect(wouldExceedCapacity(team({ member_count: 4 }))).toBe(false);
+    expect(wouldExceedCapacity(team(), 5)).toBe(true);
+  });
+});
+
+describe("team capacity", () => {
+  let backend;
+
+  beforeEach(() => {
+    backend = setupBackend();
+  });
+
+  it("shows the capacity on the Join a Team cards", async () => {
+    signInAs(backend, "lena@projecto.dev");
+    renderApp("/home/join");
+    const card = (await findProjectCard("LabScheduler")).parentElement;
+    expect(card).toHaveTextContent("1/3 members, 1 Frontend slot open");
+  });
+
+  it("stops listing a team and refuses requests once it is full", async () => {
+    backend.db.projectById(1).max_members = 1;
+    backend.db.members.push({ id: 10, project_id: 1, email: "marco@projecto.dev", joined_on: new Date().toISOString() });
+    signInAs(backend, "pranav@projecto.dev");
+    renderApp("/home/join");
+
+    expect(await findProjectCard("CampusMarket")).toBeInTheDocument();
+    expect(queryProjectCard("StudyBuddy")).not.toBeInTheDocument();
+
+    const { status, data } = await apiAs(backend, "pranav@projecto.dev")("post", "api/projectrequests/", {
+      owner_email: "aisha@projecto.dev",
+      projectname: "StudyBuddy",
+      member_email: "pranav@projecto.dev",
+      message: "Happy to help with the backend.",
+    });
+    expect(status).toBe(400);
+    expect(data.detail).toMatch(/full/);
+  });
+
+  it("warns before accepting a request into a full team", async () => {
+    const user = userEvent.setup();
+    backend.db.projectById(3).max_members = 1;
+    signInAs(backend, "pranav@projecto.dev");
+    renderApp("/home/teams/created/3");
+
+    expect(await screen.findByText("1/1 members, team full")).toBeInTheDocument();
+    await user.click(await screen.findByText("Aisha Khan"));
+    await user.click(screen.getByRole("button", { name: "Accept" }));
+
+    expect(screen.getByRole("alert")).toHaveTextContent("Accepting will take it over its maximum size.");
+    await user.click(screen.getByRole("button", { name: /yes, accept/i }));
+
+    await waitFor(() => expect(backend.db.isMember(3, "aisha@projecto.dev")).toBe(true));
+    expect(await screen.findByText("2/1 members, team full")).toBeInTheDocument();
+  });
+
+  it("closes the other waiting requests once an accept fills the team", async () => {
+    const user = userEvent.setup();
+    backend.db.projectById(3).max_members = 2;
+    const appliedOn = new Date().toISOString();
+    backend.db.requests.push({
+      id: 10,
+      project_id: 3,
+      email: "lena@projecto.dev",
+      message: "I can take the conflict detection rules.",
+      status: "pending",
+      applied_on: appliedOn,
+      updated_on: appliedOn,
+      history: [{ status: "pending", at: appliedOn, by: "lena@projecto.dev" }],
+    });
+    signInAs(backend, "pranav@projecto.dev");
+    renderApp("/home/teams/created/3");
+
+    await user.click(await screen.findByText("Aisha Khan"));
+    // Aisha's request is listed before Lena's
+    await user.click(screen.getAllByRole("button", { name: "Accept" })[0]);
+    await user.click(screen.getByRole("button", { name: /yes, accept/i }));
+
+    await waitFor(() => expect(backend.db.requests.find((r) => r.id === 10).status).toBe("closed"));
+    expect(await screen.findByText("2/2 members, team full")).toBeInTheDocument();
+    expect(await screen.findByText("No requests yet.")).toBeInTheDocument();
+    expect(screen.getByText("Team full")).toBeInTheDocument();
+
+    const { data } = await apiAs(backend, "lena@projecto.dev")("get", "api/notifications/");
+    expect(describeNotification(data[0])).toBe("LabScheduler is full, so your request to join was closed");
+  });
+});
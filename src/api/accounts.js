@@ -0,0 +1,88 @@
+/**
+ * @file accounts.js
+ * @description Account, profile and authentication endpoints.
+ * @author Pranav Singh
+ */
+
+import { get, patch, post } from "./client.js";
+
+/**
+ * @typedef {Object} User
+ * @property {string} email
+ * @property {string} firstname
+ * @property {string} lastname
+ * @property {import("../skills/skills.js").UserSkill[]} skills - Older accounts may have only
+ *   `frontend`/`backend` booleans instead; read them through `userSkills`
+ * @property {string} [bio]
+ * @property {string} [github] - Link to a GitHub profile, or empty
+ * @property {string} [portfolio] - Link to a personal site, or empty
+ * @property {import("../profile/profile.js").Availability} [availability]
+ * @property {string|null} [avatar] - Image as a data URL
+ */
+
+/**
+ * @typedef {Object} ProfileProject
+ * @property {number} id
+ * @property {string} projectname
+ * @property {"lead"|"member"} role
+ */
+
+/**
+ * @typedef {User & { projects: ProfileProject[] }} PublicProfile
+ */
+
+/**
+ * @typedef {Object} TokenPair
+ * @property {string} access - Short-lived JWT sent as the Bearer token
+ * @property {string} refresh - Long-lived JWT used to obtain new access tokens
+ */
+
+/**
+ * @function obtainTokens
+ * @description Exchanges credentials for a JWT pair.
+ * @param {string} email
+ * @param {string} password
+ * @returns {Promise<TokenPair>}
+ */
+export const obtainTokens = (email, password) => post("api/token/", { email, password });
+
+/**
+ * @function getCurrentUser
+ * @description Fetches the details of the user the access token belongs to.
+ * @returns {Promise<User>}
+ */
+export const getCurrentUser = () => get("api/accounts/home/");
+
+/**
+ * @function updateProfile
+ * @description Changes the current user's profile. Only the fields sent are changed;
+ * send `avatar: null` to remove the avatar.
+ * @param {Partial<User>} changes
+ * @returns {Promise<User>} The updated user
+ */
+export const updateProfile = (changes) => patch("api/accounts/home/", changes);
+
+/**
+ * @function getUserProfile
+ * @description Someone's public profile, with the projects they lead or have joined.
+ * @param {string} email
+ * @returns {Promise<PublicProfile>}
+ */
+export const getUserProfile = (email) => get(`api/users/${encodeURIComponent(email)}/`);
+
+/**
+ * @function createAccount
+ * @description Registers a new user.
+ * @param {User & { password: string }} account
+ * @returns {Promise<User>}
+ */
+export const createAccount = (account) => post("api/accounts/", account);
+
+/**
+ * @function logout
+ * @description Blacklists the refresh token on the backend.
+ * @param {string} refreshToken
+ * @returns {Promise<void>}
+ */
+export const logout = (refreshToken) =>
+  post("api/accounts/logout/", { refresh_token: refreshToken });
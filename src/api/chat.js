@@ -0,0 +1,70 @@
+/**
+ * @file chat.js
+ * @description Team chat endpoints: the message history of a project, sending messages
+ * and the read markers behind the unread counts.
+ * @author Pranav Singh
+ */
+
+import { get, post } from "./client.js";
+
+/**
+ * @typedef {Object} ChatMessage
+ * @property {number} id - Increases with every message, so ids also order them
+ * @property {number} project_id
+ * @property {string} author_email
+ * @property {string} author_fname
+ * @property {string} author_lname
+ * @property {string|null} author_avatar
+ * @property {string} body
+ * @property {string[]} mentions - Emails of the people mentioned
+ * @property {string} sent_on - ISO timestamp
+ */
+
+/**
+ * @typedef {Object} ChatPage
+ * @property {ChatMessage[]} results - Newest first
+ * @property {string|null} next - Cursor of the older messages, null when there are none
+ * @property {number} last_read_id - Last message the user had read, 0 when none
+ */
+
+/** Number of messages requested per page */
+export const CHAT_PAGE_SIZE = 30;
+
+/**
+ * @function listMessages
+ * @description One page of a project's messages, newest first. Only the lead and the
+ * members can read them.
+ * @param {number} projectId
+ * @param {string|null} [cursor] - `next` of the previous page; omit for the latest messages
+ * @returns {Promise<ChatPage>}
+ */
+export const listMessages = (projectId, cursor = null) =>
+  get(`api/projects/${projectId}/messages/`, { page_size: CHAT_PAGE_SIZE, ...(cursor && { cursor }) });
+
+/**
+ * @function sendMessage
+ * @description Posts a message to a project's chat. Mentioned people are notified.
+ * @param {number} projectId
+ * @param {{ body: string, mentions?: string[] }} message
+ * @returns {Promise<ChatMessage>}
+ */
+export const sendMessage = (projectId, { body, mentions = [] }) =>
+  post(`api/projects/${projectId}/messages/`, { body, mentions });
+
+/**
+ * @function markChatRead
+ * @description Records that the user has read a project's chat up to `lastReadId`.
+ * @param {number} projectId
+ * @param {number} lastReadId
+ * @returns {Promise<null>}
+ */
+export const markChatRead = (projectId, lastReadId) =>
+  post(`api/projects/${projectId}/messages/read/`, { last_read_id: lastReadId });
+
+/**
+ * @function getUnreadCounts
+ * @description Unread messages per project, for the projects the user leads or joined.
+ * Projects without unread messages are left out.
+ * @returns {Promise<Object<number, number>>} Project id to count
+ */
+export const getUnreadCounts = () => get("api/chat/unread/");
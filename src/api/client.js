@@ -0,0 +1,91 @@
+/**
+ * @file client.js
+ * @description
+ * Shared HTTP helpers used by every module in `src/api`. Requests go through the
+ * single axios instance in `Interceptors/axiosInstance.js` (base URL, auth header,
+ * token refresh), response bodies are unwrapped, and every failure is rethrown
+ * as an `ApiError` so components handle backend errors the same way.
+ *
+ * Components should import the endpoint functions from `api/accounts`,
+ * `api/projects`, `api/requests` and `api/members` rather than these helpers.
+ * @author Pranav Singh
+ */
+
+import axiosInstance from "../Interceptors/axiosInstance";
+
+/**
+ * @class ApiError
+ * @description Error thrown by every API function.
+ * @property {number|null} status - HTTP status code, or null when the server couldn't be reached.
+ * @property {*} data - Response body sent by the backend, if any.
+ */
+export class ApiError extends Error {
+  constructor(message, { status = null, data = null, cause } = {}) {
+    super(message, { cause });
+    this.name = "ApiError";
+    this.status = status;
+    this.data = data;
+  }
+}
+
+/**
+ * @function extractMessage
+ * @description Pulls a human readable message out of a Django REST Framework error body,
+ * which is either `{ detail }`, a `{ field: [messages] }` map, or a plain string.
+ * @param {*} data - Response body
+ * @returns {string|null}
+ */
+function extractMessage(data) {
+  if (!data) return null;
+  if (typeof data === "string") return data;
+  if (typeof data.detail === "string") return data.detail;
+
+  const first = Object.values(data)[0];
+  if (Array.isArray(first) && typeof first[0] === "string") return first[0];
+  if (typeof first === "string") return first;
+  return null;
+}
+
+/**
+ * @function toApiError
+ * @description Converts an axios error into an `ApiError`.
+ * @param {Error} error
+ * @returns {ApiError}
+ */
+function toApiError(error) {
+  const status = error.response?.status ?? null;
+  const data = error.response?.data ?? null;
+  const message =
+    extractMessage(data) ||
+    (status ? `Request failed with status ${status}` : "Unable to reach the server");
+
+  return new ApiError(message, { status, data, cause: error });
+}
+
+/**
+ * @function request
+ * @description Sends a request through the shared axios instance and resolves with the body.
+ * @param {import("axios").AxiosRequestConfig} config
+ * @returns {Promise<*>}
+ * @throws {ApiError}
+ */
+export async function request(config) {
+  try {
+    const response = await axiosInstance.request(config);
+    return response.data;
+  } catch (error) {
+    throw toApiError(error);
+  }
+}
+
+/** @type {(url: string, params?: Object) => Promise<*>} */
+export const get = (url, params) => request({ method: "get", url, params });
+
+/** @type {(url: string, data?: Object) => Promise<*>} */
+export const post = (url, data) => request({ method: "post", url, data });
+
+/** @type {(url: string, data?: Object) => Promise<*>} */
+export const patch = (url, data) => request({ method: "patch", url, data });
+
+/** @type {(url: string, data?: Object) => Promise<*>} */
+export const del = (url, data) => request({ method: "delete", url, data });
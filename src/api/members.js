@@ -0,0 +1,35 @@
+/**
+ * @file members.js
+ * @description Project membership endpoints.
+ * @author Pranav Singh
+ */
+
+import { get, del } from "./client.js";
+
+/**
+ * @typedef {Object} Member
+ * @property {string} member_email
+ * @property {string} member_fname
+ * @property {string} member_lname
+ * @property {string|null} member_avatar - Data URL, or null for the initials
+ */
+
+/**
+ * @function listProjectMembers
+ * @description Members of a project, identified by its owner and name.
+ * @param {string} ownerEmail
+ * @param {string} projectname
+ * @returns {Promise<Member[]>}
+ */
+export const listProjectMembers = (ownerEmail, projectname) =>
+  get("api/projectmembersdisplay/", { email: ownerEmail, projectname });
+
+
+/**
+ * @function removeMember
+ * @description Removes a member from a project. Leads use it to remove someone from their
+ * team and members use it with their own email to leave.
+ * @param {{ owner: string, email: string, projectname: string, reason?: string }} member
+ * @returns {Promise<null>}
+ */
+export const removeMember = (member) => del("api/projectmembers/", member);
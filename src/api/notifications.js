@@ -0,0 +1,40 @@
+/**
+ * @file notifications.js
+ * @description In-app notification endpoints.
+ * @author Pranav Singh
+ */
+
+import { get, post } from "./client.js";
+
+/**
+ * @typedef {"request_received"|"request_accepted"|"request_rejected"|"request_withdrawn"|"request_closed"|"member_left"|"member_removed"|"project_updated"|"mentioned"} NotificationType
+ */
+
+/**
+ * @typedef {Object} Notification
+ * @property {number} id
+ * @property {NotificationType} type
+ * @property {number} project_id
+ * @property {string} projectname
+ * @property {boolean} is_lead - Whether the recipient leads the project
+ * @property {string} actor_email - Who caused the event
+ * @property {string} actor_fname
+ * @property {string} actor_lname
+ * @property {string} created_on - ISO timestamp
+ * @property {boolean} read
+ */
+
+/**
+ * @function listNotifications
+ * @description Notifications of the signed-in user, newest first.
+ * @returns {Promise<Notification[]>}
+ */
+export const listNotifications = () => get("api/notifications/");
+
+/**
+ * @function markNotificationsRead
+ * @description Marks the given notifications as read, or all of them when `ids` is omitted.
+ * @param {number[]} [ids]
+ * @returns {Promise<null>}
+ */
+export const markNotificationsRead = (ids) => post("api/notifications/read/", ids ? { ids } : {});
@@ -0,0 +1,165 @@
+/**
+ * @file projects.js
+ * @description Project endpoints: browsing, creating, editing and listing the user's projects.
+ * @author Pranav Singh
+ */
+
+import { get, post, patch, del } from "./client.js";
+import { skillNames, userSkills } from "../skills/skills.js";
+
+/**
+ * @typedef {Object} Project
+ * @property {number} id
+ * @property {string} projectname
+ * @property {string} description
+ * @property {import("../skills/skills.js").ProjectSkill[]} skills - Required skills; older
+ *   projects may have only `frontend`/`backend` booleans, read them through `projectSkills`
+ * @property {string[]} [matched_skills] - Required skills the user has (browse list)
+ * @property {string} [owner_email]
+ * @property {string} [fname] - Owner's first name (browse list)
+ * @property {string} [lname] - Owner's last name (browse list)
+ * @property {string} [owner_fname] - Owner's first name (joined/pending lists)
+ * @property {string} [owner_lname] - Owner's last name (joined/pending lists)
+ * @property {string|null} [owner_avatar] - Owner's avatar as a data URL
+ * @property {number} [member_count] - Number of members, not counting the lead (browse and lead lists)
+ * @property {number|null} [max_members] - Most members the team takes; null for no limit (browse and lead lists)
+ * @property {import("./tasks.js").TaskCounts} [task_counts] - Tasks per board column (lead and joined lists)
+ */
+
+/**
+ * @typedef {Object} ProjectPage
+ * @property {Project[]} results
+ * @property {string|null} next - Cursor of the following page, null on the last one
+ */
+
+/** Number of projects requested per page */
+export const PROJECT_PAGE_SIZE = 20;
+
+/** Query parameters selecting one page of a list */
+const pageParams = (cursor) => ({ page_size: PROJECT_PAGE_SIZE, ...(cursor && { cursor }) });
+
+/**
+ * @typedef {Object} ProjectCounts
+ * @property {number} createdprojects
+ * @property {number} joinedprojects
+ * @property {number} pendingrequests
+ */
+
+/**
+ * @function listAvailableProjects
+ * @description Projects the user can ask to join: those needing at least one of the user's
+ * skills whose team isn't full yet, narrowed down by the browse filters.
+ * @param {import("./accounts.js").User} user
+ * @param {Object} [filters]
+ * @param {string} [filters.search] - Matches the name, description and owner
+ * @param {string[]} [filters.needs] - Only projects needing all of these skills
+ * @param {"-created_on"|"member_count"} [filters.ordering="-created_on"] - Newest or fewest members first
+ * @param {string|null} [cursor] - `next` of the previous page; omit for the first page
+ * @returns {Promise<ProjectPage>}
+ */
+export const listAvailableProjects = (user, { search, needs = [], ordering } = {}, cursor = null) =>
+  get("api/projects/", {
+    email: user.email,
+    skills: skillNames(userSkills(user)).join(","),
+    ...(search && { search }),
+    ...(needs.length > 0 && { needs: needs.join(",") }),
+    ...(ordering && { ordering }),
+    ...pageParams(cursor),
+  });
+
+/** Most projects scored for recommendations: the API's largest page */
+export const RECOMMENDATION_POOL_SIZE = 100;
+
+/**
+ * @function listRecommendationCandidates
+ * @description The newest projects the user can join, unfiltered, for `recommendProjects`
+ * to score. A single large page, separate from the paginated browse list.
+ * @param {import("./accounts.js").User} user
+ * @returns {Promise<ProjectPage>}
+ */
+export const listRecommendationCandidates = (user) =>
+  get("api/projects/", {
+    email: user.email,
+    skills: skillNames(userSkills(user)).join(","),
+    page_size: RECOMMENDATION_POOL_SIZE,
+  });
+
+/**
+ * @function listLeadProjects
+ * @description Projects created by the given user, one page at a time.
+ * @param {string} email
+ * @param {string|null} [cursor] - `next` of the previous page; omit for the first page
+ * @returns {Promise<ProjectPage>}
+ */
+export const listLeadProjects = (email, cursor = null) =>
+  get("api/projectleads/", { email, ...pageParams(cursor) });
+
+/**
+ * @typedef {Object} ActivityEntry
+ * @property {"project_created"|"member_joined"|"member_left"|"member_removed"|"task_added"} type
+ * @property {string} at - ISO timestamp
+ * @property {string} actor_email - Who it was about
+ * @property {string} actor_fname
+ * @property {string} actor_lname
+ * @property {string} [detail] - e.g. the title of an added task
+ */
+
+/**
+ * @typedef {Object} ProjectDetail
+ * @property {import("./members.js").Member[]} members - With `joined_on`
+ * @property {{ role: "lead"|"member"|"pending"|"outsider", request_id: number|null }} viewer -
+ *   How the signed-in user relates to the project; `request_id` is their pending request
+ * @property {ActivityEntry[]} activity - Newest first. Task entries are only sent to the team.
+ */
+
+/**
+ * @function getProject
+ * @description Everything about one project for its page: the fields of the listings,
+ * owner, members, capacity, activity and the signed-in user's role.
+ * @param {number|string} id
+ * @returns {Promise<Project & ProjectDetail>}
+ */
+export const getProject = (id) => get(`api/projects/${id}/`);
+
+/**
+ * @function createProject
+ * @description Creates a project led by `project.email`.
+ * @param {{ email: string, projectname: string, description: string, skills: import("../skills/skills.js").ProjectSkill[], max_members: number }} project
+ * @returns {Promise<Project>}
+ */
+export const createProject = (project) => post("api/projectleads/", project);
+
+/**
+ * @function updateProject
+ * @description Edits a project owned by the current user. The name cannot be changed.
+ * @param {number} id
+ * @param {{ description?: string, skills?: import("../skills/skills.js").ProjectSkill[], max_members?: number|null }} changes
+ * @returns {Promise<Project>}
+ */
+export const updateProject = (id, changes) => patch(`api/projectleads/${id}/`, changes);
+
+/**
+ * @function deleteProject
+ * @description Deletes a project owned by the current user along with its members and requests.
+ * @param {number} id
+ * @returns {Promise<null>}
+ */
+export const deleteProject = (id) => del(`api/projectleads/${id}/`);
+
+/**
+ * @function listJoinedProjects
+ * @description Projects the given user is a member of, one page at a time.
+ * @param {string} email
+ * @param {string|null} [cursor] - `next` of the previous page; omit for the first page
+ * @returns {Promise<ProjectPage>}
+ */
+export const listJoinedProjects = (email, cursor = null) =>
+  get("api/joinedprojects/", { email, ...pageParams(cursor) });
+
+/**
+ * @function getProjectCounts
+ * @description Created/joined/pending counters shown on the dashboard.
+ * @param {string} email
+ * @returns {Promise<ProjectCounts>}
+ */
+export const getProjectCounts = (email) => get("api/projectcount/", { email });
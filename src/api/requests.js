@@ -0,0 +1,124 @@
+/**
+ * @file requests.js
+ * @description Join request endpoints, for both applicants and project leads.
+ * A request starts `pending` and moves once to `accepted`, `rejected`, `withdrawn`,
+ * `expired`, or `closed` when the team fills up; every move is kept in its `history`.
+ * @author Pranav Singh
+ */
+
+import { get, post, patch } from "./client.js";
+
+/**
+ * @typedef {"pending"|"accepted"|"rejected"|"withdrawn"|"expired"|"closed"} RequestStatus
+ */
+
+/**
+ * @typedef {Object} StatusChange
+ * @property {RequestStatus} status
+ * @property {string} at - ISO timestamp
+ * @property {string|null} by - Email of whoever made the change; null when it expired or was closed
+ */
+
+/**
+ * @typedef {Object} JoinRequest
+ * @property {number} id
+ * @property {string} email - Applicant's email
+ * @property {string} fname
+ * @property {string} lname
+ * @property {string|null} [avatar] - Applicant's avatar as a data URL
+ * @property {string} message
+ * @property {RequestStatus} status
+ * @property {string} applied_on - ISO timestamp
+ * @property {string} updated_on - ISO timestamp of the last status change
+ * @property {StatusChange[]} history - Oldest first
+ */
+
+/**
+ * @function sendJoinRequest
+ * @description Asks to join a project.
+ * @param {{ owner_email: string, projectname: string, member_email: string, message: string }} joinRequest
+ * @returns {Promise<JoinRequest>}
+ */
+export const sendJoinRequest = (joinRequest) => post("api/projectrequests/", joinRequest);
+
+/**
+ * @function listProjectRequests
+ * @description Pending requests to join one of the lead's projects.
+ * @param {string} ownerEmail
+ * @param {string} projectname
+ * @returns {Promise<JoinRequest[]>}
+ */
+export const listProjectRequests = (ownerEmail, projectname) =>
+  get("api/projectrequestsdisplay/", { email: ownerEmail, projectname });
+
+/**
+ * @function listProjectDecisions
+ * @description Requests to join one of the lead's projects that are no longer pending, newest first.
+ * @param {string} ownerEmail
+ * @param {string} projectname
+ * @returns {Promise<JoinRequest[]>}
+ */
+export const listProjectDecisions = (ownerEmail, projectname) =>
+  get("api/projectdecisions/", { email: ownerEmail, projectname });
+
+/**
+ * @function listPendingRequests
+ * @description Projects the applicant is still waiting to hear back from.
+ * @param {string} email
+ * @returns {Promise<import("./projects.js").Project[]>}
+ */
+export const listPendingRequests = (email) => get("api/pendingprojects/", { email });
+
+/**
+ * @function listRequestHistory
+ * @description Every request the applicant has sent, in any status, newest first.
+ * Each entry carries the project and owner columns alongside the request.
+ * @param {string} email
+ * @returns {Promise<Array<import("./projects.js").Project & JoinRequest>>}
+ */
+export const listRequestHistory = (email) => get("api/requesthistory/", { email });
+
+/**
+ * @function updateRequestMessage
+ * @description Changes the message of one of the applicant's pending requests.
+ * @param {number} id
+ * @param {string} message
+ * @returns {Promise<JoinRequest>}
+ */
+export const updateRequestMessage = (id, message) =>
+  patch(`api/projectrequests/${id}/`, { message });
+
+/**
+ * @function setRequestStatus
+ * @description Moves a pending request to its final status. Accepting also adds the
+ * applicant to the project's members.
+ * @param {number} id
+ * @param {"accepted"|"rejected"|"withdrawn"} status
+ * @returns {Promise<JoinRequest>}
+ */
+export const setRequestStatus = (id, status) =>
+  post(`api/projectrequests/${id}/status/`, { status });
+
+/**
+ * @function acceptRequest
+ * @description Lead accepts an applicant into the project.
+ * @param {number} id
+ * @returns {Promise<JoinRequest>}
+ */
+export const acceptRequest = (id) => setRequestStatus(id, "accepted");
+
+/**
+ * @function rejectRequest
+ * @description Lead turns an applicant down.
+ * @param {number} id
+ * @returns {Promise<JoinRequest>}
+ */
+export const rejectRequest = (id) => setRequestStatus(id, "rejected");
+
+/**
+ * @function withdrawRequest
+ * @description Applicant cancels one of their pending requests.
+ * @param {number} id
+ * @returns {Promise<JoinRequest>}
+ */
+export const withdrawRequest = (id) => setRequestStatus(id, "withdrawn");
@@ -0,0 +1,16 @@
+/**
+ * @file skills.js
+ * @description Skill tag endpoints.
+ * @author Pranav Singh
+ */
+
+import { get } from "./client.js";
+
+/**
+ * @function searchSkills
+ * @description Tags matching `search` for autocomplete, most used first. Available before
+ * signing in, for the sign-up form.
+ * @param {string} search
+ * @returns {Promise<string[]>}
+ */
+export const searchSkills = (search) => get("api/skills/", { search });
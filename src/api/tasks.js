@@ -0,0 +1,71 @@
+/**
+ * @file tasks.js
+ * @description Task board endpoints. The lead and the members of a project share its board.
+ * @author Pranav Singh
+ */
+
+import { get, post, patch, del } from "./client.js";
+
+/**
+ * @typedef {"todo"|"in_progress"|"done"} TaskStatus
+ */
+
+/**
+ * @typedef {Object} Task
+ * @property {number} id
+ * @property {number} project_id
+ * @property {string} title
+ * @property {TaskStatus} status - Board column
+ * @property {number} position - Order within the column, from 0
+ * @property {string|null} assignee_email
+ * @property {string} [assignee_fname]
+ * @property {string} [assignee_lname]
+ * @property {string|null} due_date - YYYY-MM-DD
+ * @property {string} created_by - Email of whoever added the task
+ * @property {string} created_on - ISO timestamp
+ */
+
+/**
+ * @typedef {Object} TaskCounts
+ * @property {number} todo
+ * @property {number} in_progress
+ * @property {number} done
+ */
+
+/**
+ * @function listTasks
+ * @description Every task of a project, column by column in board order.
+ * @param {number} projectId
+ * @returns {Promise<Task[]>}
+ */
+export const listTasks = (projectId) => get(`api/projects/${projectId}/tasks/`);
+
+/**
+ * @function createTask
+ * @description Adds a task to the bottom of a column, "To Do" unless `status` says otherwise.
+ * @param {number} projectId
+ * @param {{ title: string, assignee_email?: string|null, due_date?: string|null, status?: TaskStatus }} task
+ * @returns {Promise<Task>}
+ */
+export const createTask = (projectId, task) => post(`api/projects/${projectId}/tasks/`, task);
+
+/**
+ * @function updateTask
+ * @description Edits a task. Sending `status` and/or `position` moves it on the board;
+ * the other tasks of both columns shift to make room.
+ * @param {number} projectId
+ * @param {number} taskId
+ * @param {Partial<Pick<Task, "title"|"status"|"position"|"assignee_email"|"due_date">>} changes
+ * @returns {Promise<Task>}
+ */
+export const updateTask = (projectId, taskId, changes) =>
+  patch(`api/projects/${projectId}/tasks/${taskId}/`, changes);
+
+/**
+ * @function deleteTask
+ * @description Deletes a task. Only the lead and whoever added it can.
+ * @param {number} projectId
+ * @param {number} taskId
+ * @returns {Promise<null>}
+ */
+export const deleteTask = (projectId, taskId) => del(`api/projects/${projectId}/tasks/${taskId}/`);
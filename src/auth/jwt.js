@@ -0,0 +1,55 @@
+/**
+ * @file jwt.js
+ * @description
+ * Reads the claims of the JWTs issued by the backend so the client can refresh the
+ * access token shortly before it expires instead of waiting for a 401. Tokens are
+ * only decoded here, never verified; the backend remains the authority.
+ * @author Pranav Singh
+ */
+
+/** Refresh at most this long before the access token expires. */
+export const REFRESH_MARGIN_MS = 60 * 1000;
+
+/**
+ * @function decodeToken
+ * @description Returns the payload of a JWT, or null when it can't be decoded.
+ * @param {string|null} token
+ * @returns {Object|null}
+ */
+export function decodeToken(token) {
+  try {
+    const payload = token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/");
+    return JSON.parse(atob(payload));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @function refreshDueAt
+ * @description Time (ms since epoch) at which the token should be refreshed:
+ * `REFRESH_MARGIN_MS` before it expires, or halfway through its lifetime for
+ * tokens that live shorter than twice the margin.
+ * @param {string|null} token
+ * @returns {number|null} null when the token carries no `exp` claim
+ */
+export function refreshDueAt(token) {
+  const claims = decodeToken(token);
+  if (!claims?.exp) return null;
+
+  const expiresAt = claims.exp * 1000;
+  const lifetime = claims.iat ? expiresAt - claims.iat * 1000 : Infinity;
+  return expiresAt - Math.min(REFRESH_MARGIN_MS, lifetime / 2);
+}
+
+/**
+ * @function isRefreshDue
+ * @description Whether the token is expired or close enough to expiry to refresh it now.
+ * @param {string|null} token
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+export function isRefreshDue(token, now = Date.now()) {
+  const dueAt = refreshDueAt(token);
+  return dueAt !== null && now >= dueAt;
+}
@@ -0,0 +1,44 @@
+/**
+ * @file sessionSync.js
+ * @description
+ * Broadcasts session changes (login, logout, token rotation) to the app's other
+ * open tabs. Uses a BroadcastChannel where available and falls back to `storage`
+ * events on a dedicated localStorage key.
+ * @author Pranav Singh
+ */
+
+const CHANNEL_NAME = "projecto-auth";
+const STORAGE_KEY = "projecto-auth-event";
+
+/**
+ * @typedef {"login"|"logout"|"refresh"} SessionEvent
+ */
+
+/**
+ * @function createSessionSync
+ * @description Subscribes to session events from other tabs.
+ * @param {(event: SessionEvent) => void} onEvent - Called for every event sent by another tab
+ * @returns {{ post: (event: SessionEvent) => void, close: () => void }}
+ */
+export function createSessionSync(onEvent) {
+  if (typeof BroadcastChannel !== "undefined") {
+    const channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = (message) => onEvent(message.data);
+
+    return {
+      post: (event) => channel.postMessage(event),
+      close: () => channel.close(),
+    };
+  }
+
+  const handleStorage = (e) => {
+    if (e.key === STORAGE_KEY && e.newValue) onEvent(JSON.parse(e.newValue).event);
+  };
+  window.addEventListener("storage", handleStorage);
+
+  return {
+    // The timestamp makes repeated events distinct, otherwise no storage event fires
+    post: (event) => localStorage.setItem(STORAGE_KEY, JSON.stringify({ event, at: Date.now() })),
+    close: () => window.removeEventListener("storage", handleStorage),
+  };
+}
@@ -0,0 +1,126 @@
+/**
+ * @file tokenStorage.js
+ * @description
+ * Single place where the JWT pair is kept. A "remembered" session is stored in
+ * localStorage and survives closing the browser; otherwise the tokens go to
+ * sessionStorage and disappear with the tab, which is what shared lab machines
+ * need. When a storage area is unavailable (e.g. blocked by the browser) the
+ * tokens fall back to memory.
+ *
+ * AuthProvider and the axios interceptors read and write tokens only through
+ * this module.
+ * @author Pranav Singh
+ */
+
+const ACCESS_KEY = "access_token";
+const REFRESH_KEY = "refresh_token";
+
+/** Storage-like object used when the browser storage can't be accessed */
+const createMemoryStorage = () => {
+  const values = new Map();
+  return {
+    getItem: (key) => (values.has(key) ? values.get(key) : null),
+    setItem: (key, value) => values.set(key, String(value)),
+    removeItem: (key) => values.delete(key),
+  };
+};
+
+const memoryFallback = {
+  localStorage: createMemoryStorage(),
+  sessionStorage: createMemoryStorage(),
+};
+
+/** Storage areas already probed, by name */
+const resolved = {};
+
+/**
+ * @function resolveStorage
+ * @description Returns `window[name]` if it can be written to, else an in-memory store.
+ * Each area is probed once, on first use: tokens are read on every request, and every
+ * probe write would fire a `storage` event in the other tabs.
+ * @param {"localStorage"|"sessionStorage"} name
+ */
+const resolveStorage = (name) => {
+  if (!resolved[name]) {
+    try {
+      const storage = window[name];
+      storage.setItem("__projecto_probe__", "1");
+      storage.removeItem("__projecto_probe__");
+      resolved[name] = storage;
+    } catch {
+      resolved[name] = memoryFallback[name];
+    }
+  }
+  return resolved[name];
+};
+
+const persistent = () => resolveStorage("localStorage");
+const perTab = () => resolveStorage("sessionStorage");
+
+/** The storage area currently holding the session, if any */
+const currentStorage = () =>
+  [persistent(), perTab()].find((storage) => storage.getItem(REFRESH_KEY)) || null;
+
+const tokenStorage = {
+  /** @returns {string|null} */
+  getAccessToken() {
+    return currentStorage()?.getItem(ACCESS_KEY) ?? null;
+  },
+
+  /** @returns {string|null} */
+  getRefreshToken() {
+    return currentStorage()?.getItem(REFRESH_KEY) ?? null;
+  },
+
+  /**
+   * @returns {{ access: string, refresh: string }|null} The stored pair, or null
+   * when either token is missing.
+   */
+  getTokens() {
+    const storage = currentStorage();
+    const access = storage?.getItem(ACCESS_KEY);
+    const refresh = storage?.getItem(REFRESH_KEY);
+    return access && refresh ? { access, refresh } : null;
+  },
+
+  /** @returns {boolean} Whether the session survives closing the browser */
+  isPersistent() {
+    return currentStorage() === persistent();
+  },
+
+  /**
+   * @function setTokens
+   * @description Starts a new session.
+   * @param {{ access: string, refresh: string }} tokens
+   * @param {{ remember?: boolean }} [options] - `remember: false` keeps the tokens for this tab only
+   */
+  setTokens({ access, refresh }, { remember = true } = {}) {
+    tokenStorage.clear();
+    const storage = remember ? persistent() : perTab();
+    storage.setItem(ACCESS_KEY, access);
+    storage.setItem(REFRESH_KEY, refresh);
+  },
+
+  /**
+   * @function updateTokens
+   * @description Replaces the tokens of the current session (e.g. after a refresh)
+   * without changing where they are stored. The refresh token is kept when the
+   * response doesn't rotate it.
+   * @param {{ access: string, refresh?: string }} tokens
+   */
+  updateTokens({ access, refresh }) {
+    const storage = currentStorage() || persistent();
+    storage.setItem(ACCESS_KEY, access);
+    if (refresh) storage.setItem(REFRESH_KEY, refresh);
+  },
+
+  /** Removes the tokens from every storage area. */
+  clear() {
+    [persistent(), perTab()].forEach((storage) => {
+      storage.removeItem(ACCESS_KEY);
+      storage.removeItem(REFRESH_KEY);
+    });
+  },
+};
+
+export default tokenStorage;
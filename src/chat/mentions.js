@@ -0,0 +1,124 @@
+/**
+ * @file mentions.js
+ * @description
+ * Mentions in team chat messages. A mention is "@" followed by the full name of someone
+ * on the team, e.g. "@Lena Fischer", which is what the composer inserts when a person is
+ * picked from its suggestions. Names rather than emails keep messages readable; the
+ * emails are sent alongside the body so the server knows whom to notify.
+ * @author Pranav Singh
+ */
+
+/**
+ * @typedef {Object} Mentionable
+ * @property {string} email
+ * @property {string} name - Full name, as written after the "@"
+ */
+
+/** Longest text after an "@" still treated as a name being typed */
+const MAX_QUERY_LENGTH = 40;
+
+/**
+ * @function mentionQuery
+ * @description The mention being typed at the caret, if any: the text from an "@" that
+ * starts a word up to the caret.
+ * @param {string} text
+ * @param {number} caret
+ * @returns {{ start: number, query: string }|null} `start` is the index of the "@"
+ */
+export function mentionQuery(text, caret) {
+  const start = text.lastIndexOf("@", caret - 1);
+  if (start === -1 || (start > 0 && !/\s/.test(text[start - 1]))) return null;
+  const query = text.slice(start + 1, caret);
+  if (query.length > MAX_QUERY_LENGTH || /[\n@]/.test(query)) return null;
+  return { start, query };
+}
+
+/**
+ * @function matchMentionables
+ * @description People whose first or last name starts with `query`, ignoring case.
+ * @param {Mentionable[]} people
+ * @param {string} query
+ * @returns {Mentionable[]}
+ */
+export const matchMentionables = (people, query) => {
+  const q = query.trim().toLowerCase();
+  return people.filter(
+    (p) => p.name.toLowerCase().startsWith(q) || p.name.toLowerCase().split(/\s+/).some((word) => word.startsWith(q))
+  );
+};
+
+/**
+ * @function insertMention
+ * @description Replaces the mention being typed with the person's full name and a space.
+ * @param {string} text
+ * @param {{ start: number }} mention - From `mentionQuery`
+ * @param {number} caret
+ * @param {Mentionable} person
+ * @returns {{ text: string, caret: number }} The new text and where the caret goes
+ */
+export function insertMention(text, { start }, caret, person) {
+  const inserted = `@${person.name} `;
+  return {
+    text: text.slice(0, start) + inserted + text.slice(caret),
+    caret: start + inserted.length,
+  };
+}
+
+/**
+ * @function collectMentions
+ * @description Emails of the people mentioned in a message.
+ * @param {string} text
+ * @param {Mentionable[]} people
+ * @returns {string[]}
+ */
+export const collectMentions = (text, people) =>
+  people.filter((p) => splitMentions(text, [p]).some((segment) => segment.mention)).map((p) => p.email);
+
+/**
+ * @function splitMentions
+ * @description Splits a message into plain text and mentions of `people`, so the
+ * mentions can be highlighted. Longer names win, so "@Ana Lopez" isn't read as "@Ana".
+ * @param {string} text
+ * @param {Mentionable[]} people
+ * @returns {{ text: string, mention?: Mentionable }[]}
+ */
+export function splitMentions(text, people) {
+  const byLength = [...people].sort((a, b) => b.name.length - a.name.length);
+  const segments = [];
+  let plain = "";
+  let i = 0;
+  while (i < text.length) {
+    const startsWord = i === 0 || /\s/.test(text[i - 1]);
+    const person =
+      text[i] === "@" && startsWord
+        ? byLength.find((p) => {
+            const end = i + 1 + p.name.length;
+            return text.slice(i + 1, end).toLowerCase() === p.name.toLowerCase() && !/\w/.test(text[end] ?? "");
+          })
+        : null;
+    if (person) {
+      if (plain) segments.push({ text: plain });
+      plain = "";
+      segments.push({ text: text.slice(i, i + 1 + person.name.length), mention: person });
+      i += 1 + person.name.length;
+    } else {
+      plain += text[i];
+      i += 1;
+    }
+  }
+  if (plain) segments.push({ text: plain });
+  return segments;
+}
+
+/**
+ * @function teamMentionables
+ * @description Everyone on a team, lead first, as people who can be mentioned.
+ * @param {{ email: string, fname?: string, lname?: string }} lead
+ * @param {import("../api/members.js").Member[]} members
+ * @returns {Mentionable[]}
+ */
+export const teamMentionables = (lead, members) =>
+  [
+    { email: lead.email, name: [lead.fname, lead.lname].filter(Boolean).join(" ") },
+    ...members.map((m) => ({ email: m.member_email, name: [m.member_fname, m.member_lname].filter(Boolean).join(" ") })),
+  ].filter((p) => p.name);
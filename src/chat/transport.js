@@ -0,0 +1,39 @@
+/**
+ * @file transport.js
+ * @description
+ * How the team chat talks to a server. `ChatProvider` hands one transport to every chat;
+ * the default one uses the REST endpoints in `api/chat` and the live-update channel, and
+ * tests can pass their own, e.g. an in-memory stand-in server.
+ * @author Pranav Singh
+ */
+
+import { listMessages, markChatRead, sendMessage } from "../api/chat.js";
+
+/**
+ * @typedef {Object} ChatTransport
+ * @property {(projectId: number, cursor?: string|null) => Promise<import("../api/chat.js").ChatPage>} history
+ *   One page of messages, newest first
+ * @property {(projectId: number, message: { body: string, mentions: string[] }) => Promise<import("../api/chat.js").ChatMessage>} send
+ * @property {(projectId: number, lastReadId: number) => Promise<*>} markRead
+ * @property {(projectId: number, onMessage: (message: import("../api/chat.js").ChatMessage) => void) => () => void} subscribe
+ *   Calls `onMessage` for every new message of the project, including the user's own;
+ *   returns the unsubscribe function
+ */
+
+/**
+ * @function createApiChatTransport
+ * @description Transport backed by the REST API, with new messages pushed as
+ * "message.created" live events.
+ * @param {(listener: (event: Object) => void) => () => void} subscribeLive - `subscribe`
+ *   of the live-updates context
+ * @returns {ChatTransport}
+ */
+export const createApiChatTransport = (subscribeLive) => ({
+  history: listMessages,
+  send: sendMessage,
+  markRead: markChatRead,
+  subscribe: (projectId, onMessage) =>
+    subscribeLive((event) => {
+      if (event.type === "message.created" && event.project_id === projectId) onMessage(event.message);
+    }),
+});
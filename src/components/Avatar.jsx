@@ -0,0 +1,47 @@
+/**
+ * @file Avatar.jsx
+ * @description
+ * Someone's avatar, used wherever a person is shown: the header, requests, members,
+ * owners and chat messages. Avatars are uploaded through the profile page already
+ * cropped and resized, so any size here just scales the same small image; people
+ * without one get their initials instead.
+ * @author Pranav Singh
+ */
+
+import { displayName, initials } from "../profile/profile.js";
+
+/** Box and initials size per `size` */
+const SIZES = {
+  xs: "w-6 h-6 text-[10px]",
+  sm: "w-10 h-10 text-sm",
+  md: "w-14 h-14 text-lg",
+  lg: "w-28 h-28 text-3xl",
+};
+
+/**
+ * @component Avatar
+ * @param {Object} props
+ * @param {{ firstname?: string, lastname?: string, email: string, avatar?: string|null }} props.user -
+ *   For API records with prefixed fields, see `personOf`
+ * @param {"xs"|"sm"|"md"|"lg"} [props.size="md"]
+ * @param {string} [props.className]
+ * @returns {JSX.Element}
+ */
+function Avatar({ user, size = "md", className = "" }) {
+  const box = `${SIZES[size]} rounded-full flex-shrink-0 ${className}`;
+
+  if (user.avatar) {
+    return <img src={user.avatar} alt={displayName(user)} className={`${box} object-cover border border-gray-200`} />;
+  }
+  return (
+    <div
+      role="img"
+      aria-label={displayName(user)}
+      className={`${box} bg-indigo-100 text-indigo-700 flex items-center justify-center font-semibold`}
+    >
+      {initials(user)}
+    </div>
+  );
+}
+
+export default Avatar;
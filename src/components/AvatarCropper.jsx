@@ -0,0 +1,152 @@
+/**
+ * @file AvatarCropper.jsx
+ * @description
+ * Dialog for choosing which part of an uploaded photo becomes the avatar. The photo is
+ * dragged (or moved with the arrow keys) behind a round frame and zoomed with a slider;
+ * "Use photo" hands back the cropped square, resized and compressed by
+ * `profile/avatarImage`.
+ * @author Pranav Singh
+ */
+
+import { useRef, useState } from "react";
+import { Check } from "lucide-react";
+import ConfirmModal from "./ConfirmModal.jsx";
+import { INITIAL_CROP, MAX_ZOOM, cropRect, panCrop, renderAvatar } from "../profile/avatarImage.js";
+
+/** Width and height of the preview frame, in pixels */
+const VIEWPORT = 224;
+
+/** Screen pixels moved per arrow key press */
+const KEY_STEP = 10;
+
+const KEY_MOVES = { ArrowLeft: [KEY_STEP, 0], ArrowRight: [-KEY_STEP, 0], ArrowUp: [0, KEY_STEP], ArrowDown: [0, -KEY_STEP] };
+
+/**
+ * @component AvatarCropper
+ * @param {Object} props
+ * @param {string} props.src - The uploaded photo, as a data URL
+ * @param {(avatar: string) => void} props.onCrop - Receives the avatar as a JPEG data URL
+ * @param {Function} props.onCancel
+ * @returns {JSX.Element}
+ */
+function AvatarCropper({ src, onCrop, onCancel }) {
+  const imageRef = useRef(null);
+  const dragRef = useRef(null); // last pointer position while dragging
+
+  /** --------------------------- State Management --------------------------- */
+  const [natural, setNatural] = useState(null); // photo size, once loaded
+  const [crop, setCrop] = useState(INITIAL_CROP);
+  const [error, setError] = useState("");
+
+  const rect = natural && cropRect(natural, crop);
+  const scale = rect ? VIEWPORT / rect.size : 1;
+
+  /** ------------------------------------------------------------------------
+   * @function move
+   * @description Pans the photo by a screen distance.
+   * ------------------------------------------------------------------------ */
+  const move = (dx, dy) => setCrop((prev) => panCrop(natural, prev, dx, dy, VIEWPORT));
+
+  /** --------------------------- Dragging --------------------------- */
+  const handlePointerDown = (event) => {
+    if (!natural) return;
+    event.currentTarget.setPointerCapture?.(event.pointerId);
+    dragRef.current = { x: event.clientX, y: event.clientY };
+  };
+  const handlePointerMove = (event) => {
+    if (!dragRef.current) return;
+    move(event.clientX - dragRef.current.x, event.clientY - dragRef.current.y);
+    dragRef.current = { x: event.clientX, y: event.clientY };
+  };
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  const handleKeyDown = (event) => {
+    if (!natural || !KEY_MOVES[event.key]) return;
+    event.preventDefault();
+    move(...KEY_MOVES[event.key]);
+  };
+
+  /** ------------------------------------------------------------------------
+   * @function handleUse
+   * @description Renders the avatar from the current crop.
+   * ------------------------------------------------------------------------ */
+  const handleUse = () => {
+    if (!natural) return;
+    try {
+      onCrop(renderAvatar(imageRef.current, crop));
+    } catch (err) {
+      console.error("Could not render the avatar", err);
+      setError("That photo couldn't be processed. Try another one.");
+    }
+  };
+
+  return (
+    <ConfirmModal
+      title="Crop Your Photo"
+      description="Drag the photo to choose what shows in the circle, and zoom in if you like."
+      confirmLabel="Use photo"
+      confirmIcon={<Check size={16} />}
+      busy={!natural}
+      onConfirm={handleUse}
+      onCancel={onCancel}
+    >
+      <div className="mt-5 flex flex-col items-center gap-4">
+        <div
+          tabIndex={0}
+          aria-label="Photo position, use the arrow keys to move it"
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={handlePointerUp}
+          onKeyDown={handleKeyDown}
+          style={{ width: VIEWPORT, height: VIEWPORT }}
+          className="relative overflow-hidden rounded-full bg-gray-100 cursor-move touch-none ring-4 ring-indigo-100 focus:outline-none focus:ring-indigo-400"
+        >
+          <img
+            ref={imageRef}
+            src={src}
+            alt="Uploaded photo"
+            draggable={false}
+            onLoad={(e) => setNatural({ width: e.currentTarget.naturalWidth, height: e.currentTarget.naturalHeight })}
+            onError={() => setError("That file isn't a photo we can read.")}
+            style={
+              rect
+                ? {
+                    width: natural.width * scale,
+                    height: natural.height * scale,
+                    left: -rect.sx * scale,
+                    top: -rect.sy * scale,
+                  }
+                : undefined
+            }
+            className={`absolute max-w-none select-none ${rect ? "" : "invisible"}`}
+          />
+        </div>
+
+        <label className="w-full flex items-center gap-3 text-sm text-gray-600">
+          Zoom
+          <input
+            type="range"
+            min="1"
+            max={MAX_ZOOM}
+            step="0.05"
+            value={crop.zoom}
+            disabled={!natural}
+            onChange={(e) => setCrop((prev) => ({ ...prev, zoom: Number(e.target.value) }))}
+            className="flex-1 accent-indigo-600"
+          />
+        </label>
+
+        {error && (
+          <p role="alert" className="text-sm text-red-600">
+            {error}
+          </p>
+        )}
+      </div>
+    </ConfirmModal>
+  );
+}
+
+export default AvatarCropper;
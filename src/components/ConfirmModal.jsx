@@ -0,0 +1,86 @@
+/**
+ * @file ConfirmModal.jsx
+ * @description
+ * Confirmation dialog shown before destructive or important actions, such as
+ * accepting/rejecting a join request or deleting a project. Clicking the
+ * backdrop or "Cancel" dismisses it without running the action.
+ * @author Pranav Singh
+ */
+
+import { MessageCircle } from "lucide-react";
+
+/** Confirm button colours per tone */
+const TONES = {
+  green: "bg-green-600 hover:bg-green-700",
+  red: "bg-red-600 hover:bg-red-700",
+  indigo: "bg-indigo-600 hover:bg-indigo-700",
+};
+
+/**
+ * @component ConfirmModal
+ * @param {Object} props
+ * @param {string} props.title - Dialog heading
+ * @param {React.ReactNode} props.description - Question asked to the user
+ * @param {string} [props.quote] - Optional message shown as a quote, e.g. the applicant's message
+ * @param {string} props.confirmLabel - Text of the confirm button
+ * @param {JSX.Element} [props.confirmIcon] - Icon shown in the confirm button
+ * @param {"green"|"red"|"indigo"} [props.tone="indigo"] - Colour of the confirm button
+ * @param {boolean} [props.busy] - Disables the confirm button while the action runs
+ * @param {Function} props.onConfirm
+ * @param {Function} props.onCancel
+ * @param {React.ReactNode} [props.children] - Extra content, e.g. a reason field
+ */
+function ConfirmModal({
+  title,
+  description,
+  quote,
+  confirmLabel,
+  confirmIcon,
+  tone = "indigo",
+  busy = false,
+  onConfirm,
+  onCancel,
+  children,
+}) {
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+      <div className="absolute inset-0 bg-black/40" onClick={onCancel} />
+
+      <div
+        role="dialog"
+        aria-label={title}
+        className="relative bg-white rounded-2xl shadow-xl w-full max-w-md p-6 transform transition-transform duration-200 ease-out scale-100"
+      >
+        <div className="flex items-start gap-3">
+          <div className="w-12 h-12 rounded-full bg-indigo-50 flex items-center justify-center flex-shrink-0">
+            <MessageCircle className="text-indigo-600" />
+          </div>
+          <div>
+            <h3 className="text-lg font-semibold text-gray-800">{title}</h3>
+            <p className="text-sm text-gray-600 mt-1">{description}</p>
+          </div>
+        </div>
+
+        {quote && (
+          <div className="mt-4 p-3 bg-gray-50 border-l-4 border-indigo-300 italic text-sm text-gray-700">"{quote}"</div>
+        )}
+
+        {children}
+
+        <div className="mt-6 flex items-center justify-end gap-3">
+          <button className="px-4 py-2 bg-gray-100 rounded-md text-gray-700 hover:bg-gray-200" onClick={onCancel}>Cancel</button>
+
+          <button
+            className={`px-4 py-2 text-white rounded-md flex items-center gap-2 ${TONES[tone]}`}
+            onClick={onConfirm}
+            disabled={busy}
+          >
+            {confirmIcon} {busy ? "Processing..." : confirmLabel}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ConfirmModal;
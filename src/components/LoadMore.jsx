@@ -0,0 +1,43 @@
+/**
+ * @file LoadMore.jsx
+ * @description Footer of a paginated list: a spinner while the next page loads, otherwise
+ * a "Load more" button for keyboard users and for when infinite scroll can't tell the
+ * end of the list was reached. Renders nothing after the last page.
+ * @author Pranav Singh
+ */
+
+import { Loader2 } from "lucide-react";
+
+/**
+ * @component LoadMore
+ * @param {Object} props
+ * @param {boolean} props.hasNextPage
+ * @param {boolean} props.isFetchingNextPage
+ * @param {() => void} props.onLoadMore
+ * @param {string} [props.loadingLabel="Loading more..."]
+ * @returns {JSX.Element|null}
+ */
+function LoadMore({ hasNextPage, isFetchingNextPage, onLoadMore, loadingLabel = "Loading more..." }) {
+  if (isFetchingNextPage) {
+    return (
+      <p className="flex justify-center items-center text-gray-500 text-sm py-4">
+        <Loader2 size={16} className="animate-spin mr-2" /> {loadingLabel}
+      </p>
+    );
+  }
+  if (!hasNextPage) return null;
+
+  return (
+    <div className="flex justify-center py-4">
+      <button
+        type="button"
+        onClick={onLoadMore}
+        className="px-4 py-2 text-sm font-medium text-indigo-600 border border-indigo-200 rounded-xl hover:bg-indigo-50"
+      >
+        Load more
+      </button>
+    </div>
+  );
+}
+
+export default LoadMore;
@@ -0,0 +1,110 @@
+/**
+ * @file NotificationBell.jsx
+ * @description
+ * Bell shown in the dashboard header. It displays the number of unread notifications
+ * and opens a dropdown listing them; clicking an item marks it as read and opens the
+ * project it is about.
+ * @author Pranav Singh
+ */
+
+import { useEffect, useRef, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { Bell, CheckCheck } from "lucide-react";
+import useNotifications from "../hooks/useNotifications.js";
+import { describeNotification, notificationPath } from "../Dashboard/notifications.js";
+
+/**
+ * @component NotificationBell
+ * @returns {JSX.Element}
+ */
+function NotificationBell() {
+  const { notifications, unreadCount, markRead } = useNotifications();
+  const [open, setOpen] = useState(false);
+  const containerRef = useRef(null);
+  const navigate = useNavigate();
+
+  /**
+   * @function useEffect
+   * @description Closes the dropdown when clicking anywhere outside of it.
+   */
+  useEffect(() => {
+    if (!open) return;
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener("mousedown", handleClick);
+    return () => document.removeEventListener("mousedown", handleClick);
+  }, [open]);
+
+  /**
+   * @function handleSelect
+   * @description Marks a notification as read and jumps to its project.
+   */
+  const handleSelect = (notification) => {
+    if (!notification.read) markRead([notification.id]);
+    setOpen(false);
+    navigate(notificationPath(notification));
+  };
+
+  return (
+    <div ref={containerRef} className="relative flex-shrink-0">
+      <button
+        aria-label={unreadCount ? `Notifications (${unreadCount} unread)` : "Notifications"}
+        aria-expanded={open}
+        onClick={() => setOpen((prev) => !prev)}
+        className="relative h-full bg-white rounded-2xl border border-gray-200 shadow-sm hover:shadow-md transition px-5 flex items-center justify-center"
+      >
+        <Bell className="text-gray-700" size={22} />
+        {unreadCount > 0 && (
+          <span className="absolute top-3 right-3 min-w-5 h-5 px-1 rounded-full bg-red-500 text-white text-xs font-semibold flex items-center justify-center">
+            {unreadCount > 9 ? "9+" : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div
+          role="menu"
+          aria-label="Notifications"
+          className="absolute right-0 mt-2 w-96 bg-white border border-gray-200 rounded-2xl shadow-xl z-40 overflow-hidden"
+        >
+          <div className="flex items-center justify-between px-4 py-3 border-b border-gray-100">
+            <h3 className="font-semibold text-gray-800">Notifications</h3>
+            {unreadCount > 0 && (
+              <button
+                onClick={() => markRead()}
+                className="text-xs text-indigo-600 hover:text-indigo-800 flex items-center gap-1"
+              >
+                <CheckCheck size={14} /> Mark all as read
+              </button>
+            )}
+          </div>
+
+          {notifications.length === 0 ? (
+            <p className="px-4 py-6 text-sm text-gray-500 text-center">You're all caught up.</p>
+          ) : (
+            <ul className="max-h-96 overflow-y-auto divide-y divide-gray-100">
+              {notifications.map((n) => (
+                <li key={n.id}>
+                  <button
+                    role="menuitem"
+                    onClick={() => handleSelect(n)}
+                    className={`w-full text-left px-4 py-3 flex gap-3 hover:bg-gray-50 transition ${n.read ? "" : "bg-indigo-50/60"}`}
+                  >
+                    <span className={`mt-1.5 w-2 h-2 rounded-full flex-shrink-0 ${n.read ? "bg-transparent" : "bg-indigo-500"}`} />
+                    <span>
+                      <span className="block text-sm text-gray-800">{describeNotification(n)}</span>
+                      <span className="block text-xs text-gray-500 mt-0.5">{new Date(n.created_on).toLocaleString()}</span>
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default NotificationBell;
@@ -0,0 +1,267 @@
+/**
+ * @file ProjectChat.jsx
+ * @description
+ * A project's discussion thread, shown in the expanded card on the Joined Teams and
+ * Created Teams tabs. Lists the latest messages with a "New messages" divider before
+ * the first one the user hadn't read, loads older ones on demand, and lets the team
+ * write to each other. Typing "@" suggests people on the team to mention; mentioned
+ * people get a notification.
+ * @author Pranav Singh
+ */
+
+import { useEffect, useId, useRef, useState } from "react";
+import { Loader2, MessageSquare, Send } from "lucide-react";
+import useProjectChat from "../hooks/useProjectChat.js";
+import Avatar from "./Avatar.jsx";
+import { personOf } from "../profile/profile.js";
+import { collectMentions, insertMention, matchMentionables, mentionQuery, splitMentions } from "../chat/mentions.js";
+
+/** Longest message the server accepts */
+const MAX_MESSAGE_LENGTH = 1000;
+
+/** Full name of a message's author, or the email for accounts without a name */
+const authorName = (m) => [m.author_fname, m.author_lname].filter(Boolean).join(" ") || m.author_email;
+
+/**
+ * @component ProjectChat
+ * @param {Object} props
+ * @param {number} props.projectId
+ * @param {import("../api/accounts.js").User} props.user - The signed-in user
+ * @param {import("../chat/mentions.js").Mentionable[]} props.people - The lead and members,
+ *   who can be mentioned
+ * @returns {JSX.Element}
+ */
+function ProjectChat({ projectId, user, people }) {
+  const listId = useId();
+  const { messages, firstUnreadId, isLoading, error, hasEarlier, isLoadingEarlier, loadEarlier, send } =
+    useProjectChat(projectId, user);
+
+  const [draft, setDraft] = useState("");
+  const [caret, setCaret] = useState(0);
+  const [sendError, setSendError] = useState("");
+  const [highlight, setHighlight] = useState(0);
+  const [mentionsClosed, setMentionsClosed] = useState(false);
+
+  const scrollRef = useRef(null);
+  const inputRef = useRef(null);
+
+  // Everyone but the user can be mentioned
+  const mentionable = people.filter((p) => p.email !== user.email);
+  const mention = mentionsClosed ? null : mentionQuery(draft, caret);
+  const suggestions = mention ? matchMentionables(mentionable, mention.query) : [];
+
+  /** ------------------------------------------------------------------------
+   * @function useEffect
+   * @description Keeps the latest message in view as messages arrive.
+   * ------------------------------------------------------------------------ */
+  const latestId = messages[messages.length - 1]?.id;
+  useEffect(() => {
+    const list = scrollRef.current;
+    if (list) list.scrollTop = list.scrollHeight;
+  }, [latestId]);
+
+  /** ------------------------------------------------------------------------
+   * @function updateDraft
+   * @description Stores the text and caret position, reopening mention suggestions.
+   * ------------------------------------------------------------------------ */
+  const updateDraft = (text, position) => {
+    setDraft(text);
+    setCaret(position);
+    setHighlight(0);
+    setMentionsClosed(false);
+  };
+
+  /** ------------------------------------------------------------------------
+   * @function pickMention
+   * @description Replaces the "@" being typed with the person's full name.
+   * ------------------------------------------------------------------------ */
+  const pickMention = (person) => {
+    const next = insertMention(draft, mention, caret, person);
+    updateDraft(next.text, next.caret);
+    requestAnimationFrame(() => inputRef.current?.setSelectionRange(next.caret, next.caret));
+  };
+
+  /** ------------------------------------------------------------------------
+   * @function handleSend
+   * @description Sends the draft. The box is cleared straight away and the draft put
+   * back if sending fails.
+   * ------------------------------------------------------------------------ */
+  const handleSend = async () => {
+    const body = draft.trim();
+    if (!body) return;
+    setSendError("");
+    updateDraft("", 0);
+    try {
+      await send({ body, mentions: collectMentions(body, mentionable) });
+    } catch (err) {
+      setSendError(err.message || "Your message couldn't be sent.");
+      updateDraft(body, body.length);
+    }
+  };
+
+  /** ------------------------------------------------------------------------
+   * @function handleKeyDown
+   * @description While suggestions are open, arrow keys move through them, Enter or Tab
+   * picks one and Escape closes them. Otherwise Enter sends and Shift+Enter starts a
+   * new line.
+   * ------------------------------------------------------------------------ */
+  const handleKeyDown = (e) => {
+    if (suggestions.length > 0) {
+      if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+        e.preventDefault();
+        const step = e.key === "ArrowDown" ? 1 : -1;
+        setHighlight((prev) => (prev + step + suggestions.length) % suggestions.length);
+        return;
+      }
+      if (e.key === "Enter" || e.key === "Tab") {
+        e.preventDefault();
+        pickMention(suggestions[Math.min(highlight, suggestions.length - 1)]);
+        return;
+      }
+      if (e.key === "Escape") {
+        setMentionsClosed(true);
+        return;
+      }
+    }
+    if (e.key === "Enter" && !e.shiftKey) {
+      e.preventDefault();
+      handleSend();
+    }
+  };
+
+  return (
+    <section aria-label="Team chat" className="mt-6 border border-gray-200 rounded-2xl bg-gray-50">
+      <h4 className="flex items-center gap-2 px-4 py-3 border-b border-gray-200 font-semibold text-gray-800">
+        <MessageSquare size={16} className="text-indigo-600" /> Team chat
+      </h4>
+
+      <div ref={scrollRef} className="max-h-80 overflow-y-auto px-4 py-3 space-y-3">
+        {hasEarlier && (
+          <div className="text-center">
+            <button
+              type="button"
+              onClick={loadEarlier}
+              disabled={isLoadingEarlier}
+              className="text-xs text-indigo-600 hover:underline disabled:opacity-50"
+            >
+              {isLoadingEarlier ? "Loading..." : "Load earlier messages"}
+            </button>
+          </div>
+        )}
+
+        {isLoading ? (
+          <div className="flex items-center justify-center py-6 text-gray-500">
+            <Loader2 className="animate-spin mr-2" /> Loading messages...
+          </div>
+        ) : error ? (
+          <p className="text-sm text-red-600">{error.message || "Couldn't load the chat."}</p>
+        ) : messages.length === 0 ? (
+          <p className="text-sm text-gray-500 italic">No messages yet. Say hello to your team!</p>
+        ) : (
+          <ol aria-label="Messages" className="space-y-3">
+            {messages.map((m) => (
+              <li key={m.id}>
+                {m.id === firstUnreadId && (
+                  <div role="separator" className="flex items-center gap-2 my-2 text-xs font-medium text-red-500">
+                    <span className="flex-1 border-t border-red-200" /> New messages
+                    <span className="flex-1 border-t border-red-200" />
+                  </div>
+                )}
+                <div className={`flex gap-2 ${m.pending ? "opacity-60" : ""}`}>
+                  <Avatar user={personOf(m, "author_")} size="xs" className="mt-0.5" />
+                  <div className="min-w-0">
+                    <p className="text-xs text-gray-500">
+                      <span className="font-medium text-gray-800">{authorName(m)}</span>{" "}
+                      {m.pending ? "Sending..." : new Date(m.sent_on).toLocaleString()}
+                    </p>
+                    <p className="text-sm text-gray-700 whitespace-pre-wrap break-words">
+                      {splitMentions(m.body, people).map((segment, i) =>
+                        segment.mention ? (
+                          <span
+                            key={i}
+                            className={`rounded px-0.5 font-medium ${
+                              segment.mention.email === user.email ? "bg-amber-100 text-amber-800" : "bg-indigo-100 text-indigo-700"
+                            }`}
+                          >
+                            {segment.text}
+                          </span>
+                        ) : (
+                          segment.text
+                        )
+                      )}
+                    </p>
+                  </div>
+                </div>
+              </li>
+            ))}
+          </ol>
+        )}
+      </div>
+
+      {/* ------------------------------ Composer ------------------------------ */}
+      <div className="relative border-t border-gray-200 p-3">
+        {suggestions.length > 0 && (
+          <ul
+            id={listId}
+            role="listbox"
+            aria-label="People to mention"
+            className="absolute z-20 left-3 right-3 bottom-full mb-1 bg-white border border-gray-200 rounded-xl shadow-lg py-1 max-h-48 overflow-y-auto"
+          >
+            {suggestions.map((person, i) => (
+              <li
+                key={person.email}
+                id={`${listId}-${i}`}
+                role="option"
+                aria-selected={i === highlight}
+                // Keeps focus in the message box
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => pickMention(person)}
+                className={`px-3 py-1.5 text-sm cursor-pointer ${
+                  i === highlight ? "bg-indigo-50 text-indigo-700" : "text-gray-700 hover:bg-gray-50"
+                }`}
+              >
+                {person.name} <span className="text-xs text-gray-500">{person.email}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {sendError && (
+          <p role="alert" className="text-sm text-red-600 mb-2">
+            {sendError}
+          </p>
+        )}
+
+        <div className="flex items-end gap-2">
+          <textarea
+            ref={inputRef}
+            rows={2}
+            value={draft}
+            maxLength={MAX_MESSAGE_LENGTH}
+            onChange={(e) => updateDraft(e.target.value, e.target.selectionStart)}
+            onSelect={(e) => setCaret(e.target.selectionStart)}
+            onKeyDown={handleKeyDown}
+            role="combobox"
+            aria-label="Message"
+            aria-expanded={suggestions.length > 0}
+            aria-controls={listId}
+            aria-autocomplete="list"
+            aria-activedescendant={suggestions.length > 0 ? `${listId}-${highlight}` : undefined}
+            placeholder="Write a message, @ to mention someone"
+            className="flex-1 resize-none border border-gray-300 rounded-xl px-3 py-2 text-sm bg-white focus:outline-none focus:ring-2 focus:ring-indigo-400"
+          />
+          <button
+            type="button"
+            onClick={handleSend}
+            disabled={!draft.trim()}
+            className="px-4 py-2 bg-indigo-600 text-white rounded-xl text-sm flex items-center gap-2 hover:bg-indigo-700 disabled:opacity-50"
+          >
+            <Send size={14} /> Send
+          </button>
+        </div>
+      </div>
+    </section>
+  );
+}
+
+export default ProjectChat;
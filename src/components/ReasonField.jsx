@@ -0,0 +1,37 @@
+/**
+ * @file ReasonField.jsx
+ * @description
+ * Optional free-text reason shown inside a ConfirmModal, e.g. when removing a
+ * member or leaving a team.
+ * @author Pranav Singh
+ */
+
+/** Longest reason accepted */
+export const REASON_LIMIT = 200;
+
+/**
+ * @component ReasonField
+ * @param {Object} props
+ * @param {string} props.value
+ * @param {(value: string) => void} props.onChange
+ * @param {string} [props.label="Reason (optional)"]
+ */
+function ReasonField({ value, onChange, label = "Reason (optional)" }) {
+  return (
+    <div className="mt-4">
+      <label htmlFor="confirm-reason" className="block text-sm font-medium text-gray-700 mb-1">
+        {label}
+      </label>
+      <textarea
+        id="confirm-reason"
+        value={value}
+        onChange={(e) => onChange(e.target.value.slice(0, REASON_LIMIT))}
+        rows="3"
+        className="w-full border border-gray-300 rounded-xl px-3 py-2 text-sm focus:ring-2 focus:ring-indigo-400 focus:outline-none transition"
+      />
+      <p className="text-xs text-gray-500 text-right">{value.length}/{REASON_LIMIT}</p>
+    </div>
+  );
+}
+
+export default ReasonField;
@@ -1,9 +1,23 @@
+/**
+ * @file RedirectIfAuth.jsx
+ * @description Layout route for the sign-in and sign-up pages. An already
+ * authenticated user is redirected to the page they originally asked for,
+ * or to the dashboard.
+ * @author Pranav Singh
+ */
+
 import { useContext } from "react";
-import { Navigate, Outlet } from "react-router-dom";
-import AuthContext from "../context/AuthProvider.jsx";
+import { Navigate, Outlet, useLocation } from "react-router-dom";
+import { AuthContext } from "../context/AuthProvider.jsx";
+import SessionLoader from "./SessionLoader.jsx";
 
 export default function RedirectIfAuth() {
-  const { user } = useContext(AuthContext);
+  const { user, loading } = useContext(AuthContext);
+  const location = useLocation();
+
+  if (loading) return <SessionLoader />;
+  if (!user) return <Outlet />;
 
-  return user ? <Navigate to="/home" replace /> : <Outlet />;
-}
\ No newline at end of file
+  const from = location.state?.from;
+  return <Navigate to={from ? `${from.pathname}${from.search || ""}` : "/home"} replace />;
+}
@@ -0,0 +1,35 @@
+/**
+ * @file RequestStatusBadge.jsx
+ * @description
+ * Small coloured pill showing the status of a join request
+ * (pending, accepted, rejected, withdrawn, expired or closed).
+ * @author Pranav Singh
+ */
+
+import { Clock, CheckCircle2, XCircle, Undo2, Hourglass, Lock } from "lucide-react";
+
+/** Label, colours and icon per request status */
+const STATUSES = {
+  pending: { label: "Pending", className: "bg-amber-50 text-amber-700 border-amber-200", Icon: Clock },
+  accepted: { label: "Accepted", className: "bg-green-50 text-green-700 border-green-200", Icon: CheckCircle2 },
+  rejected: { label: "Rejected", className: "bg-red-50 text-red-700 border-red-200", Icon: XCircle },
+  withdrawn: { label: "Withdrawn", className: "bg-gray-100 text-gray-600 border-gray-200", Icon: Undo2 },
+  expired: { label: "Expired", className: "bg-gray-100 text-gray-500 border-gray-200", Icon: Hourglass },
+  closed: { label: "Team full", className: "bg-gray-100 text-gray-500 border-gray-200", Icon: Lock },
+};
+
+/**
+ * @component RequestStatusBadge
+ * @param {Object} props
+ * @param {import("../api/requests.js").RequestStatus} props.status
+ */
+function RequestStatusBadge({ status }) {
+  const { label, className, Icon } = STATUSES[status] || STATUSES.pending;
+  return (
+    <span className={`inline-flex items-center gap-1 px-2.5 py-0.5 rounded-full border text-xs font-medium ${className}`}>
+      <Icon size={12} /> {label}
+    </span>
+  );
+}
+
+export default RequestStatusBadge;
@@ -1,9 +1,21 @@
+/**
+ * @file RequireAuth.jsx
+ * @description Layout route that only renders its child routes for an
+ * authenticated user. Anyone else is sent to the sign-in page, carrying the
+ * location they asked for so Signin can return them there after login.
+ * @author Pranav Singh
+ */
+
 import { useContext } from "react";
-import { Navigate, Outlet } from "react-router-dom";
-import AuthContext from "../context/AuthProvider.jsx";
+import { Navigate, Outlet, useLocation } from "react-router-dom";
+import { AuthContext } from "../context/AuthProvider.jsx";
+import SessionLoader from "./SessionLoader.jsx";
 
 export default function RequireAuth() {
-  const { user } = useContext(AuthContext);
+  const { user, loading } = useContext(AuthContext);
+  const location = useLocation();
+
+  if (loading) return <SessionLoader />;
 
-  return user ? <Outlet /> : <Navigate to="/" replace />;
+  return user ? <Outlet /> : <Navigate to="/" replace state={{ from: location }} />;
 }
@@ -0,0 +1,103 @@
+/**
+ * @file SessionExpiredModal.jsx
+ * @description
+ * Modal shown when the refresh token has been rejected. The user can enter their
+ * password to start a new session without leaving the current page, or sign out,
+ * in which case RequireAuth remembers the page so Signin can return to it.
+ * @author Pranav Singh
+ */
+
+import { useContext, useState } from "react";
+import { Clock, Key, LogOut } from "lucide-react";
+import { AuthContext } from "../context/AuthProvider.jsx";
+import { useQueryClient } from "../hooks/useQuery.js";
+
+export default function SessionExpiredModal() {
+  const { user, sessionExpired, renewSession, logout } = useContext(AuthContext);
+  const queryClient = useQueryClient();
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+
+  if (!user || !sessionExpired) return null;
+
+  /** ------------------------------------------------------------------------
+   * @function handleSubmit
+   * @description Signs the user in again with the entered password, then asks the
+   *              cache to re-fetch whatever failed while the session was expired.
+   * ------------------------------------------------------------------------ */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      await renewSession(password);
+      setPassword("");
+      setError("");
+      queryClient.invalidate();
+    } catch (err) {
+      console.error(err);
+      setError("Invalid Credentials");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+      <div className="absolute inset-0 bg-black/40" />
+
+      <form
+        onSubmit={handleSubmit}
+        role="dialog"
+        aria-labelledby="session-expired-title"
+        className="relative bg-white rounded-2xl shadow-xl w-full max-w-md p-6"
+      >
+        <div className="flex items-start gap-3">
+          <div className="w-12 h-12 rounded-full bg-yellow-50 flex items-center justify-center flex-shrink-0">
+            <Clock className="text-yellow-600" />
+          </div>
+          <div>
+            <h3 id="session-expired-title" className="text-lg font-semibold text-gray-800">
+              Session expired
+            </h3>
+            <p className="text-sm text-gray-600 mt-1">
+              Your session has expired. Sign in again as <strong>{user.email}</strong> to carry on
+              where you left off.
+            </p>
+          </div>
+        </div>
+
+        <label htmlFor="session-password" className="block text-sm font-medium text-gray-700 mt-5 mb-1">
+          Password
+        </label>
+        <input
+          id="session-password"
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          required
+          autoFocus
+          className="w-full border border-gray-300 rounded-xl px-3 py-2.5 focus:ring-2 focus:ring-blue-400 focus:outline-none transition"
+        />
+        {error && <p className="text-red-500 text-sm mt-1">{error}</p>}
+
+        <div className="mt-6 flex items-center justify-end gap-3">
+          <button
+            type="button"
+            onClick={logout}
+            className="px-4 py-2 bg-gray-100 rounded-md text-gray-700 hover:bg-gray-200 flex items-center gap-2"
+          >
+            <LogOut size={16} /> Sign out
+          </button>
+          <button
+            type="submit"
+            disabled={submitting}
+            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 flex items-center gap-2"
+          >
+            <Key size={16} /> {submitting ? "Signing in..." : "Sign in again"}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,18 @@
+/**
+ * @file SessionLoader.jsx
+ * @description Full-page placeholder shown by the route guards while
+ * AuthContext is restoring a stored session, so a page refresh doesn't
+ * flash the sign-in screen before the user is known.
+ * @author Pranav Singh
+ */
+
+import { Loader2 } from "lucide-react";
+
+export default function SessionLoader() {
+  return (
+    <div className="h-screen flex justify-center items-center bg-gray-100 text-gray-500">
+      <Loader2 className="animate-spin mr-2" />
+      Restoring your session...
+    </div>
+  );
+}
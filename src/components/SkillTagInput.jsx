@@ -0,0 +1,201 @@
+/**
+ * @file SkillTagInput.jsx
+ * @description
+ * Free-form skill tag editor with autocomplete. Typing suggests tags already in use;
+ * Enter or a comma adds the typed text as a tag, Backspace on an empty input removes
+ * the last one. On a profile each tag carries a proficiency level, on a project the
+ * number of people needed with that skill.
+ * @author Pranav Singh
+ */
+
+import { useId, useState } from "react";
+import { X } from "lucide-react";
+import { searchSkills } from "../api/skills.js";
+import { queryKeys } from "../query/keys.js";
+import { useQuery } from "../hooks/useQuery.js";
+import useDebouncedValue from "../hooks/useDebouncedValue.js";
+import {
+  DEFAULT_SKILL_LEVEL,
+  MAX_SKILLS,
+  MAX_SKILL_COUNT,
+  SKILL_LEVELS,
+  normalizeSkill,
+  skillLabel,
+} from "../skills/skills.js";
+
+/** People a project can ask for per skill */
+const COUNT_OPTIONS = Array.from({ length: MAX_SKILL_COUNT }, (_, i) => i + 1);
+
+/**
+ * @component SkillTagInput
+ * @param {Object} props
+ * @param {string} [props.id] - Id of the text input, for an external `<label>`
+ * @param {Array<import("../skills/skills.js").UserSkill|import("../skills/skills.js").ProjectSkill>} props.value
+ * @param {(skills: Array) => void} props.onChange
+ * @param {"profile"|"project"} [props.kind="profile"] - Profiles rate each skill, projects count people
+ * @param {string} [props.placeholder="Add a skill..."]
+ * @returns {JSX.Element}
+ */
+function SkillTagInput({ id, value, onChange, kind = "profile", placeholder = "Add a skill..." }) {
+  const listId = useId();
+  const [text, setText] = useState("");
+  const [open, setOpen] = useState(false);
+  const [highlight, setHighlight] = useState(-1);
+  const search = useDebouncedValue(normalizeSkill(text), 200);
+
+  const { data: matches = [] } = useQuery(queryKeys.skills(search), () => searchSkills(search), {
+    enabled: open,
+    keepPreviousData: true,
+  });
+  const taken = value.map((s) => s.name);
+  const suggestions = matches.filter((name) => !taken.includes(name));
+  const full = value.length >= MAX_SKILLS;
+
+  /**
+   * @function addSkill
+   * @description Adds a tag unless it is empty, already listed or over the limit.
+   * @param {string} raw - Typed text or a suggestion
+   */
+  const addSkill = (raw) => {
+    const name = normalizeSkill(raw);
+    setText("");
+    setHighlight(-1);
+    if (!name || taken.includes(name) || full) return;
+    onChange([...value, kind === "project" ? { name, count: 1 } : { name, level: DEFAULT_SKILL_LEVEL }]);
+  };
+
+  const removeSkill = (name) => onChange(value.filter((s) => s.name !== name));
+  const updateSkill = (name, changes) => onChange(value.map((s) => (s.name === name ? { ...s, ...changes } : s)));
+
+  /**
+   * @function handleKeyDown
+   * @description Arrow keys move through the suggestions, Enter or "," adds a tag,
+   * Backspace on an empty input removes the last tag and Escape closes the list.
+   * @param {KeyboardEvent} e
+   */
+  const handleKeyDown = (e) => {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      setOpen(true);
+      if (suggestions.length === 0) return;
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      setHighlight((prev) => (prev + step + suggestions.length) % suggestions.length);
+    } else if (e.key === "Enter" || e.key === ",") {
+      // Enter must not submit the surrounding form while a tag is being typed
+      if (e.key === "Enter" && !text.trim() && highlight < 0) return;
+      e.preventDefault();
+      addSkill(highlight >= 0 ? suggestions[highlight] : text);
+    } else if (e.key === "Backspace" && text === "" && value.length > 0) {
+      removeSkill(value[value.length - 1].name);
+    } else if (e.key === "Escape") {
+      setOpen(false);
+      setHighlight(-1);
+    }
+  };
+
+  return (
+    <div className="w-full border border-gray-300 rounded-xl px-3 py-2 bg-white/60 focus-within:ring-2 focus-within:ring-blue-400 transition">
+      {value.length > 0 && (
+        <ul className="flex flex-wrap gap-2 mb-2">
+          {value.map((skill) => {
+            const label = skillLabel(skill.name);
+            return (
+              <li
+                key={skill.name}
+                className="flex items-center gap-1.5 text-xs pl-3 pr-1.5 py-1 rounded-full bg-blue-100 text-blue-700 font-medium"
+              >
+                {label}
+                {kind === "project" ? (
+                  <select
+                    value={skill.count}
+                    onChange={(e) => updateSkill(skill.name, { count: Number(e.target.value) })}
+                    aria-label={`People needed for ${label}`}
+                    className="bg-white/80 rounded-md px-1 focus:outline-none"
+                  >
+                    {COUNT_OPTIONS.map((count) => (
+                      <option key={count} value={count}>
+                        ×{count}
+                      </option>
+                    ))}
+                  </select>
+                ) : (
+                  <select
+                    value={skill.level}
+                    onChange={(e) => updateSkill(skill.name, { level: e.target.value })}
+                    aria-label={`${label} level`}
+                    className="bg-white/80 rounded-md px-1 focus:outline-none"
+                  >
+                    {SKILL_LEVELS.map((level) => (
+                      <option key={level.value} value={level.value}>
+                        {level.label}
+                      </option>
+                    ))}
+                  </select>
+                )}
+                <button
+                  type="button"
+                  onClick={() => removeSkill(skill.name)}
+                  aria-label={`Remove ${label}`}
+                  className="p-0.5 rounded-full hover:bg-blue-200 transition"
+                >
+                  <X size={12} />
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      <div className="relative">
+        <input
+          id={id}
+          type="text"
+          role="combobox"
+          aria-expanded={open && suggestions.length > 0}
+          aria-controls={listId}
+          aria-autocomplete="list"
+          aria-activedescendant={highlight >= 0 ? `${listId}-${highlight}` : undefined}
+          value={text}
+          disabled={full}
+          onChange={(e) => {
+            setText(e.target.value);
+            setOpen(true);
+            setHighlight(-1);
+          }}
+          onKeyDown={handleKeyDown}
+          onFocus={() => setOpen(true)}
+          onBlur={() => setOpen(false)}
+          placeholder={full ? `Up to ${MAX_SKILLS} skills` : placeholder}
+          className="w-full bg-transparent py-1 text-sm outline-none placeholder-gray-400"
+        />
+
+        {open && suggestions.length > 0 && (
+          <ul
+            id={listId}
+            role="listbox"
+            className="absolute z-20 left-0 right-0 mt-2 bg-white border border-gray-200 rounded-xl shadow-lg py-1 max-h-56 overflow-y-auto"
+          >
+            {suggestions.map((name, i) => (
+              <li
+                key={name}
+                id={`${listId}-${i}`}
+                role="option"
+                aria-selected={i === highlight}
+                // Keeps focus in the input, which would otherwise close the list before the click
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => addSkill(name)}
+                className={`px-3 py-1.5 text-sm cursor-pointer ${
+                  i === highlight ? "bg-blue-50 text-blue-700" : "text-gray-700 hover:bg-gray-50"
+                }`}
+              >
+                {skillLabel(name)}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default SkillTagInput;
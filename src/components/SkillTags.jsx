@@ -0,0 +1,47 @@
+/**
+ * @file SkillTags.jsx
+ * @description Read-only list of skill tags, e.g. the skills a project needs. Tags the
+ * viewer has are highlighted.
+ * @author Pranav Singh
+ */
+
+import { levelLabel, skillLabel } from "../skills/skills.js";
+
+/** Level of a profile skill, or the number of people a project needs when more than one */
+const detailOf = (skill) => (skill.level ? levelLabel(skill.level) : skill.count > 1 ? `×${skill.count}` : "");
+
+/**
+ * @component SkillTags
+ * @param {Object} props
+ * @param {Array<import("../skills/skills.js").UserSkill|import("../skills/skills.js").ProjectSkill>} props.skills
+ * @param {string[]} [props.matched=[]] - Tags to highlight
+ * @param {boolean} [props.compact=false] - Names only, without levels or counts
+ * @param {string} [props.className]
+ * @returns {JSX.Element|null}
+ */
+function SkillTags({ skills, matched = [], compact = false, className = "" }) {
+  if (!skills?.length) return null;
+
+  return (
+    <ul className={`flex flex-wrap gap-2 ${className}`}>
+      {skills.map((skill) => {
+        const isMatch = matched.includes(skill.name);
+        const detail = compact ? "" : detailOf(skill);
+        return (
+          <li
+            key={skill.name}
+            title={isMatch ? "You have this skill" : undefined}
+            className={`text-xs px-3 py-1 rounded-full font-medium ${
+              isMatch ? "bg-green-100 text-green-700 ring-1 ring-green-300" : "bg-blue-100 text-blue-700"
+            }`}
+          >
+            {skillLabel(skill.name)}
+            {detail && <span className="ml-1 opacity-70">{detail}</span>}
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
+
+export default SkillTags;
@@ -0,0 +1,347 @@
+/**
+ * @file TaskBoard.jsx
+ * @description
+ * A project's Kanban board, shown in the expanded card on the Joined Teams and Created
+ * Teams tabs. Tasks sit in To Do, In Progress and Done columns and are dragged between
+ * (and within) them; each card also has a status menu for keyboard users. Anyone on the
+ * team can add, assign and move tasks. Changes show immediately and are rolled back if
+ * the server refuses them; the live-update channel brings in changes from the rest of
+ * the team.
+ * @author Pranav Singh
+ */
+
+import { useState } from "react";
+import { CalendarDays, Loader2, Plus, Trash2 } from "lucide-react";
+import { createTask, deleteTask, listTasks, updateTask } from "../api/tasks.js";
+import { useQuery, useQueryClient } from "../hooks/useQuery.js";
+import { queryKeys } from "../query/keys.js";
+import { TASK_COLUMNS, groupTasks, isOverdue, moveTask, taskProgress } from "../Dashboard/taskBoard.js";
+
+/** Due date as shown on a card; dates carry no time zone, so read them as local */
+const formatDue = (date) => new Date(`${date}T00:00`).toLocaleDateString();
+
+/**
+ * @component TaskBoard
+ * @param {Object} props
+ * @param {number} props.projectId
+ * @param {import("../api/accounts.js").User} props.user - The signed-in user
+ * @param {string} props.leadEmail - The project lead, who can delete any task
+ * @param {{ email: string, name: string }[]} props.people - The lead and members, who
+ *   tasks can be assigned to
+ * @returns {JSX.Element}
+ */
+function TaskBoard({ projectId, user, leadEmail, people }) {
+  const queryClient = useQueryClient();
+  const tasksKey = queryKeys.projectTasks(projectId);
+
+  const [title, setTitle] = useState("");
+  const [assignee, setAssignee] = useState("");
+  const [dueDate, setDueDate] = useState("");
+  const [adding, setAdding] = useState(false);
+  const [error, setError] = useState("");
+
+  // Task being dragged, and the column and index it would drop at
+  const [dragging, setDragging] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+
+  const { data: tasks = [], isLoading } = useQuery(tasksKey, () => listTasks(projectId));
+  const columns = groupTasks(tasks);
+  const progress = taskProgress(Object.fromEntries(TASK_COLUMNS.map(({ status }) => [status, columns[status].length])));
+
+  /** ------------------------------------------------------------------------
+   * @function refreshProgress
+   * @description Refetches the project lists, whose cards show the board's progress.
+   * ------------------------------------------------------------------------ */
+  const refreshProgress = () => ["leadprojects", "joinedprojects"].forEach((resource) => queryClient.invalidate([resource]));
+
+  /** ------------------------------------------------------------------------
+   * @function applyChange
+   * @description Shows a change right away, sends it, and rolls back by refetching the
+   * board if the server refuses it.
+   * @param {(tasks: Array) => Array} optimistic - Board as it should look
+   * @param {() => Promise<*>} request
+   * ------------------------------------------------------------------------ */
+  const applyChange = async (optimistic, request) => {
+    setError("");
+    queryClient.setQueryData(tasksKey, (prev = []) => optimistic(prev));
+    try {
+      await request();
+      refreshProgress();
+    } catch (err) {
+      setError(err.message || "The board couldn't be updated.");
+      queryClient.invalidate(tasksKey);
+    }
+  };
+
+  /** ------------------------------------------------------------------------
+   * @function handleMove
+   * @description Moves a task to `index` of a column, or to its end.
+   * ------------------------------------------------------------------------ */
+  const handleMove = (task, status, index) => {
+    const target = columns[status].filter((t) => t.id !== task.id);
+    const position = Math.min(index ?? target.length, target.length);
+    if (task.status === status && task.position === position) return;
+    applyChange(
+      (prev) => moveTask(prev, task.id, status, position),
+      () => updateTask(projectId, task.id, { status, position })
+    );
+  };
+
+  /** ------------------------------------------------------------------------
+   * @function handleAssign
+   * @description Assigns a task to someone on the team, or nobody for "".
+   * ------------------------------------------------------------------------ */
+  const handleAssign = (task, email) =>
+    applyChange(
+      (prev) => prev.map((t) => (t.id === task.id ? { ...t, assignee_email: email || null } : t)),
+      () => updateTask(projectId, task.id, { assignee_email: email || null })
+    );
+
+  /** ------------------------------------------------------------------------
+   * @function handleDelete
+   * ------------------------------------------------------------------------ */
+  const handleDelete = (task) =>
+    applyChange(
+      (prev) => prev.filter((t) => t.id !== task.id),
+      () => deleteTask(projectId, task.id)
+    );
+
+  /** ------------------------------------------------------------------------
+   * @function handleAdd
+   * @description Adds a task to the bottom of To Do.
+   * ------------------------------------------------------------------------ */
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!title.trim()) return;
+    setAdding(true);
+    setError("");
+    try {
+      const task = await createTask(projectId, {
+        title: title.trim(),
+        assignee_email: assignee || null,
+        due_date: dueDate || null,
+      });
+      queryClient.setQueryData(tasksKey, (prev = []) => [...prev, task]);
+      setTitle("");
+      setAssignee("");
+      setDueDate("");
+      refreshProgress();
+    } catch (err) {
+      setError(err.message || "The task couldn't be added.");
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  /** ------------------------------------------------------------------------
+   * @function handleDrop
+   * @description Drops the dragged task where the drop target says. Targets count the
+   * dragged task itself, so moving down its own column lands one place higher.
+   * ------------------------------------------------------------------------ */
+  const handleDrop = (e) => {
+    e.preventDefault();
+    const task = tasks.find((t) => t.id === dragging);
+    if (task && dropTarget) {
+      const { status, index } = dropTarget;
+      const shift = index !== undefined && task.status === status && task.position < index ? 1 : 0;
+      handleMove(task, status, index === undefined ? undefined : index - shift);
+    }
+    setDragging(null);
+    setDropTarget(null);
+  };
+
+  /** Drag handlers of a column; dropping on empty space puts the task at the end. */
+  const columnDropProps = (status) => ({
+    onDragOver: (e) => {
+      if (dragging == null) return;
+      e.preventDefault();
+      if (dropTarget?.status !== status || dropTarget.index !== undefined) setDropTarget({ status, index: undefined });
+    },
+    onDrop: handleDrop,
+  });
+
+  /** Drag handlers of a card; dropping on a card puts the task before it. */
+  const cardDropProps = (status, index) => ({
+    onDragOver: (e) => {
+      if (dragging == null) return;
+      e.preventDefault();
+      e.stopPropagation();
+      if (dropTarget?.status !== status || dropTarget.index !== index) setDropTarget({ status, index });
+    },
+    onDrop: (e) => {
+      e.stopPropagation();
+      handleDrop(e);
+    },
+  });
+
+  return (
+    <section aria-label="Task board" className="mt-6 border border-gray-200 rounded-2xl bg-gray-50 p-4">
+      <div className="flex items-center justify-between gap-4 mb-4">
+        <h4 className="font-semibold text-gray-800">Task board</h4>
+        {progress && (
+          <div className="flex items-center gap-2 text-xs text-gray-600">
+            <div
+              role="progressbar"
+              aria-label="Tasks done"
+              aria-valuenow={progress.percent}
+              aria-valuemin={0}
+              aria-valuemax={100}
+              className="w-24 h-2 rounded-full bg-gray-200 overflow-hidden"
+            >
+              <div className="h-full bg-green-500" style={{ width: `${progress.percent}%` }} />
+            </div>
+            {progress.label}
+          </div>
+        )}
+      </div>
+
+      {/* ------------------------------ New Task ------------------------------ */}
+      <form onSubmit={handleAdd} className="flex flex-wrap gap-2 mb-4">
+        <input
+          type="text"
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          maxLength={200}
+          aria-label="New task"
+          placeholder="What needs doing?"
+          className="flex-1 min-w-[12rem] border border-gray-300 rounded-lg px-3 py-1.5 text-sm bg-white focus:outline-none focus:ring-2 focus:ring-indigo-400"
+        />
+        <select
+          value={assignee}
+          onChange={(e) => setAssignee(e.target.value)}
+          aria-label="Assignee"
+          className="border border-gray-300 rounded-lg px-2 py-1.5 text-sm bg-white"
+        >
+          <option value="">Unassigned</option>
+          {people.map((p) => (
+            <option key={p.email} value={p.email}>
+              {p.name}
+            </option>
+          ))}
+        </select>
+        <input
+          type="date"
+          value={dueDate}
+          onChange={(e) => setDueDate(e.target.value)}
+          aria-label="Due date"
+          className="border border-gray-300 rounded-lg px-2 py-1.5 text-sm bg-white"
+        />
+        <button
+          type="submit"
+          disabled={adding || !title.trim()}
+          className="px-4 py-1.5 bg-indigo-600 text-white rounded-lg text-sm flex items-center gap-2 hover:bg-indigo-700 disabled:opacity-50"
+        >
+          <Plus size={14} /> Add task
+        </button>
+      </form>
+
+      {error && (
+        <p role="alert" className="text-sm text-red-600 mb-3">
+          {error}
+        </p>
+      )}
+
+      {/* ------------------------------ Columns ------------------------------ */}
+      {isLoading ? (
+        <div className="flex items-center justify-center py-6 text-gray-500">
+          <Loader2 className="animate-spin mr-2" /> Loading tasks...
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+          {TASK_COLUMNS.map(({ status, label }) => (
+            <div
+              key={status}
+              role="region"
+              aria-label={label}
+              {...columnDropProps(status)}
+              className={`rounded-xl p-3 min-h-[8rem] transition ${
+                dropTarget?.status === status ? "bg-indigo-50 ring-2 ring-indigo-200" : "bg-white"
+              }`}
+            >
+              <h5 className="text-sm font-semibold text-gray-700 mb-2">
+                {label} <span className="text-gray-400 font-normal">{columns[status].length}</span>
+              </h5>
+              <ul className="space-y-2">
+                {columns[status].map((task, index) => {
+                  const overdue = isOverdue(task);
+                  const canDelete = user.email === leadEmail || user.email === task.created_by;
+                  return (
+                    <li
+                      key={task.id}
+                      draggable
+                      aria-label={task.title}
+                      onDragStart={(e) => {
+                        e.dataTransfer?.setData("text/plain", String(task.id));
+                        setDragging(task.id);
+                      }}
+                      onDragEnd={() => {
+                        setDragging(null);
+                        setDropTarget(null);
+                      }}
+                      {...cardDropProps(status, index)}
+                      className={`border rounded-lg p-3 bg-white shadow-sm cursor-grab text-sm ${
+                        dragging === task.id ? "opacity-50" : ""
+                      } ${
+                        dropTarget?.status === status && dropTarget.index === index
+                          ? "border-t-4 border-t-indigo-400"
+                          : "border-gray-200"
+                      }`}
+                    >
+                      <div className="flex items-start justify-between gap-2">
+                        <p className="font-medium text-gray-800">{task.title}</p>
+                        {canDelete && (
+                          <button
+                            type="button"
+                            onClick={() => handleDelete(task)}
+                            aria-label={`Delete ${task.title}`}
+                            className="p-1 rounded text-gray-400 hover:text-red-500 hover:bg-red-50"
+                          >
+                            <Trash2 size={14} />
+                          </button>
+                        )}
+                      </div>
+                      {task.due_date && (
+                        <p className={`mt-1 text-xs flex items-center gap-1 ${overdue ? "text-red-600 font-medium" : "text-gray-500"}`}>
+                          <CalendarDays size={12} /> {overdue ? "Overdue" : "Due"} {formatDue(task.due_date)}
+                        </p>
+                      )}
+                      <div className="mt-2 flex gap-2">
+                        <select
+                          value={task.assignee_email ?? ""}
+                          onChange={(e) => handleAssign(task, e.target.value)}
+                          aria-label={`Assignee of ${task.title}`}
+                          className="flex-1 min-w-0 border border-gray-200 rounded-md px-1 py-0.5 text-xs bg-white"
+                        >
+                          <option value="">Unassigned</option>
+                          {people.map((p) => (
+                            <option key={p.email} value={p.email}>
+                              {p.name}
+                            </option>
+                          ))}
+                        </select>
+                        <select
+                          value={task.status}
+                          onChange={(e) => handleMove(task, e.target.value)}
+                          aria-label={`Status of ${task.title}`}
+                          className="border border-gray-200 rounded-md px-1 py-0.5 text-xs bg-white"
+                        >
+                          {TASK_COLUMNS.map((column) => (
+                            <option key={column.status} value={column.status}>
+                              {column.label}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+          ))}
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default TaskBoard;
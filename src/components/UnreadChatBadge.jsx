@@ -0,0 +1,31 @@
+/**
+ * @file UnreadChatBadge.jsx
+ * @description
+ * Small pill with the number of unread chat messages of a project, shown on the
+ * project cards of the Joined Teams and Created Teams tabs. Renders nothing when
+ * everything has been read.
+ * @author Pranav Singh
+ */
+
+import { MessageSquare } from "lucide-react";
+
+/**
+ * @component UnreadChatBadge
+ * @param {Object} props
+ * @param {number} [props.count=0]
+ */
+function UnreadChatBadge({ count = 0 }) {
+  if (count <= 0) return null;
+  const label = count === 1 ? "1 unread message" : `${count} unread messages`;
+  return (
+    <span
+      title={label}
+      aria-label={label}
+      className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full bg-red-500 text-white text-xs font-semibold"
+    >
+      <MessageSquare size={12} /> {count}
+    </span>
+  );
+}
+
+export default UnreadChatBadge;
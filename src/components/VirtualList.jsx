@@ -0,0 +1,192 @@
+/**
+ * @file VirtualList.jsx
+ * @description
+ * Renders only the items of a long list that are on screen (plus a few either side),
+ * with spacers standing in for the rest. Rows are measured as they render, so items
+ * may have any height and may grow, e.g. when a card expands. The list scrolls with
+ * its nearest scrollable ancestor, so it fits into the page like a plain list would.
+ *
+ * Items can be laid out in a grid of `columns`; each row of the grid is one virtual row.
+ * `scrollToKey` brings an item on screen, e.g. a card opened from a link.
+ * @author Pranav Singh
+ */
+
+import { Fragment, useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { visibleRange } from "./virtualRange.js";
+
+/** Nearest ancestor that scrolls vertically, or the window */
+const scrollParentOf = (node) => {
+  for (let el = node?.parentElement; el; el = el.parentElement) {
+    if (/(auto|scroll)/.test(getComputedStyle(el).overflowY)) return el;
+  }
+  return window;
+};
+
+/**
+ * @component VirtualList
+ * @param {Object} props
+ * @param {Array} props.items
+ * @param {(item: *) => string|number} props.getKey - Stable key of an item
+ * @param {(item: *, index: number) => JSX.Element} props.renderItem
+ * @param {number} [props.columns=1] - Items per row
+ * @param {number} [props.estimateSize=160] - Height assumed for rows not measured yet
+ * @param {number} [props.gap=0] - Space between rows and columns, in pixels
+ * @param {number} [props.overscan=3] - Rows rendered beyond each edge of the viewport
+ * @param {() => void} [props.onEndReached] - Called when the last row is rendered, e.g. to load the next page
+ * @param {string|number} [props.scrollToKey] - Key of an item to scroll to once it is loaded
+ * @param {string} [props.className]
+ * @returns {JSX.Element}
+ */
+function VirtualList({
+  items,
+  getKey,
+  renderItem,
+  columns = 1,
+  estimateSize = 160,
+  gap = 0,
+  overscan = 3,
+  onEndReached,
+  scrollToKey,
+  className = "",
+}) {
+  const listRef = useRef(null);
+  const observerRef = useRef(null);
+  const onEndReachedRef = useRef(onEndReached);
+  useEffect(() => {
+    onEndReachedRef.current = onEndReached;
+  });
+
+  // Measured heights by row key, and the viewport relative to the top of the list
+  const [sizes, setSizes] = useState({});
+  const [view, setView] = useState({ start: 0, end: window.innerHeight });
+
+  const rows = useMemo(() => {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += columns) chunks.push(items.slice(i, i + columns));
+    return chunks;
+  }, [items, columns]);
+  const rowKey = (row) => row.map(getKey).join("|");
+
+  const { start, end, offsets, total } = visibleRange(
+    rows.map((row) => sizes[rowKey(row)] ?? estimateSize + gap),
+    view.start,
+    view.end,
+    overscan
+  );
+
+  /**
+   * @function useEffect
+   * @description Follows the viewport as the scroll parent scrolls or the window resizes.
+   */
+  useEffect(() => {
+    const list = listRef.current;
+    const scroller = scrollParentOf(list);
+    const update = () => {
+      const viewportTop = scroller === window ? 0 : scroller.getBoundingClientRect().top;
+      const height = scroller === window ? window.innerHeight : scroller.clientHeight;
+      const viewStart = viewportTop - list.getBoundingClientRect().top;
+      setView((prev) =>
+        prev.start === viewStart && prev.end === viewStart + height
+          ? prev
+          : { start: viewStart, end: viewStart + height }
+      );
+    };
+    update();
+    scroller.addEventListener("scroll", update, { passive: true });
+    window.addEventListener("resize", update);
+    return () => {
+      scroller.removeEventListener("scroll", update);
+      window.removeEventListener("resize", update);
+    };
+  }, []);
+
+  useEffect(() => () => observerRef.current?.disconnect(), []);
+
+  /**
+   * @function measureRow
+   * @description Ref callback that keeps a rendered row's height up to date.
+   */
+  const measureRow = useCallback((node) => {
+    if (!node || typeof ResizeObserver === "undefined") return;
+    observerRef.current ??= new ResizeObserver((entries) => {
+      setSizes((prev) => {
+        let next = prev;
+        entries.forEach(({ target }) => {
+          const key = target.dataset.rowKey;
+          if (prev[key] === target.offsetHeight) return;
+          if (next === prev) next = { ...prev };
+          next[key] = target.offsetHeight;
+        });
+        return next;
+      });
+    });
+    const observer = observerRef.current;
+    observer.observe(node);
+    return () => observer.unobserve(node);
+  }, []);
+
+  /**
+   * @function useEffect
+   * @description Scrolls to `scrollToKey` once it is among the items. A row outside the
+   * rendered range is rendered first, then scrolled into view on the next commit.
+   */
+  const pendingScrollRef = useRef(null);
+  const scrolledToRef = useRef(null);
+  const targetRow =
+    scrollToKey == null ? -1 : rows.findIndex((row) => row.some((item) => getKey(item) === scrollToKey));
+  const targetOffset = targetRow < 0 ? null : offsets[targetRow];
+  const targetRendered = targetRow >= start && targetRow <= end;
+  useEffect(() => {
+    if (targetOffset === null || scrolledToRef.current === scrollToKey) return;
+    scrolledToRef.current = scrollToKey;
+    pendingScrollRef.current = scrollToKey;
+    if (!targetRendered) {
+      setView((prev) => ({ start: targetOffset, end: targetOffset + (prev.end - prev.start) }));
+    }
+  }, [scrollToKey, targetOffset, targetRendered]);
+
+  useEffect(() => {
+    if (pendingScrollRef.current === null || !targetRendered) return;
+    pendingScrollRef.current = null;
+    const row = rows[targetRow];
+    listRef.current
+      .querySelector(`[data-row-key="${CSS.escape(rowKey(row))}"]`)
+      ?.scrollIntoView?.({ block: "nearest" });
+  });
+
+  /**
+   * @function useEffect
+   * @description Reports reaching the end of the list once its last row is rendered.
+   */
+  useEffect(() => {
+    if (rows.length > 0 && end === rows.length - 1) onEndReachedRef.current?.();
+  }, [end, rows.length]);
+
+  return (
+    <div
+      ref={listRef}
+      className={className}
+      style={{ paddingTop: offsets[start], paddingBottom: total - offsets[end + 1] }}
+    >
+      {rows.slice(start, end + 1).map((row, i) => (
+        <div
+          key={rowKey(row)}
+          data-row-key={rowKey(row)}
+          ref={measureRow}
+          style={{
+            paddingBottom: gap,
+            display: "grid",
+            gridTemplateColumns: `repeat(${columns}, minmax(0, 1fr))`,
+            columnGap: gap,
+          }}
+        >
+          {row.map((item, j) => (
+            <Fragment key={getKey(item)}>{renderItem(item, (start + i) * columns + j)}</Fragment>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default VirtualList;
@@ -0,0 +1,35 @@
+/**
+ * @file virtualRange.js
+ * @description Layout maths of `VirtualList`: where each row starts and which rows
+ * overlap the visible part of the list.
+ * @author Pranav Singh
+ */
+
+/**
+ * @function visibleRange
+ * @description Rows to render for a viewport, given every row's height.
+ * @param {number[]} sizes - Height of each row, measured or estimated
+ * @param {number} viewStart - Top of the viewport, relative to the top of the list
+ * @param {number} viewEnd - Bottom of the viewport, relative to the top of the list
+ * @param {number} [overscan=0] - Extra rows rendered on each side, to hide blank space while scrolling
+ * @returns {{ start: number, end: number, offsets: number[], total: number }} Inclusive row
+ *   range (`end` is -1 for an empty list), the top of every row plus the list's end, and the full height
+ */
+export function visibleRange(sizes, viewStart, viewEnd, overscan = 0) {
+  const offsets = [0];
+  sizes.forEach((size, i) => offsets.push(offsets[i] + size));
+  const total = offsets[sizes.length];
+  if (sizes.length === 0) return { start: 0, end: -1, offsets, total };
+
+  let start = 0;
+  while (start < sizes.length - 1 && offsets[start + 1] <= viewStart) start++;
+  let end = start;
+  while (end < sizes.length - 1 && offsets[end + 1] < viewEnd) end++;
+
+  return {
+    start: Math.max(0, start - overscan),
+    end: Math.min(sizes.length - 1, end + overscan),
+    offsets,
+    total,
+  };
+}
@@ -1,17 +1,33 @@
 /**
  * @file AuthProvider.jsx
  * @description
- * Global authentication context that stores the logged-in user's details
- * and JWT tokens. It restores authentication state from localStorage on page
- * refresh and provides helper functions to update login status.
+ * Global authentication context that owns the whole session lifecycle: signing
+ * in (`login`), signing out (`logout`) and restoring a stored session on page
+ * load (`restore`). The logged-in user's details are fetched once per session and
+ * shared with every component, which only consume this context.
  * 
- * This context is used throughout the application to check whether the
- * user is authenticated and to fetch/store user data consistently.
+ * It also keeps the session alive: the access token is refreshed shortly before
+ * its `exp`, and when refreshing fails `sessionExpired` is raised so
+ * `SessionExpiredModal` can ask the user to sign in again in place. Logins,
+ * logouts and token rotations of remembered sessions are broadcast so other open
+ * tabs stay in sync; tab-only sessions (Remember me unchecked) stay in their tab.
+ *
+ * Tokens are kept through `auth/tokenStorage`, never in localStorage directly.
  * 
  * @author Pranav Singh
  */
 
-import { createContext, useState, useEffect, useCallback } from "react";
+import { createContext, useState, useEffect, useCallback, useRef } from "react";
+import {
+  getCurrentUser,
+  obtainTokens,
+  logout as revokeRefreshToken,
+  updateProfile as saveProfile,
+} from "../api/accounts.js";
+import { refreshAccessToken, setSessionHandlers } from "../Interceptors/axiosInstance";
+import { refreshDueAt } from "../auth/jwt.js";
+import { createSessionSync } from "../auth/sessionSync.js";
+import tokenStorage from "../auth/tokenStorage.js";
 
 const AuthContext = createContext();
 
@@ -19,58 +35,190 @@ const AuthProvider = ({ children }) => {
   /** Stores user info returned from backend */
   const [user, setUser] = useState(null);
 
-  /** Stores access and refresh tokens */
-  const [authToken, setAuthTokens] = useState(() => {
-    const access = localStorage.getItem("access_token");
-    const refresh = localStorage.getItem("refresh_token");
+  /** Stores access and refresh tokens; drives the proactive refresh timer */
+  const [authToken, setAuthTokens] = useState(tokenStorage.getTokens);
 
-    return access && refresh ? { access, refresh } : null;
-  });
+  /** True while a stored session is being restored */
+  const [loading, setLoading] = useState(true);
+
+  /** True once the refresh token has been rejected and the user must sign in again */
+  const [sessionExpired, setSessionExpired] = useState(false);
+
+  /** Channel used to tell other tabs about session changes */
+  const syncRef = useRef(null);
+
+  /** Announces a session change to other tabs that share this session's storage */
+  const broadcast = (event) => syncRef.current?.post(event);
 
   /**
-   * @function loginUser
-   * @description Saves authenticated user data in context.
+   * @function endSession
+   * @description Forgets the session in this tab without contacting the backend.
    */
-  const loginUser = useCallback((data) => {
-    setUser(data);
+  const endSession = useCallback(() => {
+    tokenStorage.clear();
+    setAuthTokens(null);
+    setUser(null);
+    setSessionExpired(false);
   }, []);
 
+  /**
+   * @function restore
+   * @description Restores the session from stored tokens by fetching the user's
+   * details. `loading` stays true until that finishes so the route guards don't
+   * redirect before the session is known.
+   */
+  const restore = useCallback(async () => {
+    const tokens = tokenStorage.getTokens();
+    if (!tokens) {
+      endSession();
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    setAuthTokens(tokens);
+    try {
+      setUser(await getCurrentUser());
+      setSessionExpired(false);
+    } catch (err) {
+      console.error("Stored session is no longer valid:", err);
+      endSession();
+    } finally {
+      setLoading(false);
+    }
+  }, [endSession]);
+
+  /**
+   * @function login
+   * @description Exchanges credentials for tokens, stores them and fetches the user.
+   * Throws an `ApiError` when the credentials are rejected.
+   * @param {{ email: string, password: string, remember?: boolean }} credentials -
+   * `remember: false` keeps the session in this tab only
+   */
+  const login = useCallback(async ({ email, password, remember = true }) => {
+    const tokens = await obtainTokens(email, password);
+    tokenStorage.setTokens(tokens, { remember });
+    setAuthTokens(tokens);
+
+    setUser(await getCurrentUser());
+    setSessionExpired(false);
+    if (remember) broadcast("login");
+  }, []);
 
   /**
-   * @function logoutUser
-   * @description Clears user data and tokens fully.
+   * @function logout
+   * @description Revokes the refresh token on the backend (best effort) and
+   * clears the session here and in every other tab.
    */
-  const logoutUser = () => {
-    localStorage.removeItem("access_token");
-    localStorage.removeItem("refresh_token");
-    localStorage.setItem("islogged", "false");
+  const logout = useCallback(async () => {
+    const refresh = tokenStorage.getRefreshToken();
+    const shared = tokenStorage.isPersistent();
+    if (refresh) {
+      try {
+        await revokeRefreshToken(refresh);
+      } catch (err) {
+        // The session is cleared locally even if the backend call fails
+        console.log("Logout Failed", err.data || err);
+      }
+    }
 
-    setAuthTokens(null);
-    setUser(null);
-  };
+    endSession();
+    if (shared) broadcast("logout");
+  }, [endSession]);
+
+  /**
+   * @function renewSession
+   * @description Signs the current user in again after their session expired,
+   * keeping them on the page (and in the state) they were in.
+   * @param {string} password
+   */
+  const renewSession = useCallback(async (password) => {
+    const tokens = await obtainTokens(user.email, password);
+    tokenStorage.updateTokens(tokens);
+    setAuthTokens(tokens);
+    setSessionExpired(false);
+    if (tokenStorage.isPersistent()) broadcast("refresh");
+  }, [user]);
+
+  /**
+   * @function updateProfile
+   * @description Saves changes to the user's profile and shares the updated details.
+   * Throws an `ApiError` (with the invalid fields in `data`) when they are rejected.
+   * @param {Partial<import("../api/accounts.js").User>} changes
+   * @returns {Promise<import("../api/accounts.js").User>}
+   */
+  const updateProfile = useCallback(async (changes) => {
+    const updated = await saveProfile(changes);
+    setUser(updated);
+    return updated;
+  }, []);
 
   /**
    * @function useEffect
-   * @description Restores user and token data from localStorage
-   * when the browser is refreshed.
+   * @description Restores the session on page load and listens for session
+   * changes made in other tabs.
    */
   useEffect(() => {
-    const access = localStorage.getItem("access_token");
-    const refresh = localStorage.getItem("refresh_token");
+    restore();
 
-    if (access && refresh) {
-      setAuthTokens({ access, refresh });
-    }
+    const sync = createSessionSync((event) => {
+      if (event === "login") restore();
+      else if (event === "logout") endSession();
+      else if (event === "refresh") setAuthTokens(tokenStorage.getTokens());
+    });
+    syncRef.current = sync;
+
+    return () => {
+      sync.close();
+      syncRef.current = null;
+    };
+  }, [restore, endSession]);
+
+  /**
+   * @function useEffect
+   * @description Registers the callbacks the axios interceptors use to report
+   * rotated tokens and an expired session back to this context.
+   */
+  useEffect(() => {
+    setSessionHandlers({
+      onTokensRefreshed: (tokens) => {
+        setAuthTokens(tokens);
+        if (tokenStorage.isPersistent()) broadcast("refresh");
+      },
+      onSessionExpired: () => setSessionExpired(true),
+    });
   }, []);
 
+  /**
+   * @function useEffect
+   * @description Schedules a refresh of the access token shortly before it
+   * expires, so requests never have to fail with a 401 first.
+   */
+  useEffect(() => {
+    if (!authToken?.access || sessionExpired) return;
+
+    const dueAt = refreshDueAt(authToken.access);
+    if (dueAt === null) return;
+
+    const timer = setTimeout(() => {
+      // Rejected tokens are reported through onSessionExpired; other failures are retried by the next request
+      refreshAccessToken().catch(() => {});
+    }, Math.max(dueAt - Date.now(), 0));
+
+    return () => clearTimeout(timer);
+  }, [authToken, sessionExpired]);
+
   return (
     <AuthContext.Provider
       value={{
         user,
-        authToken,
-        loginUser,
-        setAuthTokens,
-        logoutUser,
+        loading,
+        sessionExpired,
+        login,
+        logout,
+        restore,
+        renewSession,
+        updateProfile,
       }}
     >
       {children}
@@ -78,4 +226,4 @@ const AuthProvider = ({ children }) => {
   );
 };
 
-export { AuthProvider, AuthContext };
\ No newline at end of file
+export { AuthProvider, AuthContext };
@@ -0,0 +1,26 @@
+/**
+ * @file ChatContext.jsx
+ * @description Provides the transport every team chat uses (see `chat/transport`). The
+ * API transport is used unless one is passed in, so tests can run the chat against a
+ * stand-in server.
+ * @author Pranav Singh
+ */
+
+import { createContext, useContext, useMemo } from "react";
+import { LiveUpdatesContext } from "./LiveUpdatesContext.jsx";
+import { createApiChatTransport } from "../chat/transport.js";
+
+const ChatContext = createContext(null);
+
+/**
+ * @component ChatProvider
+ * @param {{ transport?: import("../chat/transport.js").ChatTransport, children: React.ReactNode }} props
+ */
+const ChatProvider = ({ transport, children }) => {
+  const { subscribe } = useContext(LiveUpdatesContext);
+  const apiTransport = useMemo(() => createApiChatTransport(subscribe), [subscribe]);
+
+  return <ChatContext.Provider value={transport ?? apiTransport}>{children}</ChatContext.Provider>;
+};
+
+export { ChatProvider, ChatContext };
@@ -0,0 +1,57 @@
+/**
+ * @file LiveUpdatesContext.jsx
+ * @description
+ * Keeps the live-update channel open while a user is signed in and fans its events
+ * out to subscribed components (see `hooks/useLiveUpdates`). Set
+ * `VITE_LIVE_UPDATES=false` to turn the channel off for backends that don't serve it.
+ * @author Pranav Singh
+ */
+
+import { createContext, useCallback, useContext, useEffect, useRef, useState } from "react";
+import { AuthContext } from "./AuthProvider.jsx";
+import { createLiveConnection } from "../realtime/liveSocket.js";
+import tokenStorage from "../auth/tokenStorage.js";
+
+const LiveUpdatesContext = createContext({ status: "closed", subscribe: () => () => {} });
+
+const liveUpdatesEnabled = import.meta.env.VITE_LIVE_UPDATES !== "false";
+
+const LiveUpdatesProvider = ({ children }) => {
+  const { user } = useContext(AuthContext);
+
+  /** "connecting" | "open" | "reconnecting" | "closed" */
+  const [status, setStatus] = useState("closed");
+
+  /** Listeners registered through `subscribe` */
+  const listenersRef = useRef(new Set());
+
+  /** ------------------------------------------------------------------------
+   * @function subscribe
+   * @description Registers a listener for every live event; returns the unsubscribe function.
+   * ------------------------------------------------------------------------ */
+  const subscribe = useCallback((listener) => {
+    listenersRef.current.add(listener);
+    return () => listenersRef.current.delete(listener);
+  }, []);
+
+  /** Opens one connection per signed-in user and closes it on sign-out. */
+  const email = user?.email;
+  useEffect(() => {
+    if (!email || !liveUpdatesEnabled) return;
+
+    const connection = createLiveConnection({
+      getToken: tokenStorage.getAccessToken,
+      onStatus: setStatus,
+      onEvent: (event) => listenersRef.current.forEach((listener) => listener(event)),
+    });
+    return () => connection.close();
+  }, [email]);
+
+  return (
+    <LiveUpdatesContext.Provider value={{ status, subscribe }}>
+      {children}
+    </LiveUpdatesContext.Provider>
+  );
+};
+
+export { LiveUpdatesProvider, LiveUpdatesContext };
@@ -0,0 +1,48 @@
+/**
+ * @file QueryContext.jsx
+ * @description
+ * Provides the query cache (`query/queryClient`) to the app. The cache is emptied
+ * whenever the signed-in user changes, and live-update events invalidate the
+ * resources they affect, so components only describe what they read. When the
+ * channel reconnects, everything it keeps fresh is re-fetched.
+ * @author Pranav Singh
+ */
+
+import { createContext, useContext, useEffect, useRef, useState } from "react";
+import { AuthContext } from "./AuthProvider.jsx";
+import { LiveUpdatesContext } from "./LiveUpdatesContext.jsx";
+import { createQueryClient } from "../query/queryClient.js";
+import { invalidateForEvent, invalidateLiveResources } from "../query/keys.js";
+import useLiveUpdates from "../hooks/useLiveUpdates.js";
+
+const QueryContext = createContext(null);
+
+/**
+ * @component QueryProvider
+ * @param {Object} props
+ * @param {ReturnType<typeof createQueryClient>} [props.client] - Defaults to a new client
+ */
+const QueryProvider = ({ client: providedClient, children }) => {
+  const { user } = useContext(AuthContext);
+  const [client] = useState(() => providedClient || createQueryClient());
+
+  /** Drops the previous user's data when someone else signs in, or on sign-out. */
+  const email = user?.email;
+  useEffect(() => () => client.clear(), [client, email]);
+
+  useLiveUpdates((event) => invalidateForEvent(client, event));
+
+  /** Re-syncs when the channel opens again within a session, as events sent while it was down are lost. */
+  const { status } = useContext(LiveUpdatesContext);
+  const openedRef = useRef(false);
+  useEffect(() => {
+    if (status === "closed") openedRef.current = false;
+    if (status !== "open") return;
+    if (openedRef.current) invalidateLiveResources(client);
+    openedRef.current = true;
+  }, [client, status]);
+
+  return <QueryContext.Provider value={client}>{children}</QueryContext.Provider>;
+};
+
+export { QueryProvider, QueryContext };
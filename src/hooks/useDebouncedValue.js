@@ -0,0 +1,25 @@
+/**
+ * @file useDebouncedValue.js
+ * @description Hook that follows a value only once it has stopped changing, e.g. to
+ * search while the user types without a request per keystroke.
+ * @author Pranav Singh
+ */
+
+import { useEffect, useState } from "react";
+
+/**
+ * @function useDebouncedValue
+ * @param {*} value
+ * @param {number} [delay=300] - Milliseconds the value must stay unchanged
+ * @returns {*} The last value that stayed unchanged for `delay`
+ */
+export default function useDebouncedValue(value, delay = 300) {
+  const [debounced, setDebounced] = useState(value);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebounced(value), delay);
+    return () => clearTimeout(timer);
+  }, [value, delay]);
+
+  return debounced;
+}
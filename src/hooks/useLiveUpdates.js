@@ -0,0 +1,36 @@
+/**
+ * @file useLiveUpdates.js
+ * @description Hook that calls `handler` for live-update events pushed by the server.
+ * @author Pranav Singh
+ */
+
+import { useContext, useEffect, useRef } from "react";
+import { LiveUpdatesContext } from "../context/LiveUpdatesContext.jsx";
+
+/**
+ * @function useLiveUpdates
+ * @param {(event: import("../realtime/liveSocket.js").LiveEvent) => void} handler
+ * @param {string[]} [types] - Event types to listen for; all of them when omitted.
+ * Prefixes such as "request." match every event of that kind.
+ */
+export default function useLiveUpdates(handler, types) {
+  const { subscribe } = useContext(LiveUpdatesContext);
+
+  // Latest handler and filter, so callers can pass inline functions without resubscribing.
+  const handlerRef = useRef(handler);
+  const typesRef = useRef(types);
+  useEffect(() => {
+    handlerRef.current = handler;
+    typesRef.current = types;
+  });
+
+  useEffect(
+    () =>
+      subscribe((event) => {
+        const wanted = typesRef.current;
+        if (wanted && !wanted.some((type) => event.type.startsWith(type))) return;
+        handlerRef.current(event);
+      }),
+    [subscribe]
+  );
+}
@@ -0,0 +1,25 @@
+/**
+ * @file useMediaQuery.js
+ * @description Hook that follows a CSS media query, e.g. to match a layout to Tailwind's
+ * breakpoints from JavaScript.
+ * @author Pranav Singh
+ */
+
+import { useCallback, useSyncExternalStore } from "react";
+
+/**
+ * @function useMediaQuery
+ * @param {string} query - e.g. "(min-width: 1280px)"
+ * @returns {boolean} Whether the query matches; false where `matchMedia` is unavailable
+ */
+export default function useMediaQuery(query) {
+  const subscribe = useCallback(
+    (onChange) => {
+      const list = window.matchMedia?.(query);
+      list?.addEventListener("change", onChange);
+      return () => list?.removeEventListener("change", onChange);
+    },
+    [query]
+  );
+  return useSyncExternalStore(subscribe, () => window.matchMedia?.(query).matches ?? false);
+}
@@ -0,0 +1,65 @@
+/**
+ * @file useNotifications.js
+ * @description
+ * Hook that keeps the signed-in user's notifications up to date. New notifications
+ * arrive over the live-update channel, which invalidates the cached list; polling
+ * only runs while the channel isn't open.
+ * @author Pranav Singh
+ */
+
+import { useCallback, useContext } from "react";
+import { listNotifications, markNotificationsRead } from "../api/notifications.js";
+import { AuthContext } from "../context/AuthProvider.jsx";
+import { LiveUpdatesContext } from "../context/LiveUpdatesContext.jsx";
+import { useQuery, useQueryClient } from "./useQuery.js";
+import { queryKeys } from "../query/keys.js";
+
+/** How often notifications are polled, in milliseconds */
+export const NOTIFICATION_POLL_MS = 30 * 1000;
+
+/**
+ * @function useNotifications
+ * @param {Object} [options]
+ * @param {number} [options.interval=NOTIFICATION_POLL_MS] - Polling interval in milliseconds,
+ *   used while the live-update channel is down
+ * @returns {{
+ *   notifications: import("../api/notifications.js").Notification[],
+ *   unreadCount: number,
+ *   refresh: () => Promise<void>,
+ *   markRead: (ids?: number[]) => Promise<void>
+ * }}
+ */
+export default function useNotifications({ interval = NOTIFICATION_POLL_MS } = {}) {
+  const { user } = useContext(AuthContext);
+  const { status } = useContext(LiveUpdatesContext);
+  const queryClient = useQueryClient();
+  const { data: notifications = [], refetch } = useQuery(
+    queryKeys.notifications(),
+    listNotifications,
+    { enabled: !!user, refetchInterval: status === "open" ? undefined : interval }
+  );
+
+  /** ------------------------------------------------------------------------
+   * @function markRead
+   * @description Marks notifications as read (all of them when `ids` is omitted).
+   * The list is updated right away and resynced if the request fails.
+   * ------------------------------------------------------------------------ */
+  const markRead = useCallback(
+    async (ids) => {
+      queryClient.setQueryData(queryKeys.notifications(), (prev = []) =>
+        prev.map((n) => (!ids || ids.includes(n.id) ? { ...n, read: true } : n))
+      );
+      try {
+        await markNotificationsRead(ids);
+      } catch (err) {
+        console.error("Error marking notifications as read:", err);
+        queryClient.invalidate(queryKeys.notifications());
+      }
+    },
+    [queryClient]
+  );
+
+  const unreadCount = notifications.filter((n) => !n.read).length;
+
+  return { notifications, unreadCount, refresh: refetch, markRead };
+}
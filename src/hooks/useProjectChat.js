@@ -0,0 +1,170 @@
+/**
+ * @file useProjectChat.js
+ * @description
+ * Hook behind a project's chat: loads the latest messages, pages back through older
+ * ones, appends messages as they arrive and sends new ones. Everything goes through the
+ * transport from `ChatProvider`. The read marker is remembered as it was when the chat
+ * opened, for the "New messages" divider, while the server's marker moves to the latest
+ * message shown.
+ * @author Pranav Singh
+ */
+
+import { useCallback, useContext, useEffect, useRef, useState } from "react";
+import { ChatContext } from "../context/ChatContext.jsx";
+import { useQueryClient } from "./useQuery.js";
+
+/** Messages ordered oldest first without duplicates; later copies replace earlier ones */
+const mergeMessages = (current, incoming) => {
+  const byId = new Map(current.map((m) => [m.id, m]));
+  incoming.forEach((m) => byId.set(m.id, m));
+  return [...byId.values()].sort((a, b) => a.id - b.id);
+};
+
+// Ids of messages still being sent; negative so they never clash with the server's
+let nextPendingId = -1;
+
+/**
+ * @function useProjectChat
+ * @param {number} projectId
+ * @param {import("../api/accounts.js").User} user - The signed-in user, author of sent messages
+ * @returns {{
+ *   messages: (import("../api/chat.js").ChatMessage & { pending?: boolean })[],
+ *   firstUnreadId: number|null,
+ *   isLoading: boolean,
+ *   error: Error|null,
+ *   hasEarlier: boolean,
+ *   isLoadingEarlier: boolean,
+ *   loadEarlier: () => Promise<void>,
+ *   send: (message: { body: string, mentions: string[] }) => Promise<void>
+ * }}
+ */
+export default function useProjectChat(projectId, user) {
+  const transport = useContext(ChatContext);
+  const queryClient = useQueryClient();
+
+  const [messages, setMessages] = useState([]);
+  const [earlierCursor, setEarlierCursor] = useState(null);
+  const [lastReadAtOpen, setLastReadAtOpen] = useState(0);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isLoadingEarlier, setIsLoadingEarlier] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Highest id the server has been told the user read
+  const markedReadRef = useRef(0);
+
+  /** ------------------------------------------------------------------------
+   * @function useEffect
+   * @description Loads the latest page and listens for new messages.
+   * ------------------------------------------------------------------------ */
+  useEffect(() => {
+    let cancelled = false;
+    setMessages([]);
+    setIsLoading(true);
+    setError(null);
+
+    transport
+      .history(projectId)
+      .then((page) => {
+        if (cancelled) return;
+        setMessages((current) => mergeMessages(current, page.results));
+        setEarlierCursor(page.next);
+        setLastReadAtOpen(page.last_read_id ?? 0);
+        markedReadRef.current = page.last_read_id ?? 0;
+      })
+      .catch((err) => !cancelled && setError(err))
+      .finally(() => !cancelled && setIsLoading(false));
+
+    const unsubscribe = transport.subscribe(projectId, (message) =>
+      setMessages((current) => mergeMessages(current, [message]))
+    );
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [transport, projectId]);
+
+  /** ------------------------------------------------------------------------
+   * @function useEffect
+   * @description Moves the read marker to the latest message shown, and refreshes the
+   * unread badges once the server has it.
+   * ------------------------------------------------------------------------ */
+  const latestId = messages.reduce((max, m) => Math.max(max, m.id), 0);
+  useEffect(() => {
+    if (isLoading || latestId <= markedReadRef.current) return;
+    markedReadRef.current = latestId;
+    transport
+      .markRead(projectId, latestId)
+      .then(() => queryClient.invalidate(["chatunread"]))
+      .catch((err) => console.error("Error marking chat as read:", err));
+  }, [transport, projectId, latestId, isLoading, queryClient]);
+
+  /** ------------------------------------------------------------------------
+   * @function loadEarlier
+   * @description Prepends the page of messages before the oldest one shown.
+   * ------------------------------------------------------------------------ */
+  const loadEarlier = useCallback(async () => {
+    if (!earlierCursor || isLoadingEarlier) return;
+    setIsLoadingEarlier(true);
+    try {
+      const page = await transport.history(projectId, earlierCursor);
+      setMessages((current) => mergeMessages(current, page.results));
+      setEarlierCursor(page.next);
+    } catch (err) {
+      setError(err);
+    } finally {
+      setIsLoadingEarlier(false);
+    }
+  }, [transport, projectId, earlierCursor, isLoadingEarlier]);
+
+  /** ------------------------------------------------------------------------
+   * @function send
+   * @description Shows the message right away as pending and swaps in the server's copy
+   * once sent. On failure the message is taken back out and the error rethrown, so the
+   * composer can keep the draft.
+   * ------------------------------------------------------------------------ */
+  const send = useCallback(
+    async ({ body, mentions }) => {
+      const pending = {
+        id: nextPendingId--,
+        project_id: projectId,
+        author_email: user.email,
+        author_fname: user.firstname,
+        author_lname: user.lastname,
+        author_avatar: user.avatar ?? null,
+        body,
+        mentions,
+        sent_on: new Date().toISOString(),
+        pending: true,
+      };
+      setMessages((current) => [...current, pending]);
+      try {
+        const sent = await transport.send(projectId, { body, mentions });
+        setMessages((current) => mergeMessages(current.filter((m) => m.id !== pending.id), [sent]));
+      } catch (err) {
+        setMessages((current) => current.filter((m) => m.id !== pending.id));
+        throw err;
+      }
+    },
+    [transport, projectId, user]
+  );
+
+  // Pending ids count down from -1, so put them back at the end in the order they were sent.
+  const ordered = [
+    ...messages.filter((m) => !m.pending),
+    ...messages.filter((m) => m.pending).sort((a, b) => b.id - a.id),
+  ];
+  const firstUnread = ordered.find(
+    (m) => !m.pending && m.id > lastReadAtOpen && m.author_email !== user.email
+  );
+
+  return {
+    messages: ordered,
+    firstUnreadId: isLoading ? null : firstUnread?.id ?? null,
+    isLoading,
+    error,
+    hasEarlier: !!earlierCursor,
+    isLoadingEarlier,
+    loadEarlier,
+    send,
+  };
+}
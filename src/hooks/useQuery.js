@@ -0,0 +1,146 @@
+/**
+ * @file useQuery.js
+ * @description Hooks that read from and write to the query cache provided by `QueryProvider`.
+ * @author Pranav Singh
+ */
+
+import { useCallback, useContext, useEffect, useMemo, useRef, useState, useSyncExternalStore } from "react";
+import { QueryContext } from "../context/QueryContext.jsx";
+import { hashKey } from "../query/queryClient.js";
+import { flattenPages } from "../query/pages.js";
+
+/**
+ * @function useQueryClient
+ * @description The app's query client, for invalidations and optimistic updates.
+ * @returns {ReturnType<import("../query/queryClient.js").createQueryClient>}
+ */
+export function useQueryClient() {
+  return useContext(QueryContext);
+}
+
+/**
+ * @function useQuery
+ * @description Reads a cached resource, fetching it when missing or stale. Cached data is
+ * shown immediately while it is revalidated, so revisiting a tab doesn't show a spinner.
+ *
+ * @param {Array} key - See `query/keys.js`
+ * @param {() => Promise<*>} fetcher
+ * @param {Object} [options]
+ * @param {boolean} [options.enabled=true] - Skip fetching, e.g. until the user is known
+ * @param {number} [options.refetchInterval] - Poll every N milliseconds while mounted
+ * @param {boolean} [options.keepPreviousData=false] - While a new key loads, keep returning
+ *   the data of the previous one, e.g. so a list doesn't blank out when its filters change
+ * @returns {{ data: *, error: Error|null, isLoading: boolean, isFetching: boolean, refetch: () => Promise<*> }}
+ */
+export function useQuery(key, fetcher, { enabled = true, refetchInterval, keepPreviousData = false } = {}) {
+  const client = useQueryClient();
+  const hash = hashKey(key);
+  const stableKey = useMemo(() => JSON.parse(hash), [hash]);
+
+  // Latest fetcher, so callers can pass inline functions.
+  const fetcherRef = useRef(fetcher);
+  useEffect(() => {
+    fetcherRef.current = fetcher;
+  });
+
+  const subscribe = useCallback((listener) => client.subscribe(stableKey, listener), [client, stableKey]);
+  const state = useSyncExternalStore(subscribe, () => client.getState(stableKey));
+
+  const refetch = useCallback(
+    () => client.fetchQuery(stableKey, () => fetcherRef.current(), { force: true }),
+    [client, stableKey]
+  );
+
+  useEffect(() => {
+    if (!enabled) return;
+    client.fetchQuery(stableKey, () => fetcherRef.current()).catch(() => {});
+  }, [client, stableKey, enabled, state.updatedAt]);
+
+  useEffect(() => {
+    if (!enabled || !refetchInterval) return;
+    const timer = setInterval(() => refetch().catch(() => {}), refetchInterval);
+    return () => clearInterval(timer);
+  }, [enabled, refetchInterval, refetch]);
+
+  // Last data received for any key, for `keepPreviousData`.
+  const previousDataRef = useRef(undefined);
+  useEffect(() => {
+    if (state.data !== undefined) previousDataRef.current = state.data;
+  }, [state.data]);
+  const data = state.data === undefined && keepPreviousData ? previousDataRef.current : state.data;
+
+  return {
+    data,
+    error: state.error,
+    isLoading: enabled && data === undefined && state.status !== "error",
+    isFetching: state.isFetching,
+    refetch,
+  };
+}
+
+/** Last page loaded of a paginated list */
+const lastPage = (data) => data?.pages.at(-1);
+
+/**
+ * @function useInfiniteQuery
+ * @description Reads a cursor-paginated list. The first page is fetched like any query;
+ * `fetchNextPage` appends the following one. Refetches (stale data, invalidation) reload
+ * as many pages as were loaded, so the list doesn't shrink under the user.
+ *
+ * @param {Array} key - See `query/keys.js`
+ * @param {(cursor: string|null) => Promise<{ results: Array, next: string|null }>} fetchPage
+ * @param {Parameters<typeof useQuery>[2]} [options]
+ * @returns {ReturnType<typeof useQuery> & { items: Array, hasNextPage: boolean, isFetchingNextPage: boolean, fetchNextPage: () => Promise<void> }}
+ */
+export function useInfiniteQuery(key, fetchPage, options) {
+  const client = useQueryClient();
+  const hash = hashKey(key);
+  const stableKey = useMemo(() => JSON.parse(hash), [hash]);
+  const [fetchingCursor, setFetchingCursor] = useState(null);
+
+  const fetchPageRef = useRef(fetchPage);
+  useEffect(() => {
+    fetchPageRef.current = fetchPage;
+  });
+
+  const query = useQuery(
+    stableKey,
+    async () => {
+      const loaded = client.getState(stableKey).data?.pages.length || 1;
+      const pages = [];
+      let cursor = null;
+      do {
+        const page = await fetchPageRef.current(cursor);
+        pages.push(page);
+        cursor = page.next;
+      } while (cursor && pages.length < loaded);
+      return { pages };
+    },
+    options
+  );
+
+  const fetchNextPage = useCallback(async () => {
+    // Read from the cache rather than `query.data`, which may be a previous key's data.
+    const cursor = lastPage(client.getState(stableKey).data)?.next;
+    if (!cursor || fetchingCursor === cursor) return;
+    setFetchingCursor(cursor);
+    try {
+      const page = await fetchPageRef.current(cursor);
+      // Dropped if the list was reloaded meanwhile and no longer ends at this cursor.
+      const current = client.getState(stableKey).data;
+      if (lastPage(current)?.next === cursor) {
+        client.setQueryData(stableKey, { pages: [...current.pages, page] });
+      }
+    } finally {
+      setFetchingCursor(null);
+    }
+  }, [client, stableKey, fetchingCursor]);
+
+  return {
+    ...query,
+    items: flattenPages(query.data),
+    hasNextPage: !!lastPage(query.data)?.next,
+    isFetchingNextPage: fetchingCursor !== null,
+    fetchNextPage,
+  };
+}
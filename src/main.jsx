@@ -3,8 +3,29 @@ import App from './App.jsx'
 import { StrictMode } from 'react'
 // import "./App.css"
 
-createRoot(document.getElementById("root")).render(
-  <StrictMode>
-    <App />
-  </StrictMode>
-)
\ No newline at end of file
+/**
+ * Answers API calls from the in-memory mock backend when the app is started with
+ * `npm run dev:mock` (or VITE_USE_MOCK_API=true). The mock is imported lazily so it
+ * never ends up in a production bundle that talks to the real backend.
+ */
+async function enableMocking() {
+  if (import.meta.env.MODE !== "mock" && import.meta.env.VITE_USE_MOCK_API !== "true") return;
+
+  const [{ installMockBackend }, { default: axiosInstance }] = await Promise.all([
+    import("./mocks/index.js"),
+    import("./Interceptors/axiosInstance.js"),
+  ]);
+
+  installMockBackend(axiosInstance, {
+    latency: 250,
+    accessTokenTtl: Number(import.meta.env.VITE_MOCK_ACCESS_TTL) || 300,
+  });
+}
+
+enableMocking().then(() => {
+  createRoot(document.getElementById("root")).render(
+    <StrictMode>
+      <App />
+    </StrictMode>
+  )
+})
@@ -0,0 +1,101 @@
+/**
+ * @file db.js
+ * @description In-memory tables for the mock backend plus the lookups the
+ * handlers share. State lives only as long as the database object.
+ * @author Pranav Singh
+ */
+
+import { createFixtures } from "./fixtures.js";
+import { userSkills } from "../skills/skills.js";
+
+/** Pending requests older than this are marked expired */
+export const REQUEST_EXPIRY_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @function createDatabase
+ * @description Builds a database seeded with `seed` (the fixtures by default).
+ * @param {Object} [seed]
+ * @returns {Object}
+ */
+export function createDatabase(seed = createFixtures()) {
+  const db = {
+    ...seed,
+    blacklist: new Set(),
+
+    /** Returns the next free id for a table. */
+    nextId(table) {
+      return db[table].reduce((max, row) => Math.max(max, row.id), 0) + 1;
+    },
+
+    findUser(email) {
+      return db.users.find((u) => u.email === email) || null;
+    },
+
+    findProject(ownerEmail, projectname) {
+      return (
+        db.projects.find((p) => p.owner_email === ownerEmail && p.projectname === projectname) ||
+        null
+      );
+    },
+
+    projectById(id) {
+      return db.projects.find((p) => p.id === Number(id)) || null;
+    },
+
+    isMember(projectId, email) {
+      return db.members.some((m) => m.project_id === projectId && m.email === email);
+    },
+
+    hasPendingRequest(projectId, email) {
+      return db.requests.some(
+        (r) => r.project_id === projectId && r.email === email && r.status === "pending"
+      );
+    },
+
+    /** Adds an unread notification for `recipient` about a project. */
+    notify(recipient, type, { project_id, actor }) {
+      db.notifications.push({
+        id: db.nextId("notifications"),
+        recipient,
+        type,
+        project_id,
+        actor,
+        created_on: new Date().toISOString(),
+        read: false,
+      });
+    },
+
+    /** Moves a request to `status` and records who did it in its history. */
+    transitionRequest(joinRequest, status, by, at = new Date().toISOString()) {
+      joinRequest.status = status;
+      joinRequest.updated_on = at;
+      joinRequest.history.push({ status, at, by });
+    },
+
+    /** Expires pending requests that have waited longer than REQUEST_EXPIRY_DAYS. */
+    expireStaleRequests(now = Date.now()) {
+      for (const r of db.requests) {
+        const expiresAt = Date.parse(r.applied_on) + REQUEST_EXPIRY_DAYS * DAY_MS;
+        if (r.status === "pending" && expiresAt <= now) {
+          db.transitionRequest(r, "expired", null, new Date(expiresAt).toISOString());
+        }
+      }
+    },
+  };
+
+  return db;
+}
+
+/**
+ * @function publicUser
+ * @description Strips the password from a user record. Accounts still stored with the
+ * old `frontend`/`backend` booleans are returned with the matching skill tags instead.
+ * @param {Object} user
+ * @returns {Object}
+ */
+export function publicUser(user) {
+  const { password: _password, frontend: _frontend, backend: _backend, ...rest } = user;
+  return { ...rest, skills: userSkills(user) };
+}
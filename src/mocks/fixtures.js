@@ -0,0 +1,100 @@
+/**
+ * @file fixtures.js
+ * @description
+ * Seed data for the mock backend. Every fixture user signs in with the password
+ * `password123`. The records mirror the Django models rather than the API
+ * responses; `handlers.js` joins them into the shapes each endpoint returns.
+ * @author Pranav Singh
+ */
+
+export const FIXTURE_PASSWORD = "password123";
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+/** Calendar date `days` from today (negative for the past), as YYYY-MM-DD */
+const dueIn = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+/** A profile skill and a project's required skill */
+const skill = (name, level) => ({ name, level });
+const need = (name, count = 1) => ({ name, count });
+
+/** A request that is still waiting for the lead, with its opening history entry */
+const pendingRequest = (request) => ({
+  ...request,
+  status: "pending",
+  updated_on: request.applied_on,
+  history: [{ status: "pending", at: request.applied_on, by: request.email }],
+});
+
+/**
+ * @function createFixtures
+ * @description Returns a fresh copy of the seed data, so every mock backend
+ * instance starts from the same state.
+ * @returns {Object}
+ */
+export function createFixtures() {
+  return {
+    users: [
+      { email: "pranav@projecto.dev", firstname: "Pranav", lastname: "Singh", skills: [skill("frontend", "advanced"), skill("backend", "intermediate"), skill("react", "advanced")], bio: "Final-year CS student who enjoys building web apps end to end.", github: "https://github.com/pranav-singh", portfolio: "", availability: "available", avatar: null, password: FIXTURE_PASSWORD },
+      { email: "aisha@projecto.dev", firstname: "Aisha", lastname: "Khan", skills: [skill("frontend", "advanced"), skill("design", "intermediate"), skill("ui-ux", "intermediate")], bio: "Product designer who also writes the frontend.", github: "", portfolio: "https://aisha.design", availability: "limited", avatar: null, password: FIXTURE_PASSWORD },
+      { email: "marco@projecto.dev", firstname: "Marco", lastname: "Rossi", skills: [skill("backend", "advanced"), skill("django", "advanced"), skill("devops", "beginner")], bio: "", github: "https://github.com/marcorossi", portfolio: "", availability: "available", avatar: null, password: FIXTURE_PASSWORD },
+      { email: "lena@projecto.dev", firstname: "Lena", lastname: "Park", skills: [skill("frontend", "intermediate"), skill("backend", "advanced"), skill("python", "advanced"), skill("machine-learning", "intermediate")], bio: "Backend and ML. Currently researching recommender systems.", github: "", portfolio: "", availability: "unavailable", avatar: null, password: FIXTURE_PASSWORD },
+    ],
+    projects: [
+      { id: 1, owner_email: "aisha@projecto.dev", projectname: "StudyBuddy", description: "A study group matcher that pairs students by course and schedule.", skills: [need("backend", 2), need("machine-learning")], max_members: 4, created_on: daysAgo(12) },
+      { id: 2, owner_email: "marco@projecto.dev", projectname: "CampusMarket", description: "Buy and sell second-hand textbooks and lab equipment on campus.", skills: [need("frontend"), need("design")], max_members: 3, created_on: daysAgo(8) },
+      { id: 3, owner_email: "pranav@projecto.dev", projectname: "LabScheduler", description: "Booking system for shared lab machines with conflict detection.", skills: [need("frontend"), need("backend")], max_members: 3, created_on: daysAgo(5) },
+      { id: 4, owner_email: "lena@projecto.dev", projectname: "GreenTrack", description: "Tracks the carbon footprint of student societies' events.", skills: [need("frontend"), need("backend"), need("data-science")], max_members: 5, created_on: daysAgo(2) },
+    ],
+    members: [
+      { id: 1, project_id: 3, email: "marco@projecto.dev", joined_on: daysAgo(4) },
+      { id: 2, project_id: 4, email: "pranav@projecto.dev", joined_on: daysAgo(1) },
+    ],
+    requests: [
+      pendingRequest({ id: 1, project_id: 3, email: "aisha@projecto.dev", message: "I'd love to build the booking calendar UI for this.", applied_on: daysAgo(3) }),
+      pendingRequest({ id: 2, project_id: 1, email: "lena@projecto.dev", message: "I have built Django APIs before and can own the backend.", applied_on: daysAgo(1) }),
+      {
+        id: 3,
+        project_id: 3,
+        email: "lena@projecto.dev",
+        message: "Happy to help with the conflict detection logic.",
+        status: "rejected",
+        applied_on: daysAgo(4),
+        updated_on: daysAgo(3),
+        history: [
+          { status: "pending", at: daysAgo(4), by: "lena@projecto.dev" },
+          { status: "rejected", at: daysAgo(3), by: "pranav@projecto.dev" },
+        ],
+      },
+    ],
+    departures: [],
+    messages: [
+      { id: 1, project_id: 3, email: "pranav@projecto.dev", body: "Welcome aboard! The booking API is the first milestone.", mentions: [], sent_on: daysAgo(3) },
+      { id: 2, project_id: 3, email: "marco@projecto.dev", body: "Thanks! I'll sketch the models tonight.", mentions: [], sent_on: daysAgo(3) },
+      { id: 3, project_id: 4, email: "lena@projecto.dev", body: "Kick-off call on Friday, does that work for everyone?", mentions: [], sent_on: hoursAgo(20) },
+      { id: 4, project_id: 4, email: "lena@projecto.dev", body: "@Pranav Singh could you own the dashboard charts?", mentions: ["pranav@projecto.dev"], sent_on: hoursAgo(2) },
+    ],
+    // Last message each user has read per project chat
+    chatReads: [
+      { project_id: 3, email: "pranav@projecto.dev", last_read_id: 2 },
+      { project_id: 3, email: "marco@projecto.dev", last_read_id: 2 },
+      { project_id: 4, email: "lena@projecto.dev", last_read_id: 4 },
+      { project_id: 4, email: "pranav@projecto.dev", last_read_id: 3 },
+    ],
+    // Task board cards; `position` orders the cards within a status column
+    tasks: [
+      { id: 1, project_id: 3, title: "Design the booking data model", status: "done", assignee: "marco@projecto.dev", due_date: dueIn(-2), position: 0, created_by: "pranav@projecto.dev", created_on: daysAgo(4) },
+      { id: 2, project_id: 3, title: "Booking API endpoints", status: "in_progress", assignee: "marco@projecto.dev", due_date: dueIn(3), position: 0, created_by: "pranav@projecto.dev", created_on: daysAgo(4) },
+      { id: 3, project_id: 3, title: "Calendar view for bookings", status: "todo", assignee: "pranav@projecto.dev", due_date: dueIn(7), position: 0, created_by: "pranav@projecto.dev", created_on: daysAgo(3) },
+      { id: 4, project_id: 3, title: "Conflict detection rules", status: "todo", assignee: null, due_date: null, position: 1, created_by: "marco@projecto.dev", created_on: daysAgo(2) },
+      { id: 5, project_id: 4, title: "Carbon dashboard charts", status: "todo", assignee: "pranav@projecto.dev", due_date: dueIn(5), position: 0, created_by: "lena@projecto.dev", created_on: hoursAgo(2) },
+      { id: 6, project_id: 4, title: "Import events from CSV", status: "in_progress", assignee: "lena@projecto.dev", due_date: dueIn(2), position: 0, created_by: "lena@projecto.dev", created_on: hoursAgo(20) },
+    ],
+    notifications: [
+      { id: 1, recipient: "pranav@projecto.dev", type: "request_received", project_id: 3, actor: "aisha@projecto.dev", created_on: daysAgo(3), read: false },
+      { id: 2, recipient: "lena@projecto.dev", type: "request_rejected", project_id: 3, actor: "pranav@projecto.dev", created_on: daysAgo(3), read: true },
+      { id: 3, recipient: "aisha@projecto.dev", type: "request_received", project_id: 1, actor: "lena@projecto.dev", created_on: daysAgo(1), read: false },
+      { id: 4, recipient: "pranav@projecto.dev", type: "mentioned", project_id: 4, actor: "lena@projecto.dev", created_on: hoursAgo(2), read: true },
+    ],
+  };
+}
@@ -0,0 +1,1104 @@
+/**
+ * @file handlers.js
+ * @description
+ * Route table of the mock backend. Each entry mirrors one Django REST endpoint
+ * used by the frontend: same path, same query/body fields, same response shape.
+ *
+ * A handler receives `{ db, params, query, body, user, tokens, realtime }` and returns
+ * `[status, body]`. `user` is the authenticated user for routes marked `auth`.
+ * Handlers that change data publish a live-update event through `realtime`.
+ * @author Pranav Singh
+ */
+
+import { publicUser } from "./db.js";
+import {
+  DEFAULT_SKILL_LEVEL,
+  MAX_SKILLS,
+  MAX_SKILL_COUNT,
+  SKILL_LEVELS,
+  SUGGESTED_SKILLS,
+  normalizeSkill,
+  projectSkills,
+  skillNames,
+  userSkills,
+} from "../skills/skills.js";
+import { DEFAULT_AVAILABILITY, validateProfile } from "../profile/profile.js";
+import { MAX_TEAM_SIZE } from "../Dashboard/teamCapacity.js";
+
+const bool = (value) => value === true || value === "true";
+
+const notFound = () => [404, { detail: "Not found." }];
+
+/** Project fields shared by every project listing */
+const projectFields = (p) => ({
+  id: p.id,
+  projectname: p.projectname,
+  description: p.description,
+  skills: projectSkills(p),
+  created_on: p.created_on,
+});
+
+/**
+ * Team size columns of the browse and lead listings: the member count against the maximum,
+ * and how many members already have each required skill. Projects from before team sizes
+ * have no maximum.
+ */
+const capacityFields = (db, p) => {
+  const members = db.members.filter((m) => m.project_id === p.id);
+  return {
+    max_members: p.max_members ?? null,
+    member_count: members.length,
+    skills: projectSkills(p).map((s) => ({
+      ...s,
+      filled: members.filter((m) => skillNames(userSkills(db.findUser(m.email))).includes(s.name)).length,
+    })),
+  };
+};
+
+/** A full team accepts no more requests */
+const isFull = (db, p) =>
+  p.max_members != null && db.members.filter((m) => m.project_id === p.id).length >= p.max_members;
+
+/** Validates `max_members`; `null` lifts the limit. Returns `{ error }` when invalid. */
+const readMaxMembers = (body) => {
+  if (body?.max_members === undefined || body.max_members === null) return { maxMembers: body?.max_members };
+  const maxMembers = Number(body.max_members);
+  if (!Number.isInteger(maxMembers) || maxMembers < 1 || maxMembers > MAX_TEAM_SIZE) {
+    return { error: `Choose a team size between 1 and ${MAX_TEAM_SIZE}.` };
+  }
+  return { maxMembers };
+};
+
+/** Owner columns as returned by the joined/pending endpoints */
+const ownerFields = (db, p) => {
+  const owner = db.findUser(p.owner_email);
+  return {
+    owner_email: p.owner_email,
+    owner_fname: owner?.firstname,
+    owner_lname: owner?.lastname,
+    owner_avatar: owner?.avatar ?? null,
+  };
+};
+
+/** Request columns shared by every request listing */
+const requestFields = (r) => ({
+  id: r.id,
+  message: r.message,
+  status: r.status,
+  applied_on: r.applied_on,
+  updated_on: r.updated_on,
+  history: r.history,
+});
+
+/** Applicant columns as returned to the project lead */
+const applicantFields = (db, r) => {
+  const applicant = db.findUser(r.email);
+  return {
+    email: r.email,
+    fname: applicant?.firstname,
+    lname: applicant?.lastname,
+    avatar: applicant?.avatar ?? null,
+  };
+};
+
+/** A project member as returned by the member listings */
+const memberFields = (db, m) => {
+  const member = db.findUser(m.email);
+  return {
+    member_email: m.email,
+    member_fname: member?.firstname,
+    member_lname: member?.lastname,
+    member_avatar: member?.avatar ?? null,
+  };
+};
+
+/** A request joined with its project and owner, as returned to the applicant */
+const projectRequestFields = (db, r) => {
+  const p = db.projectById(r.project_id);
+  return { ...projectFields(p), ...ownerFields(db, p), ...requestFields(r), project_id: p.id };
+};
+
+const newestFirst = (requests) =>
+  [...requests].sort((a, b) => Date.parse(b.updated_on) - Date.parse(a.updated_on));
+
+/** Emails of a project's lead and members */
+const projectAudience = (db, project) => [
+  project.owner_email,
+  ...db.members.filter((m) => m.project_id === project.id).map((m) => m.email),
+];
+
+const NOT_IN_CHAT = "Only the team can read its chat.";
+
+/** Longest chat message accepted */
+const MESSAGE_MAX_LENGTH = 1000;
+
+/** Chat message as returned by the API, with its author's name */
+const messageFields = (db, m) => {
+  const author = db.findUser(m.email);
+  return {
+    id: m.id,
+    project_id: m.project_id,
+    author_email: m.email,
+    author_fname: author?.firstname,
+    author_lname: author?.lastname,
+    author_avatar: author?.avatar ?? null,
+    body: m.body,
+    mentions: m.mentions,
+    sent_on: m.sent_on,
+  };
+};
+
+/** Last chat message `email` has read in a project, 0 when none */
+const lastReadId = (db, projectId, email) =>
+  db.chatReads.find((r) => r.project_id === projectId && r.email === email)?.last_read_id ?? 0;
+
+/** Moves a user's read marker forward; it never moves back. */
+const markRead = (db, projectId, email, messageId) => {
+  const marker = db.chatReads.find((r) => r.project_id === projectId && r.email === email);
+  if (marker) marker.last_read_id = Math.max(marker.last_read_id, messageId);
+  else db.chatReads.push({ project_id: projectId, email, last_read_id: messageId });
+};
+
+/**
+ * The project of a team-only route (chat, task board), or the error response when the
+ * user is neither its lead nor a member
+ */
+const teamProject = (db, params, user, detail) => {
+  const project = db.projectById(params.id);
+  if (!project) return { error: notFound() };
+  if (!projectAudience(db, project).includes(user.email)) return { error: [403, { detail }] };
+  return { project };
+};
+
+/** Columns of the task board, in order */
+const TASK_STATUSES = ["todo", "in_progress", "done"];
+
+/** Longest task title accepted */
+const TASK_TITLE_MAX_LENGTH = 200;
+
+const NOT_ON_TASK_BOARD = "Only the team can use its task board.";
+
+/** Task as returned by the API, with the assignee's name */
+const taskFields = (db, t) => {
+  const assignee = t.assignee ? db.findUser(t.assignee) : null;
+  return {
+    id: t.id,
+    project_id: t.project_id,
+    title: t.title,
+    status: t.status,
+    position: t.position,
+    assignee_email: t.assignee,
+    assignee_fname: assignee?.firstname,
+    assignee_lname: assignee?.lastname,
+    due_date: t.due_date,
+    created_by: t.created_by,
+    created_on: t.created_on,
+  };
+};
+
+/** Task counts per board column, for the progress summary of the lead and joined listings */
+const progressFields = (db, p) => {
+  const tasks = db.tasks.filter((t) => t.project_id === p.id);
+  return { task_counts: Object.fromEntries(TASK_STATUSES.map((s) => [s, tasks.filter((t) => t.status === s).length])) };
+};
+
+/**
+ * Validates the task fields present in `body`, like the Django serializer does for a
+ * partial update. Assignees must be on the team. Returns `{ error }` when invalid.
+ */
+const readTask = (db, project, body) => {
+  const changes = {};
+  if (body?.title !== undefined) {
+    const title = String(body.title ?? "").trim();
+    if (!title) return { error: { title: ["Give the task a title."] } };
+    if (title.length > TASK_TITLE_MAX_LENGTH) {
+      return { error: { title: [`Titles are limited to ${TASK_TITLE_MAX_LENGTH} characters.`] } };
+    }
+    changes.title = title;
+  }
+  if (body?.status !== undefined) {
+    if (!TASK_STATUSES.includes(body.status)) return { error: { status: ["Unknown status."] } };
+    changes.status = body.status;
+  }
+  if (body?.assignee_email !== undefined) {
+    const assignee = body.assignee_email || null;
+    if (assignee && !projectAudience(db, project).includes(assignee)) {
+      return { error: { assignee_email: ["Tasks can only be assigned to people on the team."] } };
+    }
+    changes.assignee = assignee;
+  }
+  if (body?.due_date !== undefined) {
+    const due = body.due_date || null;
+    if (due && (!/^\d{4}-\d{2}-\d{2}$/.test(due) || Number.isNaN(Date.parse(due)))) {
+      return { error: { due_date: ["Enter a valid date."] } };
+    }
+    changes.due_date = due;
+  }
+  return { changes };
+};
+
+/** Moves a task to `index` of the `status` column and renumbers the columns it left and joined */
+const placeTask = (db, task, status, index) => {
+  const column = (s) =>
+    db.tasks
+      .filter((t) => t.project_id === task.project_id && t.status === s && t !== task)
+      .sort((a, b) => a.position - b.position);
+  column(task.status).forEach((t, i) => (t.position = i));
+  const target = column(status);
+  target.splice(Math.max(0, Math.min(index ?? target.length, target.length)), 0, task);
+  task.status = status;
+  target.forEach((t, i) => (t.position = i));
+};
+
+/** Most recent entries in a project's activity feed */
+const ACTIVITY_LIMIT = 20;
+
+/** Person columns of an activity entry */
+const actorFields = (db, email) => {
+  const actor = db.findUser(email);
+  return { actor_email: email, actor_fname: actor?.firstname, actor_lname: actor?.lastname };
+};
+
+/**
+ * A project's activity feed, newest first: its creation, members joining and leaving, and
+ * for the team also tasks being added. Chat messages stay out of it.
+ */
+const projectActivity = (db, project, { team }) => {
+  const mine = (row) => row.project_id === project.id;
+  const entries = [
+    { type: "project_created", at: project.created_on, ...actorFields(db, project.owner_email) },
+    ...db.members.filter(mine).map((m) => ({ type: "member_joined", at: m.joined_on, ...actorFields(db, m.email) })),
+    ...db.departures.filter(mine).map((d) => ({
+      type: d.removed_by === d.email ? "member_left" : "member_removed",
+      at: d.left_on,
+      ...actorFields(db, d.email),
+    })),
+    ...(team
+      ? db.tasks.filter(mine).map((t) => ({ type: "task_added", at: t.created_on, detail: t.title, ...actorFields(db, t.created_by) }))
+      : []),
+  ];
+  return entries.sort((a, b) => Date.parse(b.at) - Date.parse(a.at)).slice(0, ACTIVITY_LIMIT);
+};
+
+/** How the signed-in user relates to a project, and their pending request if any */
+const viewerFields = (db, project, email) => {
+  if (project.owner_email === email) return { role: "lead", request_id: null };
+  if (db.isMember(project.id, email)) return { role: "member", request_id: null };
+  const pending = db.requests.find((r) => r.project_id === project.id && r.email === email && r.status === "pending");
+  return pending ? { role: "pending", request_id: pending.id } : { role: "outsider", request_id: null };
+};
+
+/** Stores a notification and tells the recipient's open sockets about it */
+const notify = (db, realtime, recipient, type, data) => {
+  db.notify(recipient, type, data);
+  realtime.publish("notification.created", { project_id: data.project_id }, [recipient]);
+};
+
+/** Closes the requests still waiting on a team that just filled up, telling each applicant */
+const closeWaitingRequests = (db, realtime, project, lead) => {
+  for (const r of db.requests.filter((r) => r.project_id === project.id && r.status === "pending")) {
+    db.transitionRequest(r, "closed", null);
+    notify(db, realtime, r.email, "request_closed", { project_id: project.id, actor: lead });
+    realtime.publish("request.updated", { project_id: project.id }, [project.owner_email, r.email]);
+  }
+};
+
+/** Statuses a pending request can move to, and who may move it there */
+const TRANSITIONS = { accepted: "lead", rejected: "lead", withdrawn: "applicant" };
+
+/** Default and largest page sizes of cursor-paginated lists */
+const PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const cursorOffset = (cursor) => {
+  try {
+    return Number(/^o=(\d+)$/.exec(atob(cursor))?.[1] ?? NaN);
+  } catch {
+    return NaN;
+  }
+};
+
+/**
+ * Cursor pagination as done by the Django API: `{ results, next }`, where `next` is the
+ * opaque cursor of the following page, or null on the last one.
+ */
+const paginate = (items, query) => {
+  const size = Math.min(Number(query.page_size) || PAGE_SIZE, MAX_PAGE_SIZE);
+  const offset = query.cursor ? cursorOffset(query.cursor) : 0;
+  if (Number.isNaN(offset)) return [404, { detail: "Invalid cursor" }];
+  const next = offset + size < items.length ? btoa(`o=${offset + size}`) : null;
+  return [200, { results: items.slice(offset, offset + size), next }];
+};
+
+/**
+ * Skills sent with an account ("level") or a project ("count"), cleaned like the Django
+ * serializer does: tags normalized and de-duplicated. Clients that still send only the
+ * `frontend`/`backend` booleans get the matching tags. Returns `{ error }` when invalid,
+ * and `{ skills: undefined }` when the body mentions no skills at all.
+ */
+const readSkills = (body, kind) => {
+  if (body?.skills === undefined) {
+    if (body?.frontend === undefined && body?.backend === undefined) return { skills: undefined };
+    const legacy = { frontend: bool(body.frontend), backend: bool(body.backend) };
+    return { skills: kind === "level" ? userSkills(legacy) : projectSkills(legacy) };
+  }
+  if (!Array.isArray(body.skills)) return { error: "Expected a list of skills." };
+
+  const skills = [];
+  for (const entry of body.skills) {
+    const name = normalizeSkill(String(entry?.name ?? ""));
+    if (!name || skills.some((s) => s.name === name)) continue;
+    if (kind === "level") {
+      const level = entry.level ?? DEFAULT_SKILL_LEVEL;
+      if (!SKILL_LEVELS.some((l) => l.value === level)) return { error: `"${level}" is not a valid level.` };
+      skills.push({ name, level });
+    } else {
+      const count = Number(entry.count ?? 1);
+      if (!Number.isInteger(count) || count < 1 || count > MAX_SKILL_COUNT) {
+        return { error: `Ask for between 1 and ${MAX_SKILL_COUNT} people per skill.` };
+      }
+      skills.push({ name, count });
+    }
+  }
+  if (skills.length > MAX_SKILLS) return { error: `List at most ${MAX_SKILLS} skills.` };
+  return { skills };
+};
+
+/** Profile fields a user can change through `PATCH api/accounts/home/`, besides skills */
+const PROFILE_FIELDS = ["firstname", "lastname", "bio", "github", "portfolio", "availability", "avatar"];
+
+/** Projects someone leads or has joined, as shown on their public profile */
+const userProjects = (db, email) => [
+  ...db.projects.filter((p) => p.owner_email === email).map((p) => ({ id: p.id, projectname: p.projectname, role: "lead" })),
+  ...db.members
+    .filter((m) => m.email === email)
+    .map((m) => db.projectById(m.project_id))
+    .filter(Boolean)
+    .map((p) => ({ id: p.id, projectname: p.projectname, role: "member" })),
+];
+
+const counts = (db, email) => ({
+  createdprojects: db.projects.filter((p) => p.owner_email === email).length,
+  joinedprojects: db.members.filter((m) => m.email === email).length,
+  pendingrequests: db.requests.filter((r) => r.email === email && r.status === "pending").length,
+});
+
+export const routes = [
+  /* ------------------------------ Accounts & Tokens ------------------------------ */
+  {
+    method: "post",
+    path: "api/token/",
+    handler: ({ db, body, tokens }) => {
+      const user = db.findUser(body?.email);
+      if (!user || user.password !== body?.password) {
+        return [401, { detail: "No active account found with the given credentials" }];
+      }
+      return [200, tokens.issue(user.email)];
+    },
+  },
+  {
+    method: "post",
+    path: "api/token/refresh/",
+    handler: ({ body, tokens }) => {
+      const pair = tokens.rotate(body?.refresh);
+      if (!pair) return [401, { detail: "Token is invalid or expired", code: "token_not_valid" }];
+      return [200, pair];
+    },
+  },
+  {
+    method: "post",
+    path: "api/accounts/",
+    handler: ({ db, body }) => {
+      if (db.findUser(body?.email)) {
+        return [400, { email: ["user with this email already exists."] }];
+      }
+      const { skills = [], error } = readSkills(body, "level");
+      if (error) return [400, { skills: [error] }];
+      const user = {
+        email: body.email,
+        firstname: body.firstname,
+        lastname: body.lastname,
+        skills,
+        bio: "",
+        github: "",
+        portfolio: "",
+        availability: DEFAULT_AVAILABILITY,
+        avatar: null,
+        password: body.password,
+      };
+      db.users.push(user);
+      return [201, publicUser(user)];
+    },
+  },
+  {
+    method: "get",
+    path: "api/accounts/home/",
+    auth: true,
+    handler: ({ user }) => [200, publicUser(user)],
+  },
+  {
+    method: "patch",
+    path: "api/accounts/home/",
+    auth: true,
+    handler: ({ body, user }) => {
+      const changes = Object.fromEntries(PROFILE_FIELDS.filter((f) => body && f in body).map((f) => [f, body[f]]));
+      const errors = Object.fromEntries(
+        Object.entries(validateProfile(changes)).map(([field, message]) => [field, [message]])
+      );
+      const { skills, error } = readSkills(body, "level");
+      if (error) errors.skills = [error];
+      if (Object.keys(errors).length) return [400, errors];
+
+      for (const [field, value] of Object.entries(changes)) {
+        user[field] = typeof value === "string" ? value.trim() : value;
+      }
+      if (skills) {
+        user.skills = skills;
+        delete user.frontend;
+        delete user.backend;
+      }
+      return [200, publicUser(user)];
+    },
+  },
+  {
+    method: "get",
+    path: "api/users/:email/",
+    auth: true,
+    handler: ({ db, params }) => {
+      const profile = db.findUser(params.email);
+      if (!profile) return notFound();
+      return [200, { ...publicUser(profile), projects: userProjects(db, profile.email) }];
+    },
+  },
+  {
+    method: "post",
+    path: "api/accounts/logout/",
+    auth: true,
+    handler: ({ body, tokens }) => {
+      tokens.revoke(body?.refresh_token);
+      return [205, null];
+    },
+  },
+
+  /* ------------------------------ Skills ------------------------------ */
+  {
+    method: "get",
+    path: "api/skills/",
+    handler: ({ db, query }) => {
+      // Tags in use rank by how many profiles and projects list them, then the suggestions
+      const uses = {};
+      [...db.users.map(userSkills), ...db.projects.map(projectSkills)].forEach((skills) =>
+        skillNames(skills).forEach((name) => (uses[name] = (uses[name] || 0) + 1))
+      );
+      SUGGESTED_SKILLS.forEach((name) => (uses[name] ??= 0));
+
+      const search = normalizeSkill(query.search || "");
+      const names = Object.keys(uses)
+        .filter((name) => name.includes(search))
+        .sort(
+          (a, b) =>
+            Number(b.startsWith(search)) - Number(a.startsWith(search)) ||
+            uses[b] - uses[a] ||
+            a.localeCompare(b)
+        );
+      return [200, names.slice(0, 8)];
+    },
+  },
+
+  /* ------------------------------ Projects ------------------------------ */
+  {
+    method: "get",
+    path: "api/projects/",
+    auth: true,
+    handler: ({ db, query }) => {
+      // Older clients send the user's `frontend`/`backend` booleans instead of `skills`.
+      const wanted =
+        query.skills !== undefined
+          ? query.skills.split(",").filter(Boolean)
+          : skillNames(userSkills({ frontend: bool(query.frontend), backend: bool(query.backend) }));
+      const needs = (query.needs || "").split(",").filter(Boolean);
+      const search = (query.search || "").trim().toLowerCase();
+
+      const available = db.projects
+        .filter(
+          (p) =>
+            p.owner_email !== query.email &&
+            !db.isMember(p.id, query.email) &&
+            !db.hasPendingRequest(p.id, query.email) &&
+            !isFull(db, p) &&
+            skillNames(projectSkills(p)).some((name) => wanted.includes(name)) &&
+            needs.every((need) => skillNames(projectSkills(p)).includes(need))
+        )
+        .map((p) => {
+          const owner = db.findUser(p.owner_email);
+          return {
+            ...projectFields(p),
+            ...capacityFields(db, p),
+            matched_skills: skillNames(projectSkills(p)).filter((name) => wanted.includes(name)),
+            owner_email: p.owner_email,
+            fname: owner?.firstname,
+            lname: owner?.lastname,
+            owner_avatar: owner?.avatar ?? null,
+          };
+        })
+        .filter(
+          (p) =>
+            !search ||
+            [p.projectname, p.description, p.owner_email, `${p.fname} ${p.lname}`].some((field) =>
+              field?.toLowerCase().includes(search)
+            )
+        );
+
+      const byNewest = (a, b) => Date.parse(b.created_on) - Date.parse(a.created_on) || b.id - a.id;
+      const sorted =
+        query.ordering === "member_count"
+          ? available.sort((a, b) => a.member_count - b.member_count || byNewest(a, b))
+          : available.sort(byNewest);
+      return paginate(sorted, query);
+    },
+  },
+  {
+    method: "get",
+    path: "api/projects/:id/",
+    auth: true,
+    handler: ({ db, params, user }) => {
+      const project = db.projectById(params.id);
+      if (!project) return notFound();
+      const viewer = viewerFields(db, project, user.email);
+      const team = viewer.role === "lead" || viewer.role === "member";
+      return [
+        200,
+        {
+          ...projectFields(project),
+          ...capacityFields(db, project),
+          ...ownerFields(db, project),
+          members: db.members
+            .filter((m) => m.project_id === project.id)
+            .map((m) => ({ ...memberFields(db, m), joined_on: m.joined_on })),
+          viewer,
+          activity: projectActivity(db, project, { team }),
+        },
+      ];
+    },
+  },
+  {
+    method: "get",
+    path: "api/projectleads/",
+    auth: true,
+    handler: ({ db, query }) =>
+      paginate(
+        db.projects
+          .filter((p) => p.owner_email === query.email)
+          .map((p) => ({ ...projectFields(p), ...capacityFields(db, p), ...progressFields(db, p) })),
+        query
+      ),
+  },
+  {
+    method: "post",
+    path: "api/projectleads/",
+    auth: true,
+    handler: ({ db, body, realtime }) => {
+      if (db.findProject(body?.email, body?.projectname)) {
+        return [400, { projectname: ["You already have a project with this name."] }];
+      }
+      const { skills, error } = readSkills(body, "count");
+      if (error || !skills?.length) return [400, { skills: [error || "List at least one required skill."] }];
+      const { maxMembers, error: sizeError } = readMaxMembers(body);
+      if (sizeError) return [400, { max_members: [sizeError] }];
+      const project = {
+        id: db.nextId("projects"),
+        owner_email: body.email,
+        projectname: body.projectname,
+        description: body.description,
+        skills,
+        max_members: maxMembers ?? null,
+        created_on: new Date().toISOString(),
+      };
+      db.projects.push(project);
+      realtime.publish("project.created", { project_id: project.id });
+      return [201, { ...projectFields(project), ...capacityFields(db, project) }];
+    },
+  },
+  {
+    method: "patch",
+    path: "api/projectleads/:id/",
+    auth: true,
+    handler: ({ db, params, body, user, realtime }) => {
+      const project = db.projectById(params.id);
+      if (!project) return notFound();
+      if (project.owner_email !== user.email) {
+        return [403, { detail: "Only the team lead can edit this project." }];
+      }
+      const { skills, error } = readSkills(body, "count");
+      if (error || skills?.length === 0) return [400, { skills: [error || "List at least one required skill."] }];
+      const { maxMembers, error: sizeError } = readMaxMembers(body);
+      if (sizeError) return [400, { max_members: [sizeError] }];
+      const memberCount = db.members.filter((m) => m.project_id === project.id).length;
+      if (maxMembers != null && maxMembers < memberCount) {
+        return [400, { max_members: [`This team already has ${memberCount} members.`] }];
+      }
+      if (maxMembers !== undefined) project.max_members = maxMembers;
+      if (body?.description !== undefined) project.description = body.description;
+      if (skills) {
+        project.skills = skills;
+        delete project.frontend;
+        delete project.backend;
+      }
+      db.members
+        .filter((m) => m.project_id === project.id)
+        .forEach((m) => notify(db, realtime, m.email, "project_updated", { project_id: project.id, actor: user.email }));
+      realtime.publish("project.updated", { project_id: project.id });
+      return [200, { ...projectFields(project), ...capacityFields(db, project) }];
+    },
+  },
+  {
+    method: "delete",
+    path: "api/projectleads/:id/",
+    auth: true,
+    handler: ({ db, params, user, realtime }) => {
+      const project = db.projectById(params.id);
+      if (!project) return notFound();
+      if (project.owner_email !== user.email) {
+        return [403, { detail: "Only the team lead can delete this project." }];
+      }
+      const other = (row) => row.project_id !== project.id;
+      db.projects = db.projects.filter((p) => p.id !== project.id);
+      db.members = db.members.filter(other);
+      db.requests = db.requests.filter(other);
+      db.departures = db.departures.filter(other);
+      db.notifications = db.notifications.filter(other);
+      db.messages = db.messages.filter(other);
+      db.chatReads = db.chatReads.filter(other);
+      db.tasks = db.tasks.filter(other);
+      realtime.publish("project.deleted", { project_id: project.id });
+      return [204, null];
+    },
+  },
+  {
+    method: "get",
+    path: "api/joinedprojects/",
+    auth: true,
+    handler: ({ db, query }) =>
+      paginate(
+        db.members
+          .filter((m) => m.email === query.email)
+          .map((m) => db.projectById(m.project_id))
+          .filter(Boolean)
+          .map((p) => ({ ...projectFields(p), ...ownerFields(db, p), ...progressFields(db, p) })),
+        query
+      ),
+  },
+  {
+    method: "get",
+    path: "api/projectcount/",
+    auth: true,
+    handler: ({ db, query }) => [200, counts(db, query.email)],
+  },
+
+  /* ------------------------------ Join Requests ------------------------------ */
+  {
+    method: "post",
+    path: "api/projectrequests/",
+    auth: true,
+    handler: ({ db, body, realtime }) => {
+      const project = db.findProject(body?.owner_email, body?.projectname);
+      if (!project) return notFound();
+      if (db.isMember(project.id, body.member_email) || db.hasPendingRequest(project.id, body.member_email)) {
+        return [400, { detail: "You have already requested to join this project." }];
+      }
+      if (isFull(db, project)) {
+        return [400, { detail: "This team is full and no longer accepts requests." }];
+      }
+      const appliedOn = new Date().toISOString();
+      const joinRequest = {
+        id: db.nextId("requests"),
+        project_id: project.id,
+        email: body.member_email,
+        message: body.message,
+        status: "pending",
+        applied_on: appliedOn,
+        updated_on: appliedOn,
+        history: [{ status: "pending", at: appliedOn, by: body.member_email }],
+      };
+      db.requests.push(joinRequest);
+      notify(db, realtime, project.owner_email, "request_received", { project_id: project.id, actor: body.member_email });
+      realtime.publish("request.created", { project_id: project.id }, [project.owner_email, joinRequest.email]);
+      return [201, requestFields(joinRequest)];
+    },
+  },
+  {
+    method: "patch",
+    path: "api/projectrequests/:id/",
+    auth: true,
+    handler: ({ db, params, body, user, realtime }) => {
+      const joinRequest = db.requests.find((r) => r.id === Number(params.id));
+      if (!joinRequest) return notFound();
+      if (joinRequest.email !== user.email) {
+        return [403, { detail: "You can only edit your own requests." }];
+      }
+      if (joinRequest.status !== "pending") {
+        return [400, { detail: `This request has already been ${joinRequest.status}.` }];
+      }
+      const message = String(body?.message ?? "").trim();
+      if (message.length < 10 || message.length > 400) {
+        return [400, { message: ["Message must be between 10 and 400 characters."] }];
+      }
+      joinRequest.message = message;
+      const project = db.projectById(joinRequest.project_id);
+      realtime.publish("request.updated", { project_id: project.id }, [project.owner_email, joinRequest.email]);
+      return [200, requestFields(joinRequest)];
+    },
+  },
+  {
+    method: "post",
+    path: "api/projectrequests/:id/status/",
+    auth: true,
+    handler: ({ db, params, body, user, realtime }) => {
+      const joinRequest = db.requests.find((r) => r.id === Number(params.id));
+      if (!joinRequest) return notFound();
+      const status = body?.status;
+      const actor = TRANSITIONS[status];
+      if (!actor) return [400, { status: [`"${status}" is not a valid choice.`] }];
+
+      const project = db.projectById(joinRequest.project_id);
+      const allowed =
+        actor === "lead" ? project.owner_email === user.email : joinRequest.email === user.email;
+      if (!allowed) {
+        return [403, { detail: "You do not have permission to perform this action." }];
+      }
+      if (joinRequest.status !== "pending") {
+        return [400, { detail: `This request has already been ${joinRequest.status}.` }];
+      }
+
+      db.transitionRequest(joinRequest, status, user.email);
+      const recipient = actor === "lead" ? joinRequest.email : project.owner_email;
+      notify(db, realtime, recipient, `request_${status}`, { project_id: project.id, actor: user.email });
+      if (status === "accepted" && !db.isMember(project.id, joinRequest.email)) {
+        db.members.push({
+          id: db.nextId("members"),
+          project_id: project.id,
+          email: joinRequest.email,
+          joined_on: joinRequest.updated_on,
+        });
+        realtime.publish("member.added", { project_id: project.id }, projectAudience(db, project));
+        if (isFull(db, project)) closeWaitingRequests(db, realtime, project, user.email);
+      }
+      realtime.publish("request.updated", { project_id: project.id }, [project.owner_email, joinRequest.email]);
+      return [200, requestFields(joinRequest)];
+    },
+  },
+  {
+    method: "get",
+    path: "api/projectrequestsdisplay/",
+    auth: true,
+    handler: ({ db, query }) => {
+      const project = db.findProject(query.email, query.projectname);
+      if (!project) return [200, []];
+      return [
+        200,
+        db.requests
+          .filter((r) => r.project_id === project.id && r.status === "pending")
+          .map((r) => ({ ...requestFields(r), ...applicantFields(db, r) })),
+      ];
+    },
+  },
+  {
+    method: "get",
+    path: "api/projectdecisions/",
+    auth: true,
+    handler: ({ db, query }) => {
+      const project = db.findProject(query.email, query.projectname);
+      if (!project) return [200, []];
+      return [
+        200,
+        newestFirst(db.requests.filter((r) => r.project_id === project.id && r.status !== "pending"))
+          .map((r) => ({ ...requestFields(r), ...applicantFields(db, r) })),
+      ];
+    },
+  },
+  {
+    method: "get",
+    path: "api/pendingprojects/",
+    auth: true,
+    handler: ({ db, query }) => [
+      200,
+      db.requests
+        .filter((r) => r.email === query.email && r.status === "pending")
+        .map((r) => projectRequestFields(db, r)),
+    ],
+  },
+  {
+    method: "get",
+    path: "api/requesthistory/",
+    auth: true,
+    handler: ({ db, query }) => [
+      200,
+      newestFirst(db.requests.filter((r) => r.email === query.email))
+        .filter((r) => db.projectById(r.project_id))
+        .map((r) => projectRequestFields(db, r)),
+    ],
+  },
+
+  /* ------------------------------ Members ------------------------------ */
+  {
+    method: "delete",
+    path: "api/projectmembers/",
+    auth: true,
+    handler: ({ db, body, user, realtime }) => {
+      const project = db.findProject(body?.owner, body?.projectname);
+      if (!project) return notFound();
+      if (user.email !== project.owner_email && user.email !== body.email) {
+        return [403, { detail: "Only the team lead can remove other members." }];
+      }
+      if (!db.isMember(project.id, body.email)) return notFound();
+      const audience = projectAudience(db, project);
+      db.members = db.members.filter((m) => !(m.project_id === project.id && m.email === body.email));
+      // Their tasks go back to being unassigned
+      db.tasks
+        .filter((t) => t.project_id === project.id && t.assignee === body.email)
+        .forEach((t) => (t.assignee = null));
+      db.departures.push({
+        id: db.nextId("departures"),
+        project_id: project.id,
+        email: body.email,
+        removed_by: user.email,
+        reason: body.reason || "",
+        left_on: new Date().toISOString(),
+      });
+      if (user.email === body.email) {
+        notify(db, realtime, project.owner_email, "member_left", { project_id: project.id, actor: user.email });
+      } else {
+        notify(db, realtime, body.email, "member_removed", { project_id: project.id, actor: user.email });
+      }
+      realtime.publish("member.removed", { project_id: project.id }, audience);
+      return [204, null];
+    },
+  },
+  {
+    method: "get",
+    path: "api/projectmembersdisplay/",
+    auth: true,
+    handler: ({ db, query }) => {
+      const project = db.findProject(query.email, query.projectname);
+      if (!project) return [200, []];
+      return [
+        200,
+        db.members.filter((m) => m.project_id === project.id).map((m) => memberFields(db, m)),
+      ];
+    },
+  },
+
+  /* ------------------------------ Team Chat ------------------------------ */
+  {
+    method: "get",
+    path: "api/projects/:id/messages/",
+    auth: true,
+    handler: ({ db, params, query, user }) => {
+      const { project, error } = teamProject(db, params, user, NOT_IN_CHAT);
+      if (error) return error;
+      const newestFirst = db.messages
+        .filter((m) => m.project_id === project.id)
+        .sort((a, b) => b.id - a.id)
+        .map((m) => messageFields(db, m));
+      const [status, page] = paginate(newestFirst, query);
+      if (status !== 200) return [status, page];
+      return [200, { ...page, last_read_id: lastReadId(db, project.id, user.email) }];
+    },
+  },
+  {
+    method: "post",
+    path: "api/projects/:id/messages/",
+    auth: true,
+    handler: ({ db, params, body, user, realtime }) => {
+      const { project, error } = teamProject(db, params, user, NOT_IN_CHAT);
+      if (error) return error;
+      const text = typeof body?.body === "string" ? body.body.trim() : "";
+      if (!text) return [400, { body: ["Write a message first."] }];
+      if (text.length > MESSAGE_MAX_LENGTH) {
+        return [400, { body: [`Messages are limited to ${MESSAGE_MAX_LENGTH} characters.`] }];
+      }
+      // Only people on the team can be mentioned, and not the author
+      const audience = projectAudience(db, project);
+      const mentions = [...new Set(Array.isArray(body.mentions) ? body.mentions : [])].filter(
+        (email) => audience.includes(email) && email !== user.email
+      );
+
+      const message = {
+        id: db.nextId("messages"),
+        project_id: project.id,
+        email: user.email,
+        body: text,
+        mentions,
+        sent_on: new Date().toISOString(),
+      };
+      db.messages.push(message);
+      markRead(db, project.id, user.email, message.id);
+      mentions.forEach((email) =>
+        notify(db, realtime, email, "mentioned", { project_id: project.id, actor: user.email })
+      );
+      realtime.publish("message.created", { project_id: project.id, message: messageFields(db, message) }, audience);
+      return [201, messageFields(db, message)];
+    },
+  },
+  {
+    method: "post",
+    path: "api/projects/:id/messages/read/",
+    auth: true,
+    handler: ({ db, params, body, user }) => {
+      const { project, error } = teamProject(db, params, user, NOT_IN_CHAT);
+      if (error) return error;
+      markRead(db, project.id, user.email, Number(body?.last_read_id) || 0);
+      return [204, null];
+    },
+  },
+  {
+    method: "get",
+    path: "api/chat/unread/",
+    auth: true,
+    handler: ({ db, user }) => {
+      const unread = {};
+      db.projects
+        .filter((p) => projectAudience(db, p).includes(user.email))
+        .forEach((p) => {
+          const lastRead = lastReadId(db, p.id, user.email);
+          const count = db.messages.filter(
+            (m) => m.project_id === p.id && m.id > lastRead && m.email !== user.email
+          ).length;
+          if (count > 0) unread[p.id] = count;
+        });
+      return [200, unread];
+    },
+  },
+
+  /* ------------------------------ Task Board ------------------------------ */
+  {
+    method: "get",
+    path: "api/projects/:id/tasks/",
+    auth: true,
+    handler: ({ db, params, user }) => {
+      const { project, error } = teamProject(db, params, user, NOT_ON_TASK_BOARD);
+      if (error) return error;
+      return [
+        200,
+        db.tasks
+          .filter((t) => t.project_id === project.id)
+          .sort((a, b) => TASK_STATUSES.indexOf(a.status) - TASK_STATUSES.indexOf(b.status) || a.position - b.position)
+          .map((t) => taskFields(db, t)),
+      ];
+    },
+  },
+  {
+    method: "post",
+    path: "api/projects/:id/tasks/",
+    auth: true,
+    handler: ({ db, params, body, user, realtime }) => {
+      const { project, error } = teamProject(db, params, user, NOT_ON_TASK_BOARD);
+      if (error) return error;
+      const { changes, error: invalid } = readTask(db, project, {
+        ...body,
+        title: body?.title ?? "",
+        status: body?.status ?? "todo",
+      });
+      if (invalid) return [400, invalid];
+
+      const task = {
+        id: db.nextId("tasks"),
+        project_id: project.id,
+        assignee: null,
+        due_date: null,
+        ...changes,
+        position: db.tasks.filter((t) => t.project_id === project.id && t.status === changes.status).length,
+        created_by: user.email,
+        created_on: new Date().toISOString(),
+      };
+      db.tasks.push(task);
+      realtime.publish("task.created", { project_id: project.id }, projectAudience(db, project));
+      return [201, taskFields(db, task)];
+    },
+  },
+  {
+    method: "patch",
+    path: "api/projects/:id/tasks/:taskId/",
+    auth: true,
+    handler: ({ db, params, body, user, realtime }) => {
+      const { project, error } = teamProject(db, params, user, NOT_ON_TASK_BOARD);
+      if (error) return error;
+      const task = db.tasks.find((t) => t.id === Number(params.taskId) && t.project_id === project.id);
+      if (!task) return notFound();
+      const { changes, error: invalid } = readTask(db, project, body);
+      if (invalid) return [400, invalid];
+
+      const { status = task.status, ...fields } = changes;
+      Object.assign(task, fields);
+      if (status !== task.status || body.position !== undefined) {
+        placeTask(db, task, status, body.position === undefined ? undefined : Number(body.position));
+      }
+      realtime.publish("task.updated", { project_id: project.id }, projectAudience(db, project));
+      return [200, taskFields(db, task)];
+    },
+  },
+  {
+    method: "delete",
+    path: "api/projects/:id/tasks/:taskId/",
+    auth: true,
+    handler: ({ db, params, user, realtime }) => {
+      const { project, error } = teamProject(db, params, user, NOT_ON_TASK_BOARD);
+      if (error) return error;
+      const task = db.tasks.find((t) => t.id === Number(params.taskId) && t.project_id === project.id);
+      if (!task) return notFound();
+      if (user.email !== project.owner_email && user.email !== task.created_by) {
+        return [403, { detail: "Only the team lead or whoever added a task can delete it." }];
+      }
+      db.tasks = db.tasks.filter((t) => t !== task);
+      db.tasks
+        .filter((t) => t.project_id === project.id && t.status === task.status)
+        .sort((a, b) => a.position - b.position)
+        .forEach((t, i) => (t.position = i));
+      realtime.publish("task.deleted", { project_id: project.id }, projectAudience(db, project));
+      return [204, null];
+    },
+  },
+
+  /* ------------------------------ Notifications ------------------------------ */
+  {
+    method: "get",
+    path: "api/notifications/",
+    auth: true,
+    handler: ({ db, user }) => [
+      200,
+      db.notifications
+        .filter((n) => n.recipient === user.email)
+        .sort((a, b) => Date.parse(b.created_on) - Date.parse(a.created_on) || b.id - a.id)
+        .map((n) => {
+          const project = db.projectById(n.project_id);
+          const actor = db.findUser(n.actor);
+          return {
+            id: n.id,
+            type: n.type,
+            project_id: n.project_id,
+            projectname: project?.projectname,
+            is_lead: project?.owner_email === user.email,
+            actor_email: n.actor,
+            actor_fname: actor?.firstname,
+            actor_lname: actor?.lastname,
+            created_on: n.created_on,
+            read: n.read,
+          };
+        }),
+    ],
+  },
+  {
+    method: "post",
+    path: "api/notifications/read/",
+    auth: true,
+    handler: ({ db, body, user }) => {
+      const ids = Array.isArray(body?.ids) ? body.ids.map(Number) : null;
+      db.notifications
+        .filter((n) => n.recipient === user.email && (!ids || ids.includes(n.id)))
+        .forEach((n) => {
+          n.read = true;
+        });
+      return [204, null];
+    },
+  },
+];
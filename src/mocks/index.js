@@ -0,0 +1,27 @@
+/**
+ * @file index.js
+ * @description Entry point of the mock backend used for offline development
+ * (`npm run dev:mock`) and tests.
+ * @author Pranav Singh
+ */
+
+import { createMockBackend } from "./server.js";
+import { setWebSocketImpl } from "../realtime/liveSocket.js";
+
+export { createMockBackend } from "./server.js";
+export { FIXTURE_PASSWORD } from "./fixtures.js";
+
+/**
+ * @function installMockBackend
+ * @description Answers every request made through `instance`, and every live-update
+ * socket the app opens, from a new mock backend.
+ * @param {import("axios").AxiosInstance} instance - Usually the shared `axiosInstance`
+ * @param {Parameters<typeof createMockBackend>[0]} [options]
+ * @returns {ReturnType<typeof createMockBackend>}
+ */
+export function installMockBackend(instance, options) {
+  const backend = createMockBackend(options);
+  instance.defaults.adapter = backend.adapter;
+  setWebSocketImpl(backend.realtime.WebSocket);
+  return backend;
+}
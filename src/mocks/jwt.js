@@ -0,0 +1,55 @@
+/**
+ * @file jwt.js
+ * @description
+ * Fake JWTs for the mock backend. Tokens have the usual `header.payload.signature`
+ * shape and a real `exp` claim, so client code that decodes them behaves as it
+ * would against the Django backend, but the signature is a fixed placeholder and
+ * must never be trusted outside of development and tests.
+ * @author Pranav Singh
+ */
+
+const encode = (value) =>
+  btoa(JSON.stringify(value)).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+
+const decode = (segment) =>
+  JSON.parse(atob(segment.replace(/-/g, "+").replace(/_/g, "/")));
+
+let counter = 0;
+
+/**
+ * @function signToken
+ * @description Issues a fake JWT.
+ * @param {Object} claims - Extra claims, e.g. `{ email, token_type }`
+ * @param {number} ttlSeconds - Lifetime in seconds; zero or negative yields an already expired token
+ * @param {number} [now] - Issue time in milliseconds
+ * @returns {string}
+ */
+export function signToken(claims, ttlSeconds, now = Date.now()) {
+  const iat = Math.floor(now / 1000);
+  counter += 1;
+
+  return [
+    encode({ alg: "none", typ: "JWT" }),
+    encode({ ...claims, iat, exp: iat + ttlSeconds, jti: `mock-${iat}-${counter}` }),
+    "mock-signature",
+  ].join(".");
+}
+
+/**
+ * @function verifyToken
+ * @description Decodes a fake JWT and checks its type and expiry.
+ * @param {string} token
+ * @param {"access"|"refresh"} tokenType
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {Object|null} The claims, or null when the token is malformed, of the wrong type or expired.
+ */
+export function verifyToken(token, tokenType, now = Date.now()) {
+  try {
+    const claims = decode(token.split(".")[1]);
+    if (claims.token_type !== tokenType) return null;
+    if (claims.exp * 1000 <= now) return null;
+    return claims;
+  } catch {
+    return null;
+  }
+}
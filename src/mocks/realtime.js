@@ -0,0 +1,99 @@
+/**
+ * @file realtime.js
+ * @description
+ * In-memory stand-in for the live-update WebSocket server. `WebSocket` is a drop-in
+ * for the browser class (the subset `realtime/liveSocket.js` uses) whose sockets are
+ * delivered events by `publish` instead of over the network.
+ * @author Pranav Singh
+ */
+
+/** Close code sent when the token in the URL is missing or invalid */
+export const CLOSE_UNAUTHORIZED = 4001;
+
+/** Close code of a connection that dropped without a closing handshake */
+export const CLOSE_ABNORMAL = 1006;
+
+/**
+ * @function createRealtimeServer
+ * @description Creates the socket hub of one mock backend.
+ * @param {(token: string) => string|null} authenticate - Email of the user owning an access token
+ * @returns {{ WebSocket: Function, publish: Function, disconnectAll: Function, connections: number }}
+ */
+export function createRealtimeServer(authenticate) {
+  const sockets = new Set();
+
+  class MockWebSocket {
+    static CONNECTING = 0;
+    static OPEN = 1;
+    static CLOSING = 2;
+    static CLOSED = 3;
+
+    constructor(url) {
+      this.url = url;
+      this.readyState = MockWebSocket.CONNECTING;
+      this.onopen = null;
+      this.onmessage = null;
+      this.onclose = null;
+      this.onerror = null;
+
+      // Like the browser, the handshake finishes after the constructor returns.
+      setTimeout(() => {
+        if (this.readyState !== MockWebSocket.CONNECTING) return;
+        const token = new URL(url, "ws://mock").searchParams.get("token");
+        this.email = token && authenticate(token);
+        if (!this.email) {
+          this._finish(CLOSE_UNAUTHORIZED);
+          return;
+        }
+        this.readyState = MockWebSocket.OPEN;
+        sockets.add(this);
+        this.onopen?.({ type: "open" });
+      }, 0);
+    }
+
+    send() {
+      // The channel is server-to-client only; client messages are ignored.
+    }
+
+    close(code = 1000) {
+      if (this.readyState === MockWebSocket.CLOSED) return;
+      this._finish(code);
+    }
+
+    _finish(code) {
+      sockets.delete(this);
+      this.readyState = MockWebSocket.CLOSED;
+      this.onclose?.({ type: "close", code, wasClean: code !== CLOSE_ABNORMAL });
+    }
+  }
+
+  return {
+    WebSocket: MockWebSocket,
+
+    /**
+     * @function publish
+     * @description Sends an event to the open sockets of `recipients`, or of everyone when null.
+     * @param {string} type
+     * @param {Object} [payload]
+     * @param {string[]|null} [recipients]
+     */
+    publish(type, payload = {}, recipients = null) {
+      const data = JSON.stringify({ type, ...payload, at: new Date().toISOString() });
+      for (const socket of [...sockets]) {
+        if (recipients && !recipients.includes(socket.email)) continue;
+        setTimeout(() => {
+          if (socket.readyState === MockWebSocket.OPEN) socket.onmessage?.({ type: "message", data });
+        }, 0);
+      }
+    },
+
+    /** Drops every open connection, as a server restart would. */
+    disconnectAll(code = CLOSE_ABNORMAL) {
+      for (const socket of [...sockets]) socket._finish(code);
+    },
+
+    get connections() {
+      return sockets.size;
+    },
+  };
+}
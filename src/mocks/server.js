@@ -0,0 +1,205 @@
+/**
+ * @file server.js
+ * @description
+ * Mock backend that implements the Django REST endpoints used by the frontend
+ * entirely in memory. It is exposed as an axios adapter, so requests made through
+ * the shared axios instance (including the token refresh in `axiosInstance.js`)
+ * are answered locally without any network access.
+ *
+ * Access tokens are fake JWTs with a real `exp` claim; `accessTokenTtl` (or
+ * `tokens.issue(email, { accessTtl })`) can be used to hand out short-lived or
+ * already expired tokens and exercise the refresh flow.
+ * @author Pranav Singh
+ */
+
+import { AxiosError, AxiosHeaders } from "axios";
+import { createDatabase } from "./db.js";
+import { createRealtimeServer } from "./realtime.js";
+import { createFixtures } from "./fixtures.js";
+import { routes } from "./handlers.js";
+import { signToken, verifyToken } from "./jwt.js";
+
+/**
+ * @function matchPath
+ * @description Matches a request path against a route pattern such as `api/projectrequests/:id/`.
+ * @returns {Object|null} The path params, or null when the path doesn't match.
+ */
+function matchPath(pattern, path) {
+  const patternParts = pattern.split("/");
+  const pathParts = path.split("/");
+  if (patternParts.length !== pathParts.length) return null;
+
+  const params = {};
+  for (let i = 0; i < patternParts.length; i += 1) {
+    if (patternParts[i].startsWith(":")) {
+      params[patternParts[i].slice(1)] = decodeURIComponent(pathParts[i]);
+    } else if (patternParts[i] !== pathParts[i]) {
+      return null;
+    }
+  }
+  return params;
+}
+
+/**
+ * @function normalizeUrl
+ * @description Reduces an axios URL to the `api/...` path and its query string params.
+ */
+function normalizeUrl(url, baseURL) {
+  let path = url || "";
+  if (baseURL && path.startsWith(baseURL)) path = path.slice(baseURL.length);
+  path = path.replace(/^[a-z]+:\/\/[^/]+/i, "").replace(/^\/+/, "");
+
+  const [pathname, search = ""] = path.split("?");
+  return { pathname, query: Object.fromEntries(new URLSearchParams(search)) };
+}
+
+const stringifyParams = (params = {}) =>
+  Object.fromEntries(
+    Object.entries(params)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([key, value]) => [key, String(value)])
+  );
+
+/**
+ * @function createMockBackend
+ * @description Creates an isolated mock backend with its own in-memory state.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.accessTokenTtl=300] - Access token lifetime in seconds
+ * @param {number} [options.refreshTokenTtl=86400] - Refresh token lifetime in seconds
+ * @param {number} [options.latency=0] - Artificial delay per request in milliseconds
+ * @param {Object} [options.seed] - Initial data; defaults to `createFixtures()`
+ * @returns {{ db: Object, tokens: Object, realtime: Object, handle: Function, adapter: Function, reset: Function }}
+ */
+export function createMockBackend({
+  accessTokenTtl = 300,
+  refreshTokenTtl = 86400,
+  latency = 0,
+  seed,
+} = {}) {
+  const freshDatabase = () => createDatabase(seed ? structuredClone(seed) : createFixtures());
+  let db = freshDatabase();
+
+  const tokens = {
+    /** Issues an access/refresh pair for a user. */
+    issue(email, { accessTtl = accessTokenTtl, refreshTtl = refreshTokenTtl } = {}) {
+      return {
+        access: signToken({ email, token_type: "access" }, accessTtl),
+        refresh: signToken({ email, token_type: "refresh" }, refreshTtl),
+      };
+    },
+
+    /** Exchanges a refresh token for a new pair, blacklisting the old one (rotation). */
+    rotate(refresh) {
+      const claims = refresh && verifyToken(refresh, "refresh");
+      if (!claims || db.blacklist.has(refresh) || !db.findUser(claims.email)) return null;
+      db.blacklist.add(refresh);
+      return tokens.issue(claims.email);
+    },
+
+    /** Blacklists a refresh token, as the logout endpoint does. */
+    revoke(refresh) {
+      if (refresh) db.blacklist.add(refresh);
+    },
+  };
+
+  // Live-update sockets; handlers publish to it as data changes.
+  const realtime = createRealtimeServer((token) => {
+    const claims = verifyToken(token, "access");
+    return claims && db.findUser(claims.email) ? claims.email : null;
+  });
+
+  const authenticate = (authorization) => {
+    const token = authorization?.replace(/^Bearer\s+/i, "");
+    const claims = token && verifyToken(token, "access");
+    return claims ? db.findUser(claims.email) : null;
+  };
+
+  /**
+   * @function handle
+   * @description Runs a request through the route table.
+   * @param {{ method: string, path: string, query?: Object, body?: *, authorization?: string }} req
+   * @returns {Promise<{ status: number, data: * }>}
+   */
+  const handle = async ({ method, path, query = {}, body = null, authorization }) => {
+    if (latency > 0) await new Promise((resolve) => setTimeout(resolve, latency));
+    db.expireStaleRequests();
+
+    for (const route of routes) {
+      if (route.method !== method.toLowerCase()) continue;
+      const params = matchPath(route.path, path);
+      if (!params) continue;
+
+      const user = authenticate(authorization);
+      if (route.auth && !user) {
+        return {
+          status: 401,
+          data: { detail: "Given token not valid for any token type", code: "token_not_valid" },
+        };
+      }
+
+      try {
+        const [status, data] = route.handler({ db, params, query, body, user, tokens, realtime });
+        return { status, data };
+      } catch (error) {
+        console.error(`[mock backend] ${method.toUpperCase()} ${path} failed`, error);
+        return { status: 500, data: { detail: "Internal server error." } };
+      }
+    }
+
+    console.warn(`[mock backend] No handler for ${method.toUpperCase()} ${path}`);
+    return { status: 404, data: { detail: "Not found." } };
+  };
+
+  /**
+   * @function adapter
+   * @description axios adapter that answers requests from `handle`.
+   * @param {import("axios").InternalAxiosRequestConfig} config
+   */
+  const adapter = async (config) => {
+    const { pathname, query } = normalizeUrl(config.url, config.baseURL);
+    const body = typeof config.data === "string" && config.data ? JSON.parse(config.data) : config.data ?? null;
+
+    const { status, data } = await handle({
+      method: config.method || "get",
+      path: pathname,
+      query: { ...query, ...stringifyParams(config.params) },
+      body,
+      authorization: AxiosHeaders.from(config.headers).get("Authorization"),
+    });
+
+    const response = {
+      data: structuredClone(data),
+      status,
+      statusText: String(status),
+      headers: new AxiosHeaders({ "Content-Type": "application/json" }),
+      config,
+      request: {},
+    };
+
+    const validateStatus = config.validateStatus || ((s) => s >= 200 && s < 300);
+    if (validateStatus(status)) return response;
+
+    throw new AxiosError(
+      `Request failed with status code ${status}`,
+      status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+      config,
+      response.request,
+      response
+    );
+  };
+
+  return {
+    get db() {
+      return db;
+    },
+    tokens,
+    realtime,
+    handle,
+    adapter,
+    /** Restores the seed data and forgets revoked tokens. */
+    reset() {
+      db = freshDatabase();
+    },
+  };
+}
@@ -0,0 +1,119 @@
+/**
+ * @file avatarImage.js
+ * @description
+ * Turns an uploaded photo into an avatar in the browser: the user picks a square of it
+ * (zoom plus position), which is drawn onto a canvas at a fixed size and compressed as
+ * JPEG until it fits the upload budget. Only that small image is sent to the backend.
+ *
+ * A crop is `{ zoom, x, y }`: `zoom` 1 fits the shorter side of the photo, and `x`/`y`
+ * place the square between the left/top (0) and right/bottom (1) edges.
+ * @author Pranav Singh
+ */
+
+/**
+ * @typedef {Object} Crop
+ * @property {number} zoom - 1 to MAX_ZOOM
+ * @property {number} x - 0 to 1
+ * @property {number} y - 0 to 1
+ */
+
+/** Width and height of every avatar, in pixels */
+export const AVATAR_SIZE = 256;
+
+/** Data URL length the compression aims for; the backend accepts up to AVATAR_MAX_LENGTH */
+export const AVATAR_TARGET_LENGTH = 100 * 1024;
+
+/** JPEG qualities tried in turn until the avatar fits AVATAR_TARGET_LENGTH */
+const QUALITIES = [0.9, 0.8, 0.7, 0.6, 0.5];
+
+/** Largest photo that can be picked for cropping */
+export const UPLOAD_MAX_BYTES = 10 * 1024 * 1024;
+
+/** Closest zoom offered by the crop tool */
+export const MAX_ZOOM = 3;
+
+/** Whole shorter side, centred */
+export const INITIAL_CROP = { zoom: 1, x: 0.5, y: 0.5 };
+
+const clamp = (value) => Math.min(1, Math.max(0, value));
+
+/**
+ * @function cropRect
+ * @description The square of the photo a crop covers, in the photo's own pixels.
+ * @param {{ width: number, height: number }} natural - Size of the photo
+ * @param {Crop} crop
+ * @returns {{ sx: number, sy: number, size: number }}
+ */
+export function cropRect(natural, crop) {
+  const size = Math.min(natural.width, natural.height) / crop.zoom;
+  return { sx: (natural.width - size) * crop.x, sy: (natural.height - size) * crop.y, size };
+}
+
+/**
+ * @function panCrop
+ * @description Moves the crop as if the photo was dragged by `dx`/`dy` screen pixels in
+ * a preview `viewport` pixels wide. The square never leaves the photo.
+ * @param {{ width: number, height: number }} natural
+ * @param {Crop} crop
+ * @param {number} dx
+ * @param {number} dy
+ * @param {number} viewport
+ * @returns {Crop}
+ */
+export function panCrop(natural, crop, dx, dy, viewport) {
+  const { size } = cropRect(natural, crop);
+  const imagePixels = size / viewport;
+  const slackX = natural.width - size;
+  const slackY = natural.height - size;
+  return {
+    ...crop,
+    x: slackX > 0 ? clamp(crop.x - (dx * imagePixels) / slackX) : crop.x,
+    y: slackY > 0 ? clamp(crop.y - (dy * imagePixels) / slackY) : crop.y,
+  };
+}
+
+/**
+ * @function renderAvatar
+ * @description Draws the cropped square at AVATAR_SIZE and compresses it as JPEG,
+ * lowering the quality until it fits `maxLength`.
+ * @param {HTMLImageElement} image - A loaded photo
+ * @param {Crop} crop
+ * @param {{ size?: number, maxLength?: number }} [options]
+ * @returns {string} JPEG data URL
+ * @throws {Error} When the browser can't draw on a canvas
+ */
+export function renderAvatar(image, crop, { size = AVATAR_SIZE, maxLength = AVATAR_TARGET_LENGTH } = {}) {
+  const { sx, sy, size: side } = cropRect({ width: image.naturalWidth, height: image.naturalHeight }, crop);
+  const canvas = document.createElement("canvas");
+  canvas.width = size;
+  canvas.height = size;
+
+  const context = canvas.getContext("2d");
+  if (!context) throw new Error("Canvas is not supported");
+  // JPEG has no transparency, so transparent PNGs get a white background rather than black
+  context.fillStyle = "#fff";
+  context.fillRect(0, 0, size, size);
+  context.imageSmoothingQuality = "high";
+  context.drawImage(image, sx, sy, side, side, 0, 0, size, size);
+
+  let dataUrl = "";
+  for (const quality of QUALITIES) {
+    dataUrl = canvas.toDataURL("image/jpeg", quality);
+    if (dataUrl.length <= maxLength) break;
+  }
+  return dataUrl;
+}
+
+/**
+ * @function readAsDataUrl
+ * @description Reads an uploaded file into a data URL.
+ * @param {File} file
+ * @returns {Promise<string>}
+ */
+export const readAsDataUrl = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
@@ -0,0 +1,122 @@
+/**
+ * @file profile.js
+ * @description
+ * Rules for the editable parts of a user's profile, shared by the profile page and the
+ * mock backend so both reject the same input. Skills have their own rules in
+ * `skills/skills.js`.
+ * @author Pranav Singh
+ */
+
+/**
+ * @typedef {"available"|"limited"|"unavailable"} Availability
+ */
+
+/** Longest first or last name */
+export const NAME_MAX_LENGTH = 50;
+
+/** Longest bio */
+export const BIO_MAX_LENGTH = 500;
+
+/** Largest avatar accepted, as the length of its data URL */
+export const AVATAR_MAX_LENGTH = 1024 * 1024;
+
+/** How much time someone has for new teams, most first */
+export const AVAILABILITY = [
+  { value: "available", label: "Open to new teams" },
+  { value: "limited", label: "Limited time" },
+  { value: "unavailable", label: "Not looking right now" },
+];
+
+/** Availability of accounts that never set one */
+export const DEFAULT_AVAILABILITY = "available";
+
+/**
+ * @function availabilityLabel
+ * @param {Availability} [value]
+ * @returns {string}
+ */
+export const availabilityLabel = (value) =>
+  AVAILABILITY.find((a) => a.value === (value || DEFAULT_AVAILABILITY))?.label ?? value;
+
+/**
+ * @function displayName
+ * @description "First Last", or the email for accounts without a name.
+ * @param {{ firstname?: string, lastname?: string, email: string }} user
+ * @returns {string}
+ */
+export const displayName = (user) => [user.firstname, user.lastname].filter(Boolean).join(" ") || user.email;
+
+/**
+ * @function initials
+ * @description Up to two letters standing in for someone without an avatar.
+ * @param {{ firstname?: string, lastname?: string, email?: string }} user
+ * @returns {string}
+ */
+export const initials = (user) =>
+  ([user.firstname?.[0], user.lastname?.[0]].filter(Boolean).join("") || user.email?.[0] || "?").toUpperCase();
+
+/**
+ * @function personOf
+ * @description Reads a person out of an API record that names its fields with a prefix,
+ * such as `member_fname` and `member_avatar` for "member_". Requests use no prefix.
+ * @param {Object} record
+ * @param {string} [prefix=""] - e.g. "member_", "owner_", "author_"
+ * @returns {{ email: string, firstname?: string, lastname?: string, avatar: string|null }}
+ */
+export const personOf = (record, prefix = "") => ({
+  email: record[`${prefix}email`],
+  firstname: record[`${prefix}fname`],
+  lastname: record[`${prefix}lname`],
+  avatar: record[`${prefix}avatar`] ?? null,
+});
+
+/** Parses an http(s) URL, or returns null */
+const parseUrl = (text) => {
+  try {
+    const url = new URL(text);
+    return url.protocol === "http:" || url.protocol === "https:" ? url : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * @function validateProfile
+ * @description Checks the fields present in `changes`; fields left out are not checked.
+ * Links may be empty, which removes them.
+ * @param {Object} changes - Any of firstname, lastname, bio, github, portfolio,
+ *   availability and avatar (a data URL, or null to remove it)
+ * @returns {Object<string, string>} Error per invalid field; empty when everything is valid
+ */
+export function validateProfile(changes) {
+  const errors = {};
+  for (const field of ["firstname", "lastname"]) {
+    if (!(field in changes)) continue;
+    const value = String(changes[field] ?? "").trim();
+    if (!value) errors[field] = "This field is required.";
+    else if (value.length > NAME_MAX_LENGTH) errors[field] = `Use at most ${NAME_MAX_LENGTH} characters.`;
+  }
+  if ((changes.bio ?? "").length > BIO_MAX_LENGTH) {
+    errors.bio = `Keep your bio under ${BIO_MAX_LENGTH} characters.`;
+  }
+  if (changes.github) {
+    const url = parseUrl(changes.github);
+    if (!url || !["github.com", "www.github.com"].includes(url.hostname)) {
+      errors.github = "Enter a link to a GitHub profile, e.g. https://github.com/you.";
+    }
+  }
+  if (changes.portfolio && !parseUrl(changes.portfolio)) {
+    errors.portfolio = "Enter a full link starting with https://.";
+  }
+  if ("availability" in changes && !AVAILABILITY.some((a) => a.value === changes.availability)) {
+    errors.availability = "Choose one of the options.";
+  }
+  if (changes.avatar != null) {
+    if (!/^data:image\/(png|jpeg|webp);base64,/.test(changes.avatar)) {
+      errors.avatar = "Upload a PNG, JPEG or WebP image.";
+    } else if (changes.avatar.length > AVATAR_MAX_LENGTH) {
+      errors.avatar = "That image is too large.";
+    }
+  }
+  return errors;
+}
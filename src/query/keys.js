@@ -0,0 +1,59 @@
+/**
+ * @file keys.js
+ * @description
+ * Query keys for every cached resource, named after the endpoint they come from, and
+ * the resources each live-update event makes stale. Invalidating a prefix such as
+ * `["pendingprojects"]` covers that resource for every user and project.
+ * @author Pranav Singh
+ */
+
+export const queryKeys = {
+  counts: (email) => ["projectcount", email],
+  availableProjects: (email, filters = {}) => ["availableprojects", email, filters],
+  recommendedProjects: (email) => ["availableprojects", email, "recommended"],
+  leadProjects: (email) => ["leadprojects", email],
+  joinedProjects: (email) => ["joinedprojects", email],
+  pendingProjects: (email) => ["pendingprojects", email],
+  requestHistory: (email) => ["requesthistory", email],
+  projectRequests: (ownerEmail, projectname) => ["projectrequests", ownerEmail, projectname],
+  projectDecisions: (ownerEmail, projectname) => ["projectdecisions", ownerEmail, projectname],
+  projectMembers: (ownerEmail, projectname) => ["projectmembers", ownerEmail, projectname],
+  notifications: () => ["notifications"],
+  skills: (search) => ["skills", search],
+  chatUnread: (email) => ["chatunread", email],
+  projectTasks: (projectId) => ["projecttasks", projectId],
+  projectDetail: (projectId) => ["projectdetail", projectId],
+  userProfile: (email) => ["userprofile", email],
+};
+
+/** Resources made stale by each kind of live-update event */
+const LIVE_INVALIDATIONS = {
+  "project.": ["leadprojects", "joinedprojects", "availableprojects", "pendingprojects", "requesthistory", "projectcount", "projectdetail", "userprofile"],
+  "request.": ["projectrequests", "projectdecisions", "pendingprojects", "requesthistory", "availableprojects", "projectcount", "projectdetail"],
+  "member.": ["projectmembers", "joinedprojects", "leadprojects", "availableprojects", "projectcount", "projectdetail", "userprofile"],
+  "notification.": ["notifications"],
+  "message.": ["chatunread"],
+  "task.": ["projecttasks", "leadprojects", "joinedprojects", "projectdetail"],
+};
+
+/**
+ * @function invalidateForEvent
+ * @description Invalidates whatever a live-update event may have changed.
+ * @param {ReturnType<import("./queryClient.js").createQueryClient>} client
+ * @param {import("../realtime/liveSocket.js").LiveEvent} event
+ */
+export function invalidateForEvent(client, event) {
+  const [, resources = []] =
+    Object.entries(LIVE_INVALIDATIONS).find(([prefix]) => event.type.startsWith(prefix)) || [];
+  resources.forEach((resource) => client.invalidate([resource]));
+}
+
+/**
+ * @function invalidateLiveResources
+ * @description Invalidates every resource kept fresh by live updates, e.g. once the
+ * channel is back after dropping and the events sent meanwhile are lost.
+ * @param {ReturnType<import("./queryClient.js").createQueryClient>} client
+ */
+export function invalidateLiveResources(client) {
+  new Set(Object.values(LIVE_INVALIDATIONS).flat()).forEach((resource) => client.invalidate([resource]));
+}
@@ -0,0 +1,29 @@
+/**
+ * @file pages.js
+ * @description Helpers for the cached data of paginated lists (`useInfiniteQuery`), which is
+ * stored as `{ pages: [{ results, next }, ...] }`.
+ * @author Pranav Singh
+ */
+
+/**
+ * @typedef {Object} PagedData
+ * @property {Array<{ results: Array, next: string|null }>} pages
+ */
+
+/**
+ * @function flattenPages
+ * @description Every item loaded so far, in order.
+ * @param {PagedData|undefined} data
+ * @returns {Array}
+ */
+export const flattenPages = (data) => data?.pages.flatMap((page) => page.results) ?? [];
+
+/**
+ * @function updatePageItems
+ * @description Applies `update` to the items of every loaded page, e.g. to edit or drop an
+ * item in place without refetching. Usable as a `setQueryData` updater.
+ * @param {(items: Array) => Array} update
+ * @returns {(data: PagedData|undefined) => PagedData|undefined}
+ */
+export const updatePageItems = (update) => (data) =>
+  data && { ...data, pages: data.pages.map((page) => ({ ...page, results: update(page.results) })) };
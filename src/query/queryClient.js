@@ -0,0 +1,203 @@
+/**
+ * @file queryClient.js
+ * @description
+ * Small keyed cache for server data. Each query is identified by a key array such as
+ * `["pendingprojects", email]` and follows stale-while-revalidate: cached data is
+ * returned right away and refetched in the background once it is stale or invalidated.
+ * Concurrent fetches of the same key share one request, and `setQueryData` allows
+ * optimistic updates that are rolled back by refetching.
+ * @author Pranav Singh
+ */
+
+/** How long fetched data counts as fresh, in milliseconds */
+export const DEFAULT_STALE_TIME = 30 * 1000;
+
+/**
+ * @typedef {Object} QueryState
+ * @property {*} data - Last successful result; undefined until the first one
+ * @property {Error|null} error - Error of the last fetch, cleared by a successful one
+ * @property {"idle"|"success"|"error"} status
+ * @property {boolean} isFetching - A request for this key is in flight
+ * @property {number} updatedAt - When `data` was stored; 0 once invalidated
+ */
+
+/** @type {QueryState} */
+const INITIAL_STATE = { data: undefined, error: null, status: "idle", isFetching: false, updatedAt: 0 };
+
+/**
+ * @function hashKey
+ * @description Serializes a query key so it can index a Map.
+ * @param {Array} key
+ * @returns {string}
+ */
+export const hashKey = (key) => JSON.stringify(key);
+
+/**
+ * @function matchesKey
+ * @description True when `key` starts with every part of `prefix`.
+ * @param {Array} key
+ * @param {Array} prefix
+ * @returns {boolean}
+ */
+export const matchesKey = (key, prefix) =>
+  prefix.every((part, index) => hashKey(part) === hashKey(key[index]));
+
+/**
+ * @function createQueryClient
+ * @param {Object} [options]
+ * @param {number} [options.staleTime=DEFAULT_STALE_TIME]
+ * @param {() => number} [options.now=Date.now]
+ */
+export function createQueryClient({ staleTime = DEFAULT_STALE_TIME, now = Date.now } = {}) {
+  /** hash -> { key, state, fetcher, promise, refetchAfter, generation, listeners } */
+  const entries = new Map();
+
+  const entryFor = (key) => {
+    const hash = hashKey(key);
+    if (!entries.has(hash)) {
+      entries.set(hash, {
+        key,
+        state: INITIAL_STATE,
+        fetcher: null,
+        promise: null,
+        refetchAfter: false,
+        generation: 0,
+        listeners: new Set(),
+      });
+    }
+    return entries.get(hash);
+  };
+
+  // State objects are replaced, never mutated, so subscribers can compare snapshots.
+  const setState = (entry, changes) => {
+    entry.state = { ...entry.state, ...changes };
+    entry.listeners.forEach((listener) => listener());
+  };
+
+  const isStale = (entry) => !entry.state.updatedAt || now() - entry.state.updatedAt >= staleTime;
+
+  const client = {
+    /**
+     * @function getState
+     * @description Current state of a query.
+     * @param {Array} key
+     * @returns {QueryState}
+     */
+    getState(key) {
+      return entryFor(key).state;
+    },
+
+    /**
+     * @function subscribe
+     * @description Calls `listener` whenever the query's state changes.
+     * @param {Array} key
+     * @param {() => void} listener
+     * @returns {() => void} Unsubscribe
+     */
+    subscribe(key, listener) {
+      const entry = entryFor(key);
+      entry.listeners.add(listener);
+      return () => entry.listeners.delete(listener);
+    },
+
+    /**
+     * @function fetchQuery
+     * @description Resolves with the query's data, fetching it when missing or stale.
+     * A fetch already in flight for the key is reused instead of starting another.
+     * @param {Array} key
+     * @param {() => Promise<*>} [fetcher] - Remembered for later refetches
+     * @param {{ force?: boolean }} [options] - `force` refetches even fresh data
+     * @returns {Promise<*>}
+     */
+    fetchQuery(key, fetcher, { force = false } = {}) {
+      const entry = entryFor(key);
+      if (fetcher) entry.fetcher = fetcher;
+
+      if (entry.promise) {
+        // Data requested mid-flight may already be outdated; fetch once more afterwards.
+        if (force) entry.refetchAfter = true;
+        return entry.promise;
+      }
+      if (!force && !isStale(entry)) return Promise.resolve(entry.state.data);
+      if (!entry.fetcher) return Promise.resolve(entry.state.data);
+
+      // Results of fetches started before `clear()` are dropped.
+      const generation = entry.generation;
+      setState(entry, { isFetching: true });
+      const promise = Promise.resolve()
+        .then(entry.fetcher)
+        .then(
+          (data) => {
+            if (generation === entry.generation) {
+              setState(entry, { data, error: null, status: "success", isFetching: false, updatedAt: now() });
+            }
+            return data;
+          },
+          (error) => {
+            if (generation === entry.generation) {
+              setState(entry, {
+                error,
+                status: entry.state.data === undefined ? "error" : entry.state.status,
+                isFetching: false,
+              });
+            }
+            throw error;
+          }
+        )
+        .finally(() => {
+          if (entry.promise !== promise) return;
+          entry.promise = null;
+          if (entry.refetchAfter) {
+            entry.refetchAfter = false;
+            client.fetchQuery(key, null, { force: true }).catch(() => {});
+          }
+        });
+      entry.promise = promise;
+      return promise;
+    },
+
+    /**
+     * @function setQueryData
+     * @description Replaces a query's data, e.g. for an optimistic update.
+     * @param {Array} key
+     * @param {*|((previous: *) => *)} updater
+     * @returns {*} The previous data, to roll back with
+     */
+    setQueryData(key, updater) {
+      const entry = entryFor(key);
+      const previous = entry.state.data;
+      const data = typeof updater === "function" ? updater(previous) : updater;
+      setState(entry, { data, status: "success", updatedAt: now() });
+      return previous;
+    },
+
+    /**
+     * @function invalidate
+     * @description Marks every query whose key starts with `prefix` as stale and
+     * refetches the ones currently on screen. With no prefix, every query is invalidated.
+     * @param {Array} [prefix=[]]
+     */
+    invalidate(prefix = []) {
+      for (const entry of entries.values()) {
+        if (!matchesKey(entry.key, prefix)) continue;
+        setState(entry, { updatedAt: 0 });
+        if (entry.listeners.size > 0) client.fetchQuery(entry.key, null, { force: true }).catch(() => {});
+      }
+    },
+
+    /**
+     * @function clear
+     * @description Forgets all cached data, e.g. when the user signs out.
+     */
+    clear() {
+      for (const entry of entries.values()) {
+        entry.generation += 1;
+        entry.promise = null;
+        entry.refetchAfter = false;
+        setState(entry, INITIAL_STATE);
+      }
+    },
+  };
+
+  return client;
+}
@@ -0,0 +1,138 @@
+/**
+ * @file liveSocket.js
+ * @description
+ * WebSocket client for the live-update channel (`ws/updates/`). The server pushes a
+ * small JSON event whenever a project, request, membership or notification changes;
+ * components re-fetch what they show in response. Dropped connections are retried
+ * with exponential backoff and jitter so a restarting server isn't hammered.
+ * @author Pranav Singh
+ */
+
+/**
+ * @typedef {Object} LiveEvent
+ * @property {"project.created"|"project.updated"|"project.deleted"|"request.created"|"request.updated"|"member.added"|"member.removed"|"notification.created"|"message.created"|"task.created"|"task.updated"|"task.deleted"} type
+ * @property {number} [project_id]
+ * @property {import("../api/chat.js").ChatMessage} [message] - The new message ("message.created")
+ * @property {string} at - ISO timestamp
+ */
+
+/** First retry delay, in milliseconds */
+export const BACKOFF_BASE_MS = 1000;
+
+/** Longest wait between retries, in milliseconds */
+export const BACKOFF_MAX_MS = 30 * 1000;
+
+// WebSocket implementation; the mock backend swaps in an in-memory one.
+let WebSocketImpl = globalThis.WebSocket;
+
+/**
+ * @function setWebSocketImpl
+ * @description Replaces the WebSocket class used for new connections.
+ * @param {typeof WebSocket} Impl
+ */
+export const setWebSocketImpl = (Impl) => {
+  WebSocketImpl = Impl;
+};
+
+/**
+ * @function backoffDelay
+ * @description Delay before reconnect attempt number `attempt` (0-based): doubles each
+ * time up to `max`, then keeps a random 50-100% of it so clients don't retry in lockstep.
+ * @param {number} attempt
+ * @param {{ base?: number, max?: number, random?: () => number }} [options]
+ * @returns {number}
+ */
+export const backoffDelay = (
+  attempt,
+  { base = BACKOFF_BASE_MS, max = BACKOFF_MAX_MS, random = Math.random } = {}
+) => {
+  const ceiling = Math.min(max, base * 2 ** attempt);
+  return Math.round(ceiling / 2 + (ceiling / 2) * random());
+};
+
+/**
+ * @function liveUpdatesUrl
+ * @description WebSocket URL of the live-update channel, authenticated with `token`.
+ * Uses `VITE_WS_URL` when set, otherwise the API base URL with a ws(s) scheme.
+ * @param {string} token - Access token
+ * @returns {string}
+ */
+export const liveUpdatesUrl = (token) => {
+  const base =
+    import.meta.env.VITE_WS_URL ||
+    new URL("ws/updates/", import.meta.env.VITE_API_BASE_URL || window.location.origin)
+      .toString()
+      .replace(/^http/, "ws");
+  return `${base}?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * @function createLiveConnection
+ * @description Opens the live-update channel and keeps it open until `close()` is called.
+ *
+ * @param {Object} options
+ * @param {() => string|null} options.getToken - Read on every (re)connect so refreshed tokens are used
+ * @param {(event: LiveEvent) => void} options.onEvent
+ * @param {(status: "connecting"|"open"|"reconnecting"|"closed") => void} [options.onStatus]
+ * @param {Parameters<typeof backoffDelay>[1]} [options.backoff]
+ * @returns {{ close: () => void }}
+ */
+export function createLiveConnection({ getToken, onEvent, onStatus = () => {}, backoff }) {
+  let socket = null;
+  let attempt = 0;
+  let retryTimer = null;
+  let closed = false;
+
+  const scheduleReconnect = () => {
+    if (closed) return;
+    onStatus("reconnecting");
+    retryTimer = setTimeout(connect, backoffDelay(attempt, backoff));
+    attempt += 1;
+  };
+
+  function connect() {
+    retryTimer = null;
+    const token = getToken();
+    if (!token || !WebSocketImpl) {
+      closed = true;
+      onStatus("closed");
+      return;
+    }
+
+    onStatus("connecting");
+    socket = new WebSocketImpl(liveUpdatesUrl(token));
+
+    socket.onopen = () => {
+      attempt = 0;
+      onStatus("open");
+    };
+
+    socket.onmessage = (message) => {
+      try {
+        onEvent(JSON.parse(message.data));
+      } catch (err) {
+        console.error("Ignoring malformed live update:", err);
+      }
+    };
+
+    socket.onclose = () => {
+      socket = null;
+      scheduleReconnect();
+    };
+  }
+
+  connect();
+
+  return {
+    close() {
+      closed = true;
+      clearTimeout(retryTimer);
+      if (socket) {
+        socket.onclose = null;
+        socket.close();
+        socket = null;
+      }
+      onStatus("closed");
+    },
+  };
+}
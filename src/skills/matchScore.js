@@ -0,0 +1,98 @@
+/**
+ * @file matchScore.js
+ * @description
+ * Scores how well a project suits a user, for the "Recommended for you" section of the
+ * Join a Team browser. A score combines three signals, each between 0 and 1:
+ *  - skill fit: the project's unfilled needs the user has, weighted by proficiency
+ *  - team size: smaller teams need people more
+ *  - recency: newer projects are still forming their team
+ * The weights and scales are exported so they can be tuned in one place.
+ *
+ * Pure functions only: `now` is passed in so the scores are deterministic in tests.
+ * @author Pranav Singh
+ */
+
+import { openSlots, projectSkills, skillLabel, userSkills } from "./skills.js";
+
+/** Share of each signal in the score; they add up to 1 */
+export const MATCH_WEIGHTS = { skills: 0.6, recency: 0.25, teamSize: 0.15 };
+
+/** How much a matched need counts for each proficiency level */
+export const LEVEL_WEIGHTS = { beginner: 0.6, intermediate: 0.8, advanced: 1 };
+
+/** Days after which a project's recency signal has halved */
+export const RECENCY_HALF_LIFE_DAYS = 14;
+
+/** Member count at which the team size signal has halved */
+export const TEAM_SIZE_HALF = 3;
+
+/** Lowest score still recommended */
+export const MIN_RECOMMENDED_SCORE = 0.3;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} ProjectMatch
+ * @property {Object} project
+ * @property {number} score - Between 0 and 1
+ * @property {string[]} matched - Unfilled needs the user has
+ * @property {number} openSlots - People still needed for the matched skills
+ * @property {string[]} reasons - Why the project was recommended, most important first
+ */
+
+/**
+ * @function scoreProject
+ * @description Scores a project for a user. Projects with no unfilled need the user has
+ * score 0, however new or small they are.
+ * @param {Object} project - Listing from `api/projects/`
+ * @param {import("../api/accounts.js").User} user
+ * @param {Object} [options]
+ * @param {number} [options.now=Date.now()]
+ * @returns {ProjectMatch}
+ */
+export function scoreProject(project, user, { now = Date.now() } = {}) {
+  const levels = Object.fromEntries(userSkills(user).map((s) => [s.name, s.level]));
+  const needs = projectSkills(project).filter((s) => openSlots(s) > 0);
+  const matchedNeeds = needs.filter((s) => s.name in levels);
+  const matched = matchedNeeds.map((s) => s.name);
+  const slots = matchedNeeds.reduce((sum, s) => sum + openSlots(s), 0);
+
+  if (matchedNeeds.length === 0) return { project, score: 0, matched, openSlots: 0, reasons: [] };
+
+  const skillFit =
+    matchedNeeds.reduce((sum, s) => sum + (LEVEL_WEIGHTS[levels[s.name]] ?? LEVEL_WEIGHTS.intermediate), 0) /
+    needs.length;
+  const ageDays = Math.max(0, (now - Date.parse(project.created_on)) / DAY);
+  const recency = Number.isNaN(ageDays) ? 0 : 0.5 ** (ageDays / RECENCY_HALF_LIFE_DAYS);
+  const teamSize = 1 / (1 + (project.member_count ?? 0) / TEAM_SIZE_HALF);
+
+  const score =
+    MATCH_WEIGHTS.skills * skillFit + MATCH_WEIGHTS.recency * recency + MATCH_WEIGHTS.teamSize * teamSize;
+
+  const labels = matched.map(skillLabel).join(", ");
+  const reasons = [`needs ${labels}`, `you have ${labels}`, slots === 1 ? "1 open slot" : `${slots} open slots`];
+  if (ageDays < 7) reasons.push("new this week");
+  if ((project.member_count ?? 0) === 0) reasons.push("no members yet");
+
+  return { project, score, matched, openSlots: slots, reasons };
+}
+
+/**
+ * @function recommendProjects
+ * @description The best-scoring projects for a user, best first. Ties go to the newer project.
+ * @param {Object[]} projects
+ * @param {import("../api/accounts.js").User} user
+ * @param {Object} [options]
+ * @param {number} [options.limit=3]
+ * @param {number} [options.now=Date.now()]
+ * @returns {ProjectMatch[]}
+ */
+export function recommendProjects(projects, user, { limit = 3, now = Date.now() } = {}) {
+  return projects
+    .map((project) => scoreProject(project, user, { now }))
+    .filter((match) => match.score >= MIN_RECOMMENDED_SCORE)
+    .sort(
+      (a, b) => b.score - a.score || Date.parse(b.project.created_on) - Date.parse(a.project.created_on)
+    )
+    .slice(0, limit);
+}
@@ -0,0 +1,141 @@
+/**
+ * @file skills.js
+ * @description
+ * Skill tags shared by profiles and projects. A tag is a lower-case, hyphenated name
+ * such as `machine-learning`. Profiles give each skill a proficiency level; projects
+ * give each required skill the number of people they need for it.
+ *
+ * Accounts and projects created before tags had only `frontend`/`backend` booleans;
+ * `userSkills` and `projectSkills` map those onto the `frontend` and `backend` tags.
+ * @author Pranav Singh
+ */
+
+/**
+ * @typedef {Object} UserSkill
+ * @property {string} name - Tag, see `normalizeSkill`
+ * @property {"beginner"|"intermediate"|"advanced"} level
+ */
+
+/**
+ * @typedef {Object} ProjectSkill
+ * @property {string} name - Tag, see `normalizeSkill`
+ * @property {number} count - People needed with this skill
+ * @property {number} [filled] - Members who already have it (browse list)
+ */
+
+/** Longest tag accepted */
+export const SKILL_MAX_LENGTH = 30;
+
+/** Most tags a profile or project can list */
+export const MAX_SKILLS = 15;
+
+/** Most people a project can ask for per skill */
+export const MAX_SKILL_COUNT = 10;
+
+/** Proficiency levels, lowest first */
+export const SKILL_LEVELS = [
+  { value: "beginner", label: "Beginner" },
+  { value: "intermediate", label: "Intermediate" },
+  { value: "advanced", label: "Advanced" },
+];
+
+/** Level given to skills that don't state one, e.g. those mapped from the old booleans */
+export const DEFAULT_SKILL_LEVEL = "intermediate";
+
+/** Tags offered by autocomplete before anyone has used them */
+export const SUGGESTED_SKILLS = [
+  "frontend",
+  "backend",
+  "react",
+  "javascript",
+  "typescript",
+  "python",
+  "django",
+  "machine-learning",
+  "data-science",
+  "design",
+  "ui-ux",
+  "mobile",
+  "android",
+  "ios",
+  "devops",
+  "docker",
+  "cloud",
+  "testing",
+  "databases",
+  "security",
+];
+
+/**
+ * @function normalizeSkill
+ * @description Turns free text into a tag: lower case, words joined by hyphens, letters,
+ * digits and `+ # .` only (so "C++" and "Node.js" survive). Returns "" when nothing is left.
+ * @param {string} text
+ * @returns {string}
+ */
+export const normalizeSkill = (text) =>
+  text
+    .trim()
+    .toLowerCase()
+    .replace(/[\s_]+/g, "-")
+    .replace(/[^a-z0-9+#.-]/g, "")
+    .replace(/-+/g, "-")
+    .replace(/^-|-$/g, "")
+    .slice(0, SKILL_MAX_LENGTH);
+
+/**
+ * @function skillLabel
+ * @description Display name of a tag, e.g. "machine-learning" → "Machine Learning".
+ * @param {string} name
+ * @returns {string}
+ */
+export const skillLabel = (name) =>
+  name
+    .split("-")
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(" ");
+
+/**
+ * @function levelLabel
+ * @param {string} level
+ * @returns {string}
+ */
+export const levelLabel = (level) => SKILL_LEVELS.find((l) => l.value === level)?.label ?? level;
+
+/** Tags equivalent to the old `frontend`/`backend` booleans of a record */
+const legacyTags = (record) => ["frontend", "backend"].filter((name) => record?.[name] === true);
+
+/**
+ * @function userSkills
+ * @description Skills of a user, falling back to the old booleans for accounts that have none.
+ * @param {Object} user
+ * @returns {UserSkill[]}
+ */
+export const userSkills = (user) =>
+  user?.skills ?? legacyTags(user).map((name) => ({ name, level: DEFAULT_SKILL_LEVEL }));
+
+/**
+ * @function projectSkills
+ * @description Required skills of a project, falling back to the old booleans (one person each).
+ * @param {Object} project
+ * @returns {ProjectSkill[]}
+ */
+export const projectSkills = (project) =>
+  project?.skills ?? legacyTags(project).map((name) => ({ name, count: 1 }));
+
+/**
+ * @function openSlots
+ * @description People a project still needs for a skill. Listings include how many members
+ * already have it as `filled`; without it the whole count is taken as open.
+ * @param {ProjectSkill} skill
+ * @returns {number}
+ */
+export const openSlots = (skill) => Math.max(0, skill.count - (skill.filled ?? 0));
+
+/**
+ * @function skillNames
+ * @description Just the tags of a skill list.
+ * @param {Array<{ name: string }>} skills
+ * @returns {string[]}
+ */
+export const skillNames = (skills) => skills.map((s) => s.name);
@@ -0,0 +1,80 @@
+/**
+ * @file chatTransport.js
+ * @description
+ * In-memory chat transport for tests: a stand-in server holding one project's messages
+ * that pages, stores sent messages and read markers like the API does. `deliver` adds a
+ * message from someone else as if it had been pushed live.
+ * @author Pranav Singh
+ */
+
+/**
+ * @function createMemoryChatTransport
+ * @param {Object} [options]
+ * @param {import("../api/chat.js").ChatMessage[]} [options.messages=[]] - History, oldest first
+ * @param {number} [options.lastReadId=0]
+ * @param {number} [options.pageSize=30]
+ * @param {import("../api/accounts.js").User} [options.author] - Who sent messages come from
+ * @returns {import("../chat/transport.js").ChatTransport & {
+ *   messages: Array, lastReadId: number, failNextSend: (error: Error) => void, deliver: (message: Object) => void
+ * }}
+ */
+export function createMemoryChatTransport({ messages = [], lastReadId = 0, pageSize = 30, author = {} } = {}) {
+  const listeners = new Set();
+  let sendError = null;
+
+  const transport = {
+    messages: [...messages],
+    lastReadId,
+
+    async history(projectId, cursor = null) {
+      const newestFirst = [...transport.messages].reverse();
+      const offset = cursor ? Number(cursor) : 0;
+      const next = offset + pageSize < newestFirst.length ? String(offset + pageSize) : null;
+      return { results: newestFirst.slice(offset, offset + pageSize), next, last_read_id: transport.lastReadId };
+    },
+
+    async send(projectId, { body, mentions }) {
+      if (sendError) {
+        const error = sendError;
+        sendError = null;
+        throw error;
+      }
+      const message = {
+        id: transport.messages.length + 1,
+        project_id: projectId,
+        author_email: author.email,
+        author_fname: author.firstname,
+        author_lname: author.lastname,
+        author_avatar: author.avatar ?? null,
+        body,
+        mentions,
+        sent_on: new Date().toISOString(),
+      };
+      transport.messages.push(message);
+      listeners.forEach((listener) => listener(message));
+      return message;
+    },
+
+    async markRead(projectId, id) {
+      transport.lastReadId = Math.max(transport.lastReadId, id);
+    },
+
+    subscribe(projectId, onMessage) {
+      listeners.add(onMessage);
+      return () => listeners.delete(onMessage);
+    },
+
+    /** Makes the next `send` fail with `error`. */
+    failNextSend(error) {
+      sendError = error;
+    },
+
+    /** Adds a message from someone else and pushes it to the open chats. */
+    deliver(message) {
+      const delivered = { id: transport.messages.length + 1, sent_on: new Date().toISOString(), mentions: [], ...message };
+      transport.messages.push(delivered);
+      listeners.forEach((listener) => listener(delivered));
+    },
+  };
+  return transport;
+}
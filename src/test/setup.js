@@ -0,0 +1,15 @@
+/**
+ * @file setup.js
+ * @description Vitest setup: DOM matchers and a clean DOM/storage between tests.
+ * @author Pranav Singh
+ */
+
+import "@testing-library/jest-dom/vitest";
+import { afterEach } from "vitest";
+import { cleanup } from "@testing-library/react";
+
+afterEach(() => {
+  cleanup();
+  localStorage.clear();
+  sessionStorage.clear();
+});
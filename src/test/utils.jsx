@@ -0,0 +1,84 @@
+/**
+ * @file utils.jsx
+ * @description
+ * Helpers for integration tests. The app is rendered for real (router, providers
+ * and all) while the shared axios instance is answered by a fresh mock backend,
+ * so tests exercise the same code paths as the browser without any network.
+ * @author Pranav Singh
+ */
+
+import { render, screen } from "@testing-library/react";
+import App from "../App.jsx";
+import axiosInstance from "../Interceptors/axiosInstance";
+import { installMockBackend } from "../mocks/index.js";
+
+/**
+ * @function setupBackend
+ * @description Points the shared axios instance at a new mock backend.
+ * @param {Parameters<typeof installMockBackend>[1]} [options]
+ */
+export const setupBackend = (options) => installMockBackend(axiosInstance, options);
+
+/**
+ * @function signInAs
+ * @description Stores a token pair for a fixture user, as a successful sign-in would.
+ * @param {ReturnType<typeof setupBackend>} backend
+ * @param {string} email
+ * @param {Object} [tokenOptions] - Passed to `backend.tokens.issue`, e.g. `{ accessTtl: -1 }`
+ */
+export function signInAs(backend, email, tokenOptions) {
+  const { access, refresh } = backend.tokens.issue(email, tokenOptions);
+  localStorage.setItem("access_token", access);
+  localStorage.setItem("refresh_token", refresh);
+  return { access, refresh };
+}
+
+/**
+ * @function renderApp
+ * @description Renders the whole app at `path`.
+ * @param {string} [path="/"]
+ */
+export function renderApp(path = "/") {
+  window.history.pushState({}, "", path);
+  return render(<App />);
+}
+
+/**
+ * @function statValue
+ * @description Reads the number shown on one of the dashboard stat cards.
+ * @param {string} label - e.g. "Pending Requests"
+ * @returns {string}
+ */
+export const statValue = (label) =>
+  screen.getByText(label, { selector: "p" }).previousElementSibling.textContent;
+
+/**
+ * @function findProjectCard
+ * @description Finds the title of a project's card in the Join a Team list, as opposed
+ * to its entry under "Recommended for you".
+ * @param {string} name
+ * @returns {Promise<HTMLElement>}
+ */
+export const findProjectCard = (name) => screen.findByRole("heading", { level: 3, name });
+
+/**
+ * @function queryProjectCard
+ * @description Like `findProjectCard`, but returns null straight away when there is none.
+ * @param {string} name
+ * @returns {HTMLElement|null}
+ */
+export const queryProjectCard = (name) => screen.queryByRole("heading", { level: 3, name });
+
+/**
+ * @function apiAs
+ * @description Calls the mock backend directly as another user, e.g. a second
+ * browser changing data while the app under test is open.
+ * @param {ReturnType<typeof setupBackend>} backend
+ * @param {string} email
+ * @returns {(method: string, path: string, body?: Object) => Promise<{ status: number, data: * }>}
+ */
+export function apiAs(backend, email) {
+  const { access } = backend.tokens.issue(email);
+  return (method, path, body = null) =>
+    backend.handle({ method, path, body, authorization: `Bearer ${access}` });
+}
@@ -10,5 +10,13 @@ export default defineConfig({
     postcss: {
       plugins: [tailwindcss()],
     },
-  }
+  },
+  // https://vitest.dev/config/
+  test: {
+    environment: "jsdom",
+    setupFiles: "./src/test/setup.js",
+    env: {
+      VITE_API_BASE_URL: "http://api.test",
+    },
+  },
 })